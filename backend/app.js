@@ -1,15 +1,23 @@
 const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const config = require('./config');
 const logger = require('./middleware/logger');
+const httpMetrics = require('./middleware/metrics');
 const errorHandler = require('./middleware/errorHandler');
 const routes = require('./routes');
 
 const app = express();
 
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+if (config.trustProxy) app.set('trust proxy', config.trustProxy);
+
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
+// First, so body parsing errors are logged with the request ID too.
 app.use(logger);
+app.use(httpMetrics);
+// Images and audio arrive base64-encoded in JSON; everything else is small.
+app.use(['/diagnose', '/triage', '/interview', '/transcribe-audio', '/symptoms'], express.json({ limit: config.mediaBodyLimit }));
+app.use(express.json({ limit: config.jsonBodyLimit }));
 
 // API routes
 app.use('/', routes);
@@ -18,13 +26,16 @@ app.use('/', routes);
 const frontendDist = path.join(__dirname, '..', 'frontend', 'dist');
 app.use(express.static(frontendDist));
 
+// First path segments of the API routes; the SPA fallback leaves these to 404 via errorHandler.
+const API_PREFIXES = [
+  '/auth', '/diagnose', '/diagnoses', '/hospitals', '/waittimes', '/rank', '/tts',
+  '/transcribe-audio', '/triage', '/interview', '/symptoms', '/healthz', '/readyz', '/metrics',
+  '/docs', '/openapi.json',
+];
+
 // SPA fallback: any non-API route serves index.html
 app.get('*', (req, res, next) => {
-  // Don't intercept API-like paths (they'll 404 via errorHandler)
-  if (req.path.startsWith('/auth') || req.path.startsWith('/diagnose') ||
-      req.path.startsWith('/hospitals') || req.path.startsWith('/waittimes') ||
-      req.path.startsWith('/rank') || req.path.startsWith('/tts') ||
-      req.path.startsWith('/transcribe')) {
+  if (API_PREFIXES.some((prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`))) {
     return next();
   }
   res.sendFile(path.join(frontendDist, 'index.html'), (err) => {
@@ -32,6 +43,9 @@ app.get('*', (req, res, next) => {
   });
 });
 
+// Unknown API paths, with any method, get a JSON 404 rather than Express's HTML page.
+app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
 app.use(errorHandler);
 
 module.exports = app;
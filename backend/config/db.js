@@ -1,19 +1,20 @@
 const mongoose = require('mongoose');
 const config = require('./index');
+const { logger } = require('../services/logService');
 
 let isConnected = false;
 
 async function connect() {
   if (isConnected) return mongoose.connection;
   if (!config.mongoUri) {
-    console.warn('MONGODB_URI not set — DB operations will fail until .env is configured.');
+    logger.warn('MONGODB_URI not set — DB operations will fail until .env is configured');
     return null;
   }
   const conn = await mongoose.connect(config.mongoUri, {
     serverSelectionTimeoutMS: 5000,
   });
   isConnected = true;
-  console.log('MongoDB connected');
+  logger.info('MongoDB connected');
   return conn;
 }
 
@@ -21,4 +22,32 @@ function getClient() {
   return mongoose.connection;
 }
 
-module.exports = { connect, getClient };
+/**
+ * Ask the server to answer a ping, for /readyz.
+ * @param {number} [timeoutMs]
+ * @returns {Promise<{ status: 'up' | 'down' | 'not_configured', latencyMs?: number }>}
+ */
+async function ping(timeoutMs = 2000) {
+  if (!config.mongoUri) return { status: 'not_configured' };
+  // Without a live connection the command would be buffered until mongoose gives up.
+  if (mongoose.connection.readyState !== 1) return { status: 'down' };
+
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`ping timed out after ${timeoutMs}ms`)), timeoutMs);
+      }),
+    ]);
+    return { status: 'up', latencyMs: Date.now() - started };
+  } catch (err) {
+    logger.warn('MongoDB ping failed', { err });
+    return { status: 'down' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { connect, getClient, ping };
@@ -8,15 +8,70 @@ function parsePort(value, fallback = 3000) {
   return port;
 }
 
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+const nodeEnv = process.env.NODE_ENV || 'development';
+
 const config = {
   port: parsePort(process.env.PORT, 3000),
-  nodeEnv: process.env.NODE_ENV || 'development',
+  nodeEnv,
+  // Set to the number of proxy hops (e.g. 1) when behind a load balancer, so req.ip is the client's
+  trustProxy: positiveNumber(process.env.TRUST_PROXY, 0),
+  // JSON body size limits; only routes that accept images or audio get the larger one
+  jsonBodyLimit: process.env.JSON_BODY_LIMIT || '1mb',
+  mediaBodyLimit: process.env.MEDIA_BODY_LIMIT || '15mb',
+  // debug | info | warn | error | silent — defaults to silent under Jest to keep test output readable
+  logLevel: (process.env.LOG_LEVEL || (nodeEnv === 'test' ? 'silent' : 'info')).trim().toLowerCase(),
+  // When set, GET /metrics requires `Authorization: Bearer <METRICS_TOKEN>`
+  metricsToken: process.env.METRICS_TOKEN || '',
+  // on | off — defaults to off under Jest so test files can call routes freely
+  rateLimitEnabled: (process.env.RATE_LIMIT || (nodeEnv === 'test' ? 'off' : 'on')).trim().toLowerCase() !== 'off',
+  rateLimits: {
+    llm: {
+      windowMs: positiveNumber(process.env.RATE_LIMIT_LLM_WINDOW_MINUTES, 10) * 60 * 1000,
+      perIp: positiveNumber(process.env.RATE_LIMIT_LLM_PER_IP, 30),
+      perUser: positiveNumber(process.env.RATE_LIMIT_LLM_PER_USER, 60),
+    },
+    auth: {
+      windowMs: positiveNumber(process.env.RATE_LIMIT_AUTH_WINDOW_MINUTES, 15) * 60 * 1000,
+      perIp: positiveNumber(process.env.RATE_LIMIT_AUTH_PER_IP, 20),
+    },
+  },
+  // Consecutive failed logins before an account is locked, and for how long
+  loginMaxAttempts: positiveNumber(process.env.LOGIN_MAX_ATTEMPTS, 5),
+  loginLockoutMinutes: positiveNumber(process.env.LOGIN_LOCKOUT_MINUTES, 15),
+  // on | off — background refresh of hospital-system wait-time pages; defaults to off under Jest
+  waitTimePolling: (process.env.WAIT_TIME_POLLING || (nodeEnv === 'test' ? 'off' : 'on')).trim().toLowerCase() !== 'off',
+  waitTimePollMs: positiveNumber(process.env.WAIT_TIME_POLL_MINUTES, 5) * 60 * 1000,
+  // Minimum gap between two requests to the same hospital site (robots.txt Crawl-delay can raise it)
+  scraperDomainIntervalMs: positiveNumber(process.env.SCRAPER_DOMAIN_INTERVAL_SECONDS, 10) * 1000,
   mongoUri: process.env.MONGODB_URI || '',
   googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY || '',
+  // places | local | merged | auto (merged when a Places key is set, otherwise local)
+  hospitalProvider: (process.env.HOSPITAL_PROVIDER || 'auto').trim().toLowerCase(),
   geminiApiKey: process.env.GEMINI_API_KEY || '',
+  // gemini | openai | mock
+  llmProvider: (process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase(),
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  openaiApiKey: process.env.OPENAI_API_KEY || '',
+  openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  llmTimeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 60000,
+  // on | possible | off — LLM crisis check for all text without a "definite" phrase (one call
+  // per screened request), only for "possible" phrase matches, or never
+  crisisClassifier: (process.env.CRISIS_CLASSIFIER || 'on').trim().toLowerCase(),
+  // on | off — a second LLM call per diagnosis for coded structuredSymptoms; opt-in, so by
+  // default diagnoses are neither coded nor stored for analytics
+  symptomExtractionOnDiagnose: (process.env.SYMPTOM_EXTRACTION_ON_DIAGNOSE || 'off').trim().toLowerCase() === 'on',
   elevenLabsApiKey: process.env.ELEVENLABS_API_KEY || '',
   jwtSecret: process.env.JWT_SECRET || 'dev-only-change-me',
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  // Access tokens are short-lived; clients renew them with a refresh token.
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  // Public URL of the frontend, used for links in emails
+  appUrl: (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, ''),
   smtpHost: process.env.SMTP_HOST || 'smtp.gmail.com',
   smtpPort: Number(process.env.SMTP_PORT) || 587,
   smtpUser: process.env.SMTP_USER || '',
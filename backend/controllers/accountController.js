@@ -0,0 +1,104 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const DiagnosisRecord = require('../models/DiagnosisRecord');
+const RefreshToken = require('../models/RefreshToken');
+const ActionToken = require('../models/ActionToken');
+const { sanitizeUser, recordFailedLogin, lockedResponse } = require('./authController');
+const { sanitizeDependent } = require('./dependentsController');
+const { sanitizeRecord } = require('./diagnosesController');
+const { clearSessionsForUser } = require('../services/interviewService');
+const { logger } = require('../services/logService');
+
+function sanitizeSession(session) {
+  return {
+    userAgent: session.userAgent || '',
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    revokedAt: session.revokedAt || null,
+  };
+}
+
+/**
+ * GET /auth/export
+ * Downloads everything stored for the account as one JSON file: profile, emergency
+ * contacts, medical history, dependents, diagnosis history and sign-in sessions.
+ * Uploaded images are never stored (records keep only a hash), so there are no files to add.
+ */
+async function exportAccount(req, res) {
+  try {
+    const user = await User.findById(req.user.id).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [diagnoses, sessions] = await Promise.all([
+      DiagnosisRecord.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+      RefreshToken.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+    const data = {
+      exportedAt: new Date().toISOString(),
+      account: {
+        ...sanitizeUser(user),
+        emailVerifiedAt: user.emailVerifiedAt || null,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+      },
+      dependents: (user.dependents || []).map(sanitizeDependent),
+      diagnoses: diagnoses.map(sanitizeRecord),
+      sessions: sessions.map(sanitizeSession),
+    };
+
+    const date = data.exportedAt.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="triagesense-export-${date}.json"`);
+    return res.json(data);
+  } catch (err) {
+    logger.error('export account error', { err });
+    return res.status(500).json({ error: 'Failed to export account data' });
+  }
+}
+
+/**
+ * DELETE /auth/account
+ * Body: { password }
+ * Deletes the account with its diagnosis history, sessions, email links and open interviews.
+ * A wrong password gets 403 rather than 401, which clients treat as an expired session.
+ * Wrong passwords count toward the same lockout as failed logins, so a stolen access token
+ * cannot be used to guess the password.
+ * Returns: 204
+ */
+async function deleteAccount(req, res) {
+  try {
+    const { password } = req.body;
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return lockedResponse(res, user.lockedUntil);
+    }
+
+    const ok = await bcrypt.compare(password, user.passwordHash);
+    if (!ok) {
+      const lockedUntil = await recordFailedLogin(user);
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
+      return res.status(403).json({ error: 'Incorrect password' });
+    }
+
+    // Related records go first, so a failure part way leaves an account that can retry.
+    await Promise.all([
+      DiagnosisRecord.deleteMany({ user: user._id }),
+      RefreshToken.deleteMany({ user: user._id }),
+      ActionToken.deleteMany({ user: user._id }),
+    ]);
+    clearSessionsForUser(user._id);
+    await User.deleteOne({ _id: user._id });
+
+    return res.status(204).end();
+  } catch (err) {
+    logger.error('delete account error', { err });
+    return res.status(500).json({ error: 'Failed to delete account' });
+  }
+}
+
+module.exports = {
+  exportAccount,
+  deleteAccount,
+};
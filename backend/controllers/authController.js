@@ -1,14 +1,40 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config');
+const tokenService = require('../services/tokenService');
+const { createActionToken, consumeActionToken } = require('../services/actionTokenService');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/emailService');
+const { PREGNANCY_STATUSES } = require('../models/medicalHistorySchemas');
+const { logger } = require('../services/logService');
 
-function buildToken(user) {
-  return jwt.sign(
-    { email: user.email },
-    config.jwtSecret,
-    { subject: String(user._id), expiresIn: config.jwtExpiresIn }
-  );
+// Compared against when the email has no account, so that a failed login takes as long either way.
+const UNKNOWN_USER_HASH = bcrypt.hashSync('not a real password', 10);
+
+// Failed logins for emails without an account, counted and locked like an account's so a
+// lockout does not tell registered emails apart. Kept in process memory, capped by size.
+const UNKNOWN_LOGIN_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_UNKNOWN_LOGINS = 10000;
+const unknownLogins = new Map();
+
+const MAX_HISTORY_TEXT_LENGTH = 120;
+const MIN_HISTORY_YEAR = 1900;
+
+// Medical history lists: the required text field, optional text fields, and optional year fields.
+const HISTORY_LISTS = {
+  chronicConditions: { label: 'chronic condition', required: 'name', text: [], years: ['diagnosedYear'] },
+  medications: { label: 'medication', required: 'name', text: ['dose', 'frequency'], years: [] },
+  allergies: { label: 'allergy', required: 'substance', text: ['reaction'], years: [] },
+  surgeries: { label: 'surgery', required: 'procedure', text: [], years: ['year'] },
+};
+
+function sanitizeMedicalHistory(person) {
+  return {
+    chronicConditions: Array.isArray(person.chronicConditions) ? person.chronicConditions : [],
+    medications: Array.isArray(person.medications) ? person.medications : [],
+    allergies: Array.isArray(person.allergies) ? person.allergies : [],
+    pregnancyStatus: person.pregnancyStatus || '',
+    surgeries: Array.isArray(person.surgeries) ? person.surgeries : [],
+  };
 }
 
 function sanitizeUser(user) {
@@ -16,19 +42,18 @@ function sanitizeUser(user) {
     id: String(user._id),
     name: user.name,
     email: user.email,
+    emailVerified: Boolean(user.emailVerifiedAt),
     age: user.age ?? null,
     gender: user.gender || '',
     heightCm: user.heightCm ?? null,
     weightKg: user.weightKg ?? null,
     emergencyContacts: Array.isArray(user.emergencyContacts) ? user.emergencyContacts : [],
+    ...sanitizeMedicalHistory(user),
   };
 }
 
 function normalizeContacts(contacts) {
-  if (!Array.isArray(contacts)) return null;
-
   const cleaned = contacts
-    .filter((c) => c && typeof c === 'object')
     .map((c) => ({
       name: String(c.name || '').trim(),
       relation: String(c.relation || '').trim(),
@@ -42,58 +67,176 @@ function normalizeContacts(contacts) {
   return cleaned;
 }
 
-function normalizeProfileFields(body) {
-  const name = String(body?.name || '').trim();
-  const age = Number(body?.age);
-  const gender = String(body?.gender || '').trim().toLowerCase();
-  const heightCm = Number(body?.heightCm);
-  const weightKg = Number(body?.weightKg);
-  const emergencyContacts = normalizeContacts(body?.emergencyContacts);
+function normalizeHistoryYear(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const year = Number(value);
+  const maxYear = new Date().getFullYear();
+  if (!Number.isInteger(year) || year < MIN_HISTORY_YEAR || year > maxYear) return NaN;
+  return year;
+}
 
-  const allowedGenders = ['male', 'female', 'non-binary', 'other', 'prefer_not_to_say'];
+/**
+ * Clean one medical history list (its shape is checked by schemas/auth.js). Rows left
+ * entirely blank are dropped, as with contacts.
+ * @returns {{ data: object[] } | { error: string }}
+ */
+function normalizeHistoryList(items, { label, required, text, years }) {
+  const cleaned = items
+    .map((item) => {
+      const row = { [required]: String(item[required] || '').trim() };
+      text.forEach((key) => { row[key] = String(item[key] || '').trim(); });
+      years.forEach((key) => { row[key] = normalizeHistoryYear(item[key]); });
+      return row;
+    })
+    .filter((row) => Object.values(row).some((v) => v !== '' && v !== null));
 
-  if (!name) return { error: 'Name is required' };
-  if (!Number.isFinite(age) || age < 1 || age > 130) {
-    return { error: 'Age is required and must be between 1 and 130' };
+  if (cleaned.some((row) => !row[required])) {
+    return { error: `Each ${label} must include a ${required}` };
   }
-  if (!allowedGenders.includes(gender)) {
-    return { error: 'Gender is required and must be one of: male, female, non-binary, other, prefer_not_to_say' };
+  const textFields = [required, ...text];
+  if (cleaned.some((row) => textFields.some((key) => row[key].length > MAX_HISTORY_TEXT_LENGTH))) {
+    return { error: `Each ${label} field must be at most ${MAX_HISTORY_TEXT_LENGTH} characters` };
   }
-  if (!Number.isFinite(heightCm) || heightCm < 30 || heightCm > 300) {
-    return { error: 'Height is required and must be between 30 and 300 cm' };
+  if (cleaned.some((row) => years.some((key) => Number.isNaN(row[key])))) {
+    return { error: `Each ${label} year must be between ${MIN_HISTORY_YEAR} and the current year` };
+  }
+  return { data: cleaned };
+}
+
+/**
+ * Medical history is optional. Fields the client leaves out are not touched, so older
+ * clients that only send demographics do not wipe it.
+ * @returns {{ data: object } | { error: string }}
+ */
+function normalizeMedicalHistory(body) {
+  const data = {};
+
+  for (const [field, spec] of Object.entries(HISTORY_LISTS)) {
+    if (body?.[field] === undefined) continue;
+    const list = normalizeHistoryList(body[field], spec);
+    if (list.error) return list;
+    data[field] = list.data;
   }
-  if (!Number.isFinite(weightKg) || weightKg < 2 || weightKg > 500) {
-    return { error: 'Weight is required and must be between 2 and 500 kg' };
+
+  if (body?.pregnancyStatus !== undefined) {
+    const pregnancyStatus = body.pregnancyStatus.trim().toLowerCase();
+    if (pregnancyStatus && !PREGNANCY_STATUSES.includes(pregnancyStatus)) {
+      return { error: `Pregnancy status must be one of: ${PREGNANCY_STATUSES.join(', ')}` };
+    }
+    data.pregnancyStatus = pregnancyStatus;
   }
+
+  return { data };
+}
+
+/**
+ * PUT /auth/profile body, already checked against schemas/auth.js profileBody.
+ * @returns {{ data: object } | { error: string }}
+ */
+function normalizeProfileFields(body) {
+  const emergencyContacts = normalizeContacts(body.emergencyContacts);
   if (!emergencyContacts) {
     return { error: 'At least one complete emergency contact (name, relation, phone) is required' };
   }
 
+  const history = normalizeMedicalHistory(body);
+  if (history.error) return { error: history.error };
+
   return {
     data: {
-      name,
-      age: Math.round(age),
-      gender,
-      heightCm: Math.round(heightCm),
-      weightKg: Math.round(weightKg),
+      name: body.name.trim(),
+      age: Math.round(body.age),
+      gender: body.gender,
+      heightCm: Math.round(body.heightCm),
+      weightKg: Math.round(body.weightKg),
       emergencyContacts,
+      ...history.data,
     },
   };
 }
 
+/**
+ * Email a verification link to the account address.
+ * @returns {Promise<boolean>} true if sent, false if email is not configured
+ */
+async function sendVerificationLink(user) {
+  const token = await createActionToken(user._id, 'email_verification');
+  return sendVerificationEmail({
+    toEmail: user.email,
+    userName: user.name,
+    link: `${config.appUrl}/?verifyToken=${encodeURIComponent(token)}`,
+  });
+}
+
+function lockedResponse(res, lockedUntil) {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  const minutes = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: `Too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+    retryAfter,
+  });
+}
+
+/**
+ * Count a failed login and lock the account once config.loginMaxAttempts is reached.
+ * @returns {Promise<Date|null>} when the account is now locked until, or null
+ */
+async function recordFailedLogin(user) {
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+  if (!updated || updated.failedLoginAttempts < config.loginMaxAttempts) return null;
+
+  const lockedUntil = new Date(Date.now() + config.loginLockoutMinutes * 60 * 1000);
+  await User.findByIdAndUpdate(user._id, { failedLoginAttempts: 0, lockedUntil });
+  logger.warn('account locked after failed logins', { userId: String(user._id), attempts: config.loginMaxAttempts });
+  return lockedUntil;
+}
+
+function pruneUnknownLogins(now) {
+  for (const [email, entry] of unknownLogins) {
+    if (entry.expiresAt <= now) unknownLogins.delete(email);
+  }
+  // Map iteration is insertion order, so the first entries are the oldest.
+  while (unknownLogins.size >= MAX_UNKNOWN_LOGINS) {
+    unknownLogins.delete(unknownLogins.keys().next().value);
+  }
+}
+
+/**
+ * The lock on an email without an account, as for User.lockedUntil.
+ * @returns {Date|null}
+ */
+function unknownLoginLock(email) {
+  const entry = unknownLogins.get(email);
+  return entry?.lockedUntil && entry.lockedUntil > new Date() ? entry.lockedUntil : null;
+}
+
+/**
+ * recordFailedLogin for an email without an account.
+ * @returns {Date|null} when the email is now locked until, or null
+ */
+function recordUnknownLogin(email) {
+  const now = Date.now();
+  let entry = unknownLogins.get(email);
+  if (!entry || entry.expiresAt <= now) {
+    pruneUnknownLogins(now);
+    entry = { failedLoginAttempts: 0, lockedUntil: null };
+    unknownLogins.set(email, entry);
+  }
+  entry.expiresAt = now + UNKNOWN_LOGIN_TTL_MS;
+  entry.failedLoginAttempts += 1;
+  if (entry.failedLoginAttempts < config.loginMaxAttempts) return null;
+
+  entry.failedLoginAttempts = 0;
+  entry.lockedUntil = new Date(now + config.loginLockoutMinutes * 60 * 1000);
+  return entry.lockedUntil;
+}
+
 async function signup(req, res) {
   try {
-    const name = String(req.body?.name || '').trim();
-    const email = String(req.body?.email || '').trim().toLowerCase();
-    const password = String(req.body?.password || '');
-
-    if (!name) return res.status(400).json({ error: 'Name is required' });
-    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
-      return res.status(400).json({ error: 'Valid email is required' });
-    }
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters' });
-    }
+    const name = req.body.name.trim();
+    const email = req.body.email.trim().toLowerCase();
+    const { password } = req.body;
 
     const existing = await User.findOne({ email }).lean();
     if (existing) {
@@ -111,45 +254,206 @@ async function signup(req, res) {
       weightKg: null,
       emergencyContacts: [],
     });
-    const token = buildToken(user);
+    const tokens = await tokenService.issueTokens(user, { userAgent: req.get('user-agent') });
+
+    // The account works before the address is confirmed, so a mail failure must not fail signup.
+    sendVerificationLink(user).catch((err) => logger.error('verification email error', { err }));
 
-    return res.status(201).json({ token, user: sanitizeUser(user) });
+    return res.status(201).json({ ...tokens, user: sanitizeUser(user) });
   } catch (err) {
-    console.error('signup error:', err);
+    logger.error('signup error', { err });
     return res.status(500).json({ error: 'Failed to create account' });
   }
 }
 
 async function login(req, res) {
   try {
-    const email = String(req.body?.email || '').trim().toLowerCase();
-    const password = String(req.body?.password || '');
-
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+    const email = req.body.email.trim().toLowerCase();
+    const { password } = req.body;
 
     const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!user) {
+      const locked = unknownLoginLock(email);
+      if (locked) return lockedResponse(res, locked);
+      await bcrypt.compare(password, UNKNOWN_USER_HASH);
+      const lockedUntil = recordUnknownLogin(email);
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return lockedResponse(res, user.lockedUntil);
+    }
 
     const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+    if (!ok) {
+      const lockedUntil = await recordFailedLogin(user);
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (user.failedLoginAttempts || user.lockedUntil) {
+      await User.findByIdAndUpdate(user._id, { failedLoginAttempts: 0, lockedUntil: null });
+    }
 
-    const token = buildToken(user);
-    return res.json({ token, user: sanitizeUser(user) });
+    const tokens = await tokenService.issueTokens(user, { userAgent: req.get('user-agent') });
+    return res.json({ ...tokens, user: sanitizeUser(user) });
   } catch (err) {
-    console.error('login error:', err);
+    logger.error('login error', { err });
     return res.status(500).json({ error: 'Login failed' });
   }
 }
 
+/**
+ * POST /auth/refresh
+ * Body: { refreshToken }
+ * Returns: { token, refreshToken, user }. The old refresh token stops working.
+ */
+async function refresh(req, res) {
+  try {
+    const result = await tokenService.rotateRefreshToken(req.body?.refreshToken, {
+      loadUser: (id) => User.findById(id),
+      userAgent: req.get('user-agent'),
+    });
+    return res.json({ token: result.token, refreshToken: result.refreshToken, user: sanitizeUser(result.user) });
+  } catch (err) {
+    if (err?.statusCode === 401) {
+      return res.status(401).json({ error: err.publicMessage });
+    }
+    logger.error('refresh error', { err });
+    return res.status(500).json({ error: 'Failed to refresh session' });
+  }
+}
+
+/**
+ * POST /auth/logout
+ * Body: { refreshToken }
+ * Ends that session. Returns 204 even for unknown tokens.
+ */
+async function logout(req, res) {
+  try {
+    await tokenService.revokeRefreshToken(req.body?.refreshToken);
+    return res.status(204).end();
+  } catch (err) {
+    logger.error('logout error', { err });
+    return res.status(500).json({ error: 'Failed to log out' });
+  }
+}
+
+/**
+ * POST /auth/logout-all
+ * Ends every session of the signed-in user, on all devices.
+ * Returns: { revokedSessions }
+ */
+async function logoutAll(req, res) {
+  try {
+    const revokedSessions = await tokenService.revokeAllForUser(req.user.id);
+    return res.json({ revokedSessions });
+  } catch (err) {
+    logger.error('logout all error', { err });
+    return res.status(500).json({ error: 'Failed to sign out of all devices' });
+  }
+}
+
+/**
+ * Email a reset link if the address has an account.
+ */
+async function sendResetLink(email) {
+  const user = await User.findOne({ email }).lean();
+  if (!user) return;
+  const token = await createActionToken(user._id, 'password_reset');
+  await sendPasswordResetEmail({
+    toEmail: user.email,
+    userName: user.name,
+    link: `${config.appUrl}/?resetToken=${encodeURIComponent(token)}`,
+  });
+}
+
+/**
+ * POST /auth/forgot-password
+ * Body: { email }
+ * Emails a reset link valid for one hour. Always answers the same way, and before the
+ * lookup and the email are done, so neither the body nor the response time tells which
+ * addresses have accounts.
+ */
+async function forgotPassword(req, res) {
+  const email = req.body.email.trim().toLowerCase();
+
+  sendResetLink(email).catch((err) => logger.error('forgot password error', { err }));
+
+  return res.json({ message: 'If an account exists for that email, we sent a link to reset the password.' });
+}
+
+/**
+ * POST /auth/reset-password
+ * Body: { token, password }
+ * Sets the new password and signs the account out of every device.
+ */
+async function resetPassword(req, res) {
+  try {
+    // The schema has already rejected a too-short password, so a typo does not use up the link.
+    const { password } = req.body;
+    const userId = await consumeActionToken(req.body.token, 'password_reset');
+    if (!userId) return res.status(400).json({ error: 'Invalid or expired reset link' });
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    // Proving access to the inbox also lifts a lockout from failed logins.
+    const user = await User.findByIdAndUpdate(userId, { passwordHash, failedLoginAttempts: 0, lockedUntil: null });
+    if (!user) return res.status(400).json({ error: 'Invalid or expired reset link' });
+
+    await tokenService.revokeAllForUser(userId);
+    return res.json({ message: 'Password updated. Log in with your new password.' });
+  } catch (err) {
+    logger.error('reset password error', { err });
+    return res.status(500).json({ error: 'Failed to reset password' });
+  }
+}
+
+/**
+ * GET /auth/verify-email?token=
+ * Marks the account email as verified.
+ * Returns: { emailVerified: true }
+ */
+async function verifyEmail(req, res) {
+  try {
+    const userId = await consumeActionToken(req.query?.token, 'email_verification');
+    if (!userId) return res.status(400).json({ error: 'Invalid or expired verification link' });
+
+    const user = await User.findByIdAndUpdate(userId, { emailVerifiedAt: new Date() });
+    if (!user) return res.status(400).json({ error: 'Invalid or expired verification link' });
+
+    return res.json({ emailVerified: true });
+  } catch (err) {
+    logger.error('verify email error', { err });
+    return res.status(500).json({ error: 'Failed to verify email' });
+  }
+}
+
+/**
+ * POST /auth/resend-verification
+ * Sends a new verification link to the signed-in user. Earlier links stop working.
+ */
+async function resendVerification(req, res) {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.emailVerifiedAt) return res.status(400).json({ error: 'Email is already verified' });
+
+    const sent = await sendVerificationLink(user);
+    if (!sent) return res.status(503).json({ error: 'Email is not configured on this server' });
+
+    return res.json({ message: `We sent a new verification link to ${user.email}.` });
+  } catch (err) {
+    logger.error('resend verification error', { err });
+    return res.status(500).json({ error: 'Failed to send verification email' });
+  }
+}
+
 async function me(req, res) {
   try {
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ error: 'User not found' });
     return res.json({ user: sanitizeUser(user) });
   } catch (err) {
-    console.error('me error:', err);
+    logger.error('me error', { err });
     return res.status(500).json({ error: 'Failed to fetch profile' });
   }
 }
@@ -166,9 +470,26 @@ async function updateProfile(req, res) {
 
     return res.json({ user: sanitizeUser(user) });
   } catch (err) {
-    console.error('update profile error:', err);
+    logger.error('update profile error', { err });
     return res.status(500).json({ error: 'Failed to update profile' });
   }
 }
 
-module.exports = { signup, login, me, updateProfile };
+module.exports = {
+  signup,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  me,
+  updateProfile,
+  sanitizeUser,
+  normalizeMedicalHistory,
+  sanitizeMedicalHistory,
+  recordFailedLogin,
+  lockedResponse,
+};
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { normalizeMedicalHistory, sanitizeMedicalHistory } = require('./authController');
+const { logger } = require('../services/logService');
+
+const MAX_DEPENDENTS = 10;
+const DEPENDENT_FIELDS = ['name', 'relation', 'age', 'gender', 'heightCm', 'weightKg',
+  'chronicConditions', 'medications', 'allergies', 'pregnancyStatus', 'surgeries'];
+
+function sanitizeDependent(dependent) {
+  return {
+    id: String(dependent._id),
+    name: dependent.name,
+    relation: dependent.relation || '',
+    age: dependent.age ?? null,
+    gender: dependent.gender || '',
+    heightCm: dependent.heightCm ?? null,
+    weightKg: dependent.weightKg ?? null,
+    ...sanitizeMedicalHistory(dependent),
+  };
+}
+
+function roundOrNull(value, decimals) {
+  // The schema lets only blank strings through besides numbers.
+  if (typeof value !== 'number') return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Dependent body, already checked against schemas/auth.js dependentBody. Height and weight
+ * are optional (often unknown for a parent) and weight keeps one decimal for babies.
+ * @returns {{ data: object } | { error: string }}
+ */
+function normalizeDependentFields(body) {
+  const history = normalizeMedicalHistory(body);
+  if (history.error) return { error: history.error };
+
+  return {
+    data: {
+      name: body.name.trim(),
+      relation: String(body.relation || '').trim(),
+      age: Math.floor(body.age),
+      gender: body.gender,
+      heightCm: roundOrNull(body.heightCm, 0),
+      weightKg: roundOrNull(body.weightKg, 1),
+      ...history.data,
+    },
+  };
+}
+
+/**
+ * GET /auth/dependents
+ * Returns: { dependents: [dependent, ...] }
+ */
+async function listDependents(req, res) {
+  try {
+    const user = await User.findById(req.user.id).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    return res.json({ dependents: (user.dependents || []).map(sanitizeDependent) });
+  } catch (err) {
+    logger.error('list dependents error', { err });
+    return res.status(500).json({ error: 'Failed to fetch dependents' });
+  }
+}
+
+/**
+ * POST /auth/dependents
+ * Body: { name, relation?, age, gender, heightCm?, weightKg?, ...medical history (see PUT /auth/profile) }
+ * Returns: 201 { dependent }
+ */
+async function createDependent(req, res) {
+  try {
+    const normalized = normalizeDependentFields(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const existing = await User.findById(req.user.id).lean();
+    if (!existing) return res.status(404).json({ error: 'User not found' });
+    if ((existing.dependents || []).length >= MAX_DEPENDENTS) {
+      return res.status(400).json({ error: `At most ${MAX_DEPENDENTS} dependents are allowed` });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $push: { dependents: normalized.data } },
+      { new: true, runValidators: true }
+    );
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const dependent = user.dependents[user.dependents.length - 1];
+    return res.status(201).json({ dependent: sanitizeDependent(dependent) });
+  } catch (err) {
+    logger.error('create dependent error', { err });
+    return res.status(500).json({ error: 'Failed to add dependent' });
+  }
+}
+
+/**
+ * PUT /auth/dependents/:id
+ * Body: same as POST; medical history fields that are left out are not changed
+ * Returns: { dependent }
+ */
+async function updateDependent(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Dependent not found' });
+    }
+
+    const normalized = normalizeDependentFields(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    const update = {};
+    DEPENDENT_FIELDS.forEach((field) => {
+      if (normalized.data[field] !== undefined) update[`dependents.$.${field}`] = normalized.data[field];
+    });
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, 'dependents._id': req.params.id },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+    const dependent = user?.dependents.find((d) => String(d._id) === req.params.id);
+    if (!dependent) return res.status(404).json({ error: 'Dependent not found' });
+
+    return res.json({ dependent: sanitizeDependent(dependent) });
+  } catch (err) {
+    logger.error('update dependent error', { err });
+    return res.status(500).json({ error: 'Failed to update dependent' });
+  }
+}
+
+/**
+ * DELETE /auth/dependents/:id
+ * Returns: 204 on success. Past diagnoses for the dependent stay in the history.
+ */
+async function deleteDependent(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Dependent not found' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.id, 'dependents._id': req.params.id },
+      { $pull: { dependents: { _id: req.params.id } } }
+    );
+    if (!user) return res.status(404).json({ error: 'Dependent not found' });
+
+    return res.status(204).end();
+  } catch (err) {
+    logger.error('delete dependent error', { err });
+    return res.status(500).json({ error: 'Failed to delete dependent' });
+  }
+}
+
+module.exports = {
+  listDependents,
+  createDependent,
+  updateDependent,
+  deleteDependent,
+  sanitizeDependent,
+};
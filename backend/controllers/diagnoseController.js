@@ -1,21 +1,20 @@
+const crypto = require('crypto');
+const config = require('../config');
 const llmService = require('../services/llmService');
 const { SUPPORTED_LANGUAGES } = require('../services/ttsService');
 const { sendEmergencyAlert } = require('../services/emailService');
+const { getInterviewAnswers } = require('../services/interviewService');
+const { extractAndRecord } = require('../services/symptomExtractionService');
+const { assessCrisis } = require('../services/crisisService');
 const User = require('../models/User');
+const DiagnosisRecord = require('../models/DiagnosisRecord');
+const { logger } = require('../services/logService');
 
-const UNSAFE_PATTERNS = [
-  /self[- ]?harm/i,
-  /suicide/i,
-  /kill\s+myself/i,
-  /end\s+my\s+life/i,
-  /hurt\s+myself/i,
-];
-
-function isUnsafeInput(symptoms) {
-  const text = symptoms.join(' ').toLowerCase();
-  return UNSAFE_PATTERNS.some((re) => re.test(text));
-}
-
+/**
+ * Trim symptoms and check that something is left. Types are checked by the route schema
+ * (a string, an array of strings, or null).
+ * @returns {{ normalized: string[] } | { error: string }}
+ */
 function validateSymptoms(symptoms, allowEmpty) {
   if (symptoms === undefined || symptoms === null) {
     if (allowEmpty) {
@@ -35,15 +34,9 @@ function validateSymptoms(symptoms, allowEmpty) {
     return { normalized: [normalizedText] };
   }
 
-  if (!Array.isArray(symptoms)) {
-    return { error: 'symptoms must be a string or an array of strings' };
-  }
   if (symptoms.length < 1) {
     return { error: 'symptoms must contain at least one item' };
   }
-  if (!symptoms.every((s) => typeof s === 'string')) {
-    return { error: 'symptoms must contain only strings' };
-  }
 
   const normalized = symptoms.map((s) => s.trim()).filter(Boolean);
   if (normalized.length < 1) {
@@ -56,9 +49,13 @@ function validateSymptoms(symptoms, allowEmpty) {
   return { normalized };
 }
 
+/**
+ * Blank image fields count as no image. The route schema checks the types and MIME type format.
+ * @returns {{ image: { data, mimeType } | null } | { error: string }}
+ */
 function validateOptionalImage(imageData, imageMimeType) {
-  const hasImageData = imageData !== undefined && imageData !== null && String(imageData).trim() !== '';
-  const hasImageMimeType = imageMimeType !== undefined && imageMimeType !== null && String(imageMimeType).trim() !== '';
+  const hasImageData = typeof imageData === 'string' && imageData.trim() !== '';
+  const hasImageMimeType = typeof imageMimeType === 'string' && imageMimeType.trim() !== '';
 
   if (!hasImageData && !hasImageMimeType) {
     return { image: null };
@@ -68,30 +65,13 @@ function validateOptionalImage(imageData, imageMimeType) {
     return { error: 'imageData and imageMimeType are required together' };
   }
 
-  if (typeof imageData !== 'string' || typeof imageMimeType !== 'string') {
-    return { error: 'imageData and imageMimeType must be strings' };
-  }
-
-  const mimeType = imageMimeType.trim().toLowerCase();
-  if (!/^image\/[a-z0-9.+-]+$/.test(mimeType)) {
-    return { error: 'imageMimeType must be a valid image MIME type' };
-  }
-
-  const data = imageData.trim();
-  if (!data) {
-    return { error: 'imageData must be non-empty' };
-  }
-
-  return { image: { data, mimeType } };
+  return { image: { data: imageData.trim(), mimeType: imageMimeType.trim().toLowerCase() } };
 }
 
 function validateLanguageCode(languageCode) {
   if (languageCode === undefined || languageCode === null || languageCode === '') {
     return { normalized: null };
   }
-  if (typeof languageCode !== 'string') {
-    return { error: 'languageCode must be a string' };
-  }
   const normalized = languageCode.trim().toLowerCase();
   if (!normalized) {
     return { normalized: null };
@@ -102,102 +82,346 @@ function validateLanguageCode(languageCode) {
   return { normalized };
 }
 
-async function diagnose(req, res) {
-  const { symptoms, imageData, imageMimeType, languageCode } = req.body || {};
-  const imageValidation = validateOptionalImage(imageData, imageMimeType);
-  if (imageValidation.error) {
-    return res.status(400).json({ error: imageValidation.error });
+function hashImage(image) {
+  if (!image) return null;
+  return crypto.createHash('sha256').update(image.data).digest('hex');
+}
+
+async function saveDiagnosisRecord({ userId, symptoms, image, profile, dependent, diagnosis }) {
+  try {
+    const record = await DiagnosisRecord.create({
+      user: userId,
+      subject: dependent ? { dependentId: dependent._id, name: dependent.name } : null,
+      symptoms,
+      imageHash: hashImage(image),
+      profile,
+      condition: diagnosis.condition,
+      severity: diagnosis.severity,
+      reasoning: diagnosis.reasoning,
+      nextSteps: diagnosis.nextSteps,
+      differentials: diagnosis.differentials,
+      languageCode: diagnosis.languageCode,
+      emergencyNotified: diagnosis.emergencyNotified,
+      redFlags: diagnosis.redFlags,
+    });
+    return String(record._id);
+  } catch (err) {
+    logger.warn('Unable to save diagnosis record', { err });
+    return null;
   }
+}
+
+/**
+ * Normalize a /diagnose request body that passed schemas/diagnose.js diagnoseBody.
+ * `subjectId` names one of the account's dependents; leave it out (or send "self") to
+ * diagnose the account holder.
+ * @returns {{ error: string } | {
+ *   symptoms: string[], image: object|null, languageCode: string|null, sessionId: string|null,
+ *   subjectId: string|null,
+ * }}
+ */
+function parseDiagnoseBody(body) {
+  const { symptoms, imageData, imageMimeType, languageCode, sessionId, subjectId } = body || {};
+  const subject = subjectId === 'self' ? null : subjectId;
+
+  const imageValidation = validateOptionalImage(imageData, imageMimeType);
+  if (imageValidation.error) return { error: imageValidation.error };
+
   const validation = validateSymptoms(symptoms, Boolean(imageValidation.image));
-  if (validation.error) {
-    return res.status(400).json({ error: validation.error });
-  }
+  if (validation.error) return { error: validation.error };
+
   const languageValidation = validateLanguageCode(languageCode);
-  if (languageValidation.error) {
-    return res.status(400).json({ error: languageValidation.error });
-  }
-
-  const normalizedSymptoms = validation.normalized;
-  const image = imageValidation.image;
-  const normalizedLanguageCode = languageValidation.normalized;
-  let profile = null;
-  let fullUser = null;
-
-  if (normalizedSymptoms.length > 0 && isUnsafeInput(normalizedSymptoms)) {
-    return res.status(400).json({ error: 'unsafe_input' });
-  }
-
-  if (req.user?.id) {
-    try {
-      fullUser = await User.findById(req.user.id).lean();
-      if (fullUser) {
-        profile = {
-          age: fullUser.age ?? null,
-          gender: fullUser.gender || '',
-          heightCm: fullUser.heightCm ?? null,
-          weightKg: fullUser.weightKg ?? null,
-        };
-      }
-    } catch (err) {
-      console.warn('Unable to load user profile for diagnose:', err?.message || String(err));
+  if (languageValidation.error) return { error: languageValidation.error };
+
+  return {
+    symptoms: validation.normalized,
+    image: imageValidation.image,
+    languageCode: languageValidation.normalized,
+    sessionId: sessionId || null,
+    subjectId: subject || null,
+  };
+}
+
+/**
+ * Screen request text for self-harm or suicide risk (see crisisService).
+ * Hotlines are picked from body.country, then the Accept-Language region, then the language.
+ * @returns {Promise<object|null>} the crisis details, or null when the request can go ahead
+ */
+function screenForCrisis(req, texts, languageCode) {
+  return assessCrisis(texts, {
+    languageCode,
+    country: req.body?.country,
+    acceptLanguage: req.get('accept-language'),
+  });
+}
+
+/**
+ * Crisis replies keep the 400 "unsafe_input" error code so older clients still stop,
+ * and add the hotline details for the crisis screen.
+ */
+function sendCrisis(res, crisis) {
+  return res.status(400).json({ error: 'unsafe_input', crisis });
+}
+
+/**
+ * LLM input for a parsed request. Answers from a follow-up interview are included when the
+ * request names a live session; an unknown or expired session diagnoses without them.
+ */
+function buildDiagnosisInput({ symptoms, image, languageCode, sessionId }, profile, userId) {
+  const input = { symptoms, image, languageCode, profile };
+  const answers = sessionId ? getInterviewAnswers(sessionId, userId) : null;
+  if (answers?.length > 0) input.answers = answers;
+  return input;
+}
+
+/**
+ * Start the coded symptom extraction alongside the diagnosis, when
+ * config.symptomExtractionOnDiagnose is on (it is a second paid LLM call). Resolves to null
+ * instead of rejecting: a failed extraction never fails the diagnosis.
+ */
+function startSymptomExtraction({ symptoms, languageCode }) {
+  if (!config.symptomExtractionOnDiagnose || symptoms.length === 0) return Promise.resolve(null);
+  return extractAndRecord({ symptoms, languageCode, source: 'diagnose' }).catch((err) => {
+    logger.warn('Symptom extraction failed', { err });
+    return null;
+  });
+}
+
+function profileFromPerson(person) {
+  return {
+    age: person.age ?? null,
+    gender: person.gender || '',
+    heightCm: person.heightCm ?? null,
+    weightKg: person.weightKg ?? null,
+    chronicConditions: person.chronicConditions || [],
+    medications: person.medications || [],
+    allergies: person.allergies || [],
+    pregnancyStatus: person.pregnancyStatus || '',
+    surgeries: person.surgeries || [],
+  };
+}
+
+/**
+ * Load the signed-in user and the profile of the person being diagnosed: the user, or one
+ * of their dependents when `subjectId` is set. `dependent` is null for the user themselves.
+ * A missing dependent or anonymous subjectId is an error; a database failure diagnoses
+ * without a profile rather than with the wrong person's.
+ * @returns {Promise<{ fullUser, profile, dependent } | { status: number, error: string }>}
+ */
+async function loadProfile(userId, subjectId = null) {
+  if (!userId) {
+    if (subjectId) return { status: 401, error: 'Log in to diagnose a dependent' };
+    return { fullUser: null, profile: null, dependent: null };
+  }
+
+  try {
+    const fullUser = await User.findById(userId).lean();
+    if (!fullUser) {
+      if (subjectId) return { status: 404, error: 'Dependent not found' };
+      return { fullUser: null, profile: null, dependent: null };
+    }
+    if (!subjectId) {
+      return { fullUser, profile: profileFromPerson(fullUser), dependent: null };
     }
+
+    const dependent = (fullUser.dependents || []).find((d) => String(d._id) === String(subjectId));
+    if (!dependent) return { status: 404, error: 'Dependent not found' };
+    return { fullUser, profile: profileFromPerson(dependent), dependent };
+  } catch (err) {
+    logger.warn('Unable to load user profile for diagnose', { err });
+    return { fullUser: null, profile: null, dependent: null };
   }
+}
+
+async function notifyEmergencyContact(fullUser, result, dependent = null) {
+  // Send emergency email only for max severity (3/3).
+  const severityLevel = Number(result.severity);
+  if (severityLevel !== 3 || !(fullUser?.emergencyContacts?.length > 0)) return false;
+
+  const contact = fullUser.emergencyContacts.find((c) => c.email) || null;
+  if (!contact?.email) return false;
+
+  const diagnosisSynopsis = [
+    `Condition: ${result.condition || 'Unknown'}`,
+    `Reasoning: ${result.reasoning || 'No reasoning provided.'}`,
+    result.nextSteps ? `Recommended next steps: ${result.nextSteps}` : null,
+  ].filter(Boolean).join('\n');
 
   try {
-    const result = await llmService.generateDiagnosis({
-      symptoms: normalizedSymptoms,
+    return await sendEmergencyAlert({
+      toEmail: contact.email,
+      contactName: contact.name || 'Emergency Contact',
+      userName: dependent
+        ? `${dependent.name} (checked by ${fullUser.name || 'a family member'})`
+        : fullUser.name || 'A TriageSense user',
+      condition: result.condition,
+      reasoning: result.reasoning,
+      nextSteps: result.nextSteps || '',
+      severity: severityLevel,
+      synopsis: diagnosisSynopsis,
+    });
+  } catch (err) {
+    logger.error('Failed to send emergency email', { err });
+    return false;
+  }
+}
+
+/**
+ * Alert the emergency contact if needed, save the history record and build the response body.
+ * `extraction` is the promise from startSymptomExtraction, if one was started.
+ */
+async function finalizeDiagnosis({
+  result, fullUser, profile, dependent = null, symptoms, image, languageCode, extraction = null,
+}) {
+  const emergencyNotified = await notifyEmergencyContact(fullUser, result, dependent);
+
+  const diagnosis = {
+    condition: result.condition,
+    severity: result.severity,
+    reasoning: result.reasoning,
+    nextSteps: result.nextSteps || '',
+    differentials: Array.isArray(result.differentials) ? result.differentials : [],
+    languageCode: result.languageCode || languageCode || 'en',
+    emergencyNotified,
+    redFlags: Array.isArray(result.redFlags) ? result.redFlags : [],
+    structuredSymptoms: (await extraction) ?? null,
+  };
+  // Set when the LLM was down and the red-flag rules produced the answer.
+  if (result.llmUnavailable) diagnosis.llmUnavailable = true;
+
+  // Only logged-in users get a history; anonymous results are not stored.
+  if (fullUser) {
+    const recordId = await saveDiagnosisRecord({
+      userId: fullUser._id,
+      symptoms,
       image,
-      languageCode: normalizedLanguageCode,
       profile,
+      dependent,
+      diagnosis,
     });
+    if (recordId) diagnosis.recordId = recordId;
+  }
 
-    // Send emergency email only for max severity (3/3).
-    let emergencyNotified = false;
-    const severityLevel = Number(result.severity);
-    if (severityLevel === 3 && fullUser?.emergencyContacts?.length > 0) {
-      const contact = fullUser.emergencyContacts.find((c) => c.email) || null;
-      if (contact?.email) {
-        const diagnosisSynopsis = [
-          `Condition: ${result.condition || 'Unknown'}`,
-          `Reasoning: ${result.reasoning || 'No reasoning provided.'}`,
-          result.nextSteps ? `Recommended next steps: ${result.nextSteps}` : null,
-        ].filter(Boolean).join('\n');
-
-        try {
-          emergencyNotified = await sendEmergencyAlert({
-            toEmail: contact.email,
-            contactName: contact.name || 'Emergency Contact',
-            userName: fullUser.name || 'A TriageSense user',
-            condition: result.condition,
-            reasoning: result.reasoning,
-            nextSteps: result.nextSteps || '',
-            severity: severityLevel,
-            synopsis: diagnosisSynopsis,
-          });
-        } catch (err) {
-          console.error('Failed to send emergency email:', err?.message || String(err));
-        }
-      }
-    }
+  return diagnosis;
+}
 
-    return res.json({
-      condition: result.condition,
-      severity: result.severity,
-      reasoning: result.reasoning,
-      nextSteps: result.nextSteps || '',
-      languageCode: result.languageCode || normalizedLanguageCode || 'en',
-      emergencyNotified,
+function llmFailureBody(err) {
+  return {
+    error: 'llm_failure',
+    message: err?.publicMessage || 'Diagnosis service temporarily unavailable',
+  };
+}
+
+async function diagnose(req, res) {
+  const parsed = parseDiagnoseBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const crisis = await screenForCrisis(req, parsed.symptoms, parsed.languageCode);
+  if (crisis) {
+    return sendCrisis(res, crisis);
+  }
+
+  const { symptoms, image, languageCode } = parsed;
+  const loaded = await loadProfile(req.user?.id, parsed.subjectId);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+  const { fullUser, profile, dependent } = loaded;
+  const extraction = startSymptomExtraction(parsed);
+
+  try {
+    const result = await llmService.generateDiagnosis(buildDiagnosisInput(parsed, profile, req.user?.id));
+
+    const diagnosis = await finalizeDiagnosis({
+      result, fullUser, profile, dependent, symptoms, image, languageCode, extraction,
     });
+    return res.json(diagnosis);
   } catch (err) {
     const status = Number.isInteger(err?.statusCode) ? err.statusCode : 503;
-    const message = err?.publicMessage || 'Diagnosis service temporarily unavailable';
 
-    console.error('Diagnosis LLM error:', err?.message || String(err));
-    return res.status(status).json({
-      error: 'llm_failure',
-      message,
+    logger.error('Diagnosis LLM error', { err });
+    return res.status(status).json(llmFailureBody(err));
+  }
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /diagnose/stream
+ * Body: same as /diagnose
+ * Returns: text/event-stream with events
+ *   triage      { condition, severity, redFlags }
+ *   token       { section: 'reasoning' | 'nextSteps', text }
+ *   translation { condition, reasoning, nextSteps, differentials, languageCode }
+ *   done        same body as /diagnose
+ *   error       { error: 'llm_failure', message }
+ * Validation failures are returned as plain JSON 400s before the stream opens.
+ */
+async function diagnoseStream(req, res) {
+  const parsed = parseDiagnoseBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const crisis = await screenForCrisis(req, parsed.symptoms, parsed.languageCode);
+  if (crisis) {
+    return sendCrisis(res, crisis);
+  }
+
+  const { symptoms, image, languageCode } = parsed;
+  const loaded = await loadProfile(req.user?.id, parsed.subjectId);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+  const { fullUser, profile, dependent } = loaded;
+  const extraction = startSymptomExtraction(parsed);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const emit = (event, data) => {
+    if (!closed) sendEvent(res, event, data);
+  };
+
+  try {
+    const result = await llmService.streamDiagnosis(buildDiagnosisInput(parsed, profile, req.user?.id), {
+      onTriage: (triage) => emit('triage', triage),
+      onToken: (token) => emit('token', token),
+      onTranslation: (translated) => emit('translation', translated),
+    });
+
+    const diagnosis = await finalizeDiagnosis({
+      result, fullUser, profile, dependent, symptoms, image, languageCode, extraction,
     });
+    emit('done', diagnosis);
+  } catch (err) {
+    logger.error('Diagnosis stream error', { err });
+    emit('error', llmFailureBody(err));
   }
+
+  return res.end();
 }
 
-module.exports = { diagnose };
+module.exports = {
+  diagnose,
+  diagnoseStream,
+  screenForCrisis,
+  sendCrisis,
+  validateSymptoms,
+  validateLanguageCode,
+  parseDiagnoseBody,
+  buildDiagnosisInput,
+  startSymptomExtraction,
+  loadProfile,
+  finalizeDiagnosis,
+  llmFailureBody,
+  sendEvent,
+};
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const DiagnosisRecord = require('../models/DiagnosisRecord');
+const { logger } = require('../services/logService');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function sanitizeRecord(record) {
+  return {
+    id: String(record._id),
+    symptoms: Array.isArray(record.symptoms) ? record.symptoms : [],
+    hasImage: Boolean(record.imageHash),
+    profile: record.profile || null,
+    subject: record.subject ? { id: String(record.subject.dependentId), name: record.subject.name || '' } : null,
+    condition: record.condition,
+    severity: record.severity,
+    reasoning: record.reasoning || '',
+    nextSteps: record.nextSteps || '',
+    differentials: Array.isArray(record.differentials) ? record.differentials : [],
+    languageCode: record.languageCode || 'en',
+    emergencyNotified: Boolean(record.emergencyNotified),
+    redFlags: Array.isArray(record.redFlags) ? record.redFlags : [],
+    createdAt: record.createdAt,
+  };
+}
+
+function parseLimit(value) {
+  const limit = Number.parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * GET /diagnoses?limit=20
+ * Returns: { status: 'ok', data: [record, ...] } newest first
+ */
+async function listDiagnoses(req, res) {
+  try {
+    const records = await DiagnosisRecord.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(parseLimit(req.query?.limit))
+      .lean();
+
+    return res.json({
+      status: 'ok',
+      data: records.map(sanitizeRecord),
+    });
+  } catch (err) {
+    logger.error('list diagnoses error', { err });
+    return res.status(500).json({ error: 'Failed to fetch diagnosis history' });
+  }
+}
+
+/**
+ * GET /diagnoses/:id
+ * Returns: { status: 'ok', data: record }
+ */
+async function getDiagnosis(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Diagnosis not found' });
+    }
+
+    const record = await DiagnosisRecord.findOne({ _id: req.params.id, user: req.user.id }).lean();
+    if (!record) return res.status(404).json({ error: 'Diagnosis not found' });
+
+    return res.json({ status: 'ok', data: sanitizeRecord(record) });
+  } catch (err) {
+    logger.error('get diagnosis error', { err });
+    return res.status(500).json({ error: 'Failed to fetch diagnosis' });
+  }
+}
+
+/**
+ * DELETE /diagnoses/:id
+ * Returns: 204 on success
+ */
+async function deleteDiagnosis(req, res) {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Diagnosis not found' });
+    }
+
+    const deleted = await DiagnosisRecord.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!deleted) return res.status(404).json({ error: 'Diagnosis not found' });
+
+    return res.status(204).end();
+  } catch (err) {
+    logger.error('delete diagnosis error', { err });
+    return res.status(500).json({ error: 'Failed to delete diagnosis' });
+  }
+}
+
+module.exports = { listDiagnoses, getDiagnosis, deleteDiagnosis, sanitizeRecord };
@@ -0,0 +1,29 @@
+const { getReadiness } = require('../services/healthService');
+const { logger } = require('../services/logService');
+
+/**
+ * GET /healthz
+ * Liveness: answers as long as the process serves requests, whatever its dependencies.
+ * Returns: { status: 'ok', uptimeSeconds }
+ */
+function getLiveness(req, res) {
+  return res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+}
+
+/**
+ * GET /readyz
+ * Returns: { status, checks, features } — 200 when the database and the LLM are available,
+ * 503 otherwise. Each check is up | down | configured | not_configured (the scraper's is
+ * up | failing | unknown); `features` says which app features will work.
+ */
+async function getReadinessReport(req, res) {
+  try {
+    const report = await getReadiness();
+    return res.status(report.status === 'ready' ? 200 : 503).json(report);
+  } catch (err) {
+    logger.error('readiness check error', { err });
+    return res.status(500).json({ error: 'Readiness check failed' });
+  }
+}
+
+module.exports = { getLiveness, getReadinessReport };
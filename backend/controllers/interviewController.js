@@ -0,0 +1,83 @@
+const interviewService = require('../services/interviewService');
+const {
+  parseDiagnoseBody,
+  screenForCrisis,
+  sendCrisis,
+  loadProfile,
+  llmFailureBody,
+} = require('./diagnoseController');
+const { logger } = require('../services/logService');
+
+function sendServiceError(res, err, context) {
+  const status = Number.isInteger(err?.statusCode) ? err.statusCode : 503;
+  if (status === 404) {
+    return res.status(404).json({ error: 'session_not_found', message: err.publicMessage });
+  }
+  if (status === 400 && err.publicMessage) {
+    return res.status(400).json({ error: err.publicMessage });
+  }
+  logger.error(`${context} error`, { err });
+  return res.status(status).json(llmFailureBody(err));
+}
+
+/**
+ * POST /interview
+ * Body: same as /diagnose (including subjectId; the session keeps that person's profile)
+ * Starts a follow-up interview. Returns:
+ *   { sessionId, round, needsMoreInfo: boolean, questions: [{ id, topic: 'onset'|'duration'|'painScale'|'medications'|'other', text }] }
+ * When needsMoreInfo is false the caller goes straight to /triage (or /diagnose) with the sessionId.
+ */
+async function startInterview(req, res) {
+  const parsed = parseDiagnoseBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const crisis = await screenForCrisis(req, parsed.symptoms, parsed.languageCode);
+  if (crisis) {
+    return sendCrisis(res, crisis);
+  }
+
+  const loaded = await loadProfile(req.user?.id, parsed.subjectId);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+
+  try {
+    const view = await interviewService.startInterview({
+      userId: req.user?.id,
+      symptoms: parsed.symptoms,
+      image: parsed.image,
+      languageCode: parsed.languageCode,
+      profile: loaded.profile,
+    });
+    return res.json(view);
+  } catch (err) {
+    return sendServiceError(res, err, 'Interview start');
+  }
+}
+
+/**
+ * POST /interview/:sessionId/answers
+ * Body: { answers: [{ questionId, answer }] } answering the current round of questions
+ * Returns: same as POST /interview, with the next round of questions (if any)
+ */
+async function answerInterview(req, res) {
+  const { answers } = req.body;
+  const answerTexts = answers.map((a) => a.answer).filter((a) => a.trim());
+  const crisis = await screenForCrisis(req, answerTexts, null);
+  if (crisis) {
+    return sendCrisis(res, crisis);
+  }
+
+  try {
+    const view = await interviewService.answerInterview(req.params.sessionId, {
+      userId: req.user?.id,
+      answers,
+    });
+    return res.json(view);
+  } catch (err) {
+    return sendServiceError(res, err, 'Interview answer');
+  }
+}
+
+module.exports = { startInterview, answerInterview };
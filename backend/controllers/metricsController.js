@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { renderMetrics } = require('../services/metricsService');
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Hashing first gives equal-length buffers, so the comparison takes the same time for any guess.
+function hasMetricsToken(req) {
+  if (!config.metricsToken) return true;
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && Boolean(token)
+    && crypto.timingSafeEqual(digest(token), digest(config.metricsToken));
+}
+
+/**
+ * GET /metrics
+ * Returns: every metric in the Prometheus text format. Needs `Authorization: Bearer
+ * <METRICS_TOKEN>` when METRICS_TOKEN is set.
+ */
+function getMetrics(req, res) {
+  if (!hasMetricsToken(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  return res.type('text/plain; version=0.0.4').send(renderMetrics());
+}
+
+module.exports = { getMetrics };
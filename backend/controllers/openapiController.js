@@ -0,0 +1,42 @@
+const { buildOpenApiDocument } = require('../services/openapiService');
+
+// Swagger UI is loaded from a CDN so the backend needs no extra dependency for it.
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+const DOCS_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>TriageSense API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui">
+    <noscript>The interactive docs need JavaScript. The raw document is at <a href="openapi.json">openapi.json</a>.</noscript>
+  </div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * GET /openapi.json
+ * Returns: the OpenAPI 3.1 document for every API route, built from the route definitions.
+ */
+function getOpenApiDocument(req, res) {
+  return res.json(buildOpenApiDocument(req.app));
+}
+
+/**
+ * GET /docs
+ * Returns: an HTML page for browsing and trying the API (Swagger UI over /openapi.json).
+ */
+function getDocsPage(req, res) {
+  return res.type('html').send(DOCS_PAGE);
+}
+
+module.exports = { getOpenApiDocument, getDocsPage };
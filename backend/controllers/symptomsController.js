@@ -0,0 +1,77 @@
+const llmService = require('../services/llmService');
+const { extractAndRecord } = require('../services/symptomExtractionService');
+const {
+  screenForCrisis,
+  sendCrisis,
+  validateSymptoms,
+  validateLanguageCode,
+} = require('./diagnoseController');
+const { normalizeAudio } = require('./transcribeController');
+const { logger } = require('../services/logService');
+
+function extractionFailureBody(err) {
+  return {
+    error: 'extraction_failure',
+    message: err?.publicMessage || 'Symptom extraction service temporarily unavailable',
+  };
+}
+
+/**
+ * POST /symptoms/extract
+ * Body: { symptoms: string | string[], languageCode? } or { audioData, audioMimeType }
+ * Returns: { terminologyVersion, entries: [{ text, concept, bodySite, laterality, onset, duration, severity }] },
+ * plus { symptomsText, languageCode } from the transcription when audio was sent.
+ */
+async function extractSymptoms(req, res) {
+  const { symptoms, languageCode, audioData, audioMimeType } = req.body;
+  const fromAudio = audioData !== undefined;
+
+  let texts;
+  let transcript = null;
+  let language;
+  if (fromAudio) {
+    try {
+      transcript = await llmService.transcribeSymptomsFromAudio({ audio: normalizeAudio(audioData, audioMimeType) });
+    } catch (err) {
+      const status = Number.isInteger(err?.statusCode) ? err.statusCode : 503;
+      return res.status(status).json({
+        error: 'transcription_failure',
+        message: err?.publicMessage || 'Transcription service temporarily unavailable',
+      });
+    }
+    texts = [transcript.symptomsText];
+    language = transcript.languageCode;
+  } else {
+    const validation = validateSymptoms(symptoms, false);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const languageValidation = validateLanguageCode(languageCode);
+    if (languageValidation.error) {
+      return res.status(400).json({ error: languageValidation.error });
+    }
+    texts = validation.normalized;
+    language = languageValidation.normalized;
+  }
+
+  const crisis = await screenForCrisis(req, texts, language);
+  if (crisis) {
+    return sendCrisis(res, crisis);
+  }
+
+  try {
+    const extraction = await extractAndRecord({ symptoms: texts, languageCode: language, source: 'extract' });
+    const body = { terminologyVersion: extraction.terminologyVersion, entries: extraction.entries };
+    if (transcript) {
+      body.symptomsText = transcript.symptomsText;
+      body.languageCode = transcript.languageCode;
+    }
+    return res.json(body);
+  } catch (err) {
+    const status = Number.isInteger(err?.statusCode) ? err.statusCode : 503;
+    logger.error('Symptom extraction error', { err });
+    return res.status(status).json(extractionFailureBody(err));
+  }
+}
+
+module.exports = { extractSymptoms };
@@ -1,33 +1,21 @@
 const llmService = require('../services/llmService');
 
-function validateAudio(audioData, audioMimeType) {
-  if (!audioData || !audioMimeType) {
-    return { error: 'audioData and audioMimeType are required' };
-  }
-  if (typeof audioData !== 'string' || typeof audioMimeType !== 'string') {
-    return { error: 'audioData and audioMimeType must be strings' };
-  }
-  const rawMimeType = audioMimeType.trim().toLowerCase();
-  const mimeType = rawMimeType.split(';')[0].trim();
-  if (!/^audio\/[a-z0-9.+-]+$/.test(mimeType)) {
-    return { error: 'audioMimeType must be a valid audio MIME type' };
-  }
-  const data = audioData.trim();
-  if (!data) {
-    return { error: 'audioData must be non-empty' };
-  }
-  return { audio: { data, mimeType } };
+/**
+ * Audio fields that passed the route schema (schemas/diagnose.js). MIME parameters such as
+ * `;codecs=opus` are dropped.
+ */
+function normalizeAudio(audioData, audioMimeType) {
+  return {
+    data: audioData.trim(),
+    mimeType: audioMimeType.trim().toLowerCase().split(';')[0].trim(),
+  };
 }
 
 async function transcribeAudio(req, res) {
-  const { audioData, audioMimeType } = req.body || {};
-  const validation = validateAudio(audioData, audioMimeType);
-  if (validation.error) {
-    return res.status(400).json({ error: validation.error });
-  }
+  const { audioData, audioMimeType } = req.body;
 
   try {
-    const result = await llmService.transcribeSymptomsFromAudio({ audio: validation.audio });
+    const result = await llmService.transcribeSymptomsFromAudio({ audio: normalizeAudio(audioData, audioMimeType) });
     return res.json({
       symptomsText: result.symptomsText,
       languageCode: result.languageCode,
@@ -41,4 +29,4 @@ async function transcribeAudio(req, res) {
   }
 }
 
-module.exports = { transcribeAudio };
+module.exports = { transcribeAudio, normalizeAudio };
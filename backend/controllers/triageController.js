@@ -0,0 +1,132 @@
+const llmService = require('../services/llmService');
+const { runTriage } = require('../services/triageService');
+const {
+  parseDiagnoseBody,
+  screenForCrisis,
+  sendCrisis,
+  buildDiagnosisInput,
+  loadProfile,
+  finalizeDiagnosis,
+  startSymptomExtraction,
+  llmFailureBody,
+  sendEvent,
+} = require('./diagnoseController');
+
+/**
+ * Coordinates are optional for /triage; without them the hospital stages are skipped.
+ * Types and ranges are checked by the route schema; a null pairs only with another null.
+ * @returns {{ error: string } | { latitude: number|null, longitude: number|null }}
+ */
+function parseCoordinates({ latitude, longitude } = {}) {
+  if (latitude == null && longitude == null) {
+    return { latitude: null, longitude: null };
+  }
+  if (latitude == null || longitude == null) {
+    return { error: '"latitude" and "longitude" are required together' };
+  }
+  return { latitude, longitude };
+}
+
+function toResponseBody(outcome) {
+  const body = {
+    status: outcome.status,
+    diagnosis: outcome.diagnosis,
+    hospitals: outcome.hospitals,
+    rankResult: outcome.rankResult,
+    stages: outcome.stages,
+  };
+  return outcome.diagnosisError ? { ...llmFailureBody(outcome.diagnosisError), ...body } : body;
+}
+
+/**
+ * POST /triage
+ * Body: /diagnose body (including optional interview sessionId and dependent subjectId) plus optional { latitude, longitude }
+ * Runs the diagnosis in parallel with hospitals → wait times, then ranks with the resulting severity.
+ * Returns: { status: 'ok'|'partial', diagnosis, hospitals, rankResult, stages }
+ *   stages.{diagnosis,hospitals,waitTimes,rank} = { status: 'ok'|'failed'|'skipped', error?, reason?, durationMs? }
+ * A failed diagnosis answers with the LLM error status and { error: 'llm_failure', message, ...same fields };
+ * failed hospital stages only mark the document 'partial'.
+ *
+ * With `Accept: text/event-stream` the same pipeline streams instead:
+ *   triage, token, translation  as in /diagnose/stream
+ *   diagnosis   same body as /diagnose
+ *   hospitals   { hospitals }  nearby hospitals, before wait times
+ *   waittimes   { hospitals }  hospitals with wait times
+ *   done        the JSON document above, or
+ *   error       the failed-diagnosis document above
+ */
+async function triage(req, res) {
+  const parsed = parseDiagnoseBody(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const crisis = await screenForCrisis(req, parsed.symptoms, parsed.languageCode);
+  if (crisis) {
+    return sendCrisis(res, crisis);
+  }
+  const coordinates = parseCoordinates(req.body);
+  if (coordinates.error) {
+    return res.status(400).json({ error: coordinates.error });
+  }
+
+  const { symptoms, image, languageCode } = parsed;
+  const loaded = await loadProfile(req.user?.id, parsed.subjectId);
+  if (loaded.error) {
+    return res.status(loaded.status).json({ error: loaded.error });
+  }
+  const { fullUser, profile, dependent } = loaded;
+  const diagnosisInput = buildDiagnosisInput(parsed, profile, req.user?.id);
+  const extraction = startSymptomExtraction(parsed);
+  const finalize = (result) => finalizeDiagnosis({
+    result, fullUser, profile, dependent, symptoms, image, languageCode, extraction,
+  });
+
+  const streaming = req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream';
+  if (!streaming) {
+    const outcome = await runTriage({
+      ...coordinates,
+      diagnose: async () => finalize(await llmService.generateDiagnosis(diagnosisInput)),
+    });
+
+    if (outcome.diagnosisError) {
+      const status = Number.isInteger(outcome.diagnosisError.statusCode) ? outcome.diagnosisError.statusCode : 503;
+      return res.status(status).json(toResponseBody(outcome));
+    }
+    return res.json(toResponseBody(outcome));
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const emit = (event, data) => {
+    if (!closed) sendEvent(res, event, data);
+  };
+
+  const outcome = await runTriage({
+    ...coordinates,
+    diagnose: async () => {
+      const result = await llmService.streamDiagnosis(diagnosisInput, {
+        onTriage: (t) => emit('triage', t),
+        onToken: (token) => emit('token', token),
+        onTranslation: (translated) => emit('translation', translated),
+      });
+      const diagnosis = await finalize(result);
+      emit('diagnosis', diagnosis);
+      return diagnosis;
+    },
+  }, {
+    onHospitals: (hospitals) => emit('hospitals', { hospitals }),
+    onWaitTimes: (hospitals) => emit('waittimes', { hospitals }),
+  });
+
+  emit(outcome.diagnosisError ? 'error' : 'done', toResponseBody(outcome));
+  return res.end();
+}
+
+module.exports = { triage };
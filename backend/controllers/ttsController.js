@@ -1,4 +1,5 @@
-const { textToSpeech, SUPPORTED_LANGUAGES } = require('../services/ttsService');
+const { textToSpeech } = require('../services/ttsService');
+const { logger } = require('../services/logService');
 
 /**
  * POST /tts
@@ -8,21 +9,6 @@ const { textToSpeech, SUPPORTED_LANGUAGES } = require('../services/ttsService');
 async function synthesize(req, res) {
   try {
     const { text, languageCode, voiceId } = req.body;
-
-    if (!text || typeof text !== 'string' || text.trim().length === 0) {
-      return res.status(400).json({ error: '"text" is required and must be a non-empty string' });
-    }
-
-    if (text.length > 5000) {
-      return res.status(400).json({ error: '"text" must be under 5000 characters' });
-    }
-
-    if (languageCode && !SUPPORTED_LANGUAGES.includes(languageCode)) {
-      return res.status(400).json({
-        error: `Unsupported language code "${languageCode}". Supported: ${SUPPORTED_LANGUAGES.join(', ')}`,
-      });
-    }
-
     const audioBuffer = await textToSpeech(text, { languageCode, voiceId });
 
     res.set({
@@ -32,7 +18,7 @@ async function synthesize(req, res) {
 
     return res.send(audioBuffer);
   } catch (err) {
-    console.error('tts error:', err);
+    logger.error('tts error', { err });
 
     if (err.message.includes('ELEVENLABS_API_KEY is not set')) {
       return res.status(503).json({ error: 'TTS service not configured' });
@@ -1,4 +1,5 @@
 const { getWaitTimes } = require('../services/waittimeService');
+const { logger } = require('../services/logService');
 
 /**
  * POST /waittimes
@@ -8,22 +9,6 @@ const { getWaitTimes } = require('../services/waittimeService');
 async function getHospitalWaitTimes(req, res) {
   try {
     const { hospitals } = req.body;
-
-    if (!hospitals || !Array.isArray(hospitals) || hospitals.length === 0) {
-      return res.status(400).json({
-        error: 'Missing or empty "hospitals" array in request body',
-      });
-    }
-
-    // Validate each hospital has a name
-    for (const h of hospitals) {
-      if (!h.name) {
-        return res.status(400).json({
-          error: 'Each hospital must have a "name" field',
-        });
-      }
-    }
-
     const hospitalsWithWait = await getWaitTimes(hospitals);
 
     return res.json({
@@ -31,7 +16,7 @@ async function getHospitalWaitTimes(req, res) {
       data: hospitalsWithWait,
     });
   } catch (err) {
-    console.error('waittimes error:', err);
+    logger.error('waittimes error', { err });
     return res.status(500).json({ error: 'Failed to fetch wait times' });
   }
 }
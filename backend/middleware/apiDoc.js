@@ -0,0 +1,22 @@
+/**
+ * Route documentation for the OpenAPI document (services/openapiService.js).
+ *
+ *   router.post('/rank', validate({ body: schemas.rankBody }),
+ *     apiDoc({ summary: 'Rank hospitals', responses: { 200: responses.rank } }), rank);
+ *
+ * `responses` maps status codes to entries from schemas/responses.js. Validation, auth and
+ * rate limit responses are added from the route's other middleware, so routes only list
+ * what their controller sends. The middleware itself does nothing at request time.
+ *
+ * @param {{ summary: string, description?: string, responses: Object<string, object> }} doc
+ */
+function apiDoc(doc) {
+  function documentedRoute(req, res, next) {
+    return next();
+  }
+
+  documentedRoute.apiDoc = doc;
+  return documentedRoute;
+}
+
+module.exports = { apiDoc };
@@ -1,31 +1,45 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 
+const EXPIRED_BODY = { error: 'token_expired', message: 'Access token expired; refresh it with POST /auth/refresh' };
+
+/**
+ * @returns {{ user: { id, email } } | { expired: true } | null} null when there is no valid token
+ */
 function decodeBearer(authHeader) {
   const [scheme, token] = String(authHeader || '').split(' ');
   if (scheme !== 'Bearer' || !token) return null;
 
   try {
     const decoded = jwt.verify(token, config.jwtSecret);
-    return { id: decoded.sub, email: decoded.email };
-  } catch (_err) {
+    return { user: { id: decoded.sub, email: decoded.email } };
+  } catch (err) {
+    if (err?.name === 'TokenExpiredError') return { expired: true };
     return null;
   }
 }
 
 function requireAuth(req, res, next) {
   const decoded = decodeBearer(req.headers.authorization);
+  if (decoded?.expired) {
+    return res.status(401).json(EXPIRED_BODY);
+  }
   if (!decoded) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  req.user = decoded;
+  req.user = decoded.user;
   return next();
 }
 
-function optionalAuth(req, _res, next) {
+// An expired token still gets a 401 here: the client believes it is signed in, and
+// silently answering as anonymous would drop the user's profile from the diagnosis.
+function optionalAuth(req, res, next) {
   const decoded = decodeBearer(req.headers.authorization);
-  if (decoded) req.user = decoded;
+  if (decoded?.expired) {
+    return res.status(401).json(EXPIRED_BODY);
+  }
+  if (decoded) req.user = decoded.user;
   return next();
 }
 
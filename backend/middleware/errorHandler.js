@@ -1,8 +1,13 @@
+const { logger } = require('../services/logService');
+
+// The request ID lets a user's report be matched with the server logs.
 function errorHandler(err, req, res, next) {
-  console.error(err.stack);
-  res.status(err.status || 500).json({
+  const status = err.status || 500;
+  logger[status >= 500 ? 'error' : 'warn']('unhandled request error', { err, status });
+  res.status(status).json({
     status: 'error',
     message: err.message || 'Internal server error',
+    requestId: req.id,
   });
 }
 
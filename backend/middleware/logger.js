@@ -1,7 +1,44 @@
-function logger(req, res, next) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path}`);
-  next();
+const crypto = require('crypto');
+const { logger, runWithRequestContext } = require('../services/logService');
+
+// Accept a caller's ID (e.g. from a load balancer) only if it is short and plain.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function levelFor(status) {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+}
+
+/**
+ * Give every request an ID and log it once it has been answered.
+ *
+ * The ID comes from the `X-Request-Id` header when the caller sends a valid one, and is
+ * generated otherwise. It is echoed in the `X-Request-Id` response header, set as `req.id`
+ * and added to every log line written while the request is served (services/logService.js).
+ * The logged path leaves out the query string, which can hold tokens.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithRequestContext({ requestId }, () => {
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      logger[levelFor(res.statusCode)]('request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        userId: req.user?.id,
+      });
+    });
+    next();
+  });
 }
 
-module.exports = logger;
+module.exports = requestLogger;
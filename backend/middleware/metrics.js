@@ -0,0 +1,20 @@
+const { metrics } = require('../services/metricsService');
+
+/**
+ * Record how long each request took, labelled by the matched route pattern (e.g.
+ * `/diagnoses/:id`) rather than the URL, so IDs do not create a series each. Requests no
+ * route matched (static files, 404s) share the `unmatched` label.
+ */
+function httpMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    metrics.httpRequestDuration.observe({
+      method: req.method,
+      route: req.route?.path || 'unmatched',
+      status: res.statusCode,
+    }, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+  next();
+}
+
+module.exports = httpMetrics;
@@ -0,0 +1,124 @@
+const config = require('../config');
+const { createLogger } = require('../services/logService');
+
+const logger = createLogger({ middleware: 'rateLimit' });
+
+/**
+ * Rate limit store interface. Any object with these methods can replace the in-memory
+ * store (e.g. one backed by Redis when running several instances):
+ *
+ *   increment(key, windowMs) -> Promise<{ count: number, resetAt: number }>
+ *     Count one hit for `key` in its current fixed window, starting a new window of
+ *     `windowMs` when the previous one has ended. `resetAt` is a ms timestamp.
+ *   reset(key) -> Promise<void>
+ */
+
+const SWEEP_EVERY = 500;
+
+/**
+ * Fixed-window counters kept in process memory. Counts are per instance and are lost on restart.
+ */
+function createMemoryStore() {
+  const windows = new Map();
+  let hits = 0;
+
+  function sweep(now) {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      hits += 1;
+      if (hits % SWEEP_EVERY === 0) sweep(now);
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+let defaultStore = createMemoryStore();
+
+/**
+ * Replace the store used by limiters that were not given one explicitly.
+ */
+function setRateLimitStore(store) {
+  defaultStore = store;
+}
+
+function tooManyRequests(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'rate_limited', message, retryAfter });
+}
+
+/**
+ * Build a rate limiting middleware. Signed-in requests count against a per-user bucket,
+ * anonymous ones against a per-IP bucket, so people behind one shared address (a NAT, a
+ * hospital proxy) are not throttled together once they log in. Creating accounts to get
+ * fresh buckets is held back by the per-IP limit on signup. Mount it after
+ * `optionalAuth`/`requireAuth`.
+ *
+ * Limits are read on every request so config changes (and tests) take effect immediately.
+ *
+ * @param {object} options
+ * @param {string} options.name - Bucket prefix; limiters with the same name share counters
+ * @param {() => { windowMs: number, perIp: number, perUser?: number }} options.limits
+ * @param {string} [options.message]
+ * @param {object} [options.store] - See the store interface above; defaults to the shared store
+ */
+function rateLimit({ name, limits, message = 'Too many requests, please try again later.', store }) {
+  return async function rateLimitMiddleware(req, res, next) {
+    if (!config.rateLimitEnabled) return next();
+
+    const { windowMs, perIp, perUser = perIp } = limits();
+    const key = req.user?.id ? `${name}:user:${req.user.id}` : `${name}:ip:${req.ip}`;
+    const max = req.user?.id ? perUser : perIp;
+
+    let hit;
+    try {
+      hit = await (store || defaultStore).increment(key, windowMs);
+    } catch (err) {
+      // An unavailable store should not take the API down with it.
+      logger.error('rate limit store error', { limiter: name, err });
+      return next();
+    }
+
+    if (hit.count > max) return tooManyRequests(res, hit.resetAt, message);
+    return next();
+  };
+}
+
+// Routes that call a paid LLM, speech-to-text or text-to-speech API.
+const llmRateLimit = rateLimit({
+  name: 'llm',
+  limits: () => config.rateLimits.llm,
+  message: 'Too many requests to the assessment service. Please wait a moment and try again.',
+});
+
+// Unauthenticated auth routes: signup, login and password reset emails.
+const authRateLimit = rateLimit({
+  name: 'auth',
+  limits: () => config.rateLimits.auth,
+  message: 'Too many attempts. Please wait a few minutes and try again.',
+});
+
+module.exports = {
+  rateLimit,
+  createMemoryStore,
+  setRateLimitStore,
+  llmRateLimit,
+  authRateLimit,
+};
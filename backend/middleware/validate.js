@@ -0,0 +1,164 @@
+/**
+ * Schema-driven request validation.
+ *
+ * Routes declare JSON Schemas (see schemas/) for the body, query or params:
+ *
+ *   router.post('/rank', validate({ body: schemas.rankBody }), rank);
+ *
+ * Invalid requests get `400 { error, errors: [{ field, message }, ...] }`, where `errors`
+ * lists every problem and `error` joins them into one readable sentence.
+ * The schemas stay attached to the middleware so the OpenAPI document can be built from
+ * the routes themselves (services/openapiService.js).
+ *
+ * Supported keywords, a subset of JSON Schema 2020-12: type (string or array), enum,
+ * minLength, maxLength, pattern, minimum, maximum, items, minItems, maxItems, properties,
+ * required, dependentRequired and anyOf. `x-errorMessage` replaces the generated message
+ * for any failure of that schema, including it being required and missing.
+ * Validation only checks; trimming and other normalization stay in the controllers.
+ */
+
+const TYPE_LABELS = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  null: 'null',
+};
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+function listLabels(labels) {
+  if (labels.length < 2) return labels[0];
+  return `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`;
+}
+
+function childField(field, key) {
+  return field ? `${field}.${key}` : key;
+}
+
+function rangeMessage(field, { minimum, maximum }) {
+  if (minimum !== undefined && maximum !== undefined) return `${field} must be between ${minimum} and ${maximum}`;
+  if (minimum !== undefined) return `${field} must be at least ${minimum}`;
+  return `${field} must be at most ${maximum}`;
+}
+
+/**
+ * Check a value against a schema.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [field] - Name used in messages; nested fields become `a.b` and `a[0]`
+ * @returns {Array<{ field: string, message: string }>} empty when the value is valid
+ */
+function validateValue(schema, value, field = '') {
+  const name = field || 'body';
+  const fail = (message) => [{ field: name, message: schema['x-errorMessage'] || message }];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return fail(`${name} must be ${listLabels(types.map((type) => TYPE_LABELS[type]))}`);
+    }
+  }
+  if (value === null) return [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`${name} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail(`${name} is not valid`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum)
+      || (schema.maximum !== undefined && value > schema.maximum)) {
+      return fail(rangeMessage(name, schema));
+    }
+  }
+
+  const errors = [];
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`${name} must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`${name} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateValue(schema.items, item, `${name}[${index}]`)));
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        const message = properties[key]?.['x-errorMessage'] || `${childField(field, key)} is required`;
+        errors.push({ field: childField(field, key), message });
+      }
+    });
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validateValue(propertySchema, value[key], childField(field, key)));
+    });
+    Object.entries(schema.dependentRequired || {}).forEach(([key, dependents]) => {
+      if (value[key] === undefined) return;
+      dependents.filter((other) => value[other] === undefined).forEach((other) => {
+        errors.push({ field: childField(field, other), message: `${childField(field, other)} is required with ${childField(field, key)}` });
+      });
+    });
+  }
+
+  if (schema.anyOf && !schema.anyOf.some((option) => validateValue(option, value, field).length === 0)) {
+    errors.push(...fail(`${name} does not match any of the accepted forms`));
+  }
+
+  return errors;
+}
+
+/**
+ * Build a middleware validating the parts of the request that have a schema.
+ * @param {{ body?: object, query?: object, params?: object }} schemas
+ */
+function validate(schemas) {
+  function validateRequest(req, res, next) {
+    const errors = [];
+    ['params', 'query', 'body'].forEach((part) => {
+      if (!schemas[part]) return;
+      // A missing JSON body arrives as {} from express.json(); anything else is checked as sent.
+      const value = part === 'body' && req.body === undefined ? {} : req[part];
+      errors.push(...validateValue(schemas[part], value));
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.map((e) => e.message).join('; '), errors });
+    }
+    return next();
+  }
+
+  validateRequest.schemas = schemas;
+  return validateRequest;
+}
+
+module.exports = { validate, validateValue };
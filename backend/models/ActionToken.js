@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (password reset, email verification).
+// Only the SHA-256 of the token is stored.
+const ActionTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes rows once they expire.
+ActionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ActionToken', ActionTokenSchema);
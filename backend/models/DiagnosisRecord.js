@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { medicalHistoryFields } = require('./medicalHistorySchemas');
+
+const ProfileSnapshotSchema = new mongoose.Schema(
+  {
+    age: { type: Number, default: null },
+    gender: { type: String, trim: true, default: '' },
+    heightCm: { type: Number, default: null },
+    weightKg: { type: Number, default: null },
+    ...medicalHistoryFields(),
+  },
+  { _id: false }
+);
+
+// Set when the diagnosis was for one of the user's dependents rather than the user.
+const SubjectSchema = new mongoose.Schema(
+  {
+    dependentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    name: { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+const DifferentialSchema = new mongoose.Schema(
+  {
+    condition: { type: String, trim: true, required: true },
+    likelihood: { type: String, enum: ['high', 'moderate', 'low'], required: true },
+    distinguishingSymptoms: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const DiagnosisRecordSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    subject: { type: SubjectSchema, default: null },
+    symptoms: { type: [String], default: [] },
+    imageHash: { type: String, default: null },
+    profile: { type: ProfileSnapshotSchema, default: null },
+    condition: { type: String, trim: true, required: true },
+    severity: { type: Number, min: 1, max: 3, required: true },
+    reasoning: { type: String, default: '' },
+    nextSteps: { type: String, default: '' },
+    // Ranked most likely first; the first entry is the top pick (`condition`)
+    differentials: { type: [DifferentialSchema], default: [] },
+    languageCode: { type: String, trim: true, default: 'en' },
+    emergencyNotified: { type: Boolean, default: false },
+    // IDs of matched rules from data/redFlagRules.json
+    redFlags: { type: [String], default: [] },
+  },
+  { timestamps: true }
+);
+
+DiagnosisRecordSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DiagnosisRecord', DiagnosisRecordSchema);
@@ -4,6 +4,7 @@ const HospitalSchema = new mongoose.Schema(
   {
     name: { type: String, trim: true, required: true, index: true },
     address: { type: String, trim: true, default: '' },
+    website: { type: String, trim: true, default: '' },
     location: {
       type: {
         type: String,
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One row per issued refresh token. Only the SHA-256 of the token is stored.
+// Each login starts a `family`; rotating a token revokes it and issues the next one in the
+// same family, so a revoked token being presented again means it was stolen.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+    userAgent: { type: String, trim: true, default: '' },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes rows once they expire.
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Coded entries only: no user reference and none of the patient's own words.
+const CodedSymptomSchema = new mongoose.Schema(
+  {
+    conceptId: { type: String, default: null },
+    snomed: { type: String, default: null },
+    icd10: { type: String, default: null },
+    bodySiteId: { type: String, default: null },
+    bodySiteSnomed: { type: String, default: null },
+    laterality: { type: String, enum: ['left', 'right', 'bilateral', null], default: null },
+    onset: { type: String, default: null },
+    duration: { type: String, default: null },
+    severity: { type: String, enum: ['mild', 'moderate', 'severe', null], default: null },
+  },
+  { _id: false }
+);
+
+const SymptomExtractionSchema = new mongoose.Schema(
+  {
+    source: { type: String, enum: ['diagnose', 'extract'], required: true },
+    languageCode: { type: String, trim: true, default: null },
+    terminologyVersion: { type: String, required: true },
+    entries: { type: [CodedSymptomSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+SymptomExtractionSchema.index({ createdAt: -1 });
+SymptomExtractionSchema.index({ 'entries.conceptId': 1, createdAt: -1 });
+
+module.exports = mongoose.model('SymptomExtraction', SymptomExtractionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { medicalHistoryFields } = require('./medicalHistorySchemas');
 
 const EmergencyContactSchema = new mongoose.Schema(
   {
@@ -10,16 +11,37 @@ const EmergencyContactSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// A family member the account holder triages for (child, elderly parent...).
+// Age is in whole years, so babies under one are 0.
+const DependentSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, required: true },
+    relation: { type: String, trim: true, default: '' },
+    age: { type: Number, min: 0, max: 130, required: true },
+    gender: { type: String, trim: true, default: '' },
+    heightCm: { type: Number, min: 20, max: 300, default: null },
+    weightKg: { type: Number, min: 0.5, max: 500, default: null },
+    ...medicalHistoryFields(),
+  },
+  { timestamps: true }
+);
+
 const UserSchema = new mongoose.Schema(
   {
     name: { type: String, trim: true, required: true },
     email: { type: String, trim: true, lowercase: true, required: true, unique: true, index: true },
     passwordHash: { type: String, required: true },
+    emailVerifiedAt: { type: Date, default: null },
+    // Consecutive failed logins; the account is locked until `lockedUntil` once it hits the limit
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
     age: { type: Number, min: 0, max: 130, default: null },
     gender: { type: String, trim: true, default: '' },
     heightCm: { type: Number, min: 30, max: 300, default: null },
     weightKg: { type: Number, min: 2, max: 500, default: null },
     emergencyContacts: { type: [EmergencyContactSchema], default: [] },
+    ...medicalHistoryFields(),
+    dependents: { type: [DependentSchema], default: [] },
   },
   { timestamps: true }
 );
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One scraped ER wait for one hospital. Day of week and hour are stored in the server's
+// local time, so estimates group by the hour patients see rather than UTC.
+const WaitTimeSampleSchema = new mongoose.Schema(
+  {
+    hospitalKey: { type: String, required: true },
+    hospitalName: { type: String, trim: true, required: true },
+    minutes: { type: Number, required: true, min: 0 },
+    observedAt: { type: Date, required: true },
+    dayOfWeek: { type: Number, required: true, min: 0, max: 6 },
+    hour: { type: Number, required: true, min: 0, max: 23 },
+  },
+  { versionKey: false }
+);
+
+WaitTimeSampleSchema.index({ hospitalKey: 1, observedAt: -1 });
+
+// MongoDB drops samples after a year; estimates only read the recent weeks.
+WaitTimeSampleSchema.index({ observedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WaitTimeSample', WaitTimeSampleSchema);
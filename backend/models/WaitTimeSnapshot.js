@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// The latest waits read from one source: a hospital system's page (key 'inova') or one
+// hospital's own site (key 'generic:https://…'). Shared by every backend instance.
+const WaitTimeSnapshotSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    system: { type: String, required: true },
+    entries: {
+      type: [new mongoose.Schema({ name: { type: String, default: null }, minutes: Number }, { _id: false })],
+      default: [],
+    },
+    fetchedAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model('WaitTimeSnapshot', WaitTimeSnapshotSchema);
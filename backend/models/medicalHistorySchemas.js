@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Medical history subdocuments shared by User and the DiagnosisRecord profile snapshot.
+
+const PREGNANCY_STATUSES = ['not_pregnant', 'pregnant', 'possibly_pregnant', 'not_applicable'];
+
+const ChronicConditionSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, required: true },
+    diagnosedYear: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const MedicationSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, required: true },
+    dose: { type: String, trim: true, default: '' },
+    frequency: { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+const AllergySchema = new mongoose.Schema(
+  {
+    substance: { type: String, trim: true, required: true },
+    reaction: { type: String, trim: true, default: '' },
+  },
+  { _id: false }
+);
+
+const SurgerySchema = new mongoose.Schema(
+  {
+    procedure: { type: String, trim: true, required: true },
+    year: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// A function so each parent schema gets its own path definitions.
+function medicalHistoryFields() {
+  return {
+    chronicConditions: { type: [ChronicConditionSchema], default: [] },
+    medications: { type: [MedicationSchema], default: [] },
+    allergies: { type: [AllergySchema], default: [] },
+    pregnancyStatus: { type: String, enum: ['', ...PREGNANCY_STATUSES], default: '' },
+    surgeries: { type: [SurgerySchema], default: [] },
+  };
+}
+
+module.exports = { PREGNANCY_STATUSES, medicalHistoryFields };
@@ -1,12 +1,104 @@
 const express = require('express');
-const { signup, login, me, updateProfile } = require('../controllers/authController');
+const {
+  signup,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  me,
+  updateProfile,
+} = require('../controllers/authController');
+const {
+  listDependents,
+  createDependent,
+  updateDependent,
+  deleteDependent,
+} = require('../controllers/dependentsController');
+const { exportAccount, deleteAccount } = require('../controllers/accountController');
 const { requireAuth } = require('../middleware/auth');
+const { authRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
 
+const { responses } = schemas;
 const router = express.Router();
 
-router.post('/auth/signup', signup);
-router.post('/auth/login', login);
-router.get('/auth/me', requireAuth, me);
-router.put('/auth/profile', requireAuth, updateProfile);
+router.post('/auth/signup', authRateLimit, validate({ body: schemas.signupBody }), apiDoc({
+  summary: 'Create an account',
+  responses: { 201: responses.session, 409: responses.error, 500: responses.error },
+}), signup);
+router.post('/auth/login', authRateLimit, validate({ body: schemas.loginBody }), apiDoc({
+  summary: 'Log in',
+  responses: { 200: responses.session, 401: responses.error, 429: responses.loginLocked, 500: responses.error },
+}), login);
+router.post('/auth/refresh', validate({ body: schemas.refreshTokenBody }), apiDoc({
+  summary: 'Exchange a refresh token for new tokens',
+  responses: { 200: responses.session, 401: responses.error, 500: responses.error },
+}), refresh);
+router.post('/auth/logout', validate({ body: schemas.refreshTokenBody }), apiDoc({
+  summary: 'End the session of a refresh token',
+  responses: { 204: responses.noContent, 500: responses.error },
+}), logout);
+router.post('/auth/logout-all', requireAuth, apiDoc({
+  summary: 'End every session of the user',
+  responses: { 200: responses.logoutAll, 500: responses.error },
+}), logoutAll);
+router.post('/auth/forgot-password', authRateLimit, validate({ body: schemas.forgotPasswordBody }), apiDoc({
+  summary: 'Email a password reset link',
+  responses: { 200: responses.message },
+}), forgotPassword);
+router.post('/auth/reset-password', authRateLimit, validate({ body: schemas.resetPasswordBody }), apiDoc({
+  summary: 'Set a new password with a reset link',
+  responses: { 200: responses.message, 400: responses.error, 500: responses.error },
+}), resetPassword);
+router.get('/auth/verify-email', validate({ query: schemas.verifyEmailQuery }), apiDoc({
+  summary: 'Verify the email address with a link',
+  responses: { 200: responses.emailVerified, 400: responses.error, 500: responses.error },
+}), verifyEmail);
+router.post('/auth/resend-verification', requireAuth, authRateLimit, apiDoc({
+  summary: 'Send a new verification link',
+  responses: {
+    200: responses.message, 400: responses.error, 404: responses.notFound, 500: responses.error, 503: responses.error,
+  },
+}), resendVerification);
+router.get('/auth/me', requireAuth, apiDoc({
+  summary: 'The signed-in user',
+  responses: { 200: responses.user, 404: responses.notFound, 500: responses.error },
+}), me);
+router.put('/auth/profile', requireAuth, validate({ body: schemas.profileBody }), apiDoc({
+  summary: 'Update the profile and medical history',
+  responses: { 200: responses.user, 400: responses.error, 404: responses.notFound, 500: responses.error },
+}), updateProfile);
+router.get('/auth/export', requireAuth, apiDoc({
+  summary: 'Download all account data',
+  responses: { 200: responses.accountExport, 404: responses.notFound, 500: responses.error },
+}), exportAccount);
+router.delete('/auth/account', requireAuth, authRateLimit, validate({ body: schemas.deleteAccountBody }), apiDoc({
+  summary: 'Delete the account and its data',
+  responses: {
+    204: responses.noContent, 403: responses.error, 404: responses.notFound, 429: responses.loginLocked, 500: responses.error,
+  },
+}), deleteAccount);
+router.get('/auth/dependents', requireAuth, apiDoc({
+  summary: 'List dependents',
+  responses: { 200: responses.dependents, 404: responses.notFound, 500: responses.error },
+}), listDependents);
+router.post('/auth/dependents', requireAuth, validate({ body: schemas.dependentBody }), apiDoc({
+  summary: 'Add a dependent',
+  responses: { 201: responses.dependent, 400: responses.error, 404: responses.notFound, 500: responses.error },
+}), createDependent);
+router.put('/auth/dependents/:id', requireAuth, validate({ body: schemas.dependentBody }), apiDoc({
+  summary: 'Update a dependent',
+  responses: { 200: responses.dependent, 400: responses.error, 404: responses.notFound, 500: responses.error },
+}), updateDependent);
+router.delete('/auth/dependents/:id', requireAuth, apiDoc({
+  summary: 'Remove a dependent',
+  responses: { 204: responses.noContent, 404: responses.notFound, 500: responses.error },
+}), deleteDependent);
 
 module.exports = router;
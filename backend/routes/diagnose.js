@@ -1,8 +1,22 @@
 const express = require('express');
-const { diagnose } = require('../controllers/diagnoseController');
+const { diagnose, diagnoseStream } = require('../controllers/diagnoseController');
 const { optionalAuth } = require('../middleware/auth');
+const { llmRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
 
+const { responses } = schemas;
 const router = express.Router();
-router.post('/diagnose', optionalAuth, diagnose);
+router.post('/diagnose', optionalAuth, llmRateLimit, validate({ body: schemas.diagnoseBody }), apiDoc({
+  summary: 'Diagnose symptoms',
+  responses: {
+    200: responses.diagnosis, 400: responses.crisisOrInvalid, 404: responses.notFound, '5XX': responses.llmFailure,
+  },
+}), diagnose);
+router.post('/diagnose/stream', optionalAuth, llmRateLimit, validate({ body: schemas.diagnoseBody }), apiDoc({
+  summary: 'Diagnose symptoms, streaming the answer',
+  responses: { 200: responses.diagnosisStream, 400: responses.crisisOrInvalid, 404: responses.notFound },
+}), diagnoseStream);
 
 module.exports = router;
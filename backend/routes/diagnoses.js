@@ -0,0 +1,23 @@
+const express = require('express');
+const { listDiagnoses, getDiagnosis, deleteDiagnosis } = require('../controllers/diagnosesController');
+const { requireAuth } = require('../middleware/auth');
+const { apiDoc } = require('../middleware/apiDoc');
+const { responses } = require('../schemas');
+
+const router = express.Router();
+
+router.get('/diagnoses', requireAuth, apiDoc({
+  summary: 'Diagnosis history',
+  description: 'Query `limit` (default 20, at most 100).',
+  responses: { 200: responses.diagnosisList, 500: responses.error },
+}), listDiagnoses);
+router.get('/diagnoses/:id', requireAuth, apiDoc({
+  summary: 'One diagnosis',
+  responses: { 200: responses.diagnosisRecord, 404: responses.notFound, 500: responses.error },
+}), getDiagnosis);
+router.delete('/diagnoses/:id', requireAuth, apiDoc({
+  summary: 'Delete a diagnosis',
+  responses: { 204: responses.noContent, 404: responses.notFound, 500: responses.error },
+}), deleteDiagnosis);
+
+module.exports = router;
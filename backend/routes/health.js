@@ -0,0 +1,18 @@
+const express = require('express');
+const { getLiveness, getReadinessReport } = require('../controllers/healthController');
+const { apiDoc } = require('../middleware/apiDoc');
+const { responses } = require('../schemas');
+
+const router = express.Router();
+
+router.get('/healthz', apiDoc({
+  summary: 'Liveness probe',
+  responses: { 200: responses.liveness },
+}), getLiveness);
+router.get('/readyz', apiDoc({
+  summary: 'Readiness and dependency status',
+  description: 'Answers 503 when the database or the LLM is unavailable. The frontend reads `features` to hide what would fail.',
+  responses: { 200: responses.readiness, 500: responses.error, 503: responses.notReady },
+}), getReadinessReport);
+
+module.exports = router;
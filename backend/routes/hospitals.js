@@ -1,7 +1,14 @@
 const express = require('express');
 const { getHospitals } = require('../controllers/hospitalsController');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
 
+const { responses } = schemas;
 const router = express.Router();
-router.post('/hospitals', getHospitals);
+router.post('/hospitals', validate({ body: schemas.hospitalsLocationBody }), apiDoc({
+  summary: 'Find nearby hospitals',
+  responses: { 200: responses.hospitals, 500: responses.error, 503: responses.error },
+}), getHospitals);
 
 module.exports = router;
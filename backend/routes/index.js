@@ -1,20 +1,34 @@
 const express = require('express');
 const diagnoseRoutes = require('./diagnose');
+const diagnosesRoutes = require('./diagnoses');
+const interviewRoutes = require('./interview');
+const symptomsRoutes = require('./symptoms');
 const hospitalsRoutes = require('./hospitals');
 const waittimesRoutes = require('./waittimes');
 const rankRoutes = require('./rank');
+const triageRoutes = require('./triage');
 const ttsRoutes = require('./tts');
 const transcribeRoutes = require('./transcribe');
 const authRoutes = require('./auth');
+const openapiRoutes = require('./openapi');
+const metricsRoutes = require('./metrics');
+const healthRoutes = require('./health');
 
 const router = express.Router();
 
 router.use(authRoutes);
 router.use(diagnoseRoutes);
+router.use(diagnosesRoutes);
+router.use(interviewRoutes);
+router.use(symptomsRoutes);
 router.use(hospitalsRoutes);
 router.use(waittimesRoutes);
 router.use(rankRoutes);
+router.use(triageRoutes);
 router.use(ttsRoutes);
 router.use(transcribeRoutes);
+router.use(openapiRoutes);
+router.use(metricsRoutes);
+router.use(healthRoutes);
 
 module.exports = router;
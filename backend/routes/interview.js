@@ -0,0 +1,24 @@
+const express = require('express');
+const { startInterview, answerInterview } = require('../controllers/interviewController');
+const { optionalAuth } = require('../middleware/auth');
+const { llmRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
+
+const { responses } = schemas;
+const router = express.Router();
+router.post('/interview', optionalAuth, llmRateLimit, validate({ body: schemas.diagnoseBody }), apiDoc({
+  summary: 'Start a follow-up interview',
+  responses: {
+    200: responses.interview, 400: responses.crisisOrInvalid, 404: responses.notFound, '5XX': responses.llmFailure,
+  },
+}), startInterview);
+router.post('/interview/:sessionId/answers', optionalAuth, llmRateLimit, validate({ body: schemas.interviewAnswersBody }), apiDoc({
+  summary: 'Answer interview questions',
+  responses: {
+    200: responses.interview, 400: responses.crisisOrInvalid, 404: responses.notFound, '5XX': responses.llmFailure,
+  },
+}), answerInterview);
+
+module.exports = router;
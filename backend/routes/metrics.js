@@ -0,0 +1,14 @@
+const express = require('express');
+const { getMetrics } = require('../controllers/metricsController');
+const { apiDoc } = require('../middleware/apiDoc');
+const { responses } = require('../schemas');
+
+const router = express.Router();
+
+router.get('/metrics', apiDoc({
+  summary: 'Prometheus metrics',
+  description: 'When `METRICS_TOKEN` is set, send it as a bearer token.',
+  responses: { 200: responses.metrics, 401: responses.error },
+}), getMetrics);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const { getOpenApiDocument, getDocsPage } = require('../controllers/openapiController');
+const { apiDoc } = require('../middleware/apiDoc');
+const { responses } = require('../schemas');
+
+const router = express.Router();
+
+router.get('/openapi.json', apiDoc({
+  summary: 'This OpenAPI document',
+  responses: { 200: responses.openapi },
+}), getOpenApiDocument);
+router.get('/docs', apiDoc({
+  summary: 'Interactive API documentation',
+  responses: { 200: responses.docsPage },
+}), getDocsPage);
+
+module.exports = router;
@@ -1,7 +1,14 @@
 const express = require('express');
 const { rank } = require('../controllers/rankController');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
 
+const { responses } = schemas;
 const router = express.Router();
-router.post('/rank', rank);
+router.post('/rank', validate({ body: schemas.rankBody }), apiDoc({
+  summary: 'Rank hospitals by wait and travel time',
+  responses: { 200: responses.rank, 500: responses.error },
+}), rank);
 
 module.exports = router;
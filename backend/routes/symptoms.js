@@ -0,0 +1,16 @@
+const express = require('express');
+const { extractSymptoms } = require('../controllers/symptomsController');
+const { optionalAuth } = require('../middleware/auth');
+const { llmRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
+
+const { responses } = schemas;
+const router = express.Router();
+router.post('/symptoms/extract', optionalAuth, llmRateLimit, validate({ body: schemas.symptomsExtractBody }), apiDoc({
+  summary: 'Extract coded symptoms from text or audio',
+  responses: { 200: responses.symptomExtraction, 400: responses.crisisOrInvalid, '5XX': responses.serviceFailure },
+}), extractSymptoms);
+
+module.exports = router;
@@ -1,8 +1,17 @@
 const express = require('express');
 const { transcribeAudio } = require('../controllers/transcribeController');
+const { optionalAuth } = require('../middleware/auth');
+const { llmRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
 
+const { responses } = schemas;
 const router = express.Router();
 
-router.post('/transcribe-audio', transcribeAudio);
+router.post('/transcribe-audio', optionalAuth, llmRateLimit, validate({ body: schemas.transcribeBody }), apiDoc({
+  summary: 'Transcribe spoken symptoms',
+  responses: { 200: responses.transcription, '5XX': responses.serviceFailure },
+}), transcribeAudio);
 
 module.exports = router;
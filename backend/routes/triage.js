@@ -0,0 +1,18 @@
+const express = require('express');
+const { triage } = require('../controllers/triageController');
+const { optionalAuth } = require('../middleware/auth');
+const { llmRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
+
+const { responses } = schemas;
+const router = express.Router();
+router.post('/triage', optionalAuth, llmRateLimit, validate({ body: schemas.triageBody }), apiDoc({
+  summary: 'Diagnose and find the best hospital',
+  responses: {
+    200: responses.triage, 400: responses.crisisOrInvalid, 404: responses.notFound, '5XX': responses.triageFailure,
+  },
+}), triage);
+
+module.exports = router;
@@ -1,7 +1,16 @@
 const express = require('express');
 const { synthesize } = require('../controllers/ttsController');
+const { optionalAuth } = require('../middleware/auth');
+const { llmRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
 
+const { responses } = schemas;
 const router = express.Router();
-router.post('/tts', synthesize);
+router.post('/tts', optionalAuth, llmRateLimit, validate({ body: schemas.ttsBody }), apiDoc({
+  summary: 'Read text aloud',
+  responses: { 200: responses.speech, 500: responses.error, 503: responses.error },
+}), synthesize);
 
 module.exports = router;
@@ -1,7 +1,14 @@
 const express = require('express');
 const { getHospitalWaitTimes } = require('../controllers/waittimesController');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../schemas');
 
+const { responses } = schemas;
 const router = express.Router();
-router.post('/waittimes', getHospitalWaitTimes);
+router.post('/waittimes', validate({ body: schemas.waitTimesBody }), apiDoc({
+  summary: 'Add wait times to hospitals',
+  responses: { 200: responses.waitTimes, 500: responses.error },
+}), getHospitalWaitTimes);
 
 module.exports = router;
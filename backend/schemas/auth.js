@@ -0,0 +1,215 @@
+const { PREGNANCY_STATUSES } = require('../models/medicalHistorySchemas');
+
+const GENDERS = ['male', 'female', 'non-binary', 'other', 'prefer_not_to_say'];
+
+// Any text with at least one non-space character.
+const NOT_BLANK = '\\S';
+const EMAIL = '^\\s*\\S+@\\S+\\.\\S+\\s*$';
+
+const email = { type: 'string', pattern: EMAIL, 'x-errorMessage': 'Valid email is required' };
+const newPassword = {
+  type: 'string',
+  minLength: 8,
+  'x-errorMessage': 'Password must be at least 8 characters',
+};
+
+// Form clients send years and optional measurements as typed; blank text means "not given".
+const historyYear = {
+  type: ['integer', 'string', 'null'],
+  pattern: '^\\s*\\d*\\s*$',
+  description: 'Four-digit year, not in the future',
+  'x-errorMessage': 'History years must be whole numbers',
+};
+const BLANK = '^\\s*$';
+
+function historyList(description, properties) {
+  return {
+    type: 'array',
+    maxItems: 30,
+    description: `${description} Blank rows are dropped; text fields are at most 120 characters.`,
+    items: { type: 'object', properties },
+  };
+}
+
+// Optional everywhere: lists that are left out of a request are not changed.
+const medicalHistoryProperties = {
+  chronicConditions: historyList('Long-term conditions.', {
+    name: { type: 'string' },
+    diagnosedYear: historyYear,
+  }),
+  medications: historyList('Current medications.', {
+    name: { type: 'string' },
+    dose: { type: 'string' },
+    frequency: { type: 'string' },
+  }),
+  allergies: historyList('Known allergies.', {
+    substance: { type: 'string' },
+    reaction: { type: 'string' },
+  }),
+  surgeries: historyList('Past surgeries.', {
+    procedure: { type: 'string' },
+    year: historyYear,
+  }),
+  pregnancyStatus: {
+    type: 'string',
+    maxLength: 40,
+    description: `One of ${PREGNANCY_STATUSES.join(', ')} (any case), or blank`,
+    'x-errorMessage': `Pregnancy status must be one of: ${PREGNANCY_STATUSES.join(', ')}`,
+  },
+};
+
+const signupBody = {
+  type: 'object',
+  required: ['name', 'email', 'password'],
+  properties: {
+    name: { type: 'string', pattern: NOT_BLANK, 'x-errorMessage': 'Name is required' },
+    email,
+    password: newPassword,
+  },
+};
+
+const loginBody = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email: { type: 'string', minLength: 1, 'x-errorMessage': 'Email and password are required' },
+    password: { type: 'string', minLength: 1, 'x-errorMessage': 'Email and password are required' },
+  },
+};
+
+// Missing refresh tokens are answered with 401 by the controller, like unknown ones.
+const refreshTokenBody = {
+  type: 'object',
+  properties: {
+    refreshToken: { type: 'string' },
+  },
+};
+
+const forgotPasswordBody = {
+  type: 'object',
+  required: ['email'],
+  properties: { email },
+};
+
+const resetPasswordBody = {
+  type: 'object',
+  required: ['token', 'password'],
+  properties: {
+    token: { type: 'string', minLength: 1, description: 'Token from the reset link' },
+    password: newPassword,
+  },
+};
+
+const verifyEmailQuery = {
+  type: 'object',
+  required: ['token'],
+  properties: {
+    token: { type: 'string', minLength: 1, description: 'Token from the verification link' },
+  },
+};
+
+const emergencyContact = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    relation: { type: 'string' },
+    phone: { type: 'string' },
+    email: { type: 'string', description: 'Receives an alert for severity 3 diagnoses' },
+  },
+};
+
+const profileBody = {
+  type: 'object',
+  required: ['name', 'age', 'gender', 'heightCm', 'weightKg', 'emergencyContacts'],
+  properties: {
+    name: { type: 'string', pattern: NOT_BLANK, 'x-errorMessage': 'Name is required' },
+    age: {
+      type: 'number',
+      minimum: 1,
+      maximum: 130,
+      'x-errorMessage': 'Age is required and must be between 1 and 130',
+    },
+    gender: {
+      type: 'string',
+      enum: GENDERS,
+      'x-errorMessage': `Gender is required and must be one of: ${GENDERS.join(', ')}`,
+    },
+    heightCm: {
+      type: 'number',
+      minimum: 30,
+      maximum: 300,
+      'x-errorMessage': 'Height is required and must be between 30 and 300 cm',
+    },
+    weightKg: {
+      type: 'number',
+      minimum: 2,
+      maximum: 500,
+      'x-errorMessage': 'Weight is required and must be between 2 and 500 kg',
+    },
+    emergencyContacts: {
+      type: 'array',
+      minItems: 1,
+      items: emergencyContact,
+      description: 'At least one contact with name, relation and phone',
+      'x-errorMessage': 'At least one complete emergency contact (name, relation, phone) is required',
+    },
+    ...medicalHistoryProperties,
+  },
+};
+
+const dependentBody = {
+  type: 'object',
+  required: ['name', 'age', 'gender'],
+  properties: {
+    name: { type: 'string', pattern: NOT_BLANK, 'x-errorMessage': 'Name is required' },
+    relation: { type: 'string', maxLength: 60, 'x-errorMessage': 'Relation must be at most 60 characters' },
+    age: {
+      type: 'number',
+      minimum: 0,
+      maximum: 130,
+      description: 'Whole years; 0 for babies under one',
+      'x-errorMessage': 'Age is required and must be between 0 and 130 (use 0 for babies under one)',
+    },
+    gender: {
+      type: 'string',
+      enum: GENDERS,
+      'x-errorMessage': `Gender is required and must be one of: ${GENDERS.join(', ')}`,
+    },
+    heightCm: {
+      type: ['number', 'string', 'null'],
+      pattern: BLANK,
+      minimum: 20,
+      maximum: 300,
+      'x-errorMessage': 'Height must be between 20 and 300 cm',
+    },
+    weightKg: {
+      type: ['number', 'string', 'null'],
+      pattern: BLANK,
+      minimum: 0.5,
+      maximum: 500,
+      'x-errorMessage': 'Weight must be between 0.5 and 500 kg',
+    },
+    ...medicalHistoryProperties,
+  },
+};
+
+const deleteAccountBody = {
+  type: 'object',
+  required: ['password'],
+  properties: {
+    password: { type: 'string', minLength: 1, 'x-errorMessage': 'Password is required' },
+  },
+};
+
+module.exports = {
+  GENDERS,
+  signupBody,
+  loginBody,
+  refreshTokenBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+  verifyEmailQuery,
+  profileBody,
+  dependentBody,
+  deleteAccountBody,
+};
@@ -0,0 +1,139 @@
+const { SUPPORTED_LANGUAGES } = require('../services/ttsService');
+
+const symptoms = {
+  type: ['string', 'array', 'null'],
+  items: { type: 'string' },
+  description: 'Free text, or a list of symptoms. Optional when an image is sent.',
+};
+
+const languageCode = {
+  type: ['string', 'null'],
+  description: `Reply language, one of: ${SUPPORTED_LANGUAGES.join(', ')}. Detected from the text when left out.`,
+};
+
+const country = {
+  type: ['string', 'null'],
+  description: 'ISO 3166 country code for crisis hotlines; defaults to the Accept-Language region',
+};
+
+const audioData = {
+  type: 'string',
+  pattern: '\\S',
+  description: 'Base64-encoded recording',
+  'x-errorMessage': 'audioData must be non-empty',
+};
+
+const audioMimeType = {
+  type: 'string',
+  pattern: '^\\s*audio/[A-Za-z0-9.+-]+\\s*(;.*)?$',
+  'x-errorMessage': 'audioMimeType must be a valid audio MIME type',
+};
+
+// Shared by /diagnose, /diagnose/stream, /interview and /triage. Whether symptoms or an
+// image were sent at all is checked by the controller, which also ignores blank values.
+const diagnoseProperties = {
+  symptoms,
+  imageData: { type: ['string', 'null'], description: 'Base64-encoded photo' },
+  imageMimeType: {
+    type: ['string', 'null'],
+    pattern: '^\\s*(image/[A-Za-z0-9.+-]+\\s*)?$',
+    'x-errorMessage': 'imageMimeType must be a valid image MIME type',
+  },
+  languageCode,
+  sessionId: { type: ['string', 'null'], description: 'Follow-up interview whose answers are included' },
+  subjectId: {
+    type: ['string', 'null'],
+    pattern: '^(|self|[0-9a-fA-F]{24})$',
+    description: 'A dependent\'s id to diagnose a family member, or "self" (requires auth)',
+    'x-errorMessage': 'subjectId must be "self" or a dependent id',
+  },
+  country,
+};
+
+const diagnoseBody = {
+  type: 'object',
+  properties: diagnoseProperties,
+};
+
+const coordinate = (min, max) => ({
+  type: ['number', 'null'],
+  minimum: min,
+  maximum: max,
+  'x-errorMessage': 'Invalid coordinates. latitude must be -90 to 90, longitude -180 to 180',
+});
+
+const triageBody = {
+  type: 'object',
+  properties: {
+    ...diagnoseProperties,
+    latitude: coordinate(-90, 90),
+    longitude: coordinate(-180, 180),
+  },
+  dependentRequired: { latitude: ['longitude'], longitude: ['latitude'] },
+};
+
+const interviewAnswersBody = {
+  type: 'object',
+  required: ['answers'],
+  properties: {
+    answers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['questionId', 'answer'],
+        properties: {
+          questionId: { type: 'string' },
+          answer: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const symptomsExtractBody = {
+  type: 'object',
+  properties: {
+    symptoms,
+    languageCode,
+    audioData,
+    audioMimeType,
+    country,
+  },
+  dependentRequired: { audioData: ['audioMimeType'], audioMimeType: ['audioData'] },
+  anyOf: [{ required: ['symptoms'] }, { required: ['audioData'] }],
+  'x-errorMessage': 'Send symptoms, or audioData with audioMimeType',
+};
+
+const transcribeBody = {
+  type: 'object',
+  required: ['audioData', 'audioMimeType'],
+  properties: { audioData, audioMimeType },
+};
+
+const ttsBody = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: {
+      type: 'string',
+      pattern: '\\S',
+      maxLength: 4999,
+      'x-errorMessage': '"text" is required, must be a non-empty string and must be under 5000 characters',
+    },
+    languageCode: {
+      type: 'string',
+      enum: SUPPORTED_LANGUAGES,
+      'x-errorMessage': `Unsupported language code. Supported: ${SUPPORTED_LANGUAGES.join(', ')}`,
+    },
+    voiceId: { type: 'string', description: 'ElevenLabs voice; defaults to the voice for the language' },
+  },
+};
+
+module.exports = {
+  diagnoseBody,
+  triageBody,
+  interviewAnswersBody,
+  symptomsExtractBody,
+  transcribeBody,
+  ttsBody,
+};
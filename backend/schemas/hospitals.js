@@ -0,0 +1,60 @@
+const hospitalsLocationBody = {
+  type: 'object',
+  required: ['latitude', 'longitude'],
+  properties: {
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+    longitude: { type: 'number', minimum: -180, maximum: 180 },
+  },
+};
+
+const hospital = (required, extra = {}) => ({
+  type: 'object',
+  required,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    distance: { type: ['number', 'null'], description: 'Miles' },
+    travelTime: { type: ['number', 'null'], description: 'Minutes by car' },
+    website: { type: ['string', 'null'] },
+    ...extra,
+  },
+});
+
+const waitTimesBody = {
+  type: 'object',
+  required: ['hospitals'],
+  properties: {
+    hospitals: {
+      type: 'array',
+      minItems: 1,
+      items: hospital(['name'], {
+        averageWaitMinutes: { type: ['number', 'null'], description: 'Directory average, used when there is no live or stored wait' },
+      }),
+    },
+  },
+};
+
+const rankBody = {
+  type: 'object',
+  required: ['hospitals', 'severity'],
+  properties: {
+    hospitals: {
+      type: 'array',
+      minItems: 1,
+      items: hospital(['name', 'travelTime', 'waitTime'], {
+        travelTime: { type: 'number', description: 'Minutes by car' },
+        waitTime: { type: 'number', description: 'Minutes' },
+      }),
+    },
+    severity: {
+      type: 'integer',
+      enum: [1, 2, 3],
+      'x-errorMessage': '"severity" must be 1 (low), 2 (moderate), or 3 (severe)',
+    },
+  },
+};
+
+module.exports = {
+  hospitalsLocationBody,
+  waitTimesBody,
+  rankBody,
+};
@@ -0,0 +1,11 @@
+/**
+ * Request schemas for every route, used by middleware/validate.js and by the OpenAPI
+ * document (GET /openapi.json). Each module covers one area of the API; response schemas
+ * are under `responses`.
+ */
+module.exports = {
+  ...require('./auth'),
+  ...require('./diagnose'),
+  ...require('./hospitals'),
+  responses: require('./responses'),
+};
@@ -0,0 +1,359 @@
+/**
+ * Response schemas for the OpenAPI document. Routes list theirs with `apiDoc()`
+ * (middleware/apiDoc.js) and tests/contract.test.js checks real responses against them.
+ *
+ * Each entry is `{ description, schema?, contentType? }`; no schema means an empty body and
+ * contentType defaults to application/json.
+ */
+
+const { PREGNANCY_STATUSES } = require('../models/medicalHistorySchemas');
+
+const nullable = (type) => ({ type: [type, 'null'] });
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', required, properties });
+
+const errorBody = object({
+  error: { type: 'string' },
+  message: { type: 'string' },
+}, ['error']);
+
+const historyYear = nullable('integer');
+
+const medicalHistory = {
+  chronicConditions: arrayOf(object({ name: { type: 'string' }, diagnosedYear: historyYear }, ['name'])),
+  medications: arrayOf(object({
+    name: { type: 'string' },
+    dose: { type: 'string' },
+    frequency: { type: 'string' },
+  }, ['name'])),
+  allergies: arrayOf(object({ substance: { type: 'string' }, reaction: { type: 'string' } }, ['substance'])),
+  pregnancyStatus: { type: 'string', enum: ['', ...PREGNANCY_STATUSES] },
+  surgeries: arrayOf(object({ procedure: { type: 'string' }, year: historyYear }, ['procedure'])),
+};
+
+const emergencyContact = object({
+  name: { type: 'string' },
+  relation: { type: 'string' },
+  phone: { type: 'string' },
+  email: { type: 'string' },
+}, ['name', 'relation', 'phone']);
+
+const user = object({
+  id: { type: 'string' },
+  name: { type: 'string' },
+  email: { type: 'string' },
+  emailVerified: { type: 'boolean' },
+  age: nullable('number'),
+  gender: { type: 'string' },
+  heightCm: nullable('number'),
+  weightKg: nullable('number'),
+  emergencyContacts: arrayOf(emergencyContact),
+  ...medicalHistory,
+});
+
+const dependent = object({
+  id: { type: 'string' },
+  name: { type: 'string' },
+  relation: { type: 'string' },
+  age: nullable('number'),
+  gender: { type: 'string' },
+  heightCm: nullable('number'),
+  weightKg: nullable('number'),
+  ...medicalHistory,
+});
+
+const codedSymptom = object({
+  text: { type: 'string' },
+  concept: {
+    type: ['object', 'null'],
+    required: ['id', 'display'],
+    properties: {
+      id: { type: 'string' },
+      display: { type: 'string' },
+      snomed: nullable('string'),
+      icd10: nullable('string'),
+    },
+  },
+  bodySite: {
+    type: ['object', 'null'],
+    required: ['id', 'display'],
+    properties: { id: { type: 'string' }, display: { type: 'string' }, snomed: nullable('string') },
+  },
+  laterality: { type: ['string', 'null'], enum: ['left', 'right', 'bilateral', null] },
+  onset: nullable('string'),
+  duration: nullable('string'),
+  severity: { type: ['string', 'null'], enum: ['mild', 'moderate', 'severe', null] },
+});
+
+const symptomExtraction = object({
+  terminologyVersion: { type: 'string' },
+  entries: arrayOf(codedSymptom),
+});
+
+const differential = object({
+  condition: { type: 'string' },
+  likelihood: { type: 'string', enum: ['high', 'moderate', 'low'] },
+  distinguishingSymptoms: arrayOf({ type: 'string' }),
+});
+
+const severity = { type: 'integer', enum: [1, 2, 3], description: '1 low, 2 moderate, 3 severe' };
+
+const diagnosis = object({
+  condition: { type: 'string' },
+  severity,
+  reasoning: { type: 'string' },
+  nextSteps: { type: 'string' },
+  differentials: arrayOf(differential),
+  languageCode: { type: 'string' },
+  emergencyNotified: { type: 'boolean' },
+  redFlags: arrayOf({ type: 'string', description: 'Red-flag rule id' }),
+  structuredSymptoms: { ...symptomExtraction, type: ['object', 'null'] },
+  llmUnavailable: { type: 'boolean', description: 'Set when the red-flag rules answered because the LLM was down' },
+  recordId: { type: 'string', description: 'History record, for signed-in users' },
+}, ['condition', 'severity', 'reasoning', 'nextSteps', 'differentials', 'languageCode',
+  'emergencyNotified', 'redFlags', 'structuredSymptoms']);
+
+const diagnosisRecord = object({
+  id: { type: 'string' },
+  symptoms: arrayOf({ type: 'string' }),
+  hasImage: { type: 'boolean' },
+  profile: { type: ['object', 'null'] },
+  subject: {
+    type: ['object', 'null'],
+    required: ['id', 'name'],
+    properties: { id: { type: 'string' }, name: { type: 'string' } },
+  },
+  condition: { type: 'string' },
+  severity,
+  reasoning: { type: 'string' },
+  nextSteps: { type: 'string' },
+  differentials: arrayOf(differential),
+  languageCode: { type: 'string' },
+  emergencyNotified: { type: 'boolean' },
+  redFlags: arrayOf({ type: 'string' }),
+  createdAt: { type: 'string', description: 'ISO 8601 date' },
+});
+
+const hospital = object({
+  name: { type: 'string' },
+  address: { type: 'string' },
+  latitude: { type: 'number' },
+  longitude: { type: 'number' },
+  distance: { type: 'number', description: 'Miles' },
+  travelTime: { type: 'number', description: 'Minutes by car' },
+  website: nullable('string'),
+  placeId: nullable('string'),
+  source: { type: 'string', enum: ['places', 'local'] },
+  averageWaitMinutes: nullable('number'),
+}, ['name', 'distance', 'travelTime']);
+
+const hospitalWithWait = {
+  ...hospital,
+  required: [...hospital.required, 'waitTime', 'waitTimeSource', 'waitTimeConfidence', 'waitTimeUpdatedAt'],
+  properties: {
+    ...hospital.properties,
+    waitTime: { type: 'number', description: 'Minutes' },
+    waitTimeSource: {
+      type: 'string',
+      enum: ['live', 'historical', 'synthetic'],
+      description: 'live: scraped now; historical: from past scrapes or the directory average; synthetic: made up',
+    },
+    waitTimeConfidence: { type: 'string', enum: ['high', 'medium', 'low', 'none'] },
+    waitTimeUpdatedAt: { ...nullable('string'), description: 'When a live wait was scraped, ISO 8601 date' },
+  },
+};
+
+const rankResult = object({
+  top3: arrayOf({
+    type: 'object',
+    required: ['name', 'totalTime', 'score'],
+    properties: {
+      name: { type: 'string' },
+      totalTime: { type: 'number', description: 'Wait plus travel, minutes' },
+      score: { type: 'number', description: 'Lower is better' },
+    },
+  }),
+});
+
+const stage = object({
+  status: { type: 'string', enum: ['ok', 'failed', 'skipped'] },
+  error: { type: 'string' },
+  reason: { type: 'string' },
+  durationMs: { type: 'number' },
+}, ['status']);
+
+const triageDocument = object({
+  status: { type: 'string', enum: ['ok', 'partial'] },
+  diagnosis: { ...diagnosis, type: ['object', 'null'] },
+  hospitals: arrayOf(hospital),
+  rankResult: { ...rankResult, type: ['object', 'null'] },
+  stages: object({ diagnosis: stage, hospitals: stage, waitTimes: stage, rank: stage }),
+});
+
+const interviewView = object({
+  sessionId: { type: 'string' },
+  round: { type: 'integer' },
+  needsMoreInfo: { type: 'boolean' },
+  questions: arrayOf(object({ id: { type: 'string' }, topic: { type: 'string' }, text: { type: 'string' } })),
+});
+
+const tokens = {
+  token: { type: 'string', description: 'Access token (JWT)' },
+  refreshToken: { type: 'string' },
+};
+
+const messageBody = object({ message: { type: 'string' } });
+const listOf = (items) => object({ status: { type: 'string', enum: ['ok'] }, data: arrayOf(items) });
+
+const dependencyCheck = (statuses, extra = {}) => object(
+  { status: { type: 'string', enum: statuses }, ...extra },
+  ['status'],
+);
+const availability = ['up', 'down', 'not_configured'];
+const configuration = ['configured', 'not_configured'];
+
+const readiness = (status) => object({
+  status: { type: 'string', enum: [status] },
+  checks: object({
+    database: dependencyCheck(availability, { latencyMs: { type: 'number' } }),
+    llm: dependencyCheck(configuration, { provider: { type: 'string' } }),
+    email: dependencyCheck(availability),
+    tts: dependencyCheck(configuration),
+    places: dependencyCheck(configuration, { hospitalProvider: { type: 'string' } }),
+    scraper: dependencyCheck(['up', 'failing', 'unknown'], {
+      lastSuccessAt: nullable('string'),
+      lastErrorAt: nullable('string'),
+    }),
+  }),
+  features: object({
+    diagnosis: { type: 'boolean' },
+    voiceInput: { type: 'boolean' },
+    tts: { type: 'boolean' },
+    accounts: { type: 'boolean' },
+    emergencyEmail: { type: 'boolean' },
+    hospitalSearch: { type: 'boolean' },
+  }),
+});
+
+const responses = {
+  error: { description: 'Error', schema: errorBody },
+  notFound: { description: 'Not found', schema: errorBody },
+  noContent: { description: 'Done' },
+  message: { description: 'Done; `message` is shown to the user', schema: messageBody },
+
+  session: { description: 'Signed in', schema: object({ ...tokens, user }) },
+  logoutAll: { description: 'Sessions ended', schema: object({ revokedSessions: { type: 'integer' } }) },
+  emailVerified: { description: 'Email verified', schema: object({ emailVerified: { type: 'boolean', enum: [true] } }) },
+  loginLocked: {
+    description: 'Account locked after too many failed logins',
+    schema: object({ error: { type: 'string' }, retryAfter: { type: 'integer' } }),
+  },
+  user: { description: 'The signed-in user', schema: object({ user }) },
+  accountExport: {
+    description: 'Everything stored for the account, as a file download',
+    schema: object({
+      exportedAt: { type: 'string' },
+      account: user,
+      dependents: arrayOf(dependent),
+      diagnoses: arrayOf(diagnosisRecord),
+      sessions: arrayOf(object({
+        userAgent: { type: 'string' },
+        createdAt: { type: 'string' },
+        expiresAt: { type: 'string' },
+        revokedAt: nullable('string'),
+      })),
+    }),
+  },
+  dependents: { description: 'Dependents of the user', schema: object({ dependents: arrayOf(dependent) }) },
+  dependent: { description: 'The saved dependent', schema: object({ dependent }) },
+
+  diagnosis: { description: 'Diagnosis', schema: diagnosis },
+  diagnosisStream: {
+    description: 'Server-sent events: triage, token, translation, then done (the /diagnose body) or error',
+    contentType: 'text/event-stream',
+    schema: { type: 'string' },
+  },
+  llmFailure: {
+    description: 'The diagnosis model failed',
+    schema: object({ error: { type: 'string', enum: ['llm_failure'] }, message: { type: 'string' } }),
+  },
+  crisisOrInvalid: {
+    description: 'Invalid input, or `unsafe_input` with crisis resources when the text suggests self-harm',
+    schema: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: { type: 'string' },
+        crisis: object({
+          detectedBy: { type: 'string', enum: ['pattern', 'classifier'] },
+          country: { type: 'string' },
+          emergencyNumber: { type: 'string' },
+          resources: arrayOf(object({ name: { type: 'string' } })),
+        }),
+      },
+    },
+  },
+  diagnosisList: { description: 'Diagnosis history, newest first', schema: listOf(diagnosisRecord) },
+  diagnosisRecord: {
+    description: 'One diagnosis record',
+    schema: object({ status: { type: 'string', enum: ['ok'] }, data: diagnosisRecord }),
+  },
+
+  interview: { description: 'Interview state and the next questions', schema: interviewView },
+  symptomExtraction: {
+    description: 'Coded symptoms, plus the transcript when audio was sent',
+    schema: {
+      ...symptomExtraction,
+      properties: {
+        ...symptomExtraction.properties,
+        symptomsText: { type: 'string' },
+        languageCode: { type: 'string' },
+      },
+    },
+  },
+  transcription: {
+    description: 'Transcribed symptoms',
+    schema: object({ symptomsText: { type: 'string' }, languageCode: { type: 'string' } }),
+  },
+  speech: { description: 'MP3 audio', contentType: 'audio/mpeg', schema: { type: 'string', format: 'binary' } },
+  serviceFailure: {
+    description: 'The upstream service failed or is not configured',
+    schema: object({ error: { type: 'string' }, message: { type: 'string' } }, ['error']),
+  },
+
+  triage: { description: 'Diagnosis, hospitals and ranking; `text/event-stream` when requested', schema: triageDocument },
+  triageFailure: {
+    description: 'The diagnosis failed; hospital stages are still reported',
+    schema: {
+      ...triageDocument,
+      required: ['error', 'message', ...triageDocument.required],
+      properties: {
+        error: { type: 'string', enum: ['llm_failure'] },
+        message: { type: 'string' },
+        ...triageDocument.properties,
+      },
+    },
+  },
+  hospitals: { description: 'Nearby hospitals, closest first', schema: listOf(hospital) },
+  waitTimes: { description: 'The hospitals with wait times', schema: listOf(hospitalWithWait) },
+  rank: {
+    description: 'The three best hospitals for the severity',
+    schema: object({ status: { type: 'string', enum: ['ok'] }, data: rankResult }),
+  },
+
+  openapi: { description: 'This document', schema: { type: 'object', required: ['openapi', 'paths'] } },
+  docsPage: { description: 'Interactive API documentation', contentType: 'text/html', schema: { type: 'string' } },
+  liveness: {
+    description: 'The process is serving requests',
+    schema: object({ status: { type: 'string', enum: ['ok'] }, uptimeSeconds: { type: 'integer' } }),
+  },
+  readiness: { description: 'Every required dependency is available', schema: readiness('ready') },
+  notReady: { description: 'The database or the LLM is unavailable', schema: readiness('not_ready') },
+  metrics: {
+    description: 'Counters and histograms in the Prometheus text format',
+    contentType: 'text/plain',
+    schema: { type: 'string' },
+  },
+};
+
+module.exports = responses;
@@ -0,0 +1,47 @@
+/**
+ * Load a facility list into the Hospital collection.
+ * Usage: node scripts/import-hospitals.js <file.csv|file.geojson|file.json>
+ *
+ * CSV needs a header row with name, latitude, longitude and optionally
+ * address, averageWaitMinutes, website. GeoJSON must be a FeatureCollection of Points.
+ * Existing entries with the same name and coordinates are updated in place.
+ */
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const db = require('../config/db');
+const {
+  parseHospitalsCsv,
+  parseHospitalsGeoJson,
+  toHospitalDocs,
+  importHospitals,
+} = require('../services/hospitalDirectoryService');
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node scripts/import-hospitals.js <file.csv|file.geojson|file.json>');
+    process.exit(1);
+  }
+
+  const text = fs.readFileSync(path.resolve(file), 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  const rows = ext === '.csv' ? parseHospitalsCsv(text) : parseHospitalsGeoJson(text);
+  const { docs, skipped } = toHospitalDocs(rows);
+
+  const conn = await db.connect();
+  if (!conn) {
+    console.error('MONGODB_URI not set in .env');
+    process.exit(1);
+  }
+
+  const { upserted, modified } = await importHospitals(docs);
+  console.log(`Imported ${docs.length} hospitals (${upserted} new, ${modified} updated, ${skipped} skipped)`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('Hospital import failed:', err.message);
+  process.exit(1);
+});
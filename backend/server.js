@@ -1,6 +1,8 @@
 const app = require('./app');
 const config = require('./config');
 const db = require('./config/db');
+const { logger } = require('./services/logService');
+const { startWaitTimePolling } = require('./services/waitTimePoller');
 
 const MAX_PORT_ATTEMPTS = 10;
 
@@ -17,7 +19,11 @@ async function start() {
   try {
     await db.connect();
   } catch (err) {
-    console.warn('MongoDB connection failed — continuing without DB:', err.message);
+    logger.warn('MongoDB connection failed — continuing without DB', { err });
+  }
+
+  if (config.waitTimePolling) {
+    startWaitTimePolling();
   }
 
   const basePort = normalizePort(config.port, 3000);
@@ -37,9 +43,9 @@ async function start() {
     const server = await tryListen(p);
     if (server) {
       app.set('port', p);
-      console.log(`PatriotAI backend running on http://localhost:${p}`);
+      logger.info(`PatriotAI backend running on http://localhost:${p}`, { port: p });
       if (p !== basePort) {
-        console.log(`(Port ${basePort} was in use. Use PORT=${p} or free port ${basePort}: lsof -ti:${basePort} | xargs kill -9)`);
+        logger.warn(`Port ${basePort} was in use. Use PORT=${p} or free port ${basePort}: lsof -ti:${basePort} | xargs kill -9`);
       }
       return;
     }
@@ -48,6 +54,6 @@ async function start() {
 }
 
 start().catch((err) => {
-  console.error('Startup failed:', err);
+  logger.error('Startup failed', { err });
   process.exit(1);
 });
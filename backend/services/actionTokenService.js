@@ -0,0 +1,64 @@
+/**
+ * Action Token Service
+ * Single-use tokens for links sent by email: password reset and email verification.
+ *
+ * Like refresh tokens, only the SHA-256 of a token is stored (models/ActionToken.js).
+ * A token is marked used atomically when it is consumed, so a link works exactly once.
+ */
+
+const crypto = require('crypto');
+const ActionToken = require('../models/ActionToken');
+const { hashToken } = require('./tokenService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PURPOSES = {
+  password_reset: { ttlMs: HOUR_MS },
+  email_verification: { ttlMs: 48 * HOUR_MS },
+};
+
+/**
+ * Create a token for a user. Older unused tokens for the same purpose stop working,
+ * so only the most recent email link is valid.
+ * @param {string} userId
+ * @param {'password_reset'|'email_verification'} purpose
+ * @returns {Promise<string>} the raw token to put in the link
+ */
+async function createActionToken(userId, purpose) {
+  const spec = PURPOSES[purpose];
+  if (!spec) throw new Error(`Unknown action token purpose: ${purpose}`);
+
+  const now = new Date();
+  await ActionToken.updateMany({ user: userId, purpose, usedAt: null }, { $set: { usedAt: now } });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await ActionToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + spec.ttlMs),
+  });
+  return token;
+}
+
+/**
+ * Use up a token.
+ * @param {string} token
+ * @param {'password_reset'|'email_verification'} purpose
+ * @returns {Promise<string|null>} the user id, or null when the token is unknown, used or expired
+ */
+async function consumeActionToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const now = new Date();
+  const stored = await ActionToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  ).lean();
+  return stored ? String(stored.user) : null;
+}
+
+module.exports = {
+  createActionToken,
+  consumeActionToken,
+};
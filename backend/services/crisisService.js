@@ -0,0 +1,157 @@
+/**
+ * Crisis Service
+ * Screens free text for self-harm and suicide risk before any diagnosis work, and builds
+ * the crisis response with hotlines for the patient's country.
+ *
+ * Detection runs in two steps:
+ *   1. Multilingual phrase lists (data/crisisPatterns.json). A "definite" phrase is enough.
+ *   2. The LLM classifier for everything else (CRISIS_CLASSIFIER=on): it confirms or dismisses
+ *      "possible" phrases ("I hurt myself" is usually an accident) and catches paraphrases
+ *      the lists miss. That is one LLM call per screened request; CRISIS_CLASSIFIER=possible
+ *      limits it to "possible" matches and =off turns it off.
+ * If the classifier is down or turned off, an unconfirmed "possible" phrase is treated as a
+ * crisis, since a false alarm costs less than a missed one.
+ */
+
+const config = require('../config');
+const llmService = require('./llmService');
+const { SUPPORTED_LANGUAGES } = require('./ttsService');
+const { languages: PATTERN_DATA } = require('../data/crisisPatterns.json');
+const { countries: RESOURCE_DATA } = require('../data/crisisResources.json');
+const { createLogger } = require('./logService');
+
+const logger = createLogger({ service: 'crisis' });
+
+const DEFAULT_COUNTRY = 'US';
+const LEVELS = ['definite', 'possible'];
+// Scripts written without spaces between words, or with attached prefixes (Arabic "ال").
+const SUBSTRING_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Arabic}]/u;
+// Letters that do not decompose into a base letter plus accent.
+const FOLDS = { ı: 'i', ø: 'o', đ: 'd', ł: 'l', æ: 'ae', œ: 'oe', ß: 'ss' };
+
+// Country to assume for a language when neither the request nor Accept-Language names one.
+const LANGUAGE_COUNTRIES = {
+  ja: 'JP', ko: 'KR', de: 'DE', fr: 'FR', it: 'IT', nl: 'NL', pl: 'PL', sv: 'SE', da: 'DK',
+  no: 'NO', fi: 'FI', el: 'GR', hu: 'HU', uk: 'UA', fil: 'PH',
+};
+
+/**
+ * Lowercase, strip accents and punctuation, and collapse whitespace, so that "Suicídio!"
+ * and "suicidio" compare equal.
+ */
+function normalizeCrisisText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[ıøđłæœß]/g, (c) => FOLDS[c])
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function compilePatterns(data) {
+  const missing = SUPPORTED_LANGUAGES.filter((code) => !(data[code]?.definite?.length > 0));
+  if (missing.length > 0) {
+    throw new Error(`Crisis patterns missing for: ${missing.join(', ')}`);
+  }
+
+  return Object.entries(data).flatMap(([language, sets]) => LEVELS.flatMap((level) => (sets[level] || [])
+    .map((raw) => {
+      const stem = raw.endsWith('*');
+      const phrase = normalizeCrisisText(stem ? raw.slice(0, -1) : raw);
+      if (!phrase) throw new Error(`Empty crisis pattern for ${language}`);
+      return { language, level, phrase, stem, substring: SUBSTRING_SCRIPT.test(phrase) };
+    })));
+}
+
+const PATTERNS = compilePatterns(PATTERN_DATA);
+
+function phraseMatches(pattern, text) {
+  if (pattern.substring) return text.includes(pattern.phrase);
+  const padded = ` ${text} `;
+  return padded.includes(pattern.stem ? ` ${pattern.phrase}` : ` ${pattern.phrase} `);
+}
+
+/**
+ * Match the phrase lists in every language (people do not always write in the language they picked).
+ * @param {string[]} texts
+ * @returns {{ level: 'definite'|'possible', language: string }|null} the strongest match
+ */
+function matchCrisisPatterns(texts) {
+  const normalized = texts.map(normalizeCrisisText).filter(Boolean);
+  let best = null;
+  for (const pattern of PATTERNS) {
+    if (normalized.some((text) => phraseMatches(pattern, text))) {
+      if (pattern.level === 'definite') return { level: 'definite', language: pattern.language };
+      best = best || { level: 'possible', language: pattern.language };
+    }
+  }
+  return best;
+}
+
+function regionFromAcceptLanguage(header) {
+  if (typeof header !== 'string') return null;
+  for (const part of header.split(',')) {
+    const match = part.split(';')[0].trim().match(/^[a-z]{2,3}-([a-z]{2})$/i);
+    if (match) return match[1].toUpperCase();
+  }
+  return null;
+}
+
+/**
+ * Pick the country for hotline resources: explicit request field, then the
+ * Accept-Language region, then the language, then the US.
+ */
+function resolveCountry({ country, acceptLanguage, languageCode } = {}) {
+  if (typeof country === 'string' && /^[a-z]{2}$/i.test(country.trim())) {
+    return country.trim().toUpperCase();
+  }
+  return regionFromAcceptLanguage(acceptLanguage) || LANGUAGE_COUNTRIES[languageCode] || DEFAULT_COUNTRY;
+}
+
+/**
+ * @returns {{ country: string, emergencyNumber: string, resources: Array<{ name, phone?, sms?, smsKeyword?, url?, hours?, languages? }> }}
+ * countries without an entry get the international fallback
+ */
+function getCrisisResources(country) {
+  const entry = RESOURCE_DATA[country] || RESOURCE_DATA.default;
+  return { country, emergencyNumber: entry.emergencyNumber, resources: entry.resources };
+}
+
+/**
+ * Screen request text for a crisis.
+ * @param {string[]} texts - symptoms and/or interview answers
+ * @param {{ languageCode?: string|null, country?: string, acceptLanguage?: string }} [options]
+ * @returns {Promise<null | { detectedBy: 'pattern'|'classifier', country, emergencyNumber, resources }>}
+ */
+async function assessCrisis(texts, options = {}) {
+  const candidates = (texts || []).filter((t) => typeof t === 'string' && t.trim());
+  if (candidates.length === 0) return null;
+
+  const match = matchCrisisPatterns(candidates);
+  let detectedBy = match ? 'pattern' : null;
+
+  const mode = config.crisisClassifier;
+  const classify = match?.level !== 'definite' && mode !== 'off' && (match || mode !== 'possible');
+  if (classify) {
+    try {
+      const verdict = await llmService.classifyCrisis({ texts: candidates });
+      detectedBy = verdict.crisis ? 'classifier' : null;
+    } catch (err) {
+      logger.warn('Crisis classifier failed, using phrase lists only', { err });
+    }
+  }
+
+  if (!detectedBy) return null;
+  return { detectedBy, ...getCrisisResources(resolveCountry(options)) };
+}
+
+module.exports = {
+  compilePatterns,
+  normalizeCrisisText,
+  matchCrisisPatterns,
+  resolveCountry,
+  getCrisisResources,
+  assessCrisis,
+};
@@ -1,5 +1,9 @@
 const nodemailer = require('nodemailer');
 const config = require('../config');
+const { createLogger } = require('./logService');
+const { metrics } = require('./metricsService');
+
+const logger = createLogger({ service: 'email' });
 
 let transporter = null;
 
@@ -23,6 +27,53 @@ function getTransporter() {
   return transporter;
 }
 
+const VERIFY_CACHE_MS = 60 * 1000;
+const VERIFY_TIMEOUT_MS = 5000;
+let lastVerify = null;
+
+/**
+ * Check that the SMTP server accepts our login, for /readyz. The result is kept for a minute
+ * so frequent readiness probes do not open an SMTP session each.
+ * @returns {Promise<{ status: 'up' | 'down' | 'not_configured' }>}
+ */
+async function verifyEmailTransport() {
+  const mailer = getTransporter();
+  if (!mailer) return { status: 'not_configured' };
+  if (lastVerify && Date.now() - lastVerify.checkedAt < VERIFY_CACHE_MS) return lastVerify.result;
+
+  let result;
+  let timer;
+  try {
+    await Promise.race([
+      mailer.verify(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`SMTP verify timed out after ${VERIFY_TIMEOUT_MS}ms`)), VERIFY_TIMEOUT_MS);
+      }),
+    ]);
+    result = { status: 'up' };
+  } catch (err) {
+    logger.warn('SMTP verify failed', { err });
+    result = { status: 'down' };
+  } finally {
+    clearTimeout(timer);
+  }
+  lastVerify = { checkedAt: Date.now(), result };
+  return result;
+}
+
+/**
+ * Send one email, counting it as sent or failed in the `emails_total` metric.
+ */
+async function deliver(mailer, kind, message) {
+  try {
+    await mailer.sendMail(message);
+  } catch (err) {
+    metrics.emails.inc({ kind, outcome: 'failed' });
+    throw err;
+  }
+  metrics.emails.inc({ kind, outcome: 'sent' });
+}
+
 /**
  * Send an emergency alert email to a contact.
  * @param {object} options
@@ -39,14 +90,16 @@ function getTransporter() {
 async function sendEmergencyAlert(options) {
   const mailer = getTransporter();
   if (!mailer) {
-    console.warn('Email not configured (SMTP_USER/SMTP_PASS missing). Skipping emergency alert.');
+    logger.warn('Email not configured (SMTP_USER/SMTP_PASS missing); skipping emergency alert');
+    metrics.emails.inc({ kind: 'emergency_alert', outcome: 'skipped' });
     return false;
   }
 
   const { toEmail, contactName, userName, condition, reasoning, nextSteps, synopsis, severity } = options;
 
   if (!toEmail || !toEmail.includes('@')) {
-    console.warn('Invalid emergency contact email:', toEmail);
+    logger.warn('Invalid emergency contact email; skipping emergency alert');
+    metrics.emails.inc({ kind: 'emergency_alert', outcome: 'skipped' });
     return false;
   }
 
@@ -106,7 +159,7 @@ Please check on ${userName} as soon as possible.
 
 This is an automated alert from TriageSense. This is not medical advice. If this is a life-threatening emergency, call 911 immediately.`;
 
-  await mailer.sendMail({
+  await deliver(mailer, 'emergency_alert', {
     from: `"TriageSense Alert" <${config.smtpFrom}>`,
     to: toEmail,
     subject: `Emergency Alert: ${userName} needs attention - ${condition}`,
@@ -114,8 +167,110 @@ This is an automated alert from TriageSense. This is not medical advice. If this
     html,
   });
 
-  console.log(`Emergency alert email sent to ${toEmail} for user ${userName}`);
+  logger.info('Emergency alert email sent');
+  return true;
+}
+
+function accountEmailHtml({ heading, greeting, body, actionLabel, link, footer }) {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: #2563eb; color: white; padding: 16px 24px; border-radius: 8px 8px 0 0;">
+        <h1 style="margin: 0; font-size: 20px;">${heading}</h1>
+      </div>
+      <div style="border: 1px solid #e5e7eb; border-top: none; padding: 24px; border-radius: 0 0 8px 8px;">
+        <p style="font-size: 16px; color: #111;">${greeting}</p>
+        <p style="font-size: 16px; color: #111;">${body}</p>
+        <p style="margin: 24px 0;">
+          <a href="${link}" style="background: #2563eb; color: white; padding: 12px 20px; border-radius: 6px; text-decoration: none; font-weight: 700;">${actionLabel}</a>
+        </p>
+        <p style="font-size: 13px; color: #6b7280;">If the button does not work, paste this link into your browser:<br />${link}</p>
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0;" />
+        <p style="font-size: 12px; color: #6b7280;">${footer}</p>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Send a password reset link.
+ * @param {object} options
+ * @param {string} options.toEmail - Account email address
+ * @param {string} options.userName - Account holder's name
+ * @param {string} options.link - Reset link (valid for one hour)
+ * @returns {Promise<boolean>} true if sent, false if email not configured
+ */
+async function sendPasswordResetEmail({ toEmail, userName, link }) {
+  const mailer = getTransporter();
+  if (!mailer) {
+    logger.warn('Email not configured (SMTP_USER/SMTP_PASS missing); skipping password reset email');
+    metrics.emails.inc({ kind: 'password_reset', outcome: 'skipped' });
+    return false;
+  }
+
+  const footer = 'If you did not ask to reset your password, you can ignore this email. Your password will not change.';
+  await deliver(mailer, 'password_reset', {
+    from: `"TriageSense" <${config.smtpFrom}>`,
+    to: toEmail,
+    subject: 'Reset your TriageSense password',
+    text: `Hi ${userName},
+
+Use this link to choose a new TriageSense password. It works once and expires in one hour:
+${link}
+
+${footer}`,
+    html: accountEmailHtml({
+      heading: 'Reset your password',
+      greeting: `Hi <strong>${userName}</strong>,`,
+      body: 'Use the button below to choose a new TriageSense password. The link works once and expires in one hour.',
+      actionLabel: 'Choose a new password',
+      link,
+      footer,
+    }),
+  });
+
+  logger.info('Password reset email sent');
+  return true;
+}
+
+/**
+ * Send an email address verification link.
+ * @param {object} options
+ * @param {string} options.toEmail - Address to verify
+ * @param {string} options.userName - Account holder's name
+ * @param {string} options.link - Verification link (valid for 48 hours)
+ * @returns {Promise<boolean>} true if sent, false if email not configured
+ */
+async function sendVerificationEmail({ toEmail, userName, link }) {
+  const mailer = getTransporter();
+  if (!mailer) {
+    logger.warn('Email not configured (SMTP_USER/SMTP_PASS missing); skipping verification email');
+    metrics.emails.inc({ kind: 'verification', outcome: 'skipped' });
+    return false;
+  }
+
+  const footer = 'If you did not create a TriageSense account, you can ignore this email.';
+  await deliver(mailer, 'verification', {
+    from: `"TriageSense" <${config.smtpFrom}>`,
+    to: toEmail,
+    subject: 'Confirm your TriageSense email address',
+    text: `Hi ${userName},
+
+Confirm this email address for your TriageSense account. The link expires in 48 hours:
+${link}
+
+${footer}`,
+    html: accountEmailHtml({
+      heading: 'Confirm your email address',
+      greeting: `Hi <strong>${userName}</strong>,`,
+      body: 'Confirm this email address for your TriageSense account. The link expires in 48 hours.',
+      actionLabel: 'Confirm email address',
+      link,
+      footer,
+    }),
+  });
+
+  logger.info('Verification email sent');
   return true;
 }
 
-module.exports = { sendEmergencyAlert };
+module.exports = { sendEmergencyAlert, sendPasswordResetEmail, sendVerificationEmail, verifyEmailTransport };
@@ -0,0 +1,77 @@
+/**
+ * Health Service
+ * Dependency checks behind GET /readyz, and the features they make available.
+ *
+ * The database and the LLM are required: without them the server is not ready. The
+ * others only turn features off — TTS falls back to the browser's voice, wait times to
+ * synthetic estimates — so the frontend uses `features` to hide what would fail.
+ */
+
+const config = require('../config');
+const db = require('../config/db');
+const { PROVIDERS } = require('./llmProviders');
+const { verifyEmailTransport } = require('./emailService');
+const { resolveProvider } = require('./mapsService');
+const { getScraperStatus } = require('./scraperService');
+
+const REQUIRED_CHECKS = ['database', 'llm'];
+
+function configured(isConfigured) {
+  return { status: isConfigured ? 'configured' : 'not_configured' };
+}
+
+function checkLlm() {
+  const provider = config.llmProvider;
+  const keys = {
+    gemini: Boolean(config.geminiApiKey),
+    // Local OpenAI-compatible servers need no key; OpenAI itself does.
+    openai: Boolean(config.openaiApiKey) || !config.openaiBaseUrl.includes('api.openai.com'),
+    mock: true,
+  };
+  return { ...configured(Boolean(PROVIDERS[provider]) && keys[provider]), provider };
+}
+
+function checkScraper() {
+  const { lastSuccessAt, lastErrorAt } = getScraperStatus();
+  let status = 'unknown';
+  if (lastErrorAt && (!lastSuccessAt || lastErrorAt > lastSuccessAt)) status = 'failing';
+  else if (lastSuccessAt) status = 'up';
+  return { status, lastSuccessAt, lastErrorAt };
+}
+
+function isUp(check) {
+  return check.status === 'up' || check.status === 'configured';
+}
+
+/**
+ * Run every dependency check.
+ * @returns {Promise<{ status: 'ready' | 'not_ready', checks: object, features: object }>}
+ */
+async function getReadiness() {
+  const [database, email] = await Promise.all([db.ping(), verifyEmailTransport()]);
+  const hospitalProvider = resolveProvider();
+  const checks = {
+    database,
+    llm: checkLlm(),
+    email,
+    tts: configured(Boolean(config.elevenLabsApiKey)),
+    places: { ...configured(Boolean(config.googleMapsApiKey)), hospitalProvider },
+    scraper: checkScraper(),
+  };
+
+  const placesSearch = hospitalProvider !== 'local' && isUp(checks.places);
+  const directorySearch = hospitalProvider !== 'places' && isUp(database);
+  const features = {
+    diagnosis: isUp(checks.llm),
+    voiceInput: isUp(checks.llm),
+    tts: isUp(checks.tts),
+    accounts: isUp(database),
+    emergencyEmail: isUp(email),
+    hospitalSearch: placesSearch || directorySearch,
+  };
+
+  const ready = REQUIRED_CHECKS.every((name) => isUp(checks[name]));
+  return { status: ready ? 'ready' : 'not_ready', checks, features };
+}
+
+module.exports = { getReadiness, REQUIRED_CHECKS };
@@ -0,0 +1,225 @@
+/**
+ * Hospital Directory Service — local MongoDB hospital collection
+ * Answers nearby-hospital queries with $geoNear so /hospitals works without Google Places,
+ * and loads facility lists (CSV or GeoJSON) into the Hospital collection.
+ */
+
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+
+const METERS_PER_MILE = 1609.34;
+const DEFAULT_MAX_DISTANCE_MILES = 50;
+const DEFAULT_LIMIT = 20;
+
+function unavailableError(message) {
+  const err = new Error(message);
+  err.statusCode = 503;
+  err.publicMessage = 'Hospital search service not configured';
+  return err;
+}
+
+/**
+ * Find hospitals from the local directory, nearest first.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {object} [options]
+ * @param {number} [options.maxDistanceMiles]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{ name, address, latitude, longitude, distance, website, averageWaitMinutes }>>}
+ */
+async function findLocalHospitals(latitude, longitude, options = {}) {
+  // Without a live connection mongoose would buffer the query until it times out.
+  if (mongoose.connection.readyState !== 1) {
+    throw unavailableError('Hospital directory unavailable: database not connected');
+  }
+
+  const maxDistanceMiles = options.maxDistanceMiles || DEFAULT_MAX_DISTANCE_MILES;
+  const docs = await Hospital.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distanceMiles',
+        distanceMultiplier: 1 / METERS_PER_MILE,
+        maxDistance: maxDistanceMiles * METERS_PER_MILE,
+        spherical: true,
+      },
+    },
+    { $limit: options.limit || DEFAULT_LIMIT },
+  ]);
+
+  return docs.map((doc) => ({
+    name: doc.name,
+    address: doc.address || '',
+    latitude: doc.location.coordinates[1],
+    longitude: doc.location.coordinates[0],
+    distance: Math.round(doc.distanceMiles * 10) / 10,
+    website: doc.website || null,
+    averageWaitMinutes: doc.averageWaitMinutes ?? null,
+  }));
+}
+
+/**
+ * Split CSV text into rows of fields, honoring double-quoted values. A quoted value may
+ * contain commas, doubled quotes and line breaks (multi-line address columns).
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let current = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(current.trim());
+    current = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some((field) => field !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      current += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Parse a CSV with a header row. Recognized columns:
+ * name, address, latitude (or lat), longitude (or lng/lon), averageWaitMinutes, website
+ */
+function parseHospitalsCsv(text) {
+  const rows = parseCsvRows(String(text || ''));
+  if (rows.length < 2) return [];
+
+  const header = rows[0].map((h) => h.toLowerCase());
+  const col = (...names) => header.findIndex((h) => names.includes(h));
+  const idx = {
+    name: col('name'),
+    address: col('address'),
+    latitude: col('latitude', 'lat'),
+    longitude: col('longitude', 'lng', 'lon'),
+    averageWaitMinutes: col('averagewaitminutes', 'average_wait_minutes'),
+    website: col('website', 'url'),
+  };
+
+  return rows.slice(1).map((fields) => {
+    const get = (key) => (idx[key] === -1 ? undefined : fields[idx[key]]);
+    return {
+      name: get('name'),
+      address: get('address'),
+      latitude: get('latitude'),
+      longitude: get('longitude'),
+      averageWaitMinutes: get('averageWaitMinutes'),
+      website: get('website'),
+    };
+  });
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection of Point features.
+ */
+function parseHospitalsGeoJson(text) {
+  const data = typeof text === 'string' ? JSON.parse(text) : text;
+  const features = Array.isArray(data?.features) ? data.features : [];
+
+  return features
+    .filter((f) => f?.geometry?.type === 'Point' && Array.isArray(f.geometry.coordinates))
+    .map((f) => {
+      const props = f.properties || {};
+      return {
+        name: props.name,
+        address: props.address,
+        latitude: f.geometry.coordinates[1],
+        longitude: f.geometry.coordinates[0],
+        averageWaitMinutes: props.averageWaitMinutes,
+        website: props.website,
+      };
+    });
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return NaN;
+  return Number(value);
+}
+
+/**
+ * Validate raw rows and convert them to Hospital documents.
+ * @returns {{ docs: Array, skipped: number }}
+ */
+function toHospitalDocs(rows) {
+  const docs = [];
+  let skipped = 0;
+
+  for (const row of rows) {
+    const name = String(row?.name || '').trim();
+    const lat = toNumber(row?.latitude);
+    const lng = toNumber(row?.longitude);
+    const wait = toNumber(row?.averageWaitMinutes);
+
+    if (!name || !Number.isFinite(lat) || !Number.isFinite(lng) ||
+        lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      skipped++;
+      continue;
+    }
+
+    const doc = {
+      name,
+      address: String(row.address || '').trim(),
+      website: String(row.website || '').trim(),
+      location: { type: 'Point', coordinates: [lng, lat] },
+    };
+    if (Number.isFinite(wait) && wait >= 0) {
+      doc.averageWaitMinutes = Math.round(wait);
+    }
+    docs.push(doc);
+  }
+
+  return { docs, skipped };
+}
+
+/**
+ * Upsert hospitals keyed by name + exact coordinates.
+ * @returns {Promise<{ upserted: number, modified: number }>}
+ */
+async function importHospitals(docs) {
+  if (docs.length === 0) return { upserted: 0, modified: 0 };
+
+  const result = await Hospital.bulkWrite(docs.map((doc) => ({
+    updateOne: {
+      filter: { name: doc.name, 'location.coordinates': doc.location.coordinates },
+      update: { $set: doc },
+      upsert: true,
+    },
+  })));
+
+  return { upserted: result.upsertedCount || 0, modified: result.modifiedCount || 0 };
+}
+
+module.exports = {
+  findLocalHospitals,
+  parseHospitalsCsv,
+  parseHospitalsGeoJson,
+  toHospitalDocs,
+  importHospitals,
+};
@@ -0,0 +1,181 @@
+/**
+ * Interview Service
+ * Follow-up questioning before a final diagnosis. Each conversation is a session keyed by
+ * a random ID that accumulates the patient's answers; /diagnose, /diagnose/stream and
+ * /triage accept the session ID and fold the answers into the diagnosis prompt.
+ *
+ * Sessions live in process memory with a sliding TTL. They only hold text (never images),
+ * and a lost session just means the diagnosis runs without the follow-up answers.
+ */
+
+const crypto = require('crypto');
+const llmService = require('./llmService');
+const { evaluateRedFlags } = require('./redFlagService');
+
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const MAX_SESSIONS = 1000;
+const MAX_ROUNDS = 3;
+const MAX_ANSWER_LENGTH = 1000;
+
+const sessions = new Map();
+
+function notFoundError() {
+  const err = new Error('Interview session not found');
+  err.statusCode = 404;
+  err.publicMessage = 'Interview session not found or expired';
+  return err;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.publicMessage = message;
+  return err;
+}
+
+function pruneSessions(now) {
+  for (const [id, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(id);
+  }
+  // Map iteration is insertion order, so the first entries are the oldest.
+  while (sessions.size >= MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+}
+
+/**
+ * Look up a live session. Sessions started by a logged-in user are only visible to that user.
+ * @returns {object|null}
+ */
+function getSession(sessionId, userId) {
+  const session = typeof sessionId === 'string' ? sessions.get(sessionId) : null;
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  if (session.userId && session.userId !== String(userId || '')) return null;
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  return session;
+}
+
+function toView(session) {
+  return {
+    sessionId: session.id,
+    round: session.round,
+    needsMoreInfo: session.pendingQuestions.length > 0,
+    questions: session.pendingQuestions,
+  };
+}
+
+async function askFollowUps(session, { image, profile }) {
+  // Never hold up an emergency with questions.
+  const redFlags = evaluateRedFlags({ symptoms: session.symptoms, answers: session.answers, profile });
+  if (session.round >= MAX_ROUNDS || redFlags.length > 0) {
+    session.pendingQuestions = [];
+    return;
+  }
+  const { needsMoreInfo, questions } = await llmService.generateFollowUpQuestions({
+    symptoms: session.symptoms,
+    image,
+    profile,
+    languageCode: session.languageCode,
+    answers: session.answers,
+  });
+  session.pendingQuestions = needsMoreInfo ? questions : [];
+  if (needsMoreInfo) session.round += 1;
+}
+
+/**
+ * Start an interview and ask the first round of questions.
+ * @param {{ userId?: string, symptoms: string[], image?: object|null, languageCode?: string|null, profile?: object|null }} input
+ * @returns {Promise<{ sessionId: string, round: number, needsMoreInfo: boolean, questions: Array<{ id, topic, text }> }>}
+ */
+async function startInterview({ userId, symptoms, image = null, languageCode = null, profile = null }) {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    userId: userId ? String(userId) : null,
+    symptoms,
+    languageCode,
+    // Profile of the person being interviewed (the user or a dependent), reused every round.
+    profile,
+    answers: [],
+    pendingQuestions: [],
+    round: 0,
+    expiresAt: now + SESSION_TTL_MS,
+  };
+
+  await askFollowUps(session, { image, profile });
+  pruneSessions(now);
+  sessions.set(session.id, session);
+  return toView(session);
+}
+
+/**
+ * Record answers to the pending questions and ask the next round, if any.
+ * Unanswered questions are dropped; blank answers count as "skipped".
+ * @param {string} sessionId
+ * @param {{ userId?: string, answers: Array<{ questionId: string, answer: string }> }} input
+ */
+async function answerInterview(sessionId, { userId, answers }) {
+  const session = getSession(sessionId, userId);
+  if (!session) throw notFoundError();
+  if (!Array.isArray(answers)) throw badRequest('answers must be an array');
+
+  for (const item of answers) {
+    if (!item || typeof item.questionId !== 'string' || typeof item.answer !== 'string') {
+      throw badRequest('Each answer must have string "questionId" and "answer" fields');
+    }
+    if (item.answer.length > MAX_ANSWER_LENGTH) {
+      throw badRequest(`Answers must be at most ${MAX_ANSWER_LENGTH} characters`);
+    }
+  }
+
+  session.pendingQuestions.forEach((question) => {
+    const match = answers.find((a) => a.questionId === question.id);
+    const answer = match?.answer.trim();
+    if (answer) session.answers.push({ question: question.text, answer });
+  });
+  session.pendingQuestions = [];
+
+  await askFollowUps(session, { image: null, profile: session.profile });
+  return toView(session);
+}
+
+/**
+ * Answers gathered so far, for the final diagnosis prompt.
+ * @returns {Array<{ question: string, answer: string }>|null} null when the session is unknown
+ */
+function getInterviewAnswers(sessionId, userId) {
+  const session = getSession(sessionId, userId);
+  return session ? session.answers : null;
+}
+
+/**
+ * Drop a user's sessions, e.g. when the account is deleted.
+ * @returns {number} sessions removed
+ */
+function clearSessionsForUser(userId) {
+  let removed = 0;
+  for (const [id, session] of sessions) {
+    if (session.userId && session.userId === String(userId)) {
+      sessions.delete(id);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+function clearInterviewSessions() {
+  sessions.clear();
+}
+
+module.exports = {
+  startInterview,
+  answerInterview,
+  getInterviewAnswers,
+  clearSessionsForUser,
+  clearInterviewSessions,
+  MAX_ROUNDS,
+};
@@ -0,0 +1,166 @@
+/**
+ * Gemini provider — @google/generative-ai
+ * Tries each candidate model in order, moving on only when a model is not found/supported.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { parseJsonFromText } = require('./json');
+const { metrics } = require('../metricsService');
+
+let model = null;
+let modelName = null;
+
+function getCandidateModels() {
+  const configured = process.env.GEMINI_MODEL || process.env.GEMINI_MODELS;
+  if (configured && configured.trim()) {
+    return configured.split(',').map((m) => m.trim()).filter(Boolean);
+  }
+  return ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-flash-latest'];
+}
+
+function getImageCandidateModels() {
+  const configured = process.env.GEMINI_IMAGE_MODEL || process.env.GEMINI_IMAGE_MODELS;
+  if (configured && configured.trim()) {
+    return configured.split(',').map((m) => m.trim()).filter(Boolean);
+  }
+  return ['gemini-2.5-flash', 'gemini-2.5-flash-image', 'gemini-2.0-flash'];
+}
+
+function getModel(candidate) {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    const err = new Error('GEMINI_API_KEY is required. Set it in .env');
+    err.statusCode = 500;
+    err.publicMessage = 'LLM is not configured on the server';
+    throw err;
+  }
+
+  if (!model || modelName !== candidate) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    model = genAI.getGenerativeModel({ model: candidate });
+    modelName = candidate;
+  }
+
+  return model;
+}
+
+function resetModel() {
+  model = null;
+  modelName = null;
+}
+
+function isModelNotFoundError(err) {
+  const message = (err?.message || String(err)).toLowerCase();
+  return err?.status === 404 || message.includes('not found') || message.includes('is not supported');
+}
+
+function normalizeGeminiError(err) {
+  if (err?.publicMessage) return err;
+
+  const statusCode = Number.isInteger(err?.status) ? err.status : 503;
+  const message = err?.message || String(err);
+  const lower = message.toLowerCase();
+  const normalized = new Error(`Gemini call failed: ${message}`);
+  normalized.statusCode = statusCode >= 400 ? statusCode : 503;
+  if (statusCode === 400) {
+    if (lower.includes('image')) {
+      normalized.publicMessage = 'Uploaded image could not be processed. Try a clear JPG or PNG image.';
+    } else {
+      normalized.publicMessage = 'Invalid input for diagnosis request';
+    }
+  } else {
+    normalized.publicMessage = 'Diagnosis service temporarily unavailable';
+  }
+  return normalized;
+}
+
+function toGeminiPart(part) {
+  if (part.text !== undefined) return { text: part.text };
+  const media = part.image || part.audio;
+  return { inlineData: { mimeType: media.mimeType, data: media.data } };
+}
+
+function buildPayload(request, responseMimeType) {
+  return {
+    contents: [{ role: 'user', parts: request.parts.map(toGeminiPart) }],
+    generationConfig: {
+      temperature: request.temperature ?? 0.2,
+      responseMimeType,
+    },
+  };
+}
+
+function recordUsage(candidate, usage) {
+  if (!usage) return;
+  const labels = { provider: 'gemini', model: candidate };
+  if (usage.promptTokenCount) metrics.llmTokens.inc({ ...labels, kind: 'prompt' }, usage.promptTokenCount);
+  if (usage.candidatesTokenCount) metrics.llmTokens.inc({ ...labels, kind: 'completion' }, usage.candidatesTokenCount);
+}
+
+/**
+ * Run `call(model)` against each candidate model until one exists.
+ * @returns {Promise<{ result: any, candidate: string }>} the result and the model that answered
+ */
+async function withCandidateModels(request, call) {
+  const hasImage = request.parts.some((p) => p.image);
+  const candidateModels = hasImage ? getImageCandidateModels() : getCandidateModels();
+  let lastError = null;
+
+  for (const candidate of candidateModels) {
+    try {
+      const result = await call(getModel(candidate));
+      metrics.llmModelCalls.inc({ provider: 'gemini', model: candidate, outcome: 'success' });
+      return { result, candidate };
+    } catch (err) {
+      lastError = err;
+      const retryNext = isModelNotFoundError(err);
+      metrics.llmModelCalls.inc({
+        provider: 'gemini',
+        model: candidate,
+        outcome: retryNext ? 'model_not_found' : 'error',
+      });
+      if (!retryNext) break;
+      resetModel();
+    }
+  }
+
+  throw normalizeGeminiError(lastError);
+}
+
+/**
+ * @param {{ parts: Array<{ text?: string, image?: object, audio?: object }>, temperature?: number }} request
+ * @returns {Promise<object>} parsed JSON
+ */
+async function generateJson(request) {
+  const payload = buildPayload(request, 'application/json');
+  const { result, candidate } = await withCandidateModels(request, (m) => m.generateContent(payload));
+  recordUsage(candidate, result?.response?.usageMetadata);
+  const text = result?.response?.text ? result.response.text() : '';
+  return parseJsonFromText(text);
+}
+
+/**
+ * Stream plain text, calling onText for each chunk as Gemini produces it.
+ * @returns {Promise<string>} the full text
+ */
+async function streamText(request, onText) {
+  const payload = buildPayload(request, 'text/plain');
+  const { result, candidate } = await withCandidateModels(request, (m) => m.generateContentStream(payload));
+
+  let full = '';
+  try {
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        full += text;
+        onText(text);
+      }
+    }
+    recordUsage(candidate, (await result.response)?.usageMetadata);
+  } catch (err) {
+    throw normalizeGeminiError(err);
+  }
+  return full;
+}
+
+module.exports = { name: 'gemini', generateJson, streamText };
@@ -0,0 +1,26 @@
+/**
+ * LLM provider registry.
+ * Every provider exposes generateJson({ task, parts, temperature, context }) → parsed JSON, where
+ * parts are { text } | { image: { mimeType, data } } | { audio: { mimeType, data } }.
+ * `task` and `context` describe the call for providers that do not read the prompt (mock).
+ */
+
+const config = require('../../config');
+const gemini = require('./gemini');
+const openai = require('./openai');
+const mock = require('./mock');
+
+const PROVIDERS = { gemini, openai, mock };
+
+function getProvider() {
+  const provider = PROVIDERS[config.llmProvider];
+  if (!provider) {
+    const err = new Error(`Unknown LLM_PROVIDER "${config.llmProvider}"`);
+    err.statusCode = 500;
+    err.publicMessage = 'LLM is not configured on the server';
+    throw err;
+  }
+  return provider;
+}
+
+module.exports = { getProvider, PROVIDERS };
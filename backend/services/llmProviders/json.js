@@ -0,0 +1,33 @@
+/**
+ * Shared JSON extraction for LLM text output.
+ * Models occasionally wrap JSON in prose or code fences; fall back to the outermost object.
+ */
+function parseJsonFromText(text) {
+  const raw = String(text || '').trim();
+  if (!raw) {
+    throw new Error('LLM returned empty text');
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    // Fall back to extracting the first JSON object from mixed text.
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start === -1 || end === -1 || end <= start) {
+      throw new Error('LLM returned non-JSON output');
+    }
+
+    const candidate = raw.slice(start, end + 1);
+    try {
+      return JSON.parse(candidate);
+    } catch (err) {
+      // JSON.parse quotes the input in its message, and model output can echo the patient's
+      // symptoms, so only the length and error position go into the error (and the logs).
+      const position = err.message.match(/position (\d+)/)?.[1];
+      throw new Error(`LLM JSON parse failed (${candidate.length} chars${position ? `, at position ${position}` : ''})`);
+    }
+  }
+}
+
+module.exports = { parseJsonFromText };
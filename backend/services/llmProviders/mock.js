@@ -0,0 +1,168 @@
+/**
+ * Mock provider — deterministic, rule-based answers for CI and offline development.
+ * Never calls the network. Diagnoses come from keyword rules over the symptoms in
+ * request.context; translations echo the source fields unchanged, the interview
+ * asks one fixed round of follow-up questions, symptom extraction matches the
+ * terminology synonyms, and the crisis classifier flags a few fixed phrases.
+ */
+
+const { NEXT_STEPS_MARKER } = require('./streaming');
+const { matchConcepts, matchBodySites } = require('../terminologyService');
+
+const DIAGNOSIS_RULES = [
+  {
+    keywords: ['chest pain', 'chest tightness', 'shortness of breath', 'trouble breathing', 'difficulty breathing'],
+    diagnosis: {
+      condition: 'Chest pain concern',
+      severity: 3,
+      reasoning: 'Chest pain or trouble breathing can come from the heart or lungs and needs to be checked right away.',
+      nextSteps: 'Call 911 or go to the nearest emergency room now. Sit upright and avoid any physical effort.',
+      differentials: [
+        { condition: 'Chest pain concern', likelihood: 'high', distinguishingSymptoms: ['pain spreading to the arm or jaw'] },
+        { condition: 'Panic attack', likelihood: 'moderate', distinguishingSymptoms: ['racing heart with fear', 'tingling hands'] },
+        { condition: 'Chest wall strain', likelihood: 'low', distinguishingSymptoms: ['pain worse when pressing on the chest'] },
+      ],
+    },
+  },
+  {
+    keywords: ['face drooping', 'slurred speech', 'arm weakness', 'stroke', 'fainted', 'unconscious', 'severe bleeding'],
+    diagnosis: {
+      condition: 'Possible emergency',
+      severity: 3,
+      reasoning: 'These signs can point to a serious problem such as a stroke or major blood loss.',
+      nextSteps: 'Call 911 right away. Note the time the symptoms started.',
+      differentials: [
+        { condition: 'Possible emergency', likelihood: 'high', distinguishingSymptoms: ['sudden weakness or numbness'] },
+        { condition: 'Low blood sugar', likelihood: 'low', distinguishingSymptoms: ['shaky and sweaty', 'skipped a meal'] },
+      ],
+    },
+  },
+  {
+    keywords: ['fever', 'cough', 'chills', 'sore throat', 'body aches', 'flu'],
+    diagnosis: {
+      condition: 'Flu-like illness',
+      severity: 2,
+      reasoning: 'Fever with cough or body aches often comes from a viral infection like the flu.',
+      nextSteps: 'Rest, drink plenty of fluids and see a doctor if the fever lasts more than three days.',
+      differentials: [
+        { condition: 'Flu-like illness', likelihood: 'high', distinguishingSymptoms: ['sudden fever', 'body aches'] },
+        { condition: 'Common cold', likelihood: 'moderate', distinguishingSymptoms: ['runny nose', 'mild or no fever'] },
+        { condition: 'Strep throat', likelihood: 'low', distinguishingSymptoms: ['very sore throat without a cough'] },
+      ],
+    },
+  },
+];
+
+const DEFAULT_DIAGNOSIS = {
+  condition: 'Minor ailment',
+  severity: 1,
+  reasoning: 'Your symptoms sound mild and are likely to improve on their own.',
+  nextSteps: 'Rest and watch your symptoms. See a doctor if they get worse or do not improve in a few days.',
+  differentials: [
+    { condition: 'Minor ailment', likelihood: 'high', distinguishingSymptoms: ['symptoms stay mild'] },
+    { condition: 'Viral infection', likelihood: 'low', distinguishingSymptoms: ['fever develops'] },
+  ],
+};
+
+const MOCK_TRANSCRIPT = 'I have a headache and a mild fever';
+
+// Wording the classifier flags, with or without a "possible" phrase ("I hurt myself on purpose").
+const MOCK_CRISIS_PHRASES = ['hopeless', 'want to disappear', 'on purpose'];
+
+const MOCK_FOLLOW_UP_QUESTIONS = [
+  { topic: 'onset', text: 'When did this start?' },
+  { topic: 'duration', text: 'Has it been constant, or does it come and go?' },
+  { topic: 'painScale', text: 'On a scale of 0 to 10, how bad is it right now?' },
+  { topic: 'medications', text: 'Have you taken any medicine for it?' },
+];
+
+/**
+ * Ask the standard follow-ups once, unless the symptoms already look like an emergency.
+ */
+function interview(context) {
+  const alreadyAnswered = (context?.answers || []).length > 0;
+  if (alreadyAnswered || diagnose(context).severity === 3) {
+    return { needsMoreInfo: false };
+  }
+  return { needsMoreInfo: true, questions: MOCK_FOLLOW_UP_QUESTIONS };
+}
+
+/**
+ * One entry per terminology concept found in each symptom string.
+ */
+function extractSymptoms(context) {
+  const entries = (context?.symptoms || []).flatMap((text) => {
+    const lower = text.toLowerCase();
+    const [bodySite = null] = matchBodySites(text);
+    const laterality = (/\bleft\b/.test(lower) && 'left') || (/\bright\b/.test(lower) && 'right')
+      || (/\bboth\b/.test(lower) && 'bilateral') || null;
+    const severity = ['mild', 'moderate', 'severe'].find((level) => lower.includes(level)) || null;
+    const duration = lower.match(/\bfor (\w+ (?:hours?|days?|weeks?|months?))/)?.[1] || null;
+    return matchConcepts(text).map((concept) => ({
+      text, concept, bodySite, laterality, onset: null, duration, severity,
+    }));
+  });
+  return { entries };
+}
+
+function diagnose(context) {
+  const text = (context?.symptoms || []).join(' ').toLowerCase();
+  const rule = DIAGNOSIS_RULES.find((r) => r.keywords.some((k) => text.includes(k)));
+  return { ...(rule ? rule.diagnosis : DEFAULT_DIAGNOSIS), languageCode: 'en' };
+}
+
+/**
+ * @param {{ task: string, parts: Array, context?: object }} request
+ * @returns {Promise<object>}
+ */
+async function generateJson(request) {
+  switch (request.task) {
+    case 'diagnosis':
+      return diagnose(request.context);
+    case 'triage': {
+      const { condition, severity, differentials, languageCode } = diagnose(request.context);
+      return { condition, severity, differentials, languageCode };
+    }
+    case 'interview':
+      return interview(request.context);
+    case 'symptomExtraction':
+      return extractSymptoms(request.context);
+    case 'crisisClassification': {
+      const text = (request.context?.texts || []).join(' ').toLowerCase();
+      const crisis = MOCK_CRISIS_PHRASES.some((p) => text.includes(p));
+      return { crisis, category: crisis ? 'self_harm' : 'none' };
+    }
+    case 'translation':
+      return {
+        condition: request.context?.condition || '',
+        reasoning: request.context?.reasoning || '',
+        nextSteps: request.context?.nextSteps || '',
+        differentials: request.context?.differentials || [],
+      };
+    case 'transcription':
+      return { symptomsText: MOCK_TRANSCRIPT, languageCode: 'en' };
+    case 'languageDetection':
+      return { languageCode: 'en' };
+    default:
+      throw new Error(`Mock LLM provider has no answer for task "${request.task}"`);
+  }
+}
+
+/**
+ * Stream the canned reasoning and next steps word by word.
+ * @returns {Promise<string>}
+ */
+async function streamText(request, onText) {
+  if (request.task !== 'reasoning') {
+    throw new Error(`Mock LLM provider cannot stream task "${request.task}"`);
+  }
+
+  const { reasoning, nextSteps } = diagnose(request.context);
+  const full = `${reasoning}\n${NEXT_STEPS_MARKER}\n${nextSteps}`;
+  for (const token of full.match(/\S+\s*/g)) {
+    onText(token);
+  }
+  return full;
+}
+
+module.exports = { name: 'mock', generateJson, streamText };
@@ -0,0 +1,149 @@
+/**
+ * OpenAI-compatible provider — POST {baseUrl}/chat/completions
+ * Works with OpenAI itself and local servers that speak the same API (llama.cpp, Ollama, vLLM).
+ */
+
+const config = require('../../config');
+const { parseJsonFromText } = require('./json');
+const { metrics } = require('../metricsService');
+
+function toDataUrl(media) {
+  return `data:${media.mimeType};base64,${media.data}`;
+}
+
+function audioFormat(mimeType) {
+  const subtype = mimeType.split('/')[1] || '';
+  if (subtype === 'mpeg' || subtype === 'mp3') return 'mp3';
+  if (subtype === 'x-wav' || subtype === 'wave') return 'wav';
+  return subtype;
+}
+
+function toOpenAiContent(part) {
+  if (part.text !== undefined) return { type: 'text', text: part.text };
+  if (part.image) return { type: 'image_url', image_url: { url: toDataUrl(part.image) } };
+  return {
+    type: 'input_audio',
+    input_audio: { data: part.audio.data, format: audioFormat(part.audio.mimeType) },
+  };
+}
+
+/**
+ * Count the `usage` block of a completion (streams include one only if the server adds it).
+ */
+function recordUsage(usage) {
+  if (!usage) return;
+  const labels = { provider: 'openai', model: config.openaiModel };
+  if (usage.prompt_tokens) metrics.llmTokens.inc({ ...labels, kind: 'prompt' }, usage.prompt_tokens);
+  if (usage.completion_tokens) metrics.llmTokens.inc({ ...labels, kind: 'completion' }, usage.completion_tokens);
+}
+
+/**
+ * A short summary of a failed response: the status and the error type or code from an
+ * OpenAI-style `{ error: { type, code } }` body. Never the body itself, which can echo the
+ * prompt (patient text) back.
+ */
+async function describeFailure(response) {
+  let body = null;
+  try {
+    body = JSON.parse(await response.text());
+  } catch {
+    // Not JSON (an HTML error page from a proxy); the status is enough.
+  }
+  const kind = [body?.error?.type, body?.error?.code]
+    .find((value) => typeof value === 'string' && /^[\w.-]{1,60}$/.test(value));
+  return kind ? `${response.status} ${kind}` : String(response.status);
+}
+
+function requestError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode >= 400 ? statusCode : 503;
+  err.publicMessage = statusCode === 400
+    ? 'Invalid input for diagnosis request'
+    : 'Diagnosis service temporarily unavailable';
+  return err;
+}
+
+async function postChatCompletion(request, extraBody) {
+  const baseUrl = config.openaiBaseUrl.replace(/\/$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.openaiApiKey) headers.Authorization = `Bearer ${config.openaiApiKey}`;
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: config.openaiModel,
+        temperature: request.temperature ?? 0.2,
+        messages: [{ role: 'user', content: request.parts.map(toOpenAiContent) }],
+        ...extraBody,
+      }),
+      signal: AbortSignal.timeout(config.llmTimeoutMs),
+    });
+  } catch (err) {
+    metrics.llmModelCalls.inc({ provider: 'openai', model: config.openaiModel, outcome: 'error' });
+    throw requestError(`OpenAI-compatible call failed: ${err.message}`, 503);
+  }
+
+  metrics.llmModelCalls.inc({
+    provider: 'openai',
+    model: config.openaiModel,
+    outcome: response.ok ? 'success' : 'error',
+  });
+  if (!response.ok) {
+    throw requestError(`OpenAI-compatible API error (${await describeFailure(response)})`, response.status);
+  }
+  return response;
+}
+
+/**
+ * @param {{ parts: Array<{ text?: string, image?: object, audio?: object }>, temperature?: number }} request
+ * @returns {Promise<object>} parsed JSON
+ */
+async function generateJson(request) {
+  const response = await postChatCompletion(request, { response_format: { type: 'json_object' } });
+  const data = await response.json();
+  recordUsage(data?.usage);
+  const text = data?.choices?.[0]?.message?.content || '';
+  return parseJsonFromText(text);
+}
+
+/**
+ * Stream plain text from a `stream: true` completion (server-sent `data:` lines).
+ * @returns {Promise<string>} the full text
+ */
+async function streamText(request, onText) {
+  const response = await postChatCompletion(request, { stream: true });
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let full = '';
+
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return full;
+
+        const event = JSON.parse(payload);
+        recordUsage(event?.usage);
+        const text = event?.choices?.[0]?.delta?.content;
+        if (text) {
+          full += text;
+          onText(text);
+        }
+      }
+    }
+  } catch (err) {
+    throw requestError(`OpenAI-compatible stream failed: ${err.message}`, 503);
+  }
+  return full;
+}
+
+module.exports = { name: 'openai', generateJson, streamText };
@@ -0,0 +1,63 @@
+/**
+ * Helpers for streamed diagnosis text.
+ * The streamed prompt asks for the reasoning, then a marker line, then the next steps,
+ * so both sections can be forwarded token by token as they arrive.
+ */
+
+const NEXT_STEPS_MARKER = 'NEXT STEPS:';
+
+/**
+ * Split streamed text into reasoning / nextSteps sections.
+ * Holds back just enough text to recognize a marker split across chunks.
+ * @param {(section: 'reasoning'|'nextSteps', text: string) => void} onSection
+ */
+function createSectionSplitter(onSection) {
+  let section = 'reasoning';
+  let buffer = '';
+
+  function emit(text) {
+    if (text) onSection(section, text);
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      if (section === 'reasoning') {
+        const idx = buffer.indexOf(NEXT_STEPS_MARKER);
+        if (idx === -1) {
+          const safeLength = buffer.length - (NEXT_STEPS_MARKER.length - 1);
+          if (safeLength > 0) {
+            emit(buffer.slice(0, safeLength));
+            buffer = buffer.slice(safeLength);
+          }
+          return;
+        }
+        emit(buffer.slice(0, idx));
+        section = 'nextSteps';
+        buffer = buffer.slice(idx + NEXT_STEPS_MARKER.length);
+      }
+      emit(buffer);
+      buffer = '';
+    },
+    end() {
+      emit(buffer);
+      buffer = '';
+    },
+  };
+}
+
+/**
+ * Split the complete streamed text into trimmed sections.
+ * @returns {{ reasoning: string, nextSteps: string }}
+ */
+function splitSections(text) {
+  const raw = String(text || '');
+  const idx = raw.indexOf(NEXT_STEPS_MARKER);
+  if (idx === -1) return { reasoning: raw.trim(), nextSteps: '' };
+  return {
+    reasoning: raw.slice(0, idx).trim(),
+    nextSteps: raw.slice(idx + NEXT_STEPS_MARKER.length).trim(),
+  };
+}
+
+module.exports = { NEXT_STEPS_MARKER, createSectionSplitter, splitSections };
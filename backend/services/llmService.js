@@ -1,9 +1,29 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { SUPPORTED_LANGUAGES } = require('./ttsService');
+const { getProvider } = require('./llmProviders');
+const { NEXT_STEPS_MARKER, createSectionSplitter, splitSections } = require('./llmProviders/streaming');
+const { evaluateRedFlags, applyRedFlags, buildRedFlagDiagnosis } = require('./redFlagService');
+const {
+  TERMINOLOGY_VERSION,
+  LATERALITIES,
+  SEVERITIES,
+  findConcept,
+  findBodySite,
+  describeTerminology,
+} = require('./terminologyService');
+const { createLogger } = require('./logService');
+const { metrics } = require('./metricsService');
+
+const logger = createLogger({ service: 'llm' });
 
-let model = null;
-let modelName = null;
 const DEFAULT_LANGUAGE_CODE = 'en';
+const MAX_FOLLOW_UP_QUESTIONS = 4;
+const FOLLOW_UP_TOPICS = ['onset', 'duration', 'painScale', 'medications', 'other'];
+const LIKELIHOOD_BUCKETS = ['high', 'moderate', 'low'];
+const MAX_DIFFERENTIALS = 5;
+const MAX_DISTINGUISHING_SYMPTOMS = 5;
+const MAX_EXTRACTED_SYMPTOMS = 20;
+const MAX_QUALIFIER_LENGTH = 100;
+const CRISIS_CATEGORIES = ['suicidal', 'self_harm', 'none'];
 const LANGUAGE_LABELS = {
   en: 'English',
   es: 'Spanish',
@@ -37,59 +57,6 @@ const LANGUAGE_LABELS = {
   sk: 'Slovak',
 };
 
-function getCandidateModels() {
-  const configured = process.env.GEMINI_MODEL || process.env.GEMINI_MODELS;
-  if (configured && configured.trim()) {
-    return configured.split(',').map((m) => m.trim()).filter(Boolean);
-  }
-  return ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-flash-latest'];
-}
-
-function getImageCandidateModels() {
-  const configured = process.env.GEMINI_IMAGE_MODEL || process.env.GEMINI_IMAGE_MODELS;
-  if (configured && configured.trim()) {
-    return configured.split(',').map((m) => m.trim()).filter(Boolean);
-  }
-  return ['gemini-2.5-flash', 'gemini-2.5-flash-image', 'gemini-2.0-flash'];
-}
-
-function getModel() {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    const err = new Error('GEMINI_API_KEY is required. Set it in .env');
-    err.statusCode = 500;
-    err.publicMessage = 'LLM is not configured on the server';
-    throw err;
-  }
-
-  if (!model) {
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const [selectedModel] = getCandidateModels();
-    modelName = selectedModel;
-    model = genAI.getGenerativeModel({ model: selectedModel });
-  }
-
-  return model;
-}
-
-function resetModel() {
-  model = null;
-  modelName = null;
-}
-
-function isModelNotFoundError(err) {
-  const message = (err?.message || String(err)).toLowerCase();
-  return err?.status === 404 || message.includes('not found') || message.includes('is not supported');
-}
-
-function isInvalidImageError(err) {
-  const message = (err?.message || String(err)).toLowerCase();
-  return err?.status === 400 && (
-    message.includes('provided image is not valid') ||
-    message.includes('unable to process input image')
-  );
-}
-
 const AUDIO_TRANSCRIBE_PROMPT = `You are a strict medical transcription assistant. Listen carefully to this audio recording.
 
 CRITICAL RULES:
@@ -119,25 +86,33 @@ Rules:
 - languageCode: ISO 639-1 code of the spoken language
 - Do NOT include markdown, code fences, or any text outside the JSON.`;
 
-function buildDiagnosisTranslationPrompt(condition, reasoning, nextSteps, targetLanguageCode) {
+function buildDiagnosisTranslationPrompt(condition, reasoning, nextSteps, differentials, targetLanguageCode) {
   const langLabel = LANGUAGE_LABELS[targetLanguageCode] || targetLanguageCode;
+  const differentialsJson = JSON.stringify(
+    differentials.map((d) => ({ condition: d.condition, distinguishingSymptoms: d.distinguishingSymptoms }))
+  );
   return `Translate the following medical diagnosis into ${langLabel} (${targetLanguageCode}). Keep it simple, use everyday words.
 
 Condition: ${condition}
 Reasoning: ${reasoning}
 Next Steps: ${nextSteps || 'N/A'}
+Differentials: ${differentialsJson}
 
 Output ONLY strict JSON:
 {
   "condition": "...",
   "reasoning": "...",
-  "nextSteps": "..."
+  "nextSteps": "...",
+  "differentials": [
+    { "condition": "...", "distinguishingSymptoms": ["..."] }
+  ]
 }
 
 Rules:
 - Translate all fields into ${langLabel}.
 - Keep the same meaning and tone.
 - If Next Steps is "N/A", set nextSteps to an empty string.
+- differentials must have the same number of items, in the same order, as the input list.
 - Do NOT include markdown, code fences, or any text outside the JSON.`;
 }
 
@@ -151,6 +126,9 @@ Output ONLY strict JSON:
   "severity": 1,
   "reasoning": "...",
   "nextSteps": "...",
+  "differentials": [
+    { "condition": "...", "likelihood": "high", "distinguishingSymptoms": ["..."] }
+  ],
   "languageCode": "en"
 }
 
@@ -161,6 +139,8 @@ CRITICAL INSTRUCTIONS:
    - Consider how the patient's demographic profile affects likelihood of certain conditions (e.g. certain conditions are more common in specific age groups or demographics).
    - Do NOT explicitly mention the patient's age, weight, height, or BMI in your response. Instead, let those factors silently inform your conclusion.
    - Do NOT say things like "because you are 68" or "given your weight". Just use the info to give a more accurate assessment.
+   - If medical history is provided, weigh it explicitly: chronic conditions and pregnancy change how serious a symptom is (e.g. fever in a diabetic, abdominal pain in pregnancy), and current medications can cause symptoms or make them dangerous (e.g. any bleeding or head injury while on blood thinners).
+   - Never suggest a medicine the patient is allergic to, and mention drug interactions with their current medications when they matter for the next steps.
 
 2. CONDITION: Use a short, plain name.
    - GOOD: "Insect bite or sting", "Chest pain concern"
@@ -177,6 +157,11 @@ CRITICAL INSTRUCTIONS:
    - Suggest simple things they can do at home if applicable (rest, ice, hydration, etc.).
    - For severity 3: emphasize urgency clearly.
 
+5. DIFFERENTIALS: List 2–${MAX_DIFFERENTIALS} possible conditions, most likely first.
+   - The first item must be your top pick, with the same name as "condition".
+   - likelihood must be one of: ${LIKELIHOOD_BUCKETS.join(', ')}.
+   - distinguishingSymptoms: 1–3 short plain phrases that would point to this condition over the others (e.g. "fever above 39°C", "pain moves to the lower right belly").
+
 BANNED PHRASES (never use these):
 - "The image displays" / "The image shows"
 - "statistically consistent" / "statistically"
@@ -200,29 +185,169 @@ Rules:
 - Use severity 3 for dangerous symptoms (chest pain, fainting, stroke signs, severe bleeding, difficulty breathing).
 - Do NOT include markdown, code fences, or any text outside the JSON.`;
 
-function parseJsonFromText(text) {
-  const raw = String(text || '').trim();
-  if (!raw) {
-    throw new Error('Gemini returned empty text');
-  }
+// Streaming diagnosis runs in two steps: a quick JSON triage, then streamed plain-text reasoning.
+const TRIAGE_PROMPT_TEMPLATE = `You are an emergency triage nurse. Classify the patient's situation quickly.
 
-  try {
-    return JSON.parse(raw);
-  } catch (_) {
-    // Fall back to extracting the first JSON object from mixed text.
-    const start = raw.indexOf('{');
-    const end = raw.lastIndexOf('}');
-    if (start === -1 || end === -1 || end <= start) {
-      throw new Error('Gemini returned non-JSON output');
-    }
+Patient's symptoms: {{symptoms}}
+
+Output ONLY strict JSON:
+{
+  "condition": "...",
+  "severity": 1,
+  "differentials": [
+    { "condition": "...", "likelihood": "high", "distinguishingSymptoms": ["..."] }
+  ],
+  "languageCode": "en"
+}
+
+Rules:
+- condition: a short, plain name (e.g. "Insect bite or sting", "Chest pain concern").
+- differentials: 2–${MAX_DIFFERENTIALS} possible conditions, most likely first; the first is your top pick with the same name as "condition". likelihood is one of: ${LIKELIHOOD_BUCKETS.join(', ')}. distinguishingSymptoms: 1–3 short plain phrases that would point to that condition over the others.
+- severity must be an integer: 1 = mild, 2 = moderate, 3 = severe.
+- Use severity 3 for dangerous symptoms (chest pain, fainting, stroke signs, severe bleeding, difficulty breathing).
+- languageCode: ISO 639-1 code of the language the patient wrote in.
+- If patient info is provided, let it silently inform the assessment.
+- If medical history is provided, account for chronic conditions, pregnancy, current medications (side effects, blood thinners) and allergies.
+- Do NOT include markdown, code fences, or any text outside the JSON.`;
+
+const REASONING_PROMPT_TEMPLATE = `You are a caring primary care doctor speaking directly to the patient. Use simple, everyday words—like you're talking to a family member.
+
+Patient's symptoms: {{symptoms}}
+Likely condition: {{condition}}
+Severity: {{severity}} (1 = mild, 2 = moderate, 3 = severe)
+
+Write plain text in English. No JSON, no markdown, no headings other than the marker below.
+1. First write 3–5 warm, clear sentences explaining what could be going on and why their symptoms point to this.
+2. Then write a line containing exactly "${NEXT_STEPS_MARKER}".
+3. Then write 2–4 actionable sentences: when to see a doctor vs. monitor at home, red flags that need immediate care, simple things to do at home. For severity 3, emphasize urgency clearly.
+
+Rules:
+- Speak directly to the patient using "you" and "your".
+- Do NOT mention the patient's age, weight, height, or BMI explicitly.
+- If medical history is provided, tailor the next steps to it: never suggest a medicine they are allergic to, and warn about interactions with their current medications.
+- Never use phrases like "The image shows", "statistically", "the user", "inflammatory response", or "based on analysis".
+- No medical advice disclaimers (the app adds its own).`;
+
+// Interview mode: before diagnosing, the model may ask a few follow-up questions.
+const INTERVIEW_PROMPT_TEMPLATE = `You are a caring primary care doctor taking a patient's history before giving an assessment.
+
+Patient's symptoms: {{symptoms}}
+
+Decide whether you need more information to give a useful assessment.
+
+Output ONLY strict JSON, either:
+{
+  "needsMoreInfo": true,
+  "questions": [
+    { "topic": "onset", "text": "..." }
+  ]
+}
+or, when you have enough information:
+{
+  "needsMoreInfo": false
+}
+
+Rules:
+- Ask at most ${MAX_FOLLOW_UP_QUESTIONS} short, simple questions, one thing per question.
+- topic must be one of: ${FOLLOW_UP_TOPICS.join(', ')}.
+- Prefer the missing basics: when it started (onset), how long it has lasted (duration), how bad it is on a 0–10 scale (painScale), medications already taken (medications).
+- Never ask something the patient already answered.
+- Never ask about anything listed in the patient's medical history (conditions, medications, allergies, pregnancy, surgeries).
+- If the symptoms suggest an emergency (chest pain, fainting, stroke signs, severe bleeding, difficulty breathing), set needsMoreInfo to false right away.
+- Write the questions in {{language}}, speaking directly to the patient.
+- Do NOT include markdown, code fences, or any text outside the JSON.`;
+
+// Structured extraction: the model maps free text onto IDs from data/symptomTerminology.json.
+const SYMPTOM_EXTRACTION_PROMPT_TEMPLATE = `You are a clinical coder. Turn the patient's own words into structured symptom entries.
 
-    const candidate = raw.slice(start, end + 1);
-    try {
-      return JSON.parse(candidate);
-    } catch (err) {
-      throw new Error(`Gemini JSON parse failed: ${err.message}`);
+Patient's symptoms: {{symptoms}}
+
+Allowed concepts: {{concepts}}
+Allowed body sites: {{bodySites}}
+
+Output ONLY strict JSON:
+{
+  "entries": [
+    {
+      "text": "...",
+      "concept": "headache",
+      "bodySite": "head",
+      "laterality": null,
+      "onset": "yesterday morning",
+      "duration": "2 days",
+      "severity": "moderate"
     }
+  ]
+}
+
+Rules:
+- One entry per distinct symptom, at most ${MAX_EXTRACTED_SYMPTOMS}.
+- text: the patient's words for that symptom, copied as written (any language).
+- concept and bodySite: an ID from the allowed lists, or null when nothing fits. Never invent IDs.
+- laterality: one of ${LATERALITIES.join(', ')}, or null.
+- severity: one of ${SEVERITIES.join(', ')}, or null when the patient did not say.
+- onset and duration: short English phrases, or null when not stated. Do not guess.
+- Do NOT include markdown, code fences, or any text outside the JSON.`;
+
+// Crisis screening: a yes/no safety check that runs before any diagnosis work.
+const CRISIS_CLASSIFIER_PROMPT_TEMPLATE = `You are a safety screener for a symptom checker. Decide whether the patient's message shows a risk of suicide or self-harm.
+
+Patient's message: {{texts}}
+
+Output ONLY strict JSON:
+{
+  "crisis": false,
+  "category": "none"
+}
+
+Rules:
+- crisis: true when the message expresses suicidal thoughts, a wish to die, a plan or intent to hurt themselves, or recent deliberate self-harm, in any language.
+- crisis: false for accidental injuries ("I cut myself cooking", "I hurt myself falling off a ladder") and for ordinary symptoms.
+- category: one of ${CRISIS_CATEGORIES.join(', ')}.
+- Do NOT include markdown, code fences, or any text outside the JSON.`;
+
+function normalizeDifferential(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+  const condition = typeof item.condition === 'string' ? item.condition.trim() : '';
+  const likelihood = typeof item.likelihood === 'string' ? item.likelihood.trim().toLowerCase() : '';
+  if (!condition || !LIKELIHOOD_BUCKETS.includes(likelihood)) return null;
+
+  const distinguishingSymptoms = (Array.isArray(item.distinguishingSymptoms) ? item.distinguishingSymptoms : [])
+    .filter((s) => typeof s === 'string' && s.trim())
+    .map((s) => s.trim())
+    .slice(0, MAX_DISTINGUISHING_SYMPTOMS);
+  return { condition, likelihood, distinguishingSymptoms };
+}
+
+/**
+ * Enforce the differentials schema: [{ condition, likelihood: 'high'|'moderate'|'low', distinguishingSymptoms: string[] }].
+ * Malformed items are dropped; the top pick (`condition`) always comes first and the rest are
+ * ordered by likelihood bucket, keeping the model's order within a bucket.
+ */
+function normalizeDifferentials(raw, condition) {
+  if (raw !== undefined && raw !== null && !Array.isArray(raw)) {
+    throw new Error('Invalid LLM response: differentials must be an array');
   }
+
+  const seen = new Set();
+  const items = (raw || [])
+    .map(normalizeDifferential)
+    .filter((d) => {
+      if (!d || seen.has(d.condition.toLowerCase())) return false;
+      seen.add(d.condition.toLowerCase());
+      return true;
+    });
+
+  const topIndex = items.findIndex((d) => d.condition.toLowerCase() === condition.toLowerCase());
+  const top = topIndex === -1
+    ? { condition, likelihood: 'high', distinguishingSymptoms: [] }
+    : items.splice(topIndex, 1)[0];
+  const rest = items
+    .map((d, i) => ({ d, i }))
+    .sort((a, b) => (LIKELIHOOD_BUCKETS.indexOf(a.d.likelihood) - LIKELIHOOD_BUCKETS.indexOf(b.d.likelihood)) || (a.i - b.i))
+    .map(({ d }) => d);
+
+  return [top, ...rest].slice(0, MAX_DIFFERENTIALS);
 }
 
 function validateAndNormalize(obj, fallbackLanguageCode) {
@@ -248,8 +373,32 @@ function validateAndNormalize(obj, fallbackLanguageCode) {
   if (!Number.isInteger(severity) || severity < 1 || severity > 3) {
     throw new Error('Invalid LLM response: severity must be 1, 2, or 3');
   }
+  const differentials = normalizeDifferentials(obj.differentials, condition);
 
-  return { condition, severity, reasoning, nextSteps, languageCode };
+  return { condition, severity, reasoning, nextSteps, differentials, languageCode };
+}
+
+function normalizeTriage(obj, fallbackLanguageCode) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new Error('Invalid LLM triage response shape');
+  }
+
+  const condition = typeof obj.condition === 'string' ? obj.condition.trim() : '';
+  const severity = Number(obj.severity);
+  const rawLanguageCode = typeof obj.languageCode === 'string' ? obj.languageCode.trim().toLowerCase() : '';
+  const languageCode = SUPPORTED_LANGUAGES.includes(rawLanguageCode)
+    ? rawLanguageCode
+    : fallbackLanguageCode;
+
+  if (!condition) {
+    throw new Error('Invalid LLM triage response: condition is required');
+  }
+  if (!Number.isInteger(severity) || severity < 1 || severity > 3) {
+    throw new Error('Invalid LLM triage response: severity must be 1, 2, or 3');
+  }
+  const differentials = normalizeDifferentials(obj.differentials, condition);
+
+  return { condition, severity, differentials, languageCode };
 }
 
 function detectLanguageFromSymptoms(symptoms) {
@@ -287,24 +436,6 @@ function validateAudioInput(audio) {
   }
 }
 
-function normalizeGeminiError(err) {
-  const statusCode = Number.isInteger(err?.status) ? err.status : 503;
-  const message = err?.message || String(err);
-  const lower = message.toLowerCase();
-  const normalized = new Error(`Gemini call failed: ${message}`);
-  normalized.statusCode = statusCode >= 400 ? statusCode : 503;
-  if (statusCode === 400) {
-    if (lower.includes('image')) {
-      normalized.publicMessage = 'Uploaded image could not be processed. Try a clear JPG or PNG image.';
-    } else {
-      normalized.publicMessage = 'Invalid input for diagnosis request';
-    }
-  } else {
-    normalized.publicMessage = 'Diagnosis service temporarily unavailable';
-  }
-  return normalized;
-}
-
 function normalizeImage(image) {
   if (!image) return null;
   const mimeType = image.mimeType.trim().toLowerCase();
@@ -322,37 +453,57 @@ function normalizeImage(image) {
   return { mimeType, data };
 }
 
-async function callGeminiJson(requestPayload, candidateModels) {
-  let result;
-  let lastError = null;
-
-  for (const candidate of candidateModels) {
-    try {
-      if (!model || modelName !== candidate) {
-        resetModel();
-        const apiKey = process.env.GEMINI_API_KEY;
-        const genAI = new GoogleGenerativeAI(apiKey);
-        model = genAI.getGenerativeModel({ model: candidate });
-        modelName = candidate;
-      }
-
-      result = await getModel().generateContent(requestPayload);
-      lastError = null;
-      break;
-    } catch (err) {
-      lastError = err;
-      const retryNext = isModelNotFoundError(err);
-      if (!retryNext) break;
-      resetModel();
-    }
+/**
+ * Run one provider call, logging its task, provider and duration and counting it in the
+ * LLM metrics. Prompts and answers are never logged.
+ */
+async function timedLlmCall(task, call) {
+  const provider = getProvider();
+  const started = Date.now();
+  const finish = (outcome) => {
+    const durationMs = Date.now() - started;
+    metrics.llmRequests.inc({ provider: provider.name, task, outcome });
+    metrics.llmRequestDuration.observe({ provider: provider.name, task }, durationMs / 1000);
+    return durationMs;
+  };
+  try {
+    const result = await call(provider);
+    logger.info('llm call completed', { task, provider: provider.name, durationMs: finish('success') });
+    return result;
+  } catch (err) {
+    logger.warn('llm call failed', { task, provider: provider.name, durationMs: finish('error'), err });
+    throw err;
   }
+}
 
-  if (lastError) {
-    throw normalizeGeminiError(lastError);
-  }
+async function callLlmJson(request) {
+  return timedLlmCall(request.task, (provider) => provider.generateJson(request));
+}
 
-  const text = result?.response?.text ? result.response.text() : '';
-  return parseJsonFromText(text);
+async function streamLlmText(request, onText) {
+  return timedLlmCall(request.task, (provider) => provider.streamText(request, onText));
+}
+
+/**
+ * Merge translated differential text onto the originals. Likelihoods are never taken from the
+ * translation, and a list that does not line up with the original is ignored.
+ */
+function translateDifferentials(original, translated, translatedTopCondition) {
+  if (!Array.isArray(translated) || translated.length !== original.length) {
+    return original;
+  }
+  return original.map((d, i) => {
+    const item = translated[i] || {};
+    const condition = i === 0
+      ? translatedTopCondition
+      : (typeof item.condition === 'string' && item.condition.trim()) || d.condition;
+    const symptoms = Array.isArray(item.distinguishingSymptoms)
+      && item.distinguishingSymptoms.length === d.distinguishingSymptoms.length
+      && item.distinguishingSymptoms.every((s) => typeof s === 'string' && s.trim())
+      ? item.distinguishingSymptoms.map((s) => s.trim())
+      : d.distinguishingSymptoms;
+    return { condition, likelihood: d.likelihood, distinguishingSymptoms: symptoms };
+  });
 }
 
 async function translateDiagnosisFields(diagnosis, targetLanguageCode) {
@@ -360,20 +511,27 @@ async function translateDiagnosisFields(diagnosis, targetLanguageCode) {
     return diagnosis;
   }
 
+  const differentials = diagnosis.differentials || [];
   const prompt = buildDiagnosisTranslationPrompt(
     diagnosis.condition,
     diagnosis.reasoning,
     diagnosis.nextSteps || '',
+    differentials,
     targetLanguageCode
   );
 
-  const parsed = await callGeminiJson({
-    contents: [{ role: 'user', parts: [{ text: prompt }] }],
-    generationConfig: {
-      temperature: 0.1,
-      responseMimeType: 'application/json',
+  const parsed = await callLlmJson({
+    task: 'translation',
+    parts: [{ text: prompt }],
+    temperature: 0.1,
+    context: {
+      condition: diagnosis.condition,
+      reasoning: diagnosis.reasoning,
+      nextSteps: diagnosis.nextSteps || '',
+      differentials,
+      targetLanguageCode,
     },
-  }, getCandidateModels());
+  });
 
   const translatedCondition = typeof parsed?.condition === 'string' ? parsed.condition.trim() : '';
   const translatedReasoning = typeof parsed?.reasoning === 'string' ? parsed.reasoning.trim() : '';
@@ -388,6 +546,7 @@ async function translateDiagnosisFields(diagnosis, targetLanguageCode) {
     condition: translatedCondition,
     reasoning: translatedReasoning,
     nextSteps: translatedNextSteps || diagnosis.nextSteps || '',
+    differentials: translateDifferentials(differentials, parsed.differentials, translatedCondition),
     languageCode: targetLanguageCode,
   };
 }
@@ -399,13 +558,37 @@ function profileToPrompt(profile) {
   if (profile.gender) parts.push(`Gender: ${profile.gender}`);
   if (profile.heightCm) parts.push(`Height: ${profile.heightCm} cm`);
   if (profile.weightKg) parts.push(`Weight: ${profile.weightKg} kg`);
-  return parts.length > 0 ? `\n\nPatient info: ${parts.join(', ')}` : '';
+
+  const history = [];
+  const listLine = (label, items, describe) => {
+    if (Array.isArray(items) && items.length > 0) history.push(`${label}: ${items.map(describe).join('; ')}`);
+  };
+  const withDetails = (main, details) => {
+    const extra = details.filter(Boolean).join(', ');
+    return extra ? `${main} (${extra})` : main;
+  };
+  listLine('Chronic conditions', profile.chronicConditions, (c) => withDetails(c.name, [c.diagnosedYear && `since ${c.diagnosedYear}`]));
+  listLine('Current medications', profile.medications, (m) => withDetails(m.name, [m.dose, m.frequency]));
+  listLine('Allergies', profile.allergies, (a) => withDetails(a.substance, [a.reaction && `reaction: ${a.reaction}`]));
+  if (profile.pregnancyStatus) history.push(`Pregnancy status: ${profile.pregnancyStatus.replace(/_/g, ' ')}`);
+  listLine('Past surgeries', profile.surgeries, (su) => withDetails(su.procedure, [su.year]));
+
+  let text = parts.length > 0 ? `\n\nPatient info: ${parts.join(', ')}` : '';
+  if (history.length > 0) text += `\n\nMedical history:\n${history.map((line) => `- ${line}`).join('\n')}`;
+  return text;
 }
 
-async function generateDiagnosis(input) {
+function answersToPrompt(answers) {
+  if (!answers || answers.length === 0) return '';
+  const lines = answers.map((a) => `- Q: ${a.question}\n  A: ${a.answer}`);
+  return `\n\nFollow-up answers from the patient:\n${lines.join('\n')}`;
+}
+
+function validateDiagnosisInput(input) {
   const symptoms = input?.symptoms;
   const image = input?.image || null;
   const profile = input?.profile || null;
+  const answers = Array.isArray(input?.answers) ? input.answers : [];
   const requestedLanguageCode = input?.languageCode || null;
   const fallbackLanguageCode = requestedLanguageCode || detectLanguageFromSymptoms(symptoms || []);
 
@@ -438,37 +621,39 @@ async function generateDiagnosis(input) {
     throw err;
   }
 
+  return { symptoms, image, profile, answers, requestedLanguageCode, fallbackLanguageCode };
+}
+
+function buildDiagnosisParts(template, { symptoms, image, profile, answers }) {
   const symptomsStr = symptoms.length > 0
     ? symptoms.map((s) => s.trim()).join(', ')
     : 'No textual symptoms provided.';
   const profileStr = profileToPrompt(profile);
+  const answersStr = answersToPrompt(answers);
   const imageGuidance = image
     ? 'An image is attached. Use visual evidence from the image together with symptoms.'
     : 'No image is attached. Use only symptoms text.';
-  const prompt = `${PROMPT_TEMPLATE.replace('{{symptoms}}', symptomsStr)}${profileStr}\n\n${imageGuidance}`;
+  const prompt = `${template.replace('{{symptoms}}', symptomsStr)}${profileStr}${answersStr}\n\n${imageGuidance}`;
 
   const parts = [{ text: prompt }];
   if (image) {
-    const normalizedImage = normalizeImage(image);
-    parts.push({
-      inlineData: {
-        mimeType: normalizedImage.mimeType,
-        data: normalizedImage.data,
-      },
-    });
+    parts.push({ image: normalizeImage(image) });
   }
+  return parts;
+}
 
-  const requestPayload = {
-    contents: [{ role: 'user', parts }],
-    generationConfig: {
-      temperature: 0.2,
-      responseMimeType: 'application/json',
-    },
-  };
+async function generateLlmDiagnosis(validated) {
+  const { symptoms, image, profile, answers, requestedLanguageCode, fallbackLanguageCode } = validated;
+  const parts = buildDiagnosisParts(PROMPT_TEMPLATE, { symptoms, image, profile, answers });
 
   let parsed;
   try {
-    parsed = await callGeminiJson(requestPayload, image ? getImageCandidateModels() : getCandidateModels());
+    parsed = await callLlmJson({
+      task: 'diagnosis',
+      parts,
+      temperature: 0.2,
+      context: { symptoms, profile, answers, hasImage: Boolean(image) },
+    });
   } catch (err) {
     const lower = String(err?.message || '').toLowerCase();
     const isImageIssue = image && lower.includes('image');
@@ -499,53 +684,333 @@ async function generateDiagnosis(input) {
   }
 }
 
+/**
+ * Diagnose with the LLM, then apply the red-flag rules: a matched rule floors the severity,
+ * and if the LLM fails the rule's own text is returned instead of an error.
+ * @returns {Promise<{ condition, severity, reasoning, nextSteps, differentials, languageCode, redFlags: string[], llmUnavailable?: true }>}
+ */
+async function generateDiagnosis(input) {
+  const validated = validateDiagnosisInput(input);
+  const redFlags = evaluateRedFlags(validated);
+
+  try {
+    return applyRedFlags(await generateLlmDiagnosis(validated), redFlags);
+  } catch (err) {
+    if (redFlags.length === 0) throw err;
+    logger.warn('Diagnosis LLM failed, answering from red-flag rules', { err });
+    return buildRedFlagDiagnosis(redFlags);
+  }
+}
+
+function wrapStreamError(err, image, publicMessage) {
+  if (image && String(err?.message || '').toLowerCase().includes('image')) {
+    const wrapped = new Error('Uploaded image could not be processed');
+    wrapped.statusCode = 400;
+    wrapped.publicMessage = 'Uploaded image could not be processed. Try a clear JPG or PNG image.';
+    return wrapped;
+  }
+  const wrapped = new Error(err.message);
+  wrapped.statusCode = 503;
+  wrapped.publicMessage = publicMessage;
+  return wrapped;
+}
+
+async function streamLlmDiagnosis(validated, handlers) {
+  const { symptoms, image, profile, answers, requestedLanguageCode, fallbackLanguageCode } = validated;
+  const context = { symptoms, profile, answers, hasImage: Boolean(image) };
+
+  let triage;
+  try {
+    const parsed = await callLlmJson({
+      task: 'triage',
+      parts: buildDiagnosisParts(TRIAGE_PROMPT_TEMPLATE, { symptoms, image, profile, answers }),
+      temperature: 0.1,
+      context,
+    });
+    triage = normalizeTriage(parsed, fallbackLanguageCode);
+  } catch (err) {
+    throw wrapStreamError(err, image, 'Diagnosis service returned an invalid response');
+  }
+  handlers.onTriage?.({ condition: triage.condition, severity: triage.severity });
+
+  const reasoningTemplate = REASONING_PROMPT_TEMPLATE
+    .replace('{{condition}}', triage.condition)
+    .replace('{{severity}}', String(triage.severity));
+  const splitter = createSectionSplitter((section, text) => handlers.onToken?.({ section, text }));
+
+  let sections;
+  try {
+    const fullText = await streamLlmText({
+      task: 'reasoning',
+      parts: buildDiagnosisParts(reasoningTemplate, { symptoms, image, profile, answers }),
+      temperature: 0.2,
+      context: { ...context, condition: triage.condition, severity: triage.severity },
+    }, (text) => splitter.push(text));
+    splitter.end();
+    sections = splitSections(fullText);
+  } catch (err) {
+    throw wrapStreamError(err, image, 'Diagnosis service temporarily unavailable');
+  }
+
+  let diagnosis;
+  try {
+    diagnosis = validateAndNormalize({
+      condition: triage.condition,
+      severity: triage.severity,
+      reasoning: sections.reasoning,
+      nextSteps: sections.nextSteps,
+      differentials: triage.differentials,
+      languageCode: triage.languageCode,
+    }, fallbackLanguageCode);
+  } catch (err) {
+    throw wrapStreamError(err, null, 'Diagnosis service returned an invalid response');
+  }
+
+  const targetLanguageCode = requestedLanguageCode || diagnosis.languageCode || fallbackLanguageCode;
+  if (targetLanguageCode === 'en') {
+    return { ...diagnosis, languageCode: 'en' };
+  }
+
+  try {
+    const translated = await translateDiagnosisFields(
+      { ...diagnosis, languageCode: targetLanguageCode },
+      targetLanguageCode
+    );
+    handlers.onTranslation?.({
+      condition: translated.condition,
+      reasoning: translated.reasoning,
+      nextSteps: translated.nextSteps,
+      differentials: translated.differentials,
+      languageCode: translated.languageCode,
+    });
+    return translated;
+  } catch (err) {
+    // The English result has already been streamed; keep it rather than failing the request.
+    logger.warn('Diagnosis translation failed', { err });
+    return { ...diagnosis, languageCode: 'en' };
+  }
+}
+
+function normalizeFollowUp(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new Error('Invalid LLM interview response shape');
+  }
+  if (obj.needsMoreInfo !== true) {
+    return { needsMoreInfo: false, questions: [] };
+  }
+
+  const questions = (Array.isArray(obj.questions) ? obj.questions : [])
+    .map((q) => (typeof q === 'string' ? { text: q } : q))
+    .filter((q) => q && typeof q.text === 'string' && q.text.trim())
+    .slice(0, MAX_FOLLOW_UP_QUESTIONS)
+    .map((q, i) => ({
+      id: `q${i + 1}`,
+      topic: FOLLOW_UP_TOPICS.includes(q.topic) ? q.topic : 'other',
+      text: q.text.trim(),
+    }));
+
+  // A "yes" without usable questions is treated as ready to diagnose.
+  return { needsMoreInfo: questions.length > 0, questions };
+}
+
+/**
+ * Ask the model whether it needs follow-up answers before diagnosing.
+ * @param {object} input - same as generateDiagnosis, plus answers: [{ question, answer }] gathered so far
+ * @returns {Promise<{ needsMoreInfo: boolean, questions: Array<{ id: string, topic: string, text: string }> }>}
+ */
+async function generateFollowUpQuestions(input) {
+  const { symptoms, image, profile, answers, requestedLanguageCode, fallbackLanguageCode } = validateDiagnosisInput(input);
+  const languageCode = requestedLanguageCode || fallbackLanguageCode;
+  const template = INTERVIEW_PROMPT_TEMPLATE
+    .replace('{{language}}', `${LANGUAGE_LABELS[languageCode] || languageCode} (${languageCode})`);
+
+  try {
+    const parsed = await callLlmJson({
+      task: 'interview',
+      parts: buildDiagnosisParts(template, { symptoms, image, profile, answers }),
+      temperature: 0.2,
+      context: { symptoms, profile, answers, languageCode, hasImage: Boolean(image) },
+    });
+    return normalizeFollowUp(parsed);
+  } catch (err) {
+    throw wrapStreamError(err, image, 'Diagnosis service temporarily unavailable');
+  }
+}
+
+function optionalQualifier(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return value.trim().slice(0, MAX_QUALIFIER_LENGTH);
+}
+
+function optionalEnum(value, allowed) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return allowed.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Map the model's entries onto the local terminology. Unknown concept or body site IDs become
+ * null rather than failing the whole extraction; a concept's default body site fills a gap.
+ */
+function normalizeExtraction(obj) {
+  if (!obj || typeof obj !== 'object' || !Array.isArray(obj.entries)) {
+    throw new Error('Invalid LLM extraction response: entries must be an array');
+  }
+
+  return obj.entries
+    .filter((e) => e && typeof e === 'object' && typeof e.text === 'string' && e.text.trim())
+    .slice(0, MAX_EXTRACTED_SYMPTOMS)
+    .map((e) => {
+      const concept = findConcept(e.concept);
+      return {
+        text: e.text.trim(),
+        concept: concept && { id: concept.id, display: concept.display, snomed: concept.snomed, icd10: concept.icd10 },
+        bodySite: findBodySite(e.bodySite) || findBodySite(concept?.bodySite),
+        laterality: optionalEnum(e.laterality, LATERALITIES),
+        onset: optionalQualifier(e.onset),
+        duration: optionalQualifier(e.duration),
+        severity: optionalEnum(e.severity, SEVERITIES),
+      };
+    });
+}
+
+/**
+ * Extract structured, coded symptom entries from free text (typed or transcribed).
+ * @param {{ symptoms: string[] }} input
+ * @returns {Promise<{ terminologyVersion: string, entries: Array<{
+ *   text: string,
+ *   concept: { id, display, snomed, icd10 }|null,
+ *   bodySite: { id, display, snomed }|null,
+ *   laterality: 'left'|'right'|'bilateral'|null,
+ *   onset: string|null,
+ *   duration: string|null,
+ *   severity: 'mild'|'moderate'|'severe'|null,
+ * }> }>}
+ */
+async function extractSymptoms(input) {
+  const symptoms = Array.isArray(input?.symptoms)
+    ? input.symptoms.filter((s) => typeof s === 'string' && s.trim()).map((s) => s.trim())
+    : [];
+  if (symptoms.length === 0) {
+    throw new Error('symptoms must contain at least one non-empty string');
+  }
+
+  const { concepts, bodySites } = describeTerminology();
+  const prompt = SYMPTOM_EXTRACTION_PROMPT_TEMPLATE
+    .replace('{{symptoms}}', symptoms.join('; '))
+    .replace('{{concepts}}', concepts)
+    .replace('{{bodySites}}', bodySites);
+
+  try {
+    const parsed = await callLlmJson({
+      task: 'symptomExtraction',
+      parts: [{ text: prompt }],
+      temperature: 0,
+      context: { symptoms },
+    });
+    return { terminologyVersion: TERMINOLOGY_VERSION, entries: normalizeExtraction(parsed) };
+  } catch (err) {
+    const wrapped = new Error(err.message);
+    wrapped.statusCode = 503;
+    wrapped.publicMessage = 'Symptom extraction service temporarily unavailable';
+    throw wrapped;
+  }
+}
+
+/**
+ * Ask the model whether the text shows a risk of suicide or self-harm.
+ * @param {{ texts: string[] }} input
+ * @returns {Promise<{ crisis: boolean, category: 'suicidal'|'self_harm'|'none' }>}
+ */
+async function classifyCrisis(input) {
+  const texts = (input?.texts || []).filter((t) => typeof t === 'string' && t.trim());
+  const prompt = CRISIS_CLASSIFIER_PROMPT_TEMPLATE.replace('{{texts}}', texts.join('; '));
+
+  try {
+    const parsed = await callLlmJson({
+      task: 'crisisClassification',
+      parts: [{ text: prompt }],
+      temperature: 0,
+      context: { texts },
+    });
+    if (typeof parsed?.crisis !== 'boolean') {
+      throw new Error('Invalid LLM crisis response: crisis must be a boolean');
+    }
+    const category = CRISIS_CATEGORIES.includes(parsed.category) ? parsed.category : 'none';
+    return { crisis: parsed.crisis, category: parsed.crisis && category === 'none' ? 'self_harm' : category };
+  } catch (err) {
+    const wrapped = new Error(err.message);
+    wrapped.statusCode = 503;
+    wrapped.publicMessage = 'Safety screening temporarily unavailable';
+    throw wrapped;
+  }
+}
+
+/**
+ * Diagnose in stages so callers can show progress:
+ * triage (condition + severity) → reasoning/next-steps tokens → translation.
+ * Red-flag rules apply as in generateDiagnosis; the triage event already carries the floored severity.
+ * @param {object} input - same as generateDiagnosis
+ * @param {object} [handlers]
+ * @param {(triage: { condition: string, severity: number, redFlags: string[] }) => void} [handlers.onTriage]
+ * @param {(token: { section: 'reasoning'|'nextSteps', text: string }) => void} [handlers.onToken]
+ * @param {(translated: { condition, reasoning, nextSteps, differentials, languageCode }) => void} [handlers.onTranslation]
+ * @returns {Promise<{ condition, severity, reasoning, nextSteps, differentials, languageCode, redFlags: string[], llmUnavailable?: true }>}
+ */
+async function streamDiagnosis(input, handlers = {}) {
+  const validated = validateDiagnosisInput(input);
+  const redFlags = evaluateRedFlags(validated);
+  let triageSent = false;
+
+  try {
+    const result = await streamLlmDiagnosis(validated, {
+      ...handlers,
+      onTriage: (triage) => {
+        triageSent = true;
+        handlers.onTriage?.(applyRedFlags(triage, redFlags));
+      },
+    });
+    return applyRedFlags(result, redFlags);
+  } catch (err) {
+    if (redFlags.length === 0) throw err;
+    logger.warn('Diagnosis LLM failed, answering from red-flag rules', { err });
+
+    const fallback = buildRedFlagDiagnosis(redFlags);
+    // Replay the rule's text as stream events unless the LLM already started the stream.
+    if (!triageSent) {
+      handlers.onTriage?.({ condition: fallback.condition, severity: fallback.severity, redFlags: fallback.redFlags });
+      handlers.onToken?.({ section: 'reasoning', text: fallback.reasoning });
+      handlers.onToken?.({ section: 'nextSteps', text: fallback.nextSteps });
+    }
+    return fallback;
+  }
+}
+
 async function transcribeSymptomsFromAudio(input) {
   const audio = input?.audio;
   validateAudioInput(audio);
   const normalizedMimeType = audio.mimeType.trim().toLowerCase().split(';')[0].trim();
   const audioData = audio.data.trim();
 
-  const parsed = await callGeminiJson({
-    contents: [{
-      role: 'user',
-      parts: [
-        { text: `${AUDIO_TRANSCRIBE_PROMPT}\n\nImportant: NEVER translate to English. Preserve the spoken language exactly.` },
-        {
-          inlineData: {
-            mimeType: normalizedMimeType,
-            data: audioData,
-          },
-        },
-      ],
-    }],
-    generationConfig: {
-      temperature: 0.1,
-      responseMimeType: 'application/json',
-    },
-  }, getCandidateModels());
+  const audioPart = { audio: { mimeType: normalizedMimeType, data: audioData } };
+
+  const parsed = await callLlmJson({
+    task: 'transcription',
+    parts: [
+      { text: `${AUDIO_TRANSCRIBE_PROMPT}\n\nImportant: NEVER translate to English. Preserve the spoken language exactly.` },
+      audioPart,
+    ],
+    temperature: 0.1,
+  });
   const symptomsText = typeof parsed?.symptomsText === 'string' ? parsed.symptomsText.trim() : '';
   const rawLang = typeof parsed?.languageCode === 'string' ? parsed.languageCode.trim().toLowerCase() : '';
   let languageCode = SUPPORTED_LANGUAGES.includes(rawLang) ? rawLang : DEFAULT_LANGUAGE_CODE;
 
   try {
-    const langParsed = await callGeminiJson({
-      contents: [{
-        role: 'user',
-        parts: [
-          { text: AUDIO_LANGUAGE_DETECT_PROMPT },
-          {
-            inlineData: {
-              mimeType: normalizedMimeType,
-              data: audioData,
-            },
-          },
-        ],
-      }],
-      generationConfig: {
-        temperature: 0,
-        responseMimeType: 'application/json',
-      },
-    }, getCandidateModels());
+    const langParsed = await callLlmJson({
+      task: 'languageDetection',
+      parts: [{ text: AUDIO_LANGUAGE_DETECT_PROMPT }, audioPart],
+      temperature: 0,
+    });
 
     const languageFromAudio = typeof langParsed?.languageCode === 'string'
       ? langParsed.languageCode.trim().toLowerCase()
@@ -574,4 +1039,11 @@ async function transcribeSymptomsFromAudio(input) {
   return { symptomsText, languageCode };
 }
 
-module.exports = { generateDiagnosis, transcribeSymptomsFromAudio };
+module.exports = {
+  generateDiagnosis,
+  streamDiagnosis,
+  generateFollowUpQuestions,
+  extractSymptoms,
+  classifyCrisis,
+  transcribeSymptomsFromAudio,
+};
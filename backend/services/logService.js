@@ -0,0 +1,107 @@
+/**
+ * Log Service
+ * Structured JSON logging: one object per line with `time`, `level`, `msg`, the request ID
+ * of the request being served (if any) and extra fields.
+ *
+ * The request ID is kept in AsyncLocalStorage by middleware/logger.js, so services log
+ * with it without having it passed down: a line written while diagnosing a request carries
+ * that request's ID, wherever it is written from.
+ *
+ * Fields named like patient text, images, audio, credentials or contact details are
+ * replaced with "[redacted]" at any depth, so logging a request body or an error with
+ * context cannot leak them.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED_KEYS = new Set([
+  'symptoms', 'symptomstext', 'answers', 'answer', 'text', 'reasoning',
+  'imagedata', 'audiodata', 'image', 'audio',
+  'password', 'passwordhash', 'token', 'refreshtoken', 'authorization', 'cookie',
+  'email', 'toemail', 'phone',
+]);
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a request context; log lines written during it carry `requestId`.
+ */
+function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * @returns {string|null} the ID of the request being served, or null outside a request
+ */
+function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+function serializeError(err) {
+  const serialized = { name: err.name, message: err.message };
+  if (err.statusCode) serialized.statusCode = err.statusCode;
+  if (err.code) serialized.code = err.code;
+  if (err.stack) serialized.stack = err.stack;
+  return serialized;
+}
+
+/**
+ * Copy `value` with sensitive fields replaced. Errors become plain objects.
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const copy = {};
+  Object.entries(value).forEach(([key, field]) => {
+    copy[key] = REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(field, depth + 1);
+  });
+  return copy;
+}
+
+function write(level, bindings, msg, fields) {
+  const threshold = LEVELS[config.logLevel] ?? LEVELS.info;
+  if (LEVELS[level] < threshold) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  const requestId = getRequestId();
+  if (requestId) entry.requestId = requestId;
+  Object.assign(entry, redact({ ...bindings, ...fields }));
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+/**
+ * @param {object} [bindings] - Fields added to every line, e.g. `{ service: 'scraper' }`
+ * @returns {{ debug, info, warn, error, child }} each level takes `(msg, fields?)`; put an
+ *   error under `err` to log its name, message and stack
+ */
+function createLogger(bindings = {}) {
+  const log = (level) => (msg, fields = {}) => write(level, bindings, msg, fields);
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+}
+
+module.exports = {
+  logger: createLogger(),
+  createLogger,
+  runWithRequestContext,
+  getRequestId,
+  redact,
+  LEVELS,
+};
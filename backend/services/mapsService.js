@@ -1,15 +1,24 @@
 /**
- * Maps Service — Google Places API (New)
- * Finds nearby hospitals with expanding radius search.
+ * Maps Service — nearby hospital search
+ * Providers: Google Places API (New) with expanding radius search, and the local
+ * Hospital collection (see hospitalDirectoryService). Selected by config.hospitalProvider.
  */
 
 const config = require('../config');
+const { findLocalHospitals } = require('./hospitalDirectoryService');
+const { createLogger } = require('./logService');
+
+const logger = createLogger({ service: 'maps' });
 
 const PLACES_BASE_URL = 'https://places.googleapis.com/v1/places:searchNearby';
 const MILES_TO_METERS = 1609.34;
 const INITIAL_RADIUS_MILES = 10;
 const RADIUS_INCREMENT_MILES = 5;
 const MAX_RADIUS_MILES = 50;
+// Two entries closer than this are the same facility even if their names differ
+const DUPLICATE_DISTANCE_MILES = 0.1;
+// Same normalized name within this distance is the same facility
+const SAME_NAME_DISTANCE_MILES = 1;
 
 /**
  * Search for nearby hospitals using Google Places API (New).
@@ -18,10 +27,13 @@ const MAX_RADIUS_MILES = 50;
  * @param {number} longitude
  * @returns {Promise<Array<{ name, address, latitude, longitude, distance, travelTime, website, placeId }>>}
  */
-async function findNearbyHospitals(latitude, longitude) {
+async function findPlacesHospitals(latitude, longitude) {
   const apiKey = config.googleMapsApiKey;
   if (!apiKey) {
-    throw new Error('GOOGLE_MAPS_API_KEY is not set in environment');
+    const err = new Error('GOOGLE_MAPS_API_KEY is not set in environment');
+    err.statusCode = 503;
+    err.publicMessage = 'Hospital search service not configured';
+    throw err;
   }
 
   let radiusMiles = INITIAL_RADIUS_MILES;
@@ -83,6 +95,7 @@ async function findNearbyHospitals(latitude, longitude) {
           travelTime: estimateDriveTime(dist),   // minutes
           website: place.websiteUri || null,
           placeId: place.id || null,
+          source: 'places',
         };
       });
 
@@ -98,6 +111,97 @@ async function findNearbyHospitals(latitude, longitude) {
   return results;
 }
 
+/**
+ * Search the local Hospital collection and shape results like Places results.
+ * @param {number} latitude
+ * @param {number} longitude
+ */
+async function findDirectoryHospitals(latitude, longitude) {
+  const hospitals = await findLocalHospitals(latitude, longitude, { maxDistanceMiles: MAX_RADIUS_MILES });
+  return hospitals.map((h) => ({
+    ...h,
+    travelTime: estimateDriveTime(h.distance),
+    placeId: null,
+    source: 'local',
+  }));
+}
+
+/**
+ * Merge Places and local results, de-duplicating by name/coordinates.
+ * Places entries win; a matching local entry contributes its averageWaitMinutes
+ * and fills in a missing website.
+ */
+function mergeHospitals(placesResults, localResults) {
+  const merged = placesResults.map((h) => ({ ...h }));
+
+  for (const local of localResults) {
+    const localName = normalizeName(local.name);
+    const duplicate = merged.find((h) => {
+      const dist = haversineDistance(h.latitude, h.longitude, local.latitude, local.longitude);
+      if (dist <= DUPLICATE_DISTANCE_MILES) return true;
+      return normalizeName(h.name) === localName && dist <= SAME_NAME_DISTANCE_MILES;
+    });
+
+    if (duplicate) {
+      if (duplicate.averageWaitMinutes == null) duplicate.averageWaitMinutes = local.averageWaitMinutes;
+      if (!duplicate.website && local.website) duplicate.website = local.website;
+    } else {
+      merged.push({ ...local });
+    }
+  }
+
+  merged.sort((a, b) => a.distance - b.distance);
+  return merged;
+}
+
+function resolveProvider() {
+  const provider = config.hospitalProvider;
+  if (['places', 'local', 'merged'].includes(provider)) return provider;
+  return config.googleMapsApiKey ? 'merged' : 'local';
+}
+
+/**
+ * Find nearby hospitals using the configured provider.
+ * In merged mode one provider failing is tolerated; both failing rethrows the Places error.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<Array<{ name, address, latitude, longitude, distance, travelTime, website, placeId, source }>>}
+ */
+async function findNearbyHospitals(latitude, longitude) {
+  const provider = resolveProvider();
+
+  if (provider === 'places') return findPlacesHospitals(latitude, longitude);
+  if (provider === 'local') return findDirectoryHospitals(latitude, longitude);
+
+  const [placesOutcome, localOutcome] = await Promise.allSettled([
+    findPlacesHospitals(latitude, longitude),
+    findDirectoryHospitals(latitude, longitude),
+  ]);
+
+  if (placesOutcome.status === 'rejected' && localOutcome.status === 'rejected') {
+    throw placesOutcome.reason;
+  }
+  if (placesOutcome.status === 'rejected') {
+    logger.warn('Places search failed, using local directory only', { err: placesOutcome.reason });
+    return localOutcome.value;
+  }
+  if (localOutcome.status === 'rejected') {
+    return placesOutcome.value;
+  }
+  return mergeHospitals(placesOutcome.value, localOutcome.value);
+}
+
+/**
+ * Normalize a hospital name for comparison.
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 /**
  * Haversine distance between two lat/lng points in miles.
  */
@@ -122,4 +226,4 @@ function estimateDriveTime(distanceMiles) {
   return Math.round(distanceMiles * 2);
 }
 
-module.exports = { findNearbyHospitals };
+module.exports = { findNearbyHospitals, mergeHospitals, resolveProvider };
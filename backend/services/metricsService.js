@@ -0,0 +1,177 @@
+/**
+ * Metrics Service
+ * In-process counters and histograms, rendered in the Prometheus text format at GET /metrics.
+ *
+ * Every metric the app records is declared at the bottom of this file, so the full list (and
+ * each metric's labels) is in one place. Label values should come from small fixed sets —
+ * route patterns, task names, hospital systems — never from user input.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Series are keyed by their label values in `labelNames` order; missing labels are ''.
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * @param {{ name: string, help: string, labelNames?: string[] }} options
+ * @returns {{ inc: (labels?: object, value?: number) => void }}
+ */
+function counter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      const lines = header(name, help, 'counter');
+      series.forEach((value, key) => {
+        lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+      });
+      return lines;
+    },
+    reset() {
+      series.clear();
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * @param {{ name: string, help: string, labelNames?: string[], buckets?: number[] }} options
+ * @returns {{ observe: (labels: object, value: number) => void }}
+ */
+function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      series.forEach((entry, key) => {
+        const labels = labelsFromKey(labelNames, key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      });
+      return lines;
+    },
+    reset() {
+      series.clear();
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * @returns {string} every metric in the Prometheus text exposition format (version 0.0.4)
+ */
+function renderMetrics() {
+  return `${registry.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
+
+/**
+ * Clear every recorded value (for tests).
+ */
+function resetMetrics() {
+  registry.forEach((metric) => metric.reset());
+}
+
+const metrics = {
+  httpRequestDuration: histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time to answer HTTP requests, by route pattern',
+    labelNames: ['method', 'route', 'status'],
+  }),
+  llmRequests: counter({
+    name: 'llm_requests_total',
+    help: 'LLM requests by task and outcome (success or error)',
+    labelNames: ['provider', 'task', 'outcome'],
+  }),
+  llmRequestDuration: histogram({
+    name: 'llm_request_duration_seconds',
+    help: 'Time for an LLM request, including any model fallback',
+    labelNames: ['provider', 'task'],
+    buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+  }),
+  llmModelCalls: counter({
+    name: 'llm_model_calls_total',
+    help: 'Calls to each model; outcome model_not_found means the next candidate model was tried',
+    labelNames: ['provider', 'model', 'outcome'],
+  }),
+  llmTokens: counter({
+    name: 'llm_tokens_total',
+    help: 'Tokens reported by the LLM provider, by kind (prompt or completion)',
+    labelNames: ['provider', 'model', 'kind'],
+  }),
+  scraperLookups: counter({
+    name: 'scraper_lookups_total',
+    help: 'Wait-time scrapes by hospital system and result (hit, miss, error or disallowed)',
+    labelNames: ['system', 'result'],
+  }),
+  waitStore: counter({
+    name: 'wait_store_lookups_total',
+    help: 'Stored live wait lookups by result (hit, stale or miss)',
+    labelNames: ['result'],
+  }),
+  waitTimes: counter({
+    name: 'wait_times_total',
+    help: 'Wait times returned, by source (live, historical or synthetic)',
+    labelNames: ['source'],
+  }),
+  emails: counter({
+    name: 'emails_total',
+    help: 'Emails by kind and outcome (sent, failed, or skipped when SMTP or the address is missing)',
+    labelNames: ['kind', 'outcome'],
+  }),
+};
+
+module.exports = {
+  metrics,
+  counter,
+  histogram,
+  renderMetrics,
+  resetMetrics,
+};
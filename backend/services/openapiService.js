@@ -0,0 +1,205 @@
+/**
+ * OpenAPI Service
+ * Builds the OpenAPI 3.1 document served at /openapi.json from the Express app itself.
+ *
+ * Every route registered on the app becomes an operation. Request bodies and query
+ * parameters come from the schemas attached to `validate()` middleware, summaries and
+ * responses from `apiDoc()` (middleware/apiDoc.js), and routes behind `requireAuth`,
+ * `optionalAuth` or a rate limiter get their 401 and 429 responses, so the document cannot
+ * drift from what the server actually accepts.
+ */
+
+const { version } = require('../package.json');
+
+const AUTH_MIDDLEWARE = new Set(['requireAuth', 'optionalAuth']);
+
+/**
+ * Collect `{ path, method, stack }` for every route, descending into mounted routers.
+ * All routers in this app are mounted at the root, so route paths are already complete.
+ */
+function collectRoutes(stack, routes = []) {
+  stack.forEach((layer) => {
+    if (layer.route) {
+      Object.keys(layer.route.methods)
+        .filter((method) => method !== '_all')
+        .forEach((method) => routes.push({ path: layer.route.path, method, stack: layer.route.stack }));
+    } else if (layer.name === 'router' && layer.handle?.stack) {
+      collectRoutes(layer.handle.stack, routes);
+    }
+  });
+  return routes;
+}
+
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameters(path) {
+  return [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  }));
+}
+
+function queryParameters(schema) {
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties || {}).map(([name, propertySchema]) => ({
+    name,
+    in: 'query',
+    required: required.has(name),
+    schema: propertySchema,
+  }));
+}
+
+function toResponseObject({ description, schema, contentType = 'application/json' }) {
+  const response = { description };
+  if (schema) response.content = { [contentType]: { schema } };
+  return response;
+}
+
+function buildOperation({ path, method, stack }) {
+  const handlers = stack.map((layer) => layer.handle);
+  const schemas = Object.assign({}, ...handlers.map((handle) => handle.schemas || {}));
+  const doc = handlers.find((handle) => handle.apiDoc)?.apiDoc || {};
+  const usesAuth = handlers.some((handle) => AUTH_MIDDLEWARE.has(handle.name));
+  const rateLimited = handlers.some((handle) => handle.name === 'rateLimitMiddleware');
+  const controller = handlers[handlers.length - 1];
+
+  const responses = {};
+  Object.entries(doc.responses || {}).forEach(([status, response]) => {
+    responses[status] = toResponseObject(response);
+  });
+
+  const operation = {
+    operationId: controller.name || `${method}${path}`,
+    tags: [path.split('/')[1] || 'default'],
+  };
+  if (doc.summary) operation.summary = doc.summary;
+  if (doc.description) operation.description = doc.description;
+  operation.responses = responses;
+
+  const parameters = [...pathParameters(path), ...(schemas.query ? queryParameters(schemas.query) : [])];
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schemas.body } },
+    };
+  }
+  // A controller's own 400 body also has `error`, so a route that lists one keeps it.
+  if ((schemas.body || schemas.query) && !responses['400']) {
+    responses['400'] = { $ref: '#/components/responses/ValidationError' };
+  }
+
+  if (usesAuth) {
+    const optional = handlers.some((handle) => handle.name === 'optionalAuth');
+    // An empty requirement object marks authentication as optional.
+    operation.security = optional ? [{ bearerAuth: [] }, {}] : [{ bearerAuth: [] }];
+    if (!responses['401']) responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+  }
+  if (rateLimited && !responses['429']) {
+    responses['429'] = { $ref: '#/components/responses/RateLimited' };
+  }
+  if (Object.keys(responses).length === 0) {
+    responses.default = { description: 'See README.md' };
+  }
+
+  return operation;
+}
+
+let cached = null;
+
+/**
+ * Build (once) the OpenAPI document for an Express app.
+ * @param {import('express').Application} app
+ * @returns {object}
+ */
+function buildOpenApiDocument(app) {
+  if (cached && cached.app === app) return cached.document;
+
+  const paths = {};
+  collectRoutes(app._router?.stack || []).forEach((route) => {
+    // Wildcards are the frontend's SPA fallback, not API routes.
+    if (route.path.includes('*')) return;
+    const key = toOpenApiPath(route.path);
+    paths[key] = paths[key] || {};
+    paths[key][route.method] = buildOperation(route);
+  });
+
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: 'TriageSense API',
+      version,
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      responses: {
+        ValidationError: {
+          description: 'The request did not match the schema',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['error', 'errors'],
+                properties: {
+                  error: { type: 'string', description: 'Every message joined with "; "' },
+                  errors: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['field', 'message'],
+                      properties: {
+                        field: { type: 'string' },
+                        message: { type: 'string' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        Unauthorized: {
+          description: 'Missing or invalid access token; `token_expired` means refresh and retry',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['error'],
+                properties: { error: { type: 'string' }, message: { type: 'string' } },
+              },
+            },
+          },
+        },
+        RateLimited: {
+          description: 'Too many requests; retry after `retryAfter` seconds (also in the Retry-After header)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['error', 'message', 'retryAfter'],
+                properties: {
+                  error: { type: 'string', enum: ['rate_limited'] },
+                  message: { type: 'string' },
+                  retryAfter: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  cached = { app, document };
+  return document;
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,140 @@
+/**
+ * Red-Flag Service
+ * Deterministic emergency rules that do not depend on the LLM. Rules live in
+ * data/redFlagRules.json and are matched against the normalized symptoms, follow-up
+ * answers and profile age. A match floors the diagnosis severity and is reported by ID;
+ * when the LLM is down, the matched rule's own text becomes the diagnosis.
+ *
+ * Rule format:
+ *   { id, name, severity, condition, reasoning, nextSteps,
+ *     when: [{ allOf: [[phrase, ...], ...], maxAgeYears? }, ...] }
+ * A rule matches when any `when` entry matches; an entry matches when every phrase group
+ * has at least one phrase in the text and the patient is no older than maxAgeYears.
+ */
+
+const { rules: RULE_DATA } = require('../data/redFlagRules.json');
+
+// A phrase preceded by one of these within NEGATION_WINDOW words does not count ("no chest pain").
+const NEGATIONS = ['no', 'not', 'without', 'denies', 'never', 'nor'];
+const NEGATION_WINDOW = 3;
+
+/**
+ * Lowercase, drop apostrophes ("can't" → "cant") and collapse everything else to single spaces.
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function validateRules(rules) {
+  const ids = new Set();
+  rules.forEach((rule) => {
+    if (!rule.id || ids.has(rule.id)) {
+      throw new Error(`Red-flag rule id "${rule.id}" is missing or duplicated`);
+    }
+    ids.add(rule.id);
+    if (![1, 2, 3].includes(rule.severity)) {
+      throw new Error(`Red-flag rule "${rule.id}" must have severity 1, 2 or 3`);
+    }
+    if (!rule.condition || !rule.reasoning || !rule.nextSteps) {
+      throw new Error(`Red-flag rule "${rule.id}" needs condition, reasoning and nextSteps`);
+    }
+    if (!Array.isArray(rule.when) || rule.when.length === 0
+      || !rule.when.every((w) => Array.isArray(w.allOf) && w.allOf.length > 0 && w.allOf.every((g) => g.length > 0))) {
+      throw new Error(`Red-flag rule "${rule.id}" needs at least one non-empty "when" entry`);
+    }
+  });
+}
+
+function compileRules(rules) {
+  validateRules(rules);
+  return rules.map((rule) => ({
+    ...rule,
+    when: rule.when.map((w) => ({
+      ...w,
+      allOf: w.allOf.map((group) => group.map((phrase) => normalizeText(phrase).split(' '))),
+    })),
+  }));
+}
+
+const RULES = compileRules(RULE_DATA);
+
+function containsPhrase(words, phraseWords) {
+  for (let i = 0; i + phraseWords.length <= words.length; i++) {
+    if (phraseWords.every((w, j) => words[i + j] === w)) {
+      const before = words.slice(Math.max(0, i - NEGATION_WINDOW), i);
+      if (!before.some((w) => NEGATIONS.includes(w))) return true;
+    }
+  }
+  return false;
+}
+
+function entryMatches(entry, texts, age) {
+  if (entry.maxAgeYears !== undefined && !(Number.isFinite(age) && age <= entry.maxAgeYears)) {
+    return false;
+  }
+  return entry.allOf.every((group) => group.some((phrase) => texts.some((words) => containsPhrase(words, phrase))));
+}
+
+/**
+ * Evaluate the rules against one request.
+ * A phrase must sit inside a single symptom or answer, but different phrase groups may be
+ * satisfied by different entries ("chest pain" + "it spreads to my arm").
+ * @param {{ symptoms?: string[], answers?: Array<{ answer: string }>, profile?: { age?: number|null }|null }} input
+ * @param {Array} [rules] - compiled rules (defaults to data/redFlagRules.json)
+ * @returns {Array<{ id, name, severity, condition, reasoning, nextSteps }>} matched rules, in file order
+ */
+function evaluateRedFlags({ symptoms = [], answers = [], profile = null } = {}, rules = RULES) {
+  const texts = [...symptoms, ...answers.map((a) => a.answer)]
+    .map(normalizeText)
+    .filter(Boolean)
+    .map((t) => t.split(' '));
+  const age = profile?.age == null ? NaN : Number(profile.age);
+
+  return rules
+    .filter((rule) => rule.when.some((entry) => entryMatches(entry, texts, age)))
+    .map(({ id, name, severity, condition, reasoning, nextSteps }) => ({
+      id, name, severity, condition, reasoning, nextSteps,
+    }));
+}
+
+/**
+ * Floor the diagnosis severity to the highest matched rule and attach the matched rule IDs.
+ */
+function applyRedFlags(diagnosis, matches) {
+  const floor = Math.max(0, ...matches.map((m) => m.severity));
+  return {
+    ...diagnosis,
+    severity: Math.max(Number(diagnosis.severity) || 1, floor),
+    redFlags: matches.map((m) => m.id),
+  };
+}
+
+/**
+ * Diagnosis built from the rules alone, for when the LLM is unavailable.
+ * Uses the first (highest-priority) matched rule's text; English only.
+ */
+function buildRedFlagDiagnosis(matches) {
+  const [primary] = matches;
+  return applyRedFlags({
+    condition: primary.condition,
+    severity: primary.severity,
+    reasoning: primary.reasoning,
+    nextSteps: primary.nextSteps,
+    differentials: [{ condition: primary.condition, likelihood: 'high', distinguishingSymptoms: [] }],
+    languageCode: 'en',
+    llmUnavailable: true,
+  }, matches);
+}
+
+module.exports = {
+  RULES,
+  compileRules,
+  normalizeText,
+  evaluateRedFlags,
+  applyRedFlags,
+  buildRedFlagDiagnosis,
+};
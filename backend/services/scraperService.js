@@ -1,243 +1,221 @@
 /**
- * Scraper Service — Fetches real ER wait times from hospital websites.
+ * Scraper Service — Reads real ER wait times from hospital websites.
  *
- * Strategy:
- * 1. Check if hospital belongs to a known system (Inova, etc.) with embedded wait-time data
- * 2. If not, try fetching the hospital's own website and look for wait-time patterns
- * 3. Fall back to null (caller uses synthetic data)
+ * Each hospital system (Inova, …) is a plugin in services/scrapers/plugins.
+ * The background poller (waitTimePoller) refreshes every system's pages into the wait time
+ * store, and /waittimes only reads the store. A hospital outside those systems has its own
+ * website probed by the generic plugin, in the background, the first time it is asked for.
+ * Every fetch goes through politeFetch (robots.txt, spacing per host).
  */
 
-// Known hospital systems with central wait-time pages
-const KNOWN_SYSTEMS = [
-  {
-    pattern: /inova/i,
-    url: 'https://www.inova.org/emergency-room-wait-times',
-    parser: parseInovaPage,
-  },
-];
+const config = require('../config');
+const { PLUGINS, pluginsFor, urlsFor } = require('./scrapers');
+const { politeFetch } = require('./scrapers/politeFetch');
+const { pickWaitTime } = require('./scrapers/names');
+const { saveSnapshot, getSnapshots } = require('./waitTimeStore');
+const { recordWaitSample } = require('./waitHistoryService');
+const { createLogger } = require('./logService');
+const { metrics } = require('./metricsService');
 
-// Cache scraped data for 5 minutes to avoid hammering hospital sites
-const cache = new Map();
-const CACHE_TTL_MS = 5 * 60 * 1000;
+const logger = createLogger({ service: 'scraper' });
 
-/**
- * Try to scrape real wait time for a hospital.
- * @param {string} hospitalName
- * @param {string|null} website - Hospital's website URL from Places API
- * @returns {Promise<number|null>} Wait time in minutes, or null if not found
- */
-async function scrapeWaitTime(hospitalName, website) {
-  // 1. Check known systems
-  for (const system of KNOWN_SYSTEMS) {
-    if (system.pattern.test(hospitalName)) {
-      try {
-        const waitTimes = await fetchWithCache(system.url, system.parser);
-        const match = fuzzyMatch(hospitalName, waitTimes);
-        if (match != null) return match;
-      } catch (err) {
-        console.error(`Scrape error for ${system.url}:`, err.message);
-      }
-    }
-  }
+const DEFAULT_TIMEOUT_MS = 10000;
 
-  // 2. Try hospital's own website for wait-time patterns
-  if (website) {
-    try {
-      const waitTime = await scrapeGenericSite(website);
-      if (waitTime != null) return waitTime;
-    } catch (err) {
-      console.error(`Scrape error for ${website}:`, err.message);
-    }
-  }
+// Stored waits older than this are not shown as live (the poller is behind or failing).
+const LIVE_MAX_AGE_MS = 30 * 60 * 1000;
 
-  // 3. No data found
-  return null;
-}
+// Systems the poller refreshes: plugins with a fixed list of pages.
+const POLLED_PLUGINS = PLUGINS.filter((plugin) => !plugin.fallback && Array.isArray(plugin.urls));
+
+// When a scrape last found a wait time, and when a system's pages last all failed, for /readyz.
+const status = { lastSuccessAt: null, lastErrorAt: null };
+
+// Website probes in flight, by store key. Past MAX_PROBES new ones wait for a later request.
+const MAX_PROBES = 100;
+const probes = new Map();
 
 /**
- * Fetch a URL and parse it, with caching.
+ * Fetch one page and parse it with the plugin.
+ * @returns {Promise<Array<{ name: string|null, minutes: number }>>}
  */
-async function fetchWithCache(url, parserFn) {
-  const cached = cache.get(url);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
-    return cached.data;
-  }
-
-  const response = await fetch(url, {
-    headers: {
-      'User-Agent': 'TriageSense/1.0 (hackathon project)',
-    },
-    signal: AbortSignal.timeout(10000),
-  });
+async function fetchEntries(plugin, url) {
+  const started = Date.now();
+  const response = await politeFetch(url, { timeoutMs: plugin.timeoutMs || DEFAULT_TIMEOUT_MS });
+  logger.info('scrape fetched', { system: plugin.name, url, status: response.status, durationMs: Date.now() - started });
 
   if (!response.ok) {
     throw new Error(`HTTP ${response.status}`);
   }
-
-  const html = await response.text();
-  const data = parserFn(html);
-
-  cache.set(url, { data, timestamp: Date.now() });
-  return data;
+  return plugin.parse(await response.text());
 }
 
-/**
- * Parse Inova's wait times page.
- * Inova embeds all wait time data in drupalSettings.waitTimes as structured JSON
- * inside a <script type="application/json" data-drupal-selector="drupal-settings-json"> tag.
- * Each entry has: location.name, waitTime (in minutes).
- * Returns Map<normalizedName, waitTimeMinutes>
- */
-function parseInovaPage(html) {
-  const waitTimes = new Map();
-
-  // Extract drupalSettings JSON from the page
-  const settingsMatch = html.match(
-    /data-drupal-selector="drupal-settings-json">([\s\S]*?)<\/script>/
-  );
-
-  if (!settingsMatch) return waitTimes;
-
-  try {
-    const settings = JSON.parse(settingsMatch[1]);
-    const waitTimesData = settings.waitTimes;
-
-    if (!waitTimesData) return waitTimes;
-
-    // waitTimesData is keyed by paragraph ID, each value is an array of locations
-    for (const paragraphId of Object.keys(waitTimesData)) {
-      const locations = waitTimesData[paragraphId];
-      if (!Array.isArray(locations)) continue;
-
-      for (const entry of locations) {
-        const name = entry.location?.name;
-        const wt = entry.waitTime;
-
-        if (name && wt != null && wt !== '') {
-          const minutes = parseInt(wt, 10);
-          if (!isNaN(minutes) && minutes >= 0) {
-            waitTimes.set(normalizeName(name), minutes);
-          }
-        }
-      }
-    }
-  } catch (err) {
-    console.error('Failed to parse Inova drupalSettings:', err.message);
+function logFetchError(plugin, url, err) {
+  if (err.code === 'ROBOTS_DISALLOWED') {
+    logger.warn('robots.txt disallows scraping', { system: plugin.name, url });
+  } else {
+    // Fallback probes guess URLs, so their failures are expected.
+    logger[plugin.fallback ? 'debug' : 'error']('Scrape error', { system: plugin.name, url, err });
   }
-
-  return waitTimes;
 }
 
 /**
- * Try to scrape wait times from a generic hospital website.
+ * Fetch every page of a hospital system and store what they list together. When no page
+ * can be read the previous snapshot stays, and ages out of being live.
+ * @returns {Promise<Array|null>} the stored entries, or null when no page could be read
  */
-async function scrapeGenericSite(url) {
-  const waitPaths = [
-    '/emergency-room-wait-times',
-    '/er-wait-times',
-    '/wait-times',
-    '/emergency',
-  ];
-
-  let baseUrl;
-  try {
-    baseUrl = new URL(url).origin;
-  } catch {
-    return null;
-  }
+async function refreshSystem(plugin) {
+  const entries = [];
+  let read = 0;
+  let disallowed = 0;
 
-  for (const path of waitPaths) {
+  for (const url of urlsFor(plugin, {})) {
     try {
-      const response = await fetch(`${baseUrl}${path}`, {
-        headers: { 'User-Agent': 'TriageSense/1.0 (hackathon project)' },
-        signal: AbortSignal.timeout(5000),
-      });
-
-      if (!response.ok) continue;
-
-      const html = await response.text();
-      const minutes = extractWaitFromHtml(html);
-      if (minutes != null) return minutes;
-    } catch {
-      // Try next path
+      entries.push(...await fetchEntries(plugin, url));
+      read += 1;
+    } catch (err) {
+      if (err.code === 'ROBOTS_DISALLOWED') disallowed += 1;
+      logFetchError(plugin, url, err);
     }
   }
 
-  return null;
+  if (read === 0) {
+    const blocked = disallowed > 0 && disallowed === plugin.urls.length;
+    if (!blocked) status.lastErrorAt = new Date();
+    metrics.scraperLookups.inc({ system: plugin.name, result: blocked ? 'disallowed' : 'error' });
+    return null;
+  }
+
+  const fetchedAt = new Date();
+  if (entries.length > 0) status.lastSuccessAt = fetchedAt;
+  metrics.scraperLookups.inc({ system: plugin.name, result: entries.length > 0 ? 'hit' : 'miss' });
+  await saveSnapshot({ key: plugin.name, system: plugin.name, entries, fetchedAt });
+  await Promise.all(entries.map((entry) => recordWaitSample(entry.name, entry.minutes, fetchedAt)));
+  return entries;
 }
 
 /**
- * Extract a wait time from generic HTML content.
+ * Refresh every polled system whose stored snapshot is at least `minAgeMs` old, so several
+ * instances sharing the store do not all fetch the same pages.
+ * @returns {Promise<string[]>} the systems that were refreshed
  */
-function extractWaitFromHtml(html) {
-  const patterns = [
-    /wait\s*(?:time)?[:\s]*(\d{1,3})\s*min/i,
-    /(\d{1,3})\s*min(?:ute)?s?\s*(?:wait|estimated)/i,
-    /estimated[:\s]*(\d{1,3})\s*min/i,
-  ];
-
-  for (const pat of patterns) {
-    const match = html.match(pat);
-    if (match) {
-      const mins = parseInt(match[1], 10);
-      if (mins >= 0 && mins < 500) return mins;
-    }
-  }
+async function refreshKnownSystems(minAgeMs = 0) {
+  const snapshots = await getSnapshots(POLLED_PLUGINS.map((plugin) => plugin.name));
+  const due = POLLED_PLUGINS.filter((plugin) => {
+    const snapshot = snapshots.get(plugin.name);
+    return !snapshot || Date.now() - snapshot.fetchedAt >= minAgeMs;
+  });
 
-  return null;
+  // Systems live on different hosts; politeFetch spaces out requests within each one.
+  await Promise.all(due.map((plugin) => refreshSystem(plugin)));
+  return due.map((plugin) => plugin.name);
 }
 
 /**
- * Fuzzy match a hospital name against scraped data.
+ * Try a fallback plugin's guessed pages on one hospital's website, in order, and store the
+ * result. A miss is stored too (no entries), so the site is not probed again until the
+ * next poll interval.
  */
-function fuzzyMatch(hospitalName, waitTimesMap) {
-  const normalized = normalizeName(hospitalName);
-
-  // Exact match
-  if (waitTimesMap.has(normalized)) {
-    return waitTimesMap.get(normalized);
+async function probeWebsite(plugin, hospital, key) {
+  let entries = [];
+  for (const url of urlsFor(plugin, hospital)) {
+    try {
+      const minutes = pickWaitTime(hospital.name, await fetchEntries(plugin, url));
+      if (minutes != null) {
+        entries = [{ name: null, minutes }];
+        break;
+      }
+    } catch (err) {
+      logFetchError(plugin, url, err);
+      if (err.code === 'ROBOTS_DISALLOWED') break;
+    }
   }
 
-  // Partial match — find best overlap
-  let bestMatch = null;
-  let bestScore = 0;
-
-  for (const [key, minutes] of waitTimesMap) {
-    const score = overlapScore(normalized, key);
-    if (score > bestScore && score > 0.5) {
-      bestScore = score;
-      bestMatch = minutes;
-    }
+  const fetchedAt = new Date();
+  metrics.scraperLookups.inc({ system: plugin.name, result: entries.length > 0 ? 'hit' : 'miss' });
+  if (entries.length > 0) {
+    status.lastSuccessAt = fetchedAt;
+    await recordWaitSample(hospital.name, entries[0].minutes, fetchedAt);
   }
+  await saveSnapshot({ key, system: plugin.name, entries, fetchedAt });
+}
 
-  return bestMatch;
+function queueProbe(plugin, hospital, key) {
+  if (probes.has(key) || probes.size >= MAX_PROBES) return;
+  const probe = probeWebsite(plugin, hospital, key)
+    .catch((err) => logger.error('Website probe failed', { system: plugin.name, err }))
+    .finally(() => probes.delete(key));
+  probes.set(key, probe);
 }
 
 /**
- * Normalize a hospital name for comparison.
+ * Resolves once the website probes in flight have finished.
  */
-function normalizeName(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+async function waitForProbes() {
+  await Promise.all([...probes.values()]);
 }
 
 /**
- * Calculate word overlap score between two strings (0-1).
+ * Where a plugin's waits for this hospital are stored: the system's snapshot, or for a
+ * fallback plugin one snapshot per website.
  */
-function overlapScore(a, b) {
-  const wordsA = new Set(a.split(' ').filter((w) => w.length > 2));
-  const wordsB = new Set(b.split(' ').filter((w) => w.length > 2));
-  if (wordsA.size === 0 || wordsB.size === 0) return 0;
-
-  let overlap = 0;
-  for (const word of wordsA) {
-    if (wordsB.has(word)) overlap++;
+function snapshotKey(plugin, hospital) {
+  if (!plugin.fallback) return plugin.name;
+  try {
+    return `${plugin.name}:${new URL(hospital.website).origin}`;
+  } catch {
+    return null;
   }
+}
+
+/**
+ * Stored live waits for a list of hospitals. Never fetches: a hospital whose own website
+ * has not been probed recently is queued for a background probe, for later requests.
+ * @param {Array<{ name: string, website?: string|null }>} hospitals
+ * @returns {Promise<Array<{ minutes: number, system: string, fetchedAt: Date }|null>>} one entry per hospital
+ */
+async function findLiveWaits(hospitals) {
+  const candidates = hospitals.map((entry) => {
+    const hospital = { name: entry.name, website: entry.website || null };
+    return pluginsFor(hospital)
+      .map((plugin) => ({ plugin, hospital, key: snapshotKey(plugin, hospital) }))
+      .filter((candidate) => candidate.key);
+  });
+  const snapshots = await getSnapshots([...new Set(candidates.flat().map((candidate) => candidate.key))]);
+  const now = Date.now();
+
+  return candidates.map((list) => {
+    let stale = false;
+    for (const { plugin, hospital, key } of list) {
+      const snapshot = snapshots.get(key);
+      const age = snapshot ? now - snapshot.fetchedAt : Infinity;
+      if (plugin.fallback && age >= config.waitTimePollMs) queueProbe(plugin, hospital, key);
+      if (age > LIVE_MAX_AGE_MS) {
+        stale = stale || Boolean(snapshot);
+        continue;
+      }
 
-  return overlap / Math.max(wordsA.size, wordsB.size);
+      const minutes = pickWaitTime(hospital.name, snapshot.entries);
+      if (minutes != null) {
+        metrics.waitStore.inc({ result: 'hit' });
+        return { minutes, system: plugin.name, fetchedAt: new Date(snapshot.fetchedAt) };
+      }
+    }
+    metrics.waitStore.inc({ result: stale ? 'stale' : 'miss' });
+    return null;
+  });
+}
+
+/**
+ * @returns {{ lastSuccessAt: Date|null, lastErrorAt: Date|null }}
+ */
+function getScraperStatus() {
+  return { ...status };
 }
 
-module.exports = { scrapeWaitTime };
+module.exports = {
+  findLiveWaits,
+  refreshSystem,
+  refreshKnownSystems,
+  waitForProbes,
+  getScraperStatus,
+};
@@ -0,0 +1,300 @@
+/**
+ * DOM-based wait-time extraction for scraper plugins. Pages are parsed with cheerio, so
+ * scripts, styles and hidden markup are never read as page text.
+ *
+ * A plugin's `extract` config picks the strategies, tried in this order until one finds
+ * entries:
+ *   selectors — CSS selectors (XPath is not supported):
+ *               { item, name, wait } where `item` matches one element per facility and
+ *               `name`/`wait` are selectors inside it, or { selector, attribute } to read an
+ *               attribute; leave `name` out on single-hospital pages
+ *   json      — { script?, items, name, wait, where? }: JSON from the <script> matching
+ *               `script` (the whole body when left out, for JSON APIs). `items`, `name` and
+ *               `wait` are dotted paths where `*` steps into every array element or object
+ *               value; `where(record)` filters records
+ *   auto      — true: JSON-LD, then embedded JSON, then visible text near "wait time" wording
+ * Every strategy's results go through the same sanity checks (see sanitize()).
+ */
+
+const cheerio = require('cheerio');
+
+// Anything longer is a parsing mistake (a year, a phone number), not a wait.
+const MAX_WAIT_MINUTES = 500;
+const MAX_NAME_LENGTH = 150;
+
+// Visible text counts only near wording like "ER wait time" or "current wait".
+const WAIT_CONTEXT = /\b(?:wait(?:ing)?\s*times?|(?:er|emergency(?:\s+room)?|current|estimated|average)\s+wait)\b/i;
+const EMERGENCY_CONTEXT = /\b(?:er|emergency)\b/i;
+const CLOCK_TIME = /\b\d{1,2}:\d{2}\b/;
+const TIME_UNIT = /\d\s*(?:h|hr|hrs|hours?|m|mins?|minutes?)\b/i;
+
+// Keys that hold a wait in embedded JSON, and the keys that name the facility beside it.
+// A bare "wait" key is too vague (analytics events use it); the key must say time or minutes.
+const WAIT_KEY = /^(?:current|avg|average|estimated)?_?(?:er_?)?wait_?(?:time|mins?|minutes)(?:_?(?:mins?|minutes))?$/i;
+const NAME_PATHS = ['name', 'facilityName', 'hospitalName', 'locationName', 'title', 'location.name', 'facility.name'];
+
+function plausibleMinutes(minutes) {
+  return Number.isFinite(minutes) && minutes >= 0 && minutes < MAX_WAIT_MINUTES ? Math.round(minutes) : null;
+}
+
+/**
+ * Read a wait from a number or display text: 14, "14", "14 mins", "1 hr 5 min".
+ * @returns {number|null} minutes, or null when there is no plausible wait
+ */
+function parseMinutes(value) {
+  if (typeof value === 'number') return plausibleMinutes(value);
+  const text = String(value ?? '').toLowerCase();
+
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+  const mins = text.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/);
+  if (hours || mins) {
+    return plausibleMinutes((hours ? Number(hours[1]) * 60 : 0) + (mins ? Number(mins[1]) : 0));
+  }
+  return /^\s*\d+\s*$/.test(text) ? plausibleMinutes(Number(text)) : null;
+}
+
+function cleanText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function isHidden($, el) {
+  return $(el).closest('[hidden], [aria-hidden="true"], [style*="display:none"], [style*="display: none"]').length > 0;
+}
+
+/**
+ * Values at a dotted path; `*` steps into every array element or object value.
+ * @returns {Array<any>}
+ */
+function select(value, path) {
+  if (!path) return [value];
+  return path.split('.').reduce((values, key) => values.flatMap((current) => {
+    if (current == null || typeof current !== 'object') return [];
+    if (key === '*') return Array.isArray(current) ? current : Object.values(current);
+    return current[key] === undefined ? [] : [current[key]];
+  }), [value]);
+}
+
+function readField($, $item, field) {
+  if (field == null) return null;
+  const { selector, attribute } = typeof field === 'string' ? { selector: field } : field;
+  const $target = selector ? $item.find(selector).first() : $item;
+  if ($target.length === 0) return null;
+  return attribute ? $target.attr(attribute) ?? null : cleanText($target.text());
+}
+
+function fromSelectors($, { item, name, wait }) {
+  return $(item).toArray()
+    .filter((el) => !isHidden($, el))
+    .map((el) => ({ name: readField($, $(el), name), raw: readField($, $(el), wait) }));
+}
+
+function fromJsonRecords(data, { items, name, wait, where }) {
+  return select(data, items)
+    .filter((record) => record && typeof record === 'object')
+    .filter((record) => !where || where(record))
+    .map((record) => ({
+      name: name ? select(record, name)[0] ?? null : null,
+      raw: select(record, wait)[0] ?? null,
+    }));
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The JSON object or array that starts at `start` in a script, by matching brackets
+ * outside of strings. Used for `window.__DATA__ = {…};`-style assignments.
+ */
+function balancedJson(source, start) {
+  const open = source[start];
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === open) {
+      depth++;
+    } else if (ch === close && --depth === 0) {
+      return parseJson(source.slice(start, i + 1));
+    }
+  }
+  return undefined;
+}
+
+/**
+ * JSON embedded in a page: <script type="application/json"> islands (drupalSettings,
+ * __NEXT_DATA__) and JSON literals assigned in inline scripts.
+ * @returns {Array<any>}
+ */
+function embeddedJson($) {
+  const found = [];
+  $('script').each((i, el) => {
+    const type = ($(el).attr('type') || '').toLowerCase();
+    const source = $(el).text();
+    if (type === 'application/ld+json') return;
+    if (type.includes('json')) {
+      const data = parseJson(source);
+      if (data !== undefined) found.push(data);
+      return;
+    }
+    if (type && !type.includes('javascript')) return;
+    for (const match of source.matchAll(/=\s*(?=[{[])/g)) {
+      const data = balancedJson(source, match.index + match[0].length);
+      if (data !== undefined) found.push(data);
+    }
+  });
+  return found;
+}
+
+/**
+ * Objects anywhere in `data` that carry a wait-like key ("waitTime", "currentWaitMinutes").
+ */
+function findWaitRecords(data) {
+  const records = [];
+  const visit = (value, depth) => {
+    if (value == null || typeof value !== 'object' || depth > 12) return;
+    if (Array.isArray(value)) {
+      value.forEach((child) => visit(child, depth + 1));
+      return;
+    }
+    const waitKey = Object.keys(value).find((key) => WAIT_KEY.test(key)
+      && (typeof value[key] === 'number' || typeof value[key] === 'string'));
+    if (waitKey) {
+      const namePath = NAME_PATHS.find((path) => typeof select(value, path)[0] === 'string');
+      records.push({ name: namePath ? select(value, namePath)[0] : null, raw: value[waitKey] });
+    }
+    Object.values(value).forEach((child) => visit(child, depth + 1));
+  };
+  visit(data, 0);
+  return records;
+}
+
+function jsonLdNodes(data) {
+  if (Array.isArray(data)) return data.flatMap(jsonLdNodes);
+  if (!data || typeof data !== 'object') return [];
+  return [data, ...jsonLdNodes(data['@graph'] || [])];
+}
+
+/**
+ * Waits published in JSON-LD as a schema.org PropertyValue on the hospital (or its
+ * emergency service): { "@type": "PropertyValue", "name": "ER wait time", "value": 14,
+ * "unitCode": "MIN" }. unitCode HUR means hours.
+ */
+function fromJsonLd($) {
+  const nodes = $('script[type="application/ld+json"]').toArray()
+    .flatMap((el) => jsonLdNodes(parseJson($(el).text())));
+
+  return nodes.flatMap((node) => [].concat(node.additionalProperty || [])
+    .filter((property) => property && WAIT_CONTEXT.test(String(property.name || '')))
+    .map((property) => {
+      const hours = /^(?:HUR|h|hours?)$/i.test(String(property.unitCode || property.unitText || ''));
+      const value = hours ? Number(property.value) * 60 : property.value;
+      return { name: typeof node.name === 'string' ? node.name : null, raw: value };
+    }));
+}
+
+/**
+ * The smallest visible elements whose text has wait wording followed by a time. The page
+ * is about one hospital, so the entries have no name.
+ */
+function fromVisibleText($) {
+  $('script, style, noscript, template, iframe, svg').remove();
+  const candidates = $('body *').toArray().filter((el) => {
+    const text = cleanText($(el).text());
+    const context = text.search(WAIT_CONTEXT);
+    return text.length <= 300 && context >= 0 && TIME_UNIT.test(text.slice(context)) && !isHidden($, el);
+  });
+  const innermost = candidates.filter((el) => !candidates.some((other) => other !== el && $.contains(el, other)));
+
+  return innermost.map((el) => {
+    const text = cleanText($(el).text());
+    const after = text.slice(text.search(WAIT_CONTEXT)).slice(0, 60);
+    return { name: null, raw: after, requireUnit: true, emergency: EMERGENCY_CONTEXT.test(text) };
+  });
+}
+
+/**
+ * Sanity checks on extracted values:
+ * - the wait reads as minutes between 0 and MAX_WAIT_MINUTES; free text needs a time unit
+ *   and must not be a clock time ("Updated 10:45")
+ * - names are non-empty and of a sane length
+ * - a facility listed twice with different waits, or a single-hospital page with waits that
+ *   disagree, is ambiguous and dropped (text mentioning the ER wins over other units)
+ */
+function sanitize(candidates) {
+  const valid = candidates
+    .map((candidate) => {
+      const raw = candidate.raw;
+      if (raw == null || raw === '') return null;
+      if (typeof raw === 'string' && CLOCK_TIME.test(raw)) return null;
+      if (candidate.requireUnit && !TIME_UNIT.test(String(raw))) return null;
+      const minutes = parseMinutes(raw);
+      if (minutes == null) return null;
+
+      const name = candidate.name == null ? null : cleanText(candidate.name);
+      if (name !== null && (name.length < 2 || name.length > MAX_NAME_LENGTH)) return null;
+      return { name, minutes, emergency: candidate.emergency };
+    })
+    .filter(Boolean);
+
+  const unnamed = valid.filter((entry) => entry.name === null);
+  const preferred = unnamed.some((entry) => entry.emergency) ? unnamed.filter((entry) => entry.emergency) : unnamed;
+  const byName = new Map();
+  for (const entry of [...valid.filter((e) => e.name !== null), ...preferred]) {
+    const key = entry.name === null ? null : entry.name.toLowerCase();
+    const seen = byName.get(key);
+    if (!seen) byName.set(key, { name: entry.name, minutes: entry.minutes });
+    else if (seen.minutes !== entry.minutes) seen.ambiguous = true;
+  }
+  return [...byName.values()]
+    .filter((entry) => !entry.ambiguous)
+    .map(({ name, minutes }) => ({ name, minutes }));
+}
+
+/**
+ * Run a plugin's extract config over a fetched page.
+ * @param {string} body - HTML, or JSON for `json` configs without a `script`
+ * @param {object} config - see the top of this file
+ * @returns {Array<{ name: string|null, minutes: number }>}
+ */
+function extractWaits(body, config) {
+  if (config.json && !config.json.script) {
+    const data = parseJson(body);
+    return data === undefined ? [] : sanitize(fromJsonRecords(data, config.json));
+  }
+
+  const $ = cheerio.load(String(body));
+  const strategies = [];
+  if (config.selectors) strategies.push(() => fromSelectors($, config.selectors));
+  if (config.json) {
+    strategies.push(() => {
+      const data = parseJson($(config.json.script).first().text());
+      return data === undefined ? [] : fromJsonRecords(data, config.json);
+    });
+  }
+  if (config.auto) {
+    strategies.push(
+      () => fromJsonLd($),
+      () => embeddedJson($).flatMap(findWaitRecords),
+      () => fromVisibleText($),
+    );
+  }
+
+  for (const strategy of strategies) {
+    const entries = sanitize(strategy());
+    if (entries.length > 0) return entries;
+  }
+  return [];
+}
+
+module.exports = { MAX_WAIT_MINUTES, parseMinutes, extractWaits };
@@ -0,0 +1,74 @@
+/**
+ * Wait-time scraper plugin registry.
+ * Every module in ./plugins is registered automatically. A plugin exports:
+ *   name      — label for logs and metrics ('inova')
+ *   matches   — (hospital: { name, website }) → boolean
+ *   urls      — string[]: the system's wait-time pages, all refreshed by the background poller;
+ *               or (hospital) → string[]: pages probed on demand, in order, until one has the wait
+ *   extract   — selector/JSON config for the DOM extractor (see ./extract.js), or
+ *   parse     — (body: string) → Array<{ name: string|null, minutes: number }> for pages the
+ *               extractor cannot read; a null name means the page is about the hospital
+ *               that was asked for
+ *   fallback  — optional; fallback plugins run after all the others (the generic probe)
+ *   timeoutMs — optional fetch timeout
+ * Each plugin needs a saved page in tests/fixtures/scrapers/<name>.html (or .json for JSON APIs);
+ * tests/scrapers.test.js fails for any plugin without one. That is why only Inova ships so far:
+ * HCA, Sentara, MedStar and Kaiser wait for pages saved from their live sites.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractWaits } = require('./extract');
+
+const PLUGIN_DIR = path.join(__dirname, 'plugins');
+
+function validatePlugin(plugin, file) {
+  const problems = [];
+  if (typeof plugin.name !== 'string' || !plugin.name) problems.push('name');
+  if (typeof plugin.matches !== 'function') problems.push('matches()');
+  if (!Array.isArray(plugin.urls) && typeof plugin.urls !== 'function') problems.push('urls');
+  if (typeof plugin.parse !== 'function' && (!plugin.extract || typeof plugin.extract !== 'object')) {
+    problems.push('extract or parse()');
+  }
+  if (problems.length > 0) {
+    throw new Error(`Scraper plugin ${file} is missing ${problems.join(', ')}`);
+  }
+}
+
+function loadPlugins() {
+  const plugins = fs.readdirSync(PLUGIN_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => {
+      const plugin = require(path.join(PLUGIN_DIR, file));
+      validatePlugin(plugin, file);
+      return plugin.parse ? plugin : { ...plugin, parse: (body) => extractWaits(body, plugin.extract) };
+    });
+
+  const names = new Set();
+  plugins.forEach((plugin) => {
+    if (names.has(plugin.name)) throw new Error(`Two scraper plugins are named "${plugin.name}"`);
+    names.add(plugin.name);
+  });
+
+  return [...plugins.filter((p) => !p.fallback), ...plugins.filter((p) => p.fallback)];
+}
+
+const PLUGINS = loadPlugins();
+
+/**
+ * @param {{ name: string, website?: string|null }} hospital
+ * @returns {Array<object>} plugins whose matcher accepts the hospital, fallbacks last
+ */
+function pluginsFor(hospital) {
+  return PLUGINS.filter((plugin) => plugin.matches(hospital));
+}
+
+/**
+ * @returns {string[]} the pages a plugin will fetch for a hospital
+ */
+function urlsFor(plugin, hospital) {
+  return typeof plugin.urls === 'function' ? plugin.urls(hospital) : plugin.urls;
+}
+
+module.exports = { PLUGINS, pluginsFor, urlsFor };
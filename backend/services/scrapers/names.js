@@ -0,0 +1,78 @@
+/**
+ * Matching the hospital names patients see (from Places or the directory) against the
+ * names hospital systems print on their wait-time pages.
+ */
+
+/**
+ * The wait for `hospitalName` among a page's entries: an unnamed entry (a page about this
+ * one hospital) or the best name match.
+ */
+function pickWaitTime(hospitalName, entries) {
+  const unnamed = entries.find((entry) => entry.name == null);
+  if (unnamed) return unnamed.minutes;
+
+  const waitTimes = new Map(entries.map((entry) => [normalizeName(entry.name), entry.minutes]));
+  return fuzzyMatch(hospitalName, waitTimes);
+}
+
+/**
+ * Fuzzy match a hospital name against scraped data.
+ * @param {Map<string, any>} waitTimesMap - keyed by normalized name
+ * @returns {any} the value of the best match, or null
+ */
+function fuzzyMatch(hospitalName, waitTimesMap) {
+  const normalized = normalizeName(hospitalName);
+
+  // Exact match
+  if (waitTimesMap.has(normalized)) {
+    return waitTimesMap.get(normalized);
+  }
+
+  // Partial match — find best overlap
+  let bestMatch = null;
+  let bestScore = 0;
+
+  for (const [key, minutes] of waitTimesMap) {
+    const score = overlapScore(normalized, key);
+    if (score > bestScore && score > 0.5) {
+      bestScore = score;
+      bestMatch = minutes;
+    }
+  }
+
+  return bestMatch;
+}
+
+/**
+ * Normalize a hospital name for comparison.
+ */
+function normalizeName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Words every facility in a system page shares; counting them would match "Sentara Obici
+// Hospital" to "Sentara Leigh Hospital".
+const GENERIC_WORDS = new Set(['hospital', 'medical', 'center', 'centre', 'health', 'emergency', 'room', 'the']);
+
+/**
+ * Calculate word overlap score between two strings (0-1).
+ */
+function overlapScore(a, b) {
+  const significant = (text) => new Set(text.split(' ').filter((w) => w.length > 2 && !GENERIC_WORDS.has(w)));
+  const wordsA = significant(a);
+  const wordsB = significant(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let overlap = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) overlap++;
+  }
+
+  return overlap / Math.max(wordsA.size, wordsB.size);
+}
+
+module.exports = { normalizeName, fuzzyMatch, pickWaitTime };
@@ -0,0 +1,26 @@
+/**
+ * Any hospital website (the fallback, tried after every system plugin)
+ * Probes a few common wait-time paths on the hospital's own site. Pages differ, so the
+ * wait is found automatically: JSON-LD, embedded JSON, then visible "ER wait time … N min"
+ * text. A page about one hospital gives an entry with no name.
+ */
+
+const WAIT_PATHS = ['/emergency-room-wait-times', '/er-wait-times', '/wait-times', '/emergency'];
+
+function urls(hospital) {
+  try {
+    const { origin } = new URL(hospital.website);
+    return WAIT_PATHS.map((path) => `${origin}${path}`);
+  } catch {
+    return [];
+  }
+}
+
+module.exports = {
+  name: 'generic',
+  fallback: true,
+  timeoutMs: 5000,
+  matches: (hospital) => Boolean(hospital.website),
+  urls,
+  extract: { auto: true },
+};
@@ -0,0 +1,20 @@
+/**
+ * Inova (Northern Virginia)
+ * The wait-times page embeds every location in drupalSettings.waitTimes, inside
+ * <script type="application/json" data-drupal-selector="drupal-settings-json">. It is keyed
+ * by paragraph ID; each value is an array of { location: { name }, waitTime } (minutes).
+ */
+
+module.exports = {
+  name: 'inova',
+  matches: (hospital) => /\binova\b/i.test(hospital.name),
+  urls: ['https://www.inova.org/emergency-room-wait-times'],
+  extract: {
+    json: {
+      script: 'script[data-drupal-selector="drupal-settings-json"]',
+      items: 'waitTimes.*.*',
+      name: 'location.name',
+      wait: 'waitTime',
+    },
+  },
+};
@@ -0,0 +1,130 @@
+/**
+ * fetch() for hospital sites that follows robots.txt and spaces out requests to each host:
+ * at least config.scraperDomainIntervalMs apart, or the site's Crawl-delay when longer.
+ * Requests to one host run one at a time, in the order they were made.
+ */
+
+const config = require('../../config');
+const { parseRobots, isPathAllowed } = require('./robots');
+
+const USER_AGENT = 'TriageSense/1.0 (hackathon project)';
+const AGENT_TOKEN = 'triagesense';
+
+const ROBOTS_TIMEOUT_MS = 5000;
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+// When robots.txt cannot be read (5xx, network error) the site is left alone for a while.
+const ROBOTS_RETRY_MS = 10 * 60 * 1000;
+
+// Website probes reach many hosts. One unused for a day is forgotten (its robots.txt would be
+// read again anyway), and past MAX_HOSTS the least recently used goes first.
+const HOST_IDLE_MS = ROBOTS_TTL_MS;
+const MAX_HOSTS = 1000;
+
+const hosts = new Map();
+
+function pruneHosts(now) {
+  for (const [origin, state] of hosts) {
+    if (now - state.lastUsedAt > HOST_IDLE_MS) hosts.delete(origin);
+  }
+  // Map iteration is insertion order, and hostState re-inserts on use, so the first entries
+  // are the least recently used.
+  while (hosts.size >= MAX_HOSTS) {
+    hosts.delete(hosts.keys().next().value);
+  }
+}
+
+function hostState(origin) {
+  const now = Date.now();
+  let state = hosts.get(origin);
+  if (state) {
+    hosts.delete(origin);
+  } else {
+    pruneHosts(now);
+    state = { queue: Promise.resolve(), nextAt: 0, crawlDelayMs: 0, robots: null };
+  }
+  state.lastUsedAt = now;
+  hosts.set(origin, state);
+  return state;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `task` after the host's previous requests and its politeness gap.
+ */
+function schedule(state, task) {
+  const run = state.queue.then(async () => {
+    const wait = state.nextAt - Date.now();
+    if (wait > 0) await sleep(wait);
+    try {
+      return await task();
+    } finally {
+      state.nextAt = Date.now() + Math.max(config.scraperDomainIntervalMs, state.crawlDelayMs);
+    }
+  });
+  state.queue = run.catch(() => {});
+  return run;
+}
+
+function request(url, timeoutMs) {
+  return fetch(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+}
+
+async function readRobots(origin, state) {
+  try {
+    const response = await schedule(state, () => request(`${origin}/robots.txt`, ROBOTS_TIMEOUT_MS));
+    if (response.status >= 500) return { disallowAll: true, ttlMs: ROBOTS_RETRY_MS };
+    // A missing robots.txt (404, 403…) allows everything.
+    if (!response.ok) return { rules: [], crawlDelaySeconds: null, ttlMs: ROBOTS_TTL_MS };
+    return { ...parseRobots(await response.text(), AGENT_TOKEN), ttlMs: ROBOTS_TTL_MS };
+  } catch {
+    return { disallowAll: true, ttlMs: ROBOTS_RETRY_MS };
+  }
+}
+
+/**
+ * The host's robots.txt, read once per day; concurrent callers share one read.
+ */
+function robotsFor(origin, state) {
+  if (!state.robots || Date.now() >= state.robots.expiresAt) {
+    const loading = readRobots(origin, state).then((robots) => {
+      state.crawlDelayMs = (robots.crawlDelaySeconds || 0) * 1000;
+      return robots;
+    });
+    const entry = { loading, expiresAt: Infinity };
+    loading.then((robots) => {
+      entry.expiresAt = Date.now() + robots.ttlMs;
+    });
+    state.robots = entry;
+  }
+  return state.robots.loading;
+}
+
+function disallowedError(url) {
+  const err = new Error(`robots.txt disallows ${url}`);
+  err.code = 'ROBOTS_DISALLOWED';
+  return err;
+}
+
+/**
+ * @param {string} url
+ * @param {{ timeoutMs: number }} options
+ * @returns {Promise<Response>} rejects with code ROBOTS_DISALLOWED when robots.txt forbids the URL
+ */
+async function politeFetch(url, { timeoutMs }) {
+  const { origin, pathname, search } = new URL(url);
+  const state = hostState(origin);
+
+  const robots = await robotsFor(origin, state);
+  if (robots.disallowAll || !isPathAllowed(robots.rules, `${pathname}${search}`)) {
+    throw disallowedError(url);
+  }
+  return schedule(state, () => request(url, timeoutMs));
+}
+
+module.exports = { politeFetch, USER_AGENT };
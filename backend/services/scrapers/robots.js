@@ -0,0 +1,80 @@
+/**
+ * Minimal robots.txt support for the wait-time scrapers: the group for our user agent (or
+ * `*`), its Allow/Disallow rules with `*` and `$` patterns, and Crawl-delay.
+ */
+
+/**
+ * @param {string} text - robots.txt body
+ * @param {string} agentToken - our product token, e.g. 'triagesense'
+ * @returns {{ rules: Array<{ allow: boolean, path: string }>, crawlDelaySeconds: number|null }}
+ */
+function parseRobots(text, agentToken) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group of rules.
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelaySeconds: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule.
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelaySeconds = seconds;
+    }
+  }
+
+  const token = agentToken.toLowerCase();
+  const ours = groups.filter((group) => group.agents.some((agent) => agent !== '*' && token.includes(agent)));
+  const chosen = ours.length > 0 ? ours : groups.filter((group) => group.agents.includes('*'));
+
+  return {
+    rules: chosen.flatMap((group) => group.rules),
+    crawlDelaySeconds: chosen.map((group) => group.crawlDelaySeconds).find((delay) => delay != null) ?? null,
+  };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * The most specific (longest) matching rule decides; Allow wins a tie.
+ * @param {Array<{ allow: boolean, path: string }>} rules
+ * @param {string} pathWithQuery - e.g. '/er-wait-times?x=1'
+ */
+function isPathAllowed(rules, pathWithQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(pathWithQuery)) continue;
+    const longer = !best || rule.path.length > best.path.length;
+    const tieGoesToAllow = best && rule.path.length === best.path.length && rule.allow;
+    if (longer || tieGoesToAllow) best = rule;
+  }
+  return !best || best.allow;
+}
+
+module.exports = { parseRobots, isPathAllowed };
@@ -0,0 +1,64 @@
+/**
+ * Symptom Extraction Service
+ * Runs the LLM extraction step and stores the coded result for analytics. Stored records
+ * are anonymous: codes and qualifiers only, never the user or the free text.
+ */
+
+const mongoose = require('mongoose');
+const llmService = require('./llmService');
+const SymptomExtraction = require('../models/SymptomExtraction');
+const { createLogger } = require('./logService');
+
+const logger = createLogger({ service: 'symptomExtraction' });
+
+function toCodedEntry(entry) {
+  return {
+    conceptId: entry.concept?.id ?? null,
+    snomed: entry.concept?.snomed ?? null,
+    icd10: entry.concept?.icd10 ?? null,
+    bodySiteId: entry.bodySite?.id ?? null,
+    bodySiteSnomed: entry.bodySite?.snomed ?? null,
+    laterality: entry.laterality,
+    onset: entry.onset,
+    duration: entry.duration,
+    severity: entry.severity,
+  };
+}
+
+/**
+ * Store an extraction for analytics. Never throws; analytics must not break a request.
+ * @returns {Promise<boolean>} whether the record was saved
+ */
+async function recordExtraction({ source, languageCode, extraction }) {
+  // Without a live connection mongoose would buffer the insert until it times out.
+  if (mongoose.connection.readyState !== 1 || extraction.entries.length === 0) return false;
+
+  try {
+    await SymptomExtraction.create({
+      source,
+      languageCode: languageCode || null,
+      terminologyVersion: extraction.terminologyVersion,
+      entries: extraction.entries.map(toCodedEntry),
+    });
+    return true;
+  } catch (err) {
+    logger.warn('Unable to save symptom extraction', { err });
+    return false;
+  }
+}
+
+/**
+ * Extract coded symptoms and record them.
+ * @param {{ symptoms: string[], languageCode?: string|null, source: 'diagnose'|'extract' }} input
+ * @returns {Promise<{ terminologyVersion: string, entries: Array }>} rejects with a 503 error when the LLM fails
+ */
+async function extractAndRecord({ symptoms, languageCode = null, source }) {
+  const extraction = await llmService.extractSymptoms({ symptoms });
+  await recordExtraction({ source, languageCode, extraction });
+  return extraction;
+}
+
+module.exports = {
+  extractAndRecord,
+  recordExtraction,
+};
@@ -0,0 +1,108 @@
+/**
+ * Terminology Service
+ * The bundled symptom terminology in data/symptomTerminology.json: a small subset of
+ * SNOMED CT findings and body structures with ICD-10-CM codes. The LLM picks concept and
+ * body site IDs from this list; the codes themselves always come from the file, never
+ * from the model.
+ */
+
+const TERMINOLOGY = require('../data/symptomTerminology.json');
+const { normalizeText } = require('./redFlagService');
+
+const LATERALITIES = ['left', 'right', 'bilateral'];
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+
+function validateEntries(entries, kind, requiredFields) {
+  const ids = new Set();
+  entries.forEach((entry) => {
+    if (!entry.id || ids.has(entry.id)) {
+      throw new Error(`Terminology ${kind} id "${entry.id}" is missing or duplicated`);
+    }
+    ids.add(entry.id);
+    requiredFields.forEach((field) => {
+      if (!entry[field]) throw new Error(`Terminology ${kind} "${entry.id}" needs ${field}`);
+    });
+    if (!Array.isArray(entry.synonyms) || entry.synonyms.length === 0) {
+      throw new Error(`Terminology ${kind} "${entry.id}" needs at least one synonym`);
+    }
+  });
+  return ids;
+}
+
+function compileTerminology(terminology) {
+  const siteIds = validateEntries(terminology.bodySites, 'body site', ['display', 'snomed']);
+  validateEntries(terminology.concepts, 'concept', ['display', 'snomed', 'icd10']);
+  terminology.concepts.forEach((concept) => {
+    if (concept.bodySite && !siteIds.has(concept.bodySite)) {
+      throw new Error(`Terminology concept "${concept.id}" has unknown bodySite "${concept.bodySite}"`);
+    }
+  });
+
+  const compile = (entry) => ({ ...entry, synonyms: entry.synonyms.map(normalizeText) });
+  return {
+    version: terminology.version,
+    concepts: new Map(terminology.concepts.map((c) => [c.id, compile(c)])),
+    bodySites: new Map(terminology.bodySites.map((s) => [s.id, compile(s)])),
+  };
+}
+
+const { version: TERMINOLOGY_VERSION, concepts: CONCEPTS, bodySites: BODY_SITES } = compileTerminology(TERMINOLOGY);
+
+/**
+ * @returns {{ id, display, snomed, icd10, bodySite? }|null}
+ */
+function findConcept(id) {
+  const concept = typeof id === 'string' ? CONCEPTS.get(id.trim()) : null;
+  if (!concept) return null;
+  const { synonyms, ...codes } = concept;
+  return codes;
+}
+
+/**
+ * @returns {{ id, display, snomed }|null}
+ */
+function findBodySite(id) {
+  const site = typeof id === 'string' ? BODY_SITES.get(id.trim()) : null;
+  if (!site) return null;
+  const { synonyms, ...codes } = site;
+  return codes;
+}
+
+function matchIn(map, text) {
+  const padded = ` ${normalizeText(text)} `;
+  return [...map.values()]
+    .filter((entry) => entry.synonyms.some((s) => padded.includes(` ${s} `)))
+    .map((entry) => entry.id);
+}
+
+/**
+ * IDs of concepts whose synonyms appear in the text, in file order. Used by the mock LLM
+ * provider; real extraction is done by the model.
+ */
+function matchConcepts(text) {
+  return matchIn(CONCEPTS, text);
+}
+
+function matchBodySites(text) {
+  return matchIn(BODY_SITES, text);
+}
+
+/**
+ * Concept and body site IDs with their display names, for the extraction prompt.
+ */
+function describeTerminology() {
+  const list = (map) => [...map.values()].map((e) => `${e.id} (${e.display})`).join(', ');
+  return { concepts: list(CONCEPTS), bodySites: list(BODY_SITES) };
+}
+
+module.exports = {
+  TERMINOLOGY_VERSION,
+  LATERALITIES,
+  SEVERITIES,
+  compileTerminology,
+  findConcept,
+  findBodySite,
+  matchConcepts,
+  matchBodySites,
+  describeTerminology,
+};
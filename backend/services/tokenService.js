@@ -0,0 +1,128 @@
+/**
+ * Token Service
+ * Issues short-lived JWT access tokens and rotating refresh tokens.
+ *
+ * Refresh tokens are random strings; only their SHA-256 is stored (models/RefreshToken.js).
+ * Every refresh revokes the presented token and issues a new one in the same family.
+ * Presenting an already revoked token revokes the whole family, since only a copied
+ * token can be used twice.
+ *
+ * Revoking refresh tokens does not recall access tokens already handed out; those stop
+ * working when they expire (config.jwtExpiresIn, 15 minutes by default).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const RefreshToken = require('../models/RefreshToken');
+const { createLogger } = require('./logService');
+
+const logger = createLogger({ service: 'auth' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 200;
+
+function unauthorized(message) {
+  const err = new Error(message);
+  err.statusCode = 401;
+  err.publicMessage = message;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function buildAccessToken(user) {
+  return jwt.sign(
+    { email: user.email },
+    config.jwtSecret,
+    { subject: String(user._id), expiresIn: config.jwtExpiresIn }
+  );
+}
+
+async function createRefreshToken(userId, family, userAgent) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    userAgent: String(userAgent || '').slice(0, MAX_USER_AGENT_LENGTH),
+    expiresAt: new Date(Date.now() + config.refreshTokenTtlDays * DAY_MS),
+  });
+  return refreshToken;
+}
+
+/**
+ * Start a session (signup or login).
+ * @param {{ _id, email }} user
+ * @param {{ userAgent?: string }} [options]
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+async function issueTokens(user, { userAgent } = {}) {
+  const refreshToken = await createRefreshToken(user._id, crypto.randomUUID(), userAgent);
+  return { token: buildAccessToken(user), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * @param {string} refreshToken
+ * @param {{ loadUser: (id) => Promise<object|null>, userAgent?: string }} options
+ * @returns {Promise<{ user: object, token: string, refreshToken: string }>}
+ * @throws 401 when the token is unknown, expired, revoked or its user is gone
+ */
+async function rotateRefreshToken(refreshToken, { loadUser, userAgent }) {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  // Revoke atomically so two concurrent refreshes cannot both succeed.
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } }
+  ).lean();
+
+  if (!stored) {
+    const reused = await RefreshToken.findOne({ tokenHash }).lean();
+    if (reused?.revokedAt) {
+      logger.warn('Revoked refresh token reused; revoking its session family');
+      await RefreshToken.updateMany({ family: reused.family, revokedAt: null }, { $set: { revokedAt: now } });
+    }
+    throw unauthorized('Invalid refresh token');
+  }
+
+  const user = await loadUser(stored.user);
+  if (!user) throw unauthorized('Invalid refresh token');
+
+  const nextRefreshToken = await createRefreshToken(user._id, stored.family, userAgent);
+  return { user, token: buildAccessToken(user), refreshToken: nextRefreshToken };
+}
+
+/**
+ * Revoke one session. Unknown tokens are ignored so logout always succeeds.
+ */
+async function revokeRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return;
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).lean();
+  if (!stored) return;
+  await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+/**
+ * Sign a user out of every device.
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeAllForUser(userId) {
+  const result = await RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  return result?.modifiedCount ?? 0;
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+  hashToken,
+};
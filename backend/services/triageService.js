@@ -0,0 +1,138 @@
+/**
+ * Triage Service
+ * Runs the whole care pipeline for one request: the diagnosis in parallel with
+ * hospitals → wait times, then ranking with the resulting severity.
+ * Every stage reports its own status, so one failing stage never hides the others.
+ */
+
+const { findNearbyHospitals } = require('./mapsService');
+const { getWaitTimes } = require('./waittimeService');
+const { rankHospitals } = require('./rankService');
+const { createLogger } = require('./logService');
+
+const logger = createLogger({ service: 'triage' });
+
+const STAGE_FAILURE_MESSAGES = {
+  diagnosis: 'Diagnosis service temporarily unavailable',
+  hospitals: 'Failed to find nearby hospitals',
+  waitTimes: 'Failed to fetch wait times',
+  rank: 'Failed to rank hospitals',
+};
+
+function skipped(reason) {
+  return { status: 'skipped', reason };
+}
+
+/**
+ * Run one stage, capturing its outcome instead of throwing.
+ * @returns {Promise<{ data: any, error: Error|null, stage: { status: 'ok'|'failed', error?: string, durationMs: number } }>}
+ */
+async function runStage(name, fn) {
+  const started = Date.now();
+  try {
+    const data = await fn();
+    return { data, error: null, stage: { status: 'ok', durationMs: Date.now() - started } };
+  } catch (err) {
+    logger.error('triage stage failed', { stage: name, err });
+    return {
+      data: null,
+      error: err,
+      stage: {
+        status: 'failed',
+        error: err?.publicMessage || STAGE_FAILURE_MESSAGES[name],
+        durationMs: Date.now() - started,
+      },
+    };
+  }
+}
+
+async function findCare({ latitude, longitude }, hooks) {
+  if (latitude == null || longitude == null) {
+    return {
+      hospitals: [],
+      stages: { hospitals: skipped('no_location'), waitTimes: skipped('no_location') },
+    };
+  }
+
+  const found = await runStage('hospitals', () => findNearbyHospitals(latitude, longitude));
+  if (found.error) {
+    return {
+      hospitals: [],
+      stages: { hospitals: found.stage, waitTimes: skipped('hospitals_failed') },
+    };
+  }
+
+  const hospitals = found.data;
+  hooks.onHospitals?.(hospitals);
+  if (hospitals.length === 0) {
+    return {
+      hospitals,
+      stages: { hospitals: found.stage, waitTimes: skipped('no_hospitals') },
+    };
+  }
+
+  const waits = await runStage('waitTimes', () => getWaitTimes(hospitals));
+  if (waits.error) {
+    // Keep the hospitals; they are still useful sorted by distance.
+    return { hospitals, stages: { hospitals: found.stage, waitTimes: waits.stage } };
+  }
+
+  hooks.onWaitTimes?.(waits.data);
+  return { hospitals: waits.data, stages: { hospitals: found.stage, waitTimes: waits.stage } };
+}
+
+function rankStageSkipReason(diagnosisOutcome, care) {
+  if (diagnosisOutcome.error) return 'diagnosis_failed';
+  if (care.hospitals.length === 0) return 'no_hospitals';
+  if (care.stages.waitTimes.status !== 'ok') return 'no_wait_times';
+  return null;
+}
+
+/**
+ * Run the triage pipeline.
+ * @param {{ diagnose: () => Promise<{ severity: number }>, latitude?: number|null, longitude?: number|null }} input
+ *   `diagnose` produces the finished diagnosis; coordinates are optional (hospital stages are skipped without them).
+ * @param {{ onHospitals?: (hospitals: Array) => void, onWaitTimes?: (hospitals: Array) => void }} [hooks]
+ * @returns {Promise<{
+ *   status: 'ok'|'partial',
+ *   diagnosis: object|null,
+ *   diagnosisError: Error|null,
+ *   hospitals: Array,
+ *   rankResult: { top3: Array }|null,
+ *   stages: { diagnosis: object, hospitals: object, waitTimes: object, rank: object },
+ * }>}
+ */
+async function runTriage({ diagnose, latitude = null, longitude = null }, hooks = {}) {
+  const [diagnosisOutcome, care] = await Promise.all([
+    runStage('diagnosis', diagnose),
+    findCare({ latitude, longitude }, hooks),
+  ]);
+
+  let rankResult = null;
+  let rankStage;
+  const skipReason = rankStageSkipReason(diagnosisOutcome, care);
+  if (skipReason) {
+    rankStage = skipped(skipReason);
+  } else {
+    const ranked = await runStage('rank', () => rankHospitals(care.hospitals, Number(diagnosisOutcome.data.severity)));
+    rankResult = ranked.data;
+    rankStage = ranked.stage;
+  }
+
+  const stages = {
+    diagnosis: diagnosisOutcome.stage,
+    ...care.stages,
+    rank: rankStage,
+  };
+
+  return {
+    status: Object.values(stages).some((s) => s.status === 'failed') ? 'partial' : 'ok',
+    diagnosis: diagnosisOutcome.data,
+    diagnosisError: diagnosisOutcome.error,
+    hospitals: care.hospitals,
+    rankResult,
+    stages,
+  };
+}
+
+module.exports = { runTriage };
@@ -0,0 +1,200 @@
+/**
+ * Wait History Service
+ * Stores every live wait the scrapers find and estimates a hospital's wait from that
+ * history when no live number is available: the median of past samples for the same day of
+ * week and hour, then for the same hour on any day, then the directory's
+ * Hospital.averageWaitMinutes.
+ */
+
+const mongoose = require('mongoose');
+const WaitTimeSample = require('../models/WaitTimeSample');
+const Hospital = require('../models/Hospital');
+const { normalizeName, fuzzyMatch } = require('./scrapers/names');
+const { createLogger } = require('./logService');
+
+const logger = createLogger({ service: 'waitHistory' });
+
+// Estimates read this far back, so they follow recent staffing and seasonal load.
+const HISTORY_WINDOW_DAYS = 56;
+
+// A slot (day of week + hour) needs this many samples before its median is trusted.
+const MIN_SLOT_SAMPLES = 3;
+const HIGH_CONFIDENCE_SAMPLES = 8;
+
+// At most one sample per hospital per default poll interval (WAIT_TIME_POLL_MINUTES), so a
+// shorter interval, or a website probe landing between polls, does not weight a hospital's
+// history toward the times it happened to be read more often.
+const MIN_SAMPLE_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_TRACKED_HOSPITALS = 5000;
+const lastRecorded = new Map();
+
+function isConnected() {
+  // Without a live connection mongoose would buffer the query until it times out.
+  return mongoose.connection.readyState === 1;
+}
+
+function pruneLastRecorded(now) {
+  // Entries older than the interval no longer hold anything back.
+  for (const [key, recordedAt] of lastRecorded) {
+    if (now - recordedAt >= MIN_SAMPLE_INTERVAL_MS) lastRecorded.delete(key);
+  }
+  // Map iteration is insertion order, so the first entries are the oldest.
+  while (lastRecorded.size >= MAX_TRACKED_HOSPITALS) {
+    lastRecorded.delete(lastRecorded.keys().next().value);
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Store a live wait. Never throws; history must not break a request.
+ * @param {string} hospitalName
+ * @param {number} minutes
+ * @param {Date} [observedAt]
+ * @returns {Promise<boolean>} whether a sample was saved
+ */
+async function recordWaitSample(hospitalName, minutes, observedAt = new Date()) {
+  if (!isConnected()) return false;
+
+  const hospitalKey = normalizeName(hospitalName);
+  const previous = lastRecorded.get(hospitalKey);
+  if (previous && observedAt - previous < MIN_SAMPLE_INTERVAL_MS) return false;
+  if (previous) lastRecorded.delete(hospitalKey);
+  else pruneLastRecorded(observedAt);
+  lastRecorded.set(hospitalKey, observedAt);
+
+  try {
+    await WaitTimeSample.create({
+      hospitalKey,
+      hospitalName,
+      minutes,
+      observedAt,
+      dayOfWeek: observedAt.getDay(),
+      hour: observedAt.getHours(),
+    });
+    return true;
+  } catch (err) {
+    lastRecorded.delete(hospitalKey);
+    logger.warn('Unable to save wait time sample', { err });
+    return false;
+  }
+}
+
+function historyWindow(at) {
+  return { $gte: new Date(at.getTime() - HISTORY_WINDOW_DAYS * 24 * 60 * 60 * 1000), $lte: at };
+}
+
+/**
+ * The hospitalKey each hospital's samples are stored under. Samples carry the name the
+ * hospital system prints ("Inova Fairfax Medical Campus"), which is not always the name
+ * patients see ("Inova Fairfax Hospital"), so names are matched the way live waits are.
+ * @returns {Promise<string[]>} one key per hospital
+ */
+async function resolveHospitalKeys(hospitals, at) {
+  const stored = await WaitTimeSample.distinct('hospitalKey', { observedAt: historyWindow(at) });
+  const byKey = new Map(stored.map((key) => [key, key]));
+  return hospitals.map((hospital) => fuzzyMatch(hospital.name, byKey) || normalizeName(hospital.name));
+}
+
+/**
+ * Past samples per hospital, grouped by day of week and hour.
+ * @returns {Promise<Map<string, Array<{ dayOfWeek: number, hour: number, minutes: number[] }>>>}
+ */
+async function loadSlots(hospitalKeys, at) {
+  const groups = await WaitTimeSample.aggregate([
+    { $match: { hospitalKey: { $in: hospitalKeys }, observedAt: historyWindow(at) } },
+    {
+      $group: {
+        _id: { hospitalKey: '$hospitalKey', dayOfWeek: '$dayOfWeek', hour: '$hour' },
+        minutes: { $push: '$minutes' },
+      },
+    },
+  ]);
+
+  const slots = new Map();
+  for (const group of groups) {
+    const { hospitalKey, dayOfWeek, hour } = group._id;
+    if (!slots.has(hospitalKey)) slots.set(hospitalKey, []);
+    slots.get(hospitalKey).push({ dayOfWeek, hour, minutes: group.minutes });
+  }
+  return slots;
+}
+
+/**
+ * Directory averages for hospitals that did not bring their own averageWaitMinutes.
+ * @returns {Promise<Map<string, number>>} keyed by normalized name
+ */
+async function loadDirectoryAverages(names) {
+  if (names.length === 0) return new Map();
+  const docs = await Hospital.find({ name: { $in: names } }).select('name averageWaitMinutes').lean();
+  return new Map(docs
+    .filter((doc) => typeof doc.averageWaitMinutes === 'number')
+    .map((doc) => [normalizeName(doc.name), doc.averageWaitMinutes]));
+}
+
+function fromHistory(slots, at) {
+  const dayOfWeek = at.getDay();
+  const hour = at.getHours();
+
+  const slotSamples = slots
+    .filter((slot) => slot.dayOfWeek === dayOfWeek && slot.hour === hour)
+    .flatMap((slot) => slot.minutes);
+  if (slotSamples.length >= MIN_SLOT_SAMPLES) {
+    return {
+      waitTime: Math.round(median(slotSamples)),
+      source: 'historical',
+      confidence: slotSamples.length >= HIGH_CONFIDENCE_SAMPLES ? 'high' : 'medium',
+    };
+  }
+
+  const hourSamples = slots.filter((slot) => slot.hour === hour).flatMap((slot) => slot.minutes);
+  if (hourSamples.length >= MIN_SLOT_SAMPLES) {
+    return { waitTime: Math.round(median(hourSamples)), source: 'historical', confidence: 'low' };
+  }
+  return null;
+}
+
+/**
+ * Estimate waits for hospitals with no live number. Never throws: without the database
+ * only a hospital's own averageWaitMinutes is used.
+ * @param {Array<{ name: string, averageWaitMinutes?: number|null }>} hospitals
+ * @param {Date} [at] - the time to estimate for
+ * @returns {Promise<Array<{ waitTime: number, source: 'historical', confidence: 'high'|'medium'|'low' }|null>>}
+ *   one entry per hospital, null when there is nothing to estimate from
+ */
+async function estimateWaits(hospitals, at = new Date()) {
+  let keys = hospitals.map((hospital) => normalizeName(hospital.name));
+  let slots = new Map();
+  let averages = new Map();
+
+  if (isConnected() && hospitals.length > 0) {
+    try {
+      const withoutAverage = hospitals
+        .filter((hospital) => typeof hospital.averageWaitMinutes !== 'number')
+        .map((hospital) => hospital.name);
+      keys = await resolveHospitalKeys(hospitals, at);
+      [slots, averages] = await Promise.all([
+        loadSlots([...new Set(keys)], at),
+        loadDirectoryAverages(withoutAverage),
+      ]);
+    } catch (err) {
+      logger.warn('Unable to read wait time history', { err });
+    }
+  }
+
+  return hospitals.map((hospital, i) => {
+    const estimate = fromHistory(slots.get(keys[i]) || [], at);
+    if (estimate) return estimate;
+
+    const average = typeof hospital.averageWaitMinutes === 'number'
+      ? hospital.averageWaitMinutes
+      : averages.get(normalizeName(hospital.name));
+    return average != null ? { waitTime: Math.round(average), source: 'historical', confidence: 'low' } : null;
+  });
+}
+
+module.exports = { recordWaitSample, estimateWaits };
@@ -0,0 +1,45 @@
+/**
+ * Wait Time Poller — refreshes every known hospital system's wait-time pages on a timer,
+ * so /waittimes can answer from the store without fetching anything.
+ */
+
+const config = require('../config');
+const { refreshKnownSystems } = require('./scraperService');
+const { createLogger } = require('./logService');
+
+const logger = createLogger({ service: 'waitTimePoller' });
+
+/**
+ * Poll now and then every `intervalMs`. A round that is still running when the next one is
+ * due is not overlapped.
+ * @param {number} [intervalMs]
+ * @returns {() => void} stops polling
+ */
+function startWaitTimePolling(intervalMs = config.waitTimePollMs) {
+  let running = false;
+
+  async function poll() {
+    if (running) return;
+    running = true;
+    const started = Date.now();
+    try {
+      // Another instance sharing the store may have refreshed a system moments ago.
+      const refreshed = await refreshKnownSystems(intervalMs / 2);
+      logger.info('wait times polled', { systems: refreshed, durationMs: Date.now() - started });
+    } catch (err) {
+      logger.error('Wait time poll failed', { err });
+    } finally {
+      running = false;
+    }
+  }
+
+  poll();
+  const timer = setInterval(poll, intervalMs);
+  // Polling alone should not keep the process alive.
+  timer.unref();
+  logger.info('Wait time polling started', { intervalMs });
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { startWaitTimePolling };
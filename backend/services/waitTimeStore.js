@@ -0,0 +1,78 @@
+/**
+ * Wait Time Store — the latest scraped waits per source, written by the background poller
+ * and read by /waittimes. Snapshots go to MongoDB so every instance shares them; a copy is
+ * kept in memory so the store still works while the database is down.
+ */
+
+const mongoose = require('mongoose');
+const WaitTimeSnapshot = require('../models/WaitTimeSnapshot');
+const { createLogger } = require('./logService');
+
+const logger = createLogger({ service: 'waitTimeStore' });
+
+// The in-memory copy only needs snapshots recent enough to matter: older ones are no longer
+// live, and a missing snapshot is refreshed or probed like a stale one. Website probes add a
+// snapshot per hospital site, so the copy is also capped, oldest first.
+const MEMORY_TTL_MS = 60 * 60 * 1000;
+const MAX_MEMORY_SNAPSHOTS = 1000;
+const memory = new Map();
+
+function pruneMemory(now) {
+  for (const [key, snapshot] of memory) {
+    if (now - snapshot.fetchedAt > MEMORY_TTL_MS) memory.delete(key);
+  }
+  // Map iteration is insertion order, and saveSnapshot re-inserts, so the first entries are the oldest.
+  while (memory.size >= MAX_MEMORY_SNAPSHOTS) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+function fromMemory(key, now) {
+  const snapshot = memory.get(key);
+  return snapshot && now - snapshot.fetchedAt <= MEMORY_TTL_MS ? snapshot : null;
+}
+
+function isConnected() {
+  // Without a live connection mongoose would buffer the query until it times out.
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Replace the snapshot for `snapshot.key`. Never throws.
+ * @param {{ key: string, system: string, entries: Array<{ name: string|null, minutes: number }>, fetchedAt: Date }} snapshot
+ */
+async function saveSnapshot(snapshot) {
+  memory.delete(snapshot.key);
+  pruneMemory(Date.now());
+  memory.set(snapshot.key, snapshot);
+  if (!isConnected()) return;
+
+  try {
+    await WaitTimeSnapshot.updateOne({ key: snapshot.key }, { $set: snapshot }, { upsert: true });
+  } catch (err) {
+    logger.warn('Unable to save wait time snapshot', { key: snapshot.key, err });
+  }
+}
+
+/**
+ * @param {string[]} keys
+ * @returns {Promise<Map<string, object>>} the newest snapshot known for each key that has one
+ */
+async function getSnapshots(keys) {
+  const now = Date.now();
+  const found = new Map(keys.filter((key) => fromMemory(key, now)).map((key) => [key, memory.get(key)]));
+  if (!isConnected() || keys.length === 0) return found;
+
+  try {
+    const docs = await WaitTimeSnapshot.find({ key: { $in: keys } }).lean();
+    for (const doc of docs) {
+      const local = found.get(doc.key);
+      if (!local || doc.fetchedAt > local.fetchedAt) found.set(doc.key, doc);
+    }
+  } catch (err) {
+    logger.warn('Unable to read wait time snapshots', { err });
+  }
+  return found;
+}
+
+module.exports = { saveSnapshot, getSnapshots };
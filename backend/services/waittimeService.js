@@ -1,9 +1,12 @@
 /**
  * Wait-Time Service
- * Tries to scrape real ER wait times first, falls back to synthetic data.
+ * Answers from the live waits the scrapers stored, then estimates from stored history, and
+ * falls back to synthetic data.
  */
 
-const { scrapeWaitTime } = require('./scraperService');
+const { findLiveWaits } = require('./scraperService');
+const { estimateWaits } = require('./waitHistoryService');
+const { metrics } = require('./metricsService');
 
 // Synthetic wait-time ranges (minutes)
 const WAIT_RANGES = { default: { min: 15, max: 90 } };
@@ -26,38 +29,42 @@ function generateSyntheticWait(hospitalName) {
 }
 
 /**
- * Get wait times for a list of hospitals.
- * Scrapes real data when possible, falls back to synthetic.
- * @param {Array} hospitals - [{ name, website?, ... }]
- * @returns {Promise<Array>} hospitals enriched with waitTime + waitTimeEstimated flag
+ * Get wait times for a list of hospitals, without waiting on any hospital website.
+ * A fresh stored wait from the scrapers wins; otherwise the estimate comes from stored
+ * history or the directory average, and last from synthetic data.
+ * @param {Array} hospitals - [{ name, website?, averageWaitMinutes?, ... }]
+ * @returns {Promise<Array>} hospitals enriched with waitTime, waitTimeSource
+ *   ('live' | 'historical' | 'synthetic'), waitTimeConfidence ('high' | 'medium' | 'low' | 'none')
+ *   and waitTimeUpdatedAt (when a live wait was scraped, ISO 8601; null otherwise)
  */
 async function getWaitTimes(hospitals) {
-  const results = await Promise.all(
-    hospitals.map(async (hospital) => {
-      let waitTime = null;
-      let estimated = true;
-
-      try {
-        waitTime = await scrapeWaitTime(hospital.name, hospital.website || null);
-      } catch (err) {
-        // Scrape failed — will use synthetic
-      }
-
-      if (waitTime != null) {
-        estimated = false; // Real data from hospital website
-      } else {
-        waitTime = generateSyntheticWait(hospital.name);
-      }
-
-      return {
-        ...hospital,
-        waitTime,
-        waitTimeEstimated: estimated,
-      };
-    })
-  );
-
-  return results;
+  const now = new Date();
+  let live;
+  try {
+    live = await findLiveWaits(hospitals);
+  } catch (err) {
+    live = hospitals.map(() => null); // Store unreadable — will estimate
+  }
+
+  const missing = hospitals.map((hospital, i) => i).filter((i) => live[i] == null);
+  const estimates = await estimateWaits(missing.map((i) => hospitals[i]), now);
+  const estimateFor = new Map(missing.map((i, n) => [i, estimates[n]]));
+
+  return hospitals.map((hospital, i) => {
+    const wait = live[i]
+      ? { waitTime: live[i].minutes, source: 'live', confidence: 'high', updatedAt: live[i].fetchedAt.toISOString() }
+      : estimateFor.get(i)
+        || { waitTime: generateSyntheticWait(hospital.name), source: 'synthetic', confidence: 'none' };
+    metrics.waitTimes.inc({ source: wait.source });
+
+    return {
+      ...hospital,
+      waitTime: wait.waitTime,
+      waitTimeSource: wait.source,
+      waitTimeConfidence: wait.confidence,
+      waitTimeUpdatedAt: wait.updatedAt || null,
+    };
+  });
 }
 
 module.exports = { getWaitTimes, generateSyntheticWait };
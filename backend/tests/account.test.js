@@ -0,0 +1,170 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  deleteOne: jest.fn(),
+}));
+
+jest.mock('../models/DiagnosisRecord', () => ({
+  find: jest.fn(),
+  deleteMany: jest.fn(),
+}));
+
+jest.mock('../models/RefreshToken', () => ({
+  find: jest.fn(),
+  deleteMany: jest.fn(),
+}));
+
+jest.mock('../models/ActionToken', () => ({
+  deleteMany: jest.fn(),
+}));
+
+const User = require('../models/User');
+const DiagnosisRecord = require('../models/DiagnosisRecord');
+const RefreshToken = require('../models/RefreshToken');
+const ActionToken = require('../models/ActionToken');
+const config = require('../config');
+const app = require('../app');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+function authHeader() {
+  const token = jwt.sign({ email: 'pat@example.com' }, config.jwtSecret, { subject: USER_ID });
+  return `Bearer ${token}`;
+}
+
+function sorted(rows) {
+  return { sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(rows) }) };
+}
+
+let USER;
+
+beforeAll(async () => {
+  USER = {
+    _id: USER_ID,
+    name: 'Pat',
+    email: 'pat@example.com',
+    passwordHash: await bcrypt.hash('correct horse', 4),
+    age: 34,
+    emergencyContacts: [{ name: 'Sam', relation: 'partner', phone: '555-0100', email: '' }],
+    dependents: [{ _id: '64b7f0c2a1b2c3d4e5f60720', name: 'Robin', age: 0, gender: 'female' }],
+    createdAt: new Date('2026-01-02T00:00:00Z'),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findById.mockImplementation(() => {
+    const query = Promise.resolve(USER);
+    query.lean = jest.fn().mockResolvedValue(USER);
+    return query;
+  });
+  User.findByIdAndUpdate.mockResolvedValue({ ...USER, failedLoginAttempts: 1 });
+});
+
+describe('GET /auth/export', () => {
+  it('requires auth', async () => {
+    await request(app).get('/auth/export').expect(401);
+  });
+
+  it('downloads the profile, dependents, history and sessions without secrets', async () => {
+    DiagnosisRecord.find.mockReturnValue(sorted([{
+      _id: '64b7f0c2a1b2c3d4e5f60730', symptoms: ['cough'], imageHash: 'abc', condition: 'Cold', severity: 1,
+    }]));
+    RefreshToken.find.mockReturnValue(sorted([{ tokenHash: 'secret-hash', family: 'f1', userAgent: 'Firefox' }]));
+
+    const res = await request(app).get('/auth/export').set('Authorization', authHeader()).expect(200);
+
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="triagesense-export-\d{4}-\d{2}-\d{2}\.json"/);
+    expect(DiagnosisRecord.find).toHaveBeenCalledWith({ user: USER_ID });
+    expect(res.body.account).toMatchObject({ email: 'pat@example.com', age: 34, emergencyContacts: USER.emergencyContacts });
+    expect(res.body.dependents).toEqual([expect.objectContaining({ name: 'Robin', age: 0 })]);
+    expect(res.body.diagnoses).toEqual([expect.objectContaining({ condition: 'Cold', hasImage: true })]);
+    expect(res.body.sessions).toEqual([{ userAgent: 'Firefox', revokedAt: null }]);
+
+    const text = JSON.stringify(res.body);
+    expect(text).not.toContain('passwordHash');
+    expect(text).not.toContain('secret-hash');
+  });
+});
+
+describe('DELETE /auth/account', () => {
+  it('requires the password', async () => {
+    await request(app).delete('/auth/account').set('Authorization', authHeader()).send({}).expect(400);
+    const res = await request(app)
+      .delete('/auth/account')
+      .set('Authorization', authHeader())
+      .send({ password: 'wrong password' })
+      .expect(403);
+
+    expect(res.body.error).toBe('Incorrect password');
+    expect(User.deleteOne).not.toHaveBeenCalled();
+    expect(DiagnosisRecord.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('counts wrong passwords toward the login lockout', async () => {
+    const user = { ...USER, failedLoginAttempts: 0, lockedUntil: null };
+    User.findById.mockImplementation(async () => ({ ...user }));
+    User.findByIdAndUpdate.mockImplementation(async (id, update) => {
+      if (update.$inc) user.failedLoginAttempts += update.$inc.failedLoginAttempts;
+      else Object.assign(user, update);
+      return { ...user };
+    });
+    const attempt = (password) => request(app)
+      .delete('/auth/account')
+      .set('Authorization', authHeader())
+      .send({ password });
+
+    for (let i = 1; i < config.loginMaxAttempts; i += 1) {
+      await attempt('wrong password').expect(403);
+    }
+    const locked = await attempt('wrong password').expect(429);
+
+    expect(locked.body.error).toMatch(/Too many failed logins/);
+    await attempt('correct horse').expect(429);
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('is rate limited like the other password routes', async () => {
+    const original = { enabled: config.rateLimitEnabled, auth: config.rateLimits.auth };
+    config.rateLimitEnabled = true;
+    config.rateLimits.auth = { windowMs: 60 * 1000, perIp: 1 };
+    try {
+      await request(app).delete('/auth/account').set('Authorization', authHeader()).send({ password: 'x' }).expect(403);
+      const res = await request(app).delete('/auth/account').set('Authorization', authHeader()).send({ password: 'x' }).expect(429);
+      expect(res.body.error).toBe('rate_limited');
+    } finally {
+      config.rateLimitEnabled = original.enabled;
+      config.rateLimits.auth = original.auth;
+    }
+  });
+
+  it('deletes the account and everything tied to it', async () => {
+    await request(app)
+      .delete('/auth/account')
+      .set('Authorization', authHeader())
+      .send({ password: 'correct horse' })
+      .expect(204);
+
+    expect(DiagnosisRecord.deleteMany).toHaveBeenCalledWith({ user: USER_ID });
+    expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ user: USER_ID });
+    expect(ActionToken.deleteMany).toHaveBeenCalledWith({ user: USER_ID });
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: USER_ID });
+  });
+
+  it('keeps the account when deleting its records fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    DiagnosisRecord.deleteMany.mockRejectedValueOnce(new Error('db down'));
+
+    await request(app)
+      .delete('/auth/account')
+      .set('Authorization', authHeader())
+      .send({ password: 'correct horse' })
+      .expect(500);
+    expect(User.deleteOne).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  create: jest.fn(),
+}));
+
+// A small in-memory stand-in for the refresh token collection.
+jest.mock('../models/RefreshToken', () => {
+  const rows = [];
+  const matches = (row, filter) => Object.entries(filter).every(([key, value]) => {
+    if (value && typeof value === 'object' && '$gt' in value) return row[key] > value.$gt;
+    return String(row[key]) === String(value) || (value === null && row[key] === null);
+  });
+  const lean = (value) => ({ lean: async () => (value ? { ...value } : null) });
+  return {
+    rows,
+    create: jest.fn(async (doc) => { rows.push({ revokedAt: null, ...doc }); return doc; }),
+    findOne: jest.fn((filter) => lean(rows.find((row) => matches(row, filter)))),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      const row = rows.find((r) => matches(r, filter));
+      const before = row ? { ...row } : null;
+      if (row) Object.assign(row, update.$set);
+      return lean(before);
+    }),
+    updateMany: jest.fn(async (filter, update) => {
+      const hit = rows.filter((row) => matches(row, filter));
+      hit.forEach((row) => Object.assign(row, update.$set));
+      return { modifiedCount: hit.length };
+    }),
+  };
+});
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const config = require('../config');
+const app = require('../app');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('auth sessions', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = { _id: USER_ID, name: 'Pat', email: 'pat@example.com', passwordHash: await bcrypt.hash('correct horse', 4) };
+  });
+
+  beforeEach(() => {
+    RefreshToken.rows.length = 0;
+    User.findOne.mockResolvedValue(user);
+    User.findById.mockResolvedValue(user);
+  });
+
+  async function login() {
+    const res = await request(app)
+      .post('/auth/login')
+      .send({ email: 'pat@example.com', password: 'correct horse' })
+      .expect(200);
+    return res.body;
+  }
+
+  it('issues a short-lived access token and a stored refresh token on login', async () => {
+    const { token, refreshToken, user: body } = await login();
+
+    expect(body.email).toBe('pat@example.com');
+    const decoded = jwt.verify(token, config.jwtSecret);
+    expect(decoded.exp - decoded.iat).toBeLessThanOrEqual(60 * 60);
+    expect(RefreshToken.rows).toHaveLength(1);
+    expect(RefreshToken.rows[0].tokenHash).not.toBe(refreshToken);
+  });
+
+  it('rotates refresh tokens', async () => {
+    const first = await login();
+    const res = await request(app).post('/auth/refresh').send({ refreshToken: first.refreshToken }).expect(200);
+
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).not.toBe(first.refreshToken);
+    await request(app).post('/auth/refresh').send({ refreshToken: res.body.refreshToken }).expect(200);
+  });
+
+  it('revokes the whole session when a used refresh token comes back', async () => {
+    const first = await login();
+    const second = await request(app).post('/auth/refresh').send({ refreshToken: first.refreshToken }).expect(200);
+
+    const replay = await request(app).post('/auth/refresh').send({ refreshToken: first.refreshToken }).expect(401);
+    expect(replay.body.error).toBe('Invalid refresh token');
+    // The legitimate holder is signed out too, since we cannot tell them apart.
+    await request(app).post('/auth/refresh').send({ refreshToken: second.body.refreshToken }).expect(401);
+  });
+
+  it('rejects missing and expired refresh tokens', async () => {
+    await request(app).post('/auth/refresh').send({}).expect(401);
+    const { refreshToken } = await login();
+    RefreshToken.rows[0].expiresAt = new Date(Date.now() - 1000);
+    await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+  });
+
+  it('logs out one session', async () => {
+    const phone = await login();
+    const laptop = await login();
+
+    await request(app).post('/auth/logout').send({ refreshToken: phone.refreshToken }).expect(204);
+    await request(app).post('/auth/logout').send({ refreshToken: 'unknown' }).expect(204);
+
+    await request(app).post('/auth/refresh').send({ refreshToken: phone.refreshToken }).expect(401);
+    await request(app).post('/auth/refresh').send({ refreshToken: laptop.refreshToken }).expect(200);
+  });
+
+  it('signs out of all devices', async () => {
+    const phone = await login();
+    const laptop = await login();
+
+    await request(app).post('/auth/logout-all').expect(401);
+    const res = await request(app)
+      .post('/auth/logout-all')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+
+    expect(res.body.revokedSessions).toBe(2);
+    await request(app).post('/auth/refresh').send({ refreshToken: phone.refreshToken }).expect(401);
+    await request(app).post('/auth/refresh').send({ refreshToken: laptop.refreshToken }).expect(401);
+  });
+
+  it('answers expired access tokens with token_expired, even on optional-auth routes', async () => {
+    const expired = jwt.sign({ email: 'pat@example.com' }, config.jwtSecret, { subject: USER_ID, expiresIn: -10 });
+
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${expired}`).expect(401);
+    expect(me.body.error).toBe('token_expired');
+    const diagnose = await request(app)
+      .post('/diagnose')
+      .set('Authorization', `Bearer ${expired}`)
+      .send({ symptoms: 'cough' })
+      .expect(401);
+    expect(diagnose.body.error).toBe('token_expired');
+  });
+});
+
+describe('login lockout', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    user = {
+      _id: USER_ID,
+      name: 'Pat',
+      email: 'pat@example.com',
+      passwordHash: await bcrypt.hash('correct horse', 4),
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+    };
+    User.findOne.mockImplementation(async () => ({ ...user }));
+    User.findByIdAndUpdate.mockImplementation(async (id, update) => {
+      if (update.$inc) user.failedLoginAttempts += update.$inc.failedLoginAttempts;
+      else Object.assign(user, update);
+      return { ...user };
+    });
+  });
+
+  function attempt(password) {
+    return request(app).post('/auth/login').send({ email: 'pat@example.com', password });
+  }
+
+  it('locks the account after repeated failed logins', async () => {
+    for (let i = 1; i < config.loginMaxAttempts; i += 1) {
+      await attempt('wrong password').expect(401);
+    }
+    const locked = await attempt('wrong password').expect(429);
+
+    expect(locked.headers['retry-after']).toBe(String(config.loginLockoutMinutes * 60));
+    expect(locked.body.error).toMatch(/Too many failed logins/);
+    // Even the right password is refused until the lock ends.
+    await attempt('correct horse').expect(429);
+  });
+
+  it('answers unknown emails the same way, lockout included', async () => {
+    User.findOne.mockResolvedValue(null);
+    const unknown = (password) => request(app).post('/auth/login').send({ email: 'nobody@example.com', password });
+
+    for (let i = 1; i < config.loginMaxAttempts; i += 1) {
+      const res = await unknown('wrong password').expect(401);
+      expect(res.body).toEqual({ error: 'Invalid credentials' });
+    }
+    const locked = await unknown('wrong password').expect(429);
+
+    expect(locked.headers['retry-after']).toBe(String(config.loginLockoutMinutes * 60));
+    expect(locked.body.error).toMatch(/Too many failed logins/);
+    await unknown('correct horse').expect(429);
+  });
+
+  it('lets the user in again once the lock ends, and clears the count', async () => {
+    user.lockedUntil = new Date(Date.now() - 1000);
+    user.failedLoginAttempts = 2;
+
+    await attempt('correct horse').expect(200);
+    expect(user).toMatchObject({ failedLoginAttempts: 0, lockedUntil: null });
+  });
+});
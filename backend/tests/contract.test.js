@@ -0,0 +1,480 @@
+/**
+ * Contract tests: every response the controllers send must be described by the OpenAPI
+ * document (GET /openapi.json) and match its schema. The last test checks that every
+ * operation in the document had its success response exercised here.
+ */
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  create: jest.fn(),
+  deleteOne: jest.fn(),
+}));
+jest.mock('../models/DiagnosisRecord', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndDelete: jest.fn(),
+  deleteMany: jest.fn(),
+}));
+jest.mock('../models/RefreshToken', () => ({
+  find: jest.fn(),
+  deleteMany: jest.fn(),
+}));
+jest.mock('../models/ActionToken', () => ({
+  deleteMany: jest.fn(),
+}));
+jest.mock('../services/tokenService', () => ({
+  ...jest.requireActual('../services/tokenService'),
+  issueTokens: jest.fn(),
+  rotateRefreshToken: jest.fn(),
+  revokeRefreshToken: jest.fn(),
+  revokeAllForUser: jest.fn(),
+}));
+jest.mock('../services/actionTokenService', () => ({
+  createActionToken: jest.fn(),
+  consumeActionToken: jest.fn(),
+}));
+jest.mock('../services/emailService', () => ({
+  sendEmergencyAlert: jest.fn(),
+  sendPasswordResetEmail: jest.fn(),
+  sendVerificationEmail: jest.fn(),
+  verifyEmailTransport: jest.fn().mockResolvedValue({ status: 'not_configured' }),
+}));
+jest.mock('../services/mapsService', () => ({
+  findNearbyHospitals: jest.fn(),
+  resolveProvider: jest.fn(() => 'local'),
+}));
+jest.mock('../services/scraperService', () => ({
+  findLiveWaits: jest.fn(),
+  getScraperStatus: jest.fn(() => ({ lastSuccessAt: null, lastErrorAt: null })),
+}));
+jest.mock('../services/ttsService', () => ({
+  ...jest.requireActual('../services/ttsService'),
+  textToSpeech: jest.fn(),
+}));
+
+const User = require('../models/User');
+const DiagnosisRecord = require('../models/DiagnosisRecord');
+const RefreshToken = require('../models/RefreshToken');
+const tokenService = require('../services/tokenService');
+const actionTokenService = require('../services/actionTokenService');
+const emailService = require('../services/emailService');
+const { findNearbyHospitals } = require('../services/mapsService');
+const { findLiveWaits } = require('../services/scraperService');
+const { textToSpeech } = require('../services/ttsService');
+const { validateValue } = require('../middleware/validate');
+const config = require('../config');
+const db = require('../config/db');
+const app = require('../app');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const DEPENDENT_ID = '64b7f0c2a1b2c3d4e5f60720';
+const RECORD_ID = '64b7f0c2a1b2c3d4e5f60730';
+const COORDS = { latitude: 38.85, longitude: -77.3 };
+
+const HOSPITAL = {
+  name: 'Fairfax Community Hospital',
+  address: '1 Main St',
+  latitude: 38.86,
+  longitude: -77.31,
+  distance: 2.4,
+  travelTime: 5,
+  website: null,
+  placeId: null,
+  source: 'local',
+  averageWaitMinutes: 25,
+};
+
+const RECORD = {
+  _id: RECORD_ID,
+  user: USER_ID,
+  symptoms: ['fever and cough'],
+  imageHash: null,
+  profile: { age: 34 },
+  subject: null,
+  condition: 'Flu-like illness',
+  severity: 2,
+  reasoning: 'Viral pattern.',
+  nextSteps: 'Rest.',
+  differentials: [{ condition: 'Flu-like illness', likelihood: 'high', distinguishingSymptoms: ['fever'] }],
+  languageCode: 'en',
+  emergencyNotified: false,
+  redFlags: [],
+  createdAt: new Date('2026-03-01T10:00:00Z'),
+};
+
+let USER;
+let spec;
+const exercised = new Set();
+
+// Resolves like a mongoose query, with or without .lean().
+function query(value) {
+  return Object.assign(Promise.resolve(value), { lean: () => Promise.resolve(value) });
+}
+
+function chain(rows) {
+  const cursor = {
+    sort: () => cursor,
+    limit: () => cursor,
+    lean: () => Promise.resolve(rows),
+  };
+  return cursor;
+}
+
+function authHeader() {
+  const token = jwt.sign({ email: USER.email }, config.jwtSecret, { subject: USER_ID });
+  return `Bearer ${token}`;
+}
+
+function resolveResponse(response) {
+  if (!response.$ref) return response;
+  return spec.components.responses[response.$ref.split('/').pop()];
+}
+
+/**
+ * Assert that a response is listed for the operation and matches its schema.
+ */
+function expectContract(res, method, path) {
+  const operation = spec.paths[path]?.[method];
+  if (!operation) throw new Error(`${method.toUpperCase()} ${path} is not in the OpenAPI document`);
+  const status = operation.responses[res.status] ? String(res.status) : `${String(res.status)[0]}XX`;
+  const listed = operation.responses[status];
+  if (!listed) {
+    throw new Error(`${method.toUpperCase()} ${path} answered ${res.status}, which the document does not list`);
+  }
+  exercised.add(`${method} ${path} ${status}`);
+
+  const response = resolveResponse(listed);
+  if (!response.content) {
+    expect(res.text || '').toBe('');
+    return;
+  }
+  const [contentType] = Object.keys(response.content);
+  expect(res.headers['content-type']).toContain(contentType);
+  if (contentType === 'application/json') {
+    expect(validateValue(response.content[contentType].schema, res.body)).toEqual([]);
+  }
+}
+
+const originalProvider = config.llmProvider;
+const originalRateLimit = config.rateLimitEnabled;
+
+beforeAll(async () => {
+  USER = {
+    _id: USER_ID,
+    name: 'Pat',
+    email: 'pat@example.com',
+    passwordHash: await bcrypt.hash('correct horse', 4),
+    emailVerifiedAt: null,
+    age: 34,
+    gender: 'female',
+    heightCm: 170,
+    weightKg: 65,
+    emergencyContacts: [{ name: 'Sam', relation: 'partner', phone: '555-0100', email: 'sam@example.com' }],
+    medications: [{ name: 'Warfarin', dose: '5 mg', frequency: 'daily' }],
+    dependents: [{ _id: DEPENDENT_ID, name: 'Robin', relation: 'child', age: 0, gender: 'female', weightKg: 7.5 }],
+    createdAt: new Date('2026-01-02T00:00:00Z'),
+    updatedAt: new Date('2026-01-03T00:00:00Z'),
+  };
+  spec = (await request(app).get('/openapi.json').expect(200)).body;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  config.llmProvider = 'mock';
+  User.findOne.mockImplementation(() => query(null));
+  User.findById.mockImplementation(() => query(USER));
+  User.findByIdAndUpdate.mockImplementation((id, update) => query({ ...USER, ...update }));
+  DiagnosisRecord.create.mockResolvedValue({ _id: RECORD_ID });
+  emailService.sendEmergencyAlert.mockResolvedValue(false);
+  emailService.sendVerificationEmail.mockResolvedValue(true);
+  emailService.sendPasswordResetEmail.mockResolvedValue(true);
+  tokenService.issueTokens.mockResolvedValue({ token: 'access', refreshToken: 'refresh' });
+  findNearbyHospitals.mockResolvedValue([HOSPITAL]);
+  findLiveWaits.mockImplementation(async (hospitals) => hospitals.map(() => null));
+});
+
+afterAll(() => {
+  config.llmProvider = originalProvider;
+  config.rateLimitEnabled = originalRateLimit;
+});
+
+describe('auth contract', () => {
+  it('POST /auth/signup', async () => {
+    User.create.mockResolvedValue(USER);
+    expectContract(await request(app).post('/auth/signup')
+      .send({ name: 'Pat', email: 'pat@example.com', password: 'correct horse' }), 'post', '/auth/signup');
+
+    User.findOne.mockImplementation(() => query(USER));
+    expectContract(await request(app).post('/auth/signup')
+      .send({ name: 'Pat', email: 'pat@example.com', password: 'correct horse' }), 'post', '/auth/signup');
+
+    expectContract(await request(app).post('/auth/signup').send({ email: 'nope' }), 'post', '/auth/signup');
+  });
+
+  it('POST /auth/login', async () => {
+    User.findOne.mockImplementation(() => query(USER));
+    expectContract(await request(app).post('/auth/login')
+      .send({ email: 'pat@example.com', password: 'correct horse' }), 'post', '/auth/login');
+    expectContract(await request(app).post('/auth/login')
+      .send({ email: 'pat@example.com', password: 'wrong' }), 'post', '/auth/login');
+
+    User.findOne.mockImplementation(() => query({ ...USER, lockedUntil: new Date(Date.now() + 60000) }));
+    expectContract(await request(app).post('/auth/login')
+      .send({ email: 'pat@example.com', password: 'correct horse' }), 'post', '/auth/login');
+  });
+
+  it('POST /auth/refresh and logout', async () => {
+    tokenService.rotateRefreshToken.mockResolvedValue({ token: 'a', refreshToken: 'b', user: USER });
+    expectContract(await request(app).post('/auth/refresh').send({ refreshToken: 'r' }), 'post', '/auth/refresh');
+
+    tokenService.rotateRefreshToken.mockRejectedValue(Object.assign(new Error('x'), {
+      statusCode: 401, publicMessage: 'Invalid refresh token',
+    }));
+    expectContract(await request(app).post('/auth/refresh').send({ refreshToken: 'r' }), 'post', '/auth/refresh');
+
+    expectContract(await request(app).post('/auth/logout').send({ refreshToken: 'r' }), 'post', '/auth/logout');
+
+    tokenService.revokeAllForUser.mockResolvedValue(2);
+    expectContract(await request(app).post('/auth/logout-all').set('Authorization', authHeader()),
+      'post', '/auth/logout-all');
+    expectContract(await request(app).post('/auth/logout-all'), 'post', '/auth/logout-all');
+  });
+
+  it('password reset and email verification', async () => {
+    expectContract(await request(app).post('/auth/forgot-password').send({ email: 'pat@example.com' }),
+      'post', '/auth/forgot-password');
+
+    actionTokenService.consumeActionToken.mockResolvedValue(USER_ID);
+    expectContract(await request(app).post('/auth/reset-password').send({ token: 't', password: 'new password' }),
+      'post', '/auth/reset-password');
+    expectContract(await request(app).get('/auth/verify-email?token=t'), 'get', '/auth/verify-email');
+
+    actionTokenService.consumeActionToken.mockResolvedValue(null);
+    expectContract(await request(app).post('/auth/reset-password').send({ token: 't', password: 'new password' }),
+      'post', '/auth/reset-password');
+    expectContract(await request(app).get('/auth/verify-email?token=t'), 'get', '/auth/verify-email');
+    expectContract(await request(app).get('/auth/verify-email'), 'get', '/auth/verify-email');
+
+    actionTokenService.createActionToken.mockResolvedValue('t');
+    expectContract(await request(app).post('/auth/resend-verification').set('Authorization', authHeader()),
+      'post', '/auth/resend-verification');
+    emailService.sendVerificationEmail.mockResolvedValue(false);
+    expectContract(await request(app).post('/auth/resend-verification').set('Authorization', authHeader()),
+      'post', '/auth/resend-verification');
+  });
+
+  it('profile', async () => {
+    expectContract(await request(app).get('/auth/me').set('Authorization', authHeader()), 'get', '/auth/me');
+    User.findById.mockImplementation(() => query(null));
+    expectContract(await request(app).get('/auth/me').set('Authorization', authHeader()), 'get', '/auth/me');
+
+    expectContract(await request(app).put('/auth/profile').set('Authorization', authHeader()).send({
+      name: 'Pat',
+      age: 34,
+      gender: 'female',
+      heightCm: 170,
+      weightKg: 65,
+      emergencyContacts: [{ name: 'Sam', relation: 'partner', phone: '555-0100' }],
+      surgeries: [{ procedure: 'Appendectomy', year: 2010 }],
+    }), 'put', '/auth/profile');
+  });
+
+  it('account export and deletion', async () => {
+    DiagnosisRecord.find.mockReturnValue(chain([RECORD]));
+    RefreshToken.find.mockReturnValue(chain([{
+      userAgent: 'jest', createdAt: new Date(), expiresAt: new Date(), revokedAt: null,
+    }]));
+    expectContract(await request(app).get('/auth/export').set('Authorization', authHeader()), 'get', '/auth/export');
+
+    expectContract(await request(app).delete('/auth/account').set('Authorization', authHeader())
+      .send({ password: 'wrong' }), 'delete', '/auth/account');
+    expectContract(await request(app).delete('/auth/account').set('Authorization', authHeader())
+      .send({ password: 'correct horse' }), 'delete', '/auth/account');
+  });
+
+  it('dependents', async () => {
+    expectContract(await request(app).get('/auth/dependents').set('Authorization', authHeader()),
+      'get', '/auth/dependents');
+
+    const dependentBody = { name: 'Robin', relation: 'child', age: 0, gender: 'female', weightKg: 7.5 };
+    User.findByIdAndUpdate.mockImplementation(() => query(USER));
+    expectContract(await request(app).post('/auth/dependents').set('Authorization', authHeader()).send(dependentBody),
+      'post', '/auth/dependents');
+
+    User.findOneAndUpdate.mockImplementation(() => query(USER));
+    expectContract(await request(app).put(`/auth/dependents/${DEPENDENT_ID}`).set('Authorization', authHeader())
+      .send(dependentBody), 'put', '/auth/dependents/{id}');
+    expectContract(await request(app).delete(`/auth/dependents/${DEPENDENT_ID}`).set('Authorization', authHeader()),
+      'delete', '/auth/dependents/{id}');
+
+    User.findOneAndUpdate.mockImplementation(() => query(null));
+    expectContract(await request(app).delete(`/auth/dependents/${DEPENDENT_ID}`).set('Authorization', authHeader()),
+      'delete', '/auth/dependents/{id}');
+  });
+});
+
+describe('diagnosis contract', () => {
+  it('POST /diagnose', async () => {
+    expectContract(await request(app).post('/diagnose').send({ symptoms: 'fever and cough for two days' }),
+      'post', '/diagnose');
+    expectContract(await request(app).post('/diagnose').set('Authorization', authHeader())
+      .send({ symptoms: ['chest pain'], subjectId: 'self' }), 'post', '/diagnose');
+    expectContract(await request(app).post('/diagnose').send({ symptoms: 'I want to kill myself' }),
+      'post', '/diagnose');
+    expectContract(await request(app).post('/diagnose').send({ symptoms: 42 }), 'post', '/diagnose');
+    expectContract(await request(app).post('/diagnose').set('Authorization', authHeader())
+      .send({ symptoms: 'cough', subjectId: '64b7f0c2a1b2c3d4e5f60799' }), 'post', '/diagnose');
+
+    config.llmProvider = 'nope';
+    expectContract(await request(app).post('/diagnose').send({ symptoms: 'sore throat' }), 'post', '/diagnose');
+  });
+
+  it('POST /diagnose/stream', async () => {
+    expectContract(await request(app).post('/diagnose/stream').send({ symptoms: 'fever' }),
+      'post', '/diagnose/stream');
+  });
+
+  it('diagnosis history', async () => {
+    DiagnosisRecord.find.mockReturnValue(chain([RECORD]));
+    expectContract(await request(app).get('/diagnoses').set('Authorization', authHeader()), 'get', '/diagnoses');
+
+    DiagnosisRecord.findOne.mockImplementation(() => query(RECORD));
+    expectContract(await request(app).get(`/diagnoses/${RECORD_ID}`).set('Authorization', authHeader()),
+      'get', '/diagnoses/{id}');
+    expectContract(await request(app).get('/diagnoses/nope').set('Authorization', authHeader()),
+      'get', '/diagnoses/{id}');
+
+    DiagnosisRecord.findOneAndDelete.mockResolvedValue(RECORD);
+    expectContract(await request(app).delete(`/diagnoses/${RECORD_ID}`).set('Authorization', authHeader()),
+      'delete', '/diagnoses/{id}');
+  });
+
+  it('interview', async () => {
+    const started = await request(app).post('/interview').send({ symptoms: 'headache' });
+    expectContract(started, 'post', '/interview');
+
+    const answers = started.body.questions.map((q) => ({ questionId: q.id, answer: 'since yesterday' }));
+    expectContract(await request(app).post(`/interview/${started.body.sessionId}/answers`).send({ answers }),
+      'post', '/interview/{sessionId}/answers');
+    expectContract(await request(app).post('/interview/unknown/answers').send({ answers }),
+      'post', '/interview/{sessionId}/answers');
+  });
+
+  it('POST /symptoms/extract', async () => {
+    expectContract(await request(app).post('/symptoms/extract').send({ symptoms: 'severe headache for two days' }),
+      'post', '/symptoms/extract');
+    expectContract(await request(app).post('/symptoms/extract').send({ audioData: 'AAAA', audioMimeType: 'audio/webm' }),
+      'post', '/symptoms/extract');
+  });
+
+  it('POST /transcribe-audio', async () => {
+    expectContract(await request(app).post('/transcribe-audio').send({ audioData: 'AAAA', audioMimeType: 'audio/webm' }),
+      'post', '/transcribe-audio');
+
+    config.llmProvider = 'nope';
+    expectContract(await request(app).post('/transcribe-audio').send({ audioData: 'AAAA', audioMimeType: 'audio/webm' }),
+      'post', '/transcribe-audio');
+  });
+
+  it('POST /triage', async () => {
+    expectContract(await request(app).post('/triage').send({ symptoms: 'fever', ...COORDS }), 'post', '/triage');
+    expectContract(await request(app).post('/triage').send({ symptoms: 'fever' }), 'post', '/triage');
+    expectContract(await request(app).post('/triage').send({ symptoms: 'fever', latitude: 100, longitude: 0 }),
+      'post', '/triage');
+
+    config.llmProvider = 'nope';
+    expectContract(await request(app).post('/triage').send({ symptoms: 'sore throat', ...COORDS }),
+      'post', '/triage');
+  });
+});
+
+describe('hospitals and media contract', () => {
+  it('POST /hospitals', async () => {
+    expectContract(await request(app).post('/hospitals').send(COORDS), 'post', '/hospitals');
+
+    findNearbyHospitals.mockRejectedValue(Object.assign(new Error('no key'), { statusCode: 503 }));
+    expectContract(await request(app).post('/hospitals').send(COORDS), 'post', '/hospitals');
+  });
+
+  it('POST /waittimes and /rank', async () => {
+    expectContract(await request(app).post('/waittimes').send({ hospitals: [HOSPITAL] }), 'post', '/waittimes');
+    findLiveWaits.mockResolvedValueOnce([{ minutes: 12, system: 'inova', fetchedAt: new Date() }]);
+    expectContract(await request(app).post('/waittimes').send({ hospitals: [HOSPITAL] }), 'post', '/waittimes');
+    expectContract(await request(app).post('/rank').send({
+      hospitals: [{ ...HOSPITAL, waitTime: 30 }, { ...HOSPITAL, name: 'Other', travelTime: 20, waitTime: 5 }],
+      severity: 2,
+    }), 'post', '/rank');
+    expectContract(await request(app).post('/rank').send({ hospitals: [], severity: 5 }), 'post', '/rank');
+  });
+
+  it('POST /tts', async () => {
+    textToSpeech.mockResolvedValue(Buffer.from('ID3'));
+    expectContract(await request(app).post('/tts').send({ text: 'Rest and drink fluids.' }), 'post', '/tts');
+
+    textToSpeech.mockRejectedValue(new Error('ELEVENLABS_API_KEY is not set'));
+    expectContract(await request(app).post('/tts').send({ text: 'Rest and drink fluids.' }), 'post', '/tts');
+  });
+
+  it('answers over the rate limit as documented', async () => {
+    const originalLimits = config.rateLimits.llm;
+    config.rateLimitEnabled = true;
+    config.rateLimits.llm = { ...originalLimits, perIp: 0 };
+    try {
+      expectContract(await request(app).post('/tts').send({ text: 'hi' }), 'post', '/tts');
+    } finally {
+      config.rateLimits.llm = originalLimits;
+      config.rateLimitEnabled = originalRateLimit;
+    }
+  });
+
+  it('GET /openapi.json and /docs', async () => {
+    expectContract(await request(app).get('/openapi.json'), 'get', '/openapi.json');
+    const docs = await request(app).get('/docs');
+    expectContract(docs, 'get', '/docs');
+    expect(docs.text).toContain('openapi.json');
+  });
+
+  it('GET /healthz and /readyz', async () => {
+    expectContract(await request(app).get('/healthz'), 'get', '/healthz');
+    const notReady = await request(app).get('/readyz');
+    expect(notReady.status).toBe(503);
+    expectContract(notReady, 'get', '/readyz');
+
+    jest.spyOn(db, 'ping').mockResolvedValueOnce({ status: 'up', latencyMs: 1 });
+    const ready = await request(app).get('/readyz');
+    expect(ready.status).toBe(200);
+    expectContract(ready, 'get', '/readyz');
+  });
+
+  it('GET /metrics', async () => {
+    const originalToken = config.metricsToken;
+    config.metricsToken = 'scrape-secret';
+    try {
+      expectContract(await request(app).get('/metrics'), 'get', '/metrics');
+      const res = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+      expectContract(res, 'get', '/metrics');
+    } finally {
+      config.metricsToken = originalToken;
+    }
+  });
+});
+
+describe('coverage', () => {
+  it('exercised the success response of every operation', () => {
+    const missing = [];
+    Object.entries(spec.paths).forEach(([path, operations]) => {
+      Object.entries(operations).forEach(([method, operation]) => {
+        const success = Object.keys(operation.responses).find((status) => status.startsWith('2'));
+        if (!exercised.has(`${method} ${path} ${success}`)) missing.push(`${method.toUpperCase()} ${path}`);
+      });
+    });
+    expect(missing).toEqual([]);
+  });
+});
@@ -0,0 +1,190 @@
+const request = require('supertest');
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+}));
+
+const config = require('../config');
+const llmService = require('../services/llmService');
+const {
+  compilePatterns,
+  matchCrisisPatterns,
+  resolveCountry,
+  getCrisisResources,
+  assessCrisis,
+} = require('../services/crisisService');
+const { SUPPORTED_LANGUAGES } = require('../services/ttsService');
+const app = require('../app');
+
+describe('crisis phrase lists', () => {
+  it('refuses to load without a list for every supported language', () => {
+    const data = Object.fromEntries(SUPPORTED_LANGUAGES.map((code) => [code, { definite: ['x'] }]));
+    expect(() => compilePatterns(data)).not.toThrow();
+    delete data.ta;
+    expect(() => compilePatterns(data)).toThrow(/ta/);
+  });
+
+  it.each([
+    ['en', 'I want to kill myself'],
+    ['en', 'having suicidal thoughts'],
+    ['es', 'Quiero suicidarme'],
+    ['pt', 'Eu quero morrer'],
+    ['de', 'Ich habe Selbstmordgedanken'],
+    ['fr', 'je veux me suicider'],
+    ['ru', 'Я хочу умереть'],
+    ['ar', 'أريد أن أموت'],
+    ['hi', 'मैं आत्महत्या करना चाहता हूँ'],
+    ['zh', '我想自杀'],
+    ['ja', 'もう死にたい'],
+    ['ko', '죽고 싶어요'],
+    ['tr', 'İntihar etmeyi düşünüyorum'],
+    ['da', 'Jeg vil dø'],
+    ['vi', 'Tôi muốn chết'],
+  ])('flags %s: %s', (language, text) => {
+    expect(matchCrisisPatterns([text])).toEqual({ level: 'definite', language: expect.any(String) });
+  });
+
+  it.each([
+    'I have a headache and a fever',
+    'chest pain when I climb stairs',
+    'Me duele la cabeza',
+    'Jag vill dock veta varför det gör ont',
+    'Мне больно глотать',
+  ])('ignores ordinary symptoms: %s', (text) => {
+    expect(matchCrisisPatterns([text])).toBeNull();
+  });
+
+  it('treats ambiguous phrases as possible', () => {
+    expect(matchCrisisPatterns(['I hurt myself falling off a ladder'])).toMatchObject({ level: 'possible' });
+    expect(matchCrisisPatterns(['Đau bụng từ từ'])).toMatchObject({ level: 'possible', language: 'vi' });
+  });
+});
+
+describe('assessCrisis', () => {
+  const originalProvider = config.llmProvider;
+  const originalClassifier = config.crisisClassifier;
+
+  beforeEach(() => {
+    config.llmProvider = 'mock';
+  });
+
+  afterEach(() => {
+    config.llmProvider = originalProvider;
+    config.crisisClassifier = originalClassifier;
+    jest.restoreAllMocks();
+  });
+
+  it('answers definite phrases without the classifier', async () => {
+    const spy = jest.spyOn(llmService, 'classifyCrisis');
+    const crisis = await assessCrisis(['I want to end my life']);
+    expect(crisis).toMatchObject({ detectedBy: 'pattern', country: 'US', emergencyNumber: '911' });
+    expect(crisis.resources[0]).toMatchObject({ name: '988 Suicide & Crisis Lifeline', phone: '988' });
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('lets the classifier dismiss an accidental injury', async () => {
+    expect(await assessCrisis(['I hurt myself falling off a ladder'])).toBeNull();
+  });
+
+  it('lets the classifier confirm a possible phrase', async () => {
+    expect(await assessCrisis(['I hurt myself on purpose'])).toMatchObject({ detectedBy: 'classifier' });
+  });
+
+  it('catches wording the phrase lists miss', async () => {
+    config.crisisClassifier = 'on';
+    const spy = jest.spyOn(llmService, 'classifyCrisis');
+    expect(await assessCrisis(['I feel hopeless and want to disappear'])).toMatchObject({ detectedBy: 'classifier' });
+    expect(await assessCrisis(['sore throat and a fever', 'it started yesterday'])).toBeNull();
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('only sends possible phrases to the classifier in possible mode', async () => {
+    config.crisisClassifier = 'possible';
+    const spy = jest.spyOn(llmService, 'classifyCrisis');
+    expect(await assessCrisis(['I feel hopeless and want to disappear'])).toBeNull();
+    expect(spy).not.toHaveBeenCalled();
+    expect(await assessCrisis(['I hurt myself on purpose'])).toMatchObject({ detectedBy: 'classifier' });
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats possible phrases as a crisis when the classifier is down', async () => {
+    config.llmProvider = 'nope';
+    expect(await assessCrisis(['I hurt myself'])).toMatchObject({ detectedBy: 'pattern' });
+    expect(await assessCrisis(['sore throat'])).toBeNull();
+  });
+
+  it('skips the classifier when it is turned off', async () => {
+    config.crisisClassifier = 'off';
+    const spy = jest.spyOn(llmService, 'classifyCrisis');
+    expect(await assessCrisis(['I feel hopeless'])).toBeNull();
+    expect(await assessCrisis(['I hurt myself'])).toMatchObject({ detectedBy: 'pattern' });
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
+
+describe('crisis resources', () => {
+  it('resolves the country from the request, then Accept-Language, then the language', () => {
+    expect(resolveCountry({ country: 'mx', acceptLanguage: 'en-GB' })).toBe('MX');
+    expect(resolveCountry({ country: 'Mexico', acceptLanguage: 'fr, en-GB;q=0.8' })).toBe('GB');
+    expect(resolveCountry({ languageCode: 'ja' })).toBe('JP');
+    expect(resolveCountry({ languageCode: 'es' })).toBe('US');
+  });
+
+  it('falls back to international resources for unlisted countries', () => {
+    const { country, emergencyNumber, resources } = getCrisisResources('ZZ');
+    expect(country).toBe('ZZ');
+    expect(emergencyNumber).toBe('112');
+    expect(resources[0].url).toBe('https://findahelpline.com');
+  });
+});
+
+describe('crisis responses', () => {
+  const User = require('../models/User');
+  const originalProvider = config.llmProvider;
+
+  beforeEach(() => {
+    config.llmProvider = 'mock';
+    User.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+  });
+
+  afterAll(() => {
+    config.llmProvider = originalProvider;
+  });
+
+  it('returns localized hotlines from /diagnose', async () => {
+    const res = await request(app)
+      .post('/diagnose')
+      .set('Accept-Language', 'en-GB,en;q=0.9')
+      .send({ symptoms: 'I want to kill myself' })
+      .expect(400);
+
+    expect(res.body.error).toBe('unsafe_input');
+    expect(res.body.crisis).toMatchObject({ detectedBy: 'pattern', country: 'GB', emergencyNumber: '999' });
+    expect(res.body.crisis.resources.map((r) => r.name)).toContain('Samaritans');
+  });
+
+  it('uses the country from the body on /triage', async () => {
+    const res = await request(app)
+      .post('/triage')
+      .send({ symptoms: 'Quiero quitarme la vida', country: 'MX' })
+      .expect(400);
+    expect(res.body.crisis).toMatchObject({ country: 'MX', emergencyNumber: '911' });
+  });
+
+  it('screens interview answers through the classifier', async () => {
+    const start = await request(app).post('/interview').send({ symptoms: 'headache' }).expect(200);
+    const res = await request(app)
+      .post(`/interview/${start.body.sessionId}/answers`)
+      .send({ answers: [{ questionId: 'q1', answer: 'I cut myself on purpose' }] })
+      .expect(400);
+    expect(res.body.crisis.detectedBy).toBe('classifier');
+  });
+
+  it('diagnoses accidental injuries normally', async () => {
+    const res = await request(app)
+      .post('/diagnose')
+      .send({ symptoms: 'I hurt myself falling off a ladder' })
+      .expect(200);
+    expect(res.body.condition).toBeTruthy();
+  });
+});
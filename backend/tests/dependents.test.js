@@ -0,0 +1,198 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+
+jest.mock('../models/DiagnosisRecord', () => ({
+  create: jest.fn().mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60719' }),
+}));
+
+const User = require('../models/User');
+const DiagnosisRecord = require('../models/DiagnosisRecord');
+const config = require('../config');
+const llmService = require('../services/llmService');
+const app = require('../app');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const CHILD_ID = '64b7f0c2a1b2c3d4e5f60720';
+
+function authHeader() {
+  const token = jwt.sign({ email: 'pat@example.com' }, config.jwtSecret, { subject: USER_ID });
+  return `Bearer ${token}`;
+}
+
+const CHILD = {
+  _id: CHILD_ID,
+  name: 'Robin',
+  relation: 'child',
+  age: 0,
+  gender: 'female',
+  heightCm: 60,
+  weightKg: 6.2,
+  allergies: [{ substance: 'Amoxicillin', reaction: 'rash' }],
+};
+
+const USER = {
+  _id: USER_ID,
+  name: 'Pat',
+  email: 'pat@example.com',
+  age: 34,
+  gender: 'male',
+  heightCm: 180,
+  weightKg: 80,
+  emergencyContacts: [],
+  dependents: [CHILD],
+};
+
+describe('/auth/dependents', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(USER) });
+  });
+
+  it('requires auth', async () => {
+    await request(app).get('/auth/dependents').expect(401);
+  });
+
+  it('lists dependents', async () => {
+    const res = await request(app).get('/auth/dependents').set('Authorization', authHeader()).expect(200);
+    expect(res.body.dependents).toEqual([{
+      id: CHILD_ID,
+      name: 'Robin',
+      relation: 'child',
+      age: 0,
+      gender: 'female',
+      heightCm: 60,
+      weightKg: 6.2,
+      chronicConditions: [],
+      medications: [],
+      allergies: [{ substance: 'Amoxicillin', reaction: 'rash' }],
+      pregnancyStatus: '',
+      surgeries: [],
+    }]);
+  });
+
+  it('adds a dependent', async () => {
+    User.findByIdAndUpdate.mockImplementation(async (id, update) => ({
+      dependents: [CHILD, { _id: '64b7f0c2a1b2c3d4e5f60721', ...update.$push.dependents }],
+    }));
+
+    const res = await request(app)
+      .post('/auth/dependents')
+      .set('Authorization', authHeader())
+      .send({ name: ' Grandma ', relation: 'parent', age: 81.5, gender: 'female', weightKg: '' })
+      .expect(201);
+
+    expect(User.findByIdAndUpdate.mock.calls[0][1].$push.dependents).toEqual({
+      name: 'Grandma', relation: 'parent', age: 81, gender: 'female', heightCm: null, weightKg: null,
+    });
+    expect(res.body.dependent).toMatchObject({ id: '64b7f0c2a1b2c3d4e5f60721', name: 'Grandma', age: 81 });
+  });
+
+  it.each([
+    [{ name: 'Robin', gender: 'female' }, /Age is required/],
+    [{ name: 'Robin', age: 2, gender: 'kid' }, /Gender is required/],
+    [{ name: 'Robin', age: 2, gender: 'female', weightKg: 0.1 }, /Weight must be/],
+    [{ name: 'Robin', age: 2, gender: 'female', medications: [{ dose: '5 ml' }] }, /Each medication must include a name/],
+  ])('rejects %j', async (body, error) => {
+    const res = await request(app).post('/auth/dependents').set('Authorization', authHeader()).send(body).expect(400);
+    expect(res.body.error).toMatch(error);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('updates and deletes only the named dependent', async () => {
+    User.findOneAndUpdate.mockResolvedValueOnce({ dependents: [{ ...CHILD, age: 1 }] });
+    const res = await request(app)
+      .put(`/auth/dependents/${CHILD_ID}`)
+      .set('Authorization', authHeader())
+      .send({ name: 'Robin', age: 1, gender: 'female' })
+      .expect(200);
+    expect(res.body.dependent.age).toBe(1);
+    expect(User.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: USER_ID, 'dependents._id': CHILD_ID });
+    expect(User.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ 'dependents.$.age': 1 });
+
+    User.findOneAndUpdate.mockResolvedValueOnce(USER);
+    await request(app).delete(`/auth/dependents/${CHILD_ID}`).set('Authorization', authHeader()).expect(204);
+    expect(User.findOneAndUpdate.mock.calls[1][1]).toEqual({ $pull: { dependents: { _id: CHILD_ID } } });
+
+    User.findOneAndUpdate.mockResolvedValueOnce(null);
+    await request(app).delete(`/auth/dependents/${CHILD_ID}`).set('Authorization', authHeader()).expect(404);
+    await request(app).delete('/auth/dependents/nope').set('Authorization', authHeader()).expect(404);
+  });
+});
+
+describe('diagnosing a dependent', () => {
+  const originalProvider = config.llmProvider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.llmProvider = 'mock';
+    User.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(USER) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.llmProvider = originalProvider;
+  });
+
+  it('uses the dependent\'s profile and records who it was for', async () => {
+    const spy = jest.spyOn(llmService, 'generateDiagnosis');
+
+    const res = await request(app)
+      .post('/diagnose')
+      .set('Authorization', authHeader())
+      .send({ symptoms: 'fever since this morning', subjectId: CHILD_ID })
+      .expect(200);
+
+    expect(spy.mock.calls[0][0].profile).toMatchObject({ age: 0, weightKg: 6.2, allergies: CHILD.allergies });
+    // The infant fever rule only fires because the dependent's age was used.
+    expect(res.body.redFlags).toContain('infant_fever');
+    expect(DiagnosisRecord.create).toHaveBeenCalledWith(expect.objectContaining({
+      subject: { dependentId: CHILD_ID, name: 'Robin' },
+      profile: expect.objectContaining({ age: 0 }),
+    }));
+  });
+
+  it('diagnoses the account holder for "self"', async () => {
+    const spy = jest.spyOn(llmService, 'generateDiagnosis');
+    await request(app)
+      .post('/diagnose')
+      .set('Authorization', authHeader())
+      .send({ symptoms: 'fever since this morning', subjectId: 'self' })
+      .expect(200);
+    expect(spy.mock.calls[0][0].profile.age).toBe(34);
+    expect(DiagnosisRecord.create.mock.calls[0][0].subject).toBeNull();
+  });
+
+  it('rejects unknown, malformed and anonymous subjects', async () => {
+    const other = '64b7f0c2a1b2c3d4e5f60799';
+    await request(app).post('/diagnose').set('Authorization', authHeader())
+      .send({ symptoms: 'fever', subjectId: other }).expect(404);
+    await request(app).post('/diagnose').set('Authorization', authHeader())
+      .send({ symptoms: 'fever', subjectId: 'robin' }).expect(400);
+    await request(app).post('/triage').send({ symptoms: 'fever', subjectId: CHILD_ID }).expect(401);
+  });
+
+  it('keeps the dependent\'s profile for the whole interview', async () => {
+    const spy = jest.spyOn(llmService, 'generateFollowUpQuestions');
+    const start = await request(app)
+      .post('/interview')
+      .set('Authorization', authHeader())
+      .send({ symptoms: 'headache', subjectId: CHILD_ID })
+      .expect(200);
+    await request(app)
+      .post(`/interview/${start.body.sessionId}/answers`)
+      .set('Authorization', authHeader())
+      .send({ answers: [{ questionId: 'q1', answer: 'since yesterday' }] })
+      .expect(200);
+
+    expect(spy.mock.calls.map((call) => call[0].profile.age)).toEqual([0, 0]);
+  });
+});
@@ -2,6 +2,8 @@ const request = require('supertest');
 
 jest.mock('../services/llmService', () => ({
   generateDiagnosis: jest.fn(),
+  extractSymptoms: jest.fn().mockResolvedValue({ terminologyVersion: 'test', entries: [] }),
+  classifyCrisis: jest.fn().mockResolvedValue({ crisis: false, category: 'none' }),
 }));
 
 const llmService = require('../services/llmService');
@@ -74,8 +76,11 @@ describe('POST /diagnose', () => {
       severity: 1,
       reasoning: 'Common pattern for stress.',
       nextSteps: '',
+      differentials: [],
       languageCode: 'en',
       emergencyNotified: false,
+      redFlags: [],
+      structuredSymptoms: null,
     });
     expect(llmService.generateDiagnosis).toHaveBeenCalledWith({
       symptoms: ['headache'],
@@ -0,0 +1,101 @@
+const request = require('supertest');
+const config = require('../config');
+const { createSectionSplitter } = require('../services/llmProviders/streaming');
+const app = require('../app');
+
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const event = block.match(/^event: (.+)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+      return { event, data };
+    });
+}
+
+describe('POST /diagnose/stream', () => {
+  const originalProvider = config.llmProvider;
+
+  beforeEach(() => {
+    config.llmProvider = 'mock';
+  });
+
+  afterAll(() => {
+    config.llmProvider = originalProvider;
+  });
+
+  it('rejects invalid input with a JSON 400 before streaming', async () => {
+    const res = await request(app).post('/diagnose/stream').send({ symptoms: 42 }).expect(400);
+    expect(res.body.error).toBeDefined();
+  });
+
+  it('returns unsafe_input without opening a stream', async () => {
+    const res = await request(app)
+      .post('/diagnose/stream')
+      .send({ symptoms: ['I want to self harm'] })
+      .expect(400);
+    expect(res.body.error).toBe('unsafe_input');
+  });
+
+  it('streams triage first, then tokens, then the final result', async () => {
+    const res = await request(app)
+      .post('/diagnose/stream')
+      .send({ symptoms: 'chest pain and shortness of breath' })
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = parseEvents(res.text);
+    const names = events.map((e) => e.event);
+
+    expect(names[0]).toBe('triage');
+    expect(events[0].data).toEqual({ condition: 'Chest pain concern', severity: 3, redFlags: [] });
+    expect(names).toContain('token');
+    expect(names[names.length - 1]).toBe('done');
+
+    const reasoning = events
+      .filter((e) => e.event === 'token' && e.data.section === 'reasoning')
+      .map((e) => e.data.text)
+      .join('');
+    const done = events[events.length - 1].data;
+    expect(reasoning.trim()).toBe(done.reasoning);
+    expect(done).toMatchObject({ severity: 3, languageCode: 'en', emergencyNotified: false });
+    expect(done.nextSteps).toMatch(/Call 911/);
+  });
+
+  it('emits a translation event for non-English requests', async () => {
+    const res = await request(app)
+      .post('/diagnose/stream')
+      .send({ symptoms: 'fiebre y tos', languageCode: 'es' })
+      .expect(200);
+
+    const events = parseEvents(res.text);
+    const translation = events.find((e) => e.event === 'translation');
+    expect(translation.data.languageCode).toBe('es');
+    expect(events[events.length - 1].data.languageCode).toBe('es');
+  });
+
+  it('reports LLM failures as an error event', async () => {
+    config.llmProvider = 'nope';
+    const res = await request(app)
+      .post('/diagnose/stream')
+      .send({ symptoms: 'headache' })
+      .expect(200);
+
+    const events = parseEvents(res.text);
+    expect(events).toEqual([{ event: 'error', data: expect.objectContaining({ error: 'llm_failure' }) }]);
+  });
+});
+
+describe('createSectionSplitter', () => {
+  it('recognizes the marker when it is split across chunks', () => {
+    const sections = { reasoning: '', nextSteps: '' };
+    const splitter = createSectionSplitter((section, text) => { sections[section] += text; });
+
+    ['You likely have ', 'a cold.\nNEXT ', 'STE', 'PS:\nRest ', 'and drink water.'].forEach((c) => splitter.push(c));
+    splitter.end();
+
+    expect(sections.reasoning).toBe('You likely have a cold.\n');
+    expect(sections.nextSteps).toBe('\nRest and drink water.');
+  });
+});
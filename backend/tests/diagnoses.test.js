@@ -0,0 +1,199 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../services/llmService', () => ({
+  generateDiagnosis: jest.fn(),
+}));
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+}));
+
+jest.mock('../models/DiagnosisRecord', () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndDelete: jest.fn(),
+}));
+
+const llmService = require('../services/llmService');
+const User = require('../models/User');
+const DiagnosisRecord = require('../models/DiagnosisRecord');
+const config = require('../config');
+const app = require('../app');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const RECORD_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+function authHeader() {
+  const token = jwt.sign({ email: 'pat@example.com' }, config.jwtSecret, { subject: USER_ID });
+  return `Bearer ${token}`;
+}
+
+function chain(result) {
+  const query = {
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result),
+  };
+  return query;
+}
+
+describe('diagnosis history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('stores a record for logged-in users and returns its id', async () => {
+    User.findById.mockReturnValue({
+      lean: jest.fn().mockResolvedValue({
+        _id: USER_ID,
+        name: 'Pat',
+        age: 40,
+        gender: 'female',
+        heightCm: 170,
+        weightKg: 65,
+        emergencyContacts: [],
+      }),
+    });
+    llmService.generateDiagnosis.mockResolvedValue({
+      condition: 'tension headache',
+      severity: 1,
+      reasoning: 'Common pattern for stress.',
+    });
+    DiagnosisRecord.create.mockResolvedValue({ _id: RECORD_ID });
+
+    const res = await request(app)
+      .post('/diagnose')
+      .set('Authorization', authHeader())
+      .send({ symptoms: 'headache', imageMimeType: 'image/png', imageData: 'iVBORw0KGgo=' })
+      .expect(200);
+
+    expect(res.body.recordId).toBe(RECORD_ID);
+    expect(DiagnosisRecord.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: USER_ID,
+      symptoms: ['headache'],
+      imageHash: expect.stringMatching(/^[a-f0-9]{64}$/),
+      profile: {
+        age: 40,
+        gender: 'female',
+        heightCm: 170,
+        weightKg: 65,
+        chronicConditions: [],
+        medications: [],
+        allergies: [],
+        pregnancyStatus: '',
+        surgeries: [],
+      },
+      condition: 'tension headache',
+      severity: 1,
+      emergencyNotified: false,
+    }));
+  });
+
+  it('still returns the diagnosis when saving the record fails', async () => {
+    User.findById.mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ _id: USER_ID, name: 'Pat', emergencyContacts: [] }),
+    });
+    llmService.generateDiagnosis.mockResolvedValue({
+      condition: 'flu',
+      severity: 2,
+      reasoning: 'Moderate.',
+    });
+    DiagnosisRecord.create.mockRejectedValue(new Error('db down'));
+
+    const res = await request(app)
+      .post('/diagnose')
+      .set('Authorization', authHeader())
+      .send({ symptoms: ['fever'] })
+      .expect(200);
+
+    expect(res.body.condition).toBe('flu');
+    expect(res.body.recordId).toBeUndefined();
+  });
+
+  it('does not store records for anonymous users', async () => {
+    llmService.generateDiagnosis.mockResolvedValue({
+      condition: 'flu',
+      severity: 2,
+      reasoning: 'Moderate.',
+    });
+
+    await request(app).post('/diagnose').send({ symptoms: ['fever'] }).expect(200);
+    expect(DiagnosisRecord.create).not.toHaveBeenCalled();
+  });
+
+  it('requires auth to list history', async () => {
+    await request(app).get('/diagnoses').expect(401);
+    expect(DiagnosisRecord.find).not.toHaveBeenCalled();
+  });
+
+  it('lists the current user records newest first', async () => {
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    const query = chain([{
+      _id: RECORD_ID,
+      symptoms: ['fever'],
+      imageHash: null,
+      condition: 'flu',
+      severity: 2,
+      reasoning: 'Moderate.',
+      createdAt,
+    }]);
+    DiagnosisRecord.find.mockReturnValue(query);
+
+    const res = await request(app)
+      .get('/diagnoses?limit=500')
+      .set('Authorization', authHeader())
+      .expect(200);
+
+    expect(DiagnosisRecord.find).toHaveBeenCalledWith({ user: USER_ID });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(query.limit).toHaveBeenCalledWith(100);
+    expect(res.body.data).toEqual([{
+      id: RECORD_ID,
+      symptoms: ['fever'],
+      hasImage: false,
+      profile: null,
+      subject: null,
+      condition: 'flu',
+      severity: 2,
+      reasoning: 'Moderate.',
+      nextSteps: '',
+      differentials: [],
+      languageCode: 'en',
+      emergencyNotified: false,
+      redFlags: [],
+      createdAt: createdAt.toISOString(),
+    }]);
+  });
+
+  it('returns 404 for records owned by someone else', async () => {
+    DiagnosisRecord.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+    await request(app)
+      .get(`/diagnoses/${RECORD_ID}`)
+      .set('Authorization', authHeader())
+      .expect(404);
+
+    expect(DiagnosisRecord.findOne).toHaveBeenCalledWith({ _id: RECORD_ID, user: USER_ID });
+  });
+
+  it('returns 404 for malformed ids without querying', async () => {
+    await request(app)
+      .delete('/diagnoses/not-an-id')
+      .set('Authorization', authHeader())
+      .expect(404);
+    expect(DiagnosisRecord.findOneAndDelete).not.toHaveBeenCalled();
+  });
+
+  it('deletes a record owned by the user', async () => {
+    DiagnosisRecord.findOneAndDelete.mockResolvedValue({ _id: RECORD_ID });
+
+    await request(app)
+      .delete(`/diagnoses/${RECORD_ID}`)
+      .set('Authorization', authHeader())
+      .expect(204);
+
+    expect(DiagnosisRecord.findOneAndDelete).toHaveBeenCalledWith({ _id: RECORD_ID, user: USER_ID });
+  });
+});
@@ -0,0 +1,127 @@
+const mockVerify = jest.fn();
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ verify: mockVerify, sendMail: jest.fn() }),
+}));
+
+const request = require('supertest');
+const config = require('../config');
+const db = require('../config/db');
+const app = require('../app');
+
+describe('health endpoints', () => {
+  const original = {
+    llmProvider: config.llmProvider,
+    geminiApiKey: config.geminiApiKey,
+    elevenLabsApiKey: config.elevenLabsApiKey,
+    googleMapsApiKey: config.googleMapsApiKey,
+    hospitalProvider: config.hospitalProvider,
+    smtpUser: config.smtpUser,
+    smtpPass: config.smtpPass,
+  };
+
+  beforeEach(() => {
+    Object.assign(config, {
+      llmProvider: 'mock',
+      elevenLabsApiKey: '',
+      googleMapsApiKey: '',
+      hospitalProvider: 'auto',
+      smtpUser: '',
+      smtpPass: '',
+    });
+    mockVerify.mockReset();
+  });
+
+  afterEach(() => {
+    Object.assign(config, original);
+    jest.restoreAllMocks();
+  });
+
+  it('GET /healthz answers while dependencies are down', async () => {
+    jest.spyOn(db, 'ping').mockResolvedValue({ status: 'down' });
+
+    const res = await request(app).get('/healthz').expect(200);
+
+    expect(res.body).toMatchObject({ status: 'ok' });
+    expect(db.ping).not.toHaveBeenCalled();
+  });
+
+  it('GET /readyz is ready when the database and LLM are available', async () => {
+    jest.spyOn(db, 'ping').mockResolvedValue({ status: 'up', latencyMs: 3 });
+
+    const res = await request(app).get('/readyz').expect(200);
+
+    expect(res.body.status).toBe('ready');
+    expect(res.body.checks).toMatchObject({
+      database: { status: 'up', latencyMs: 3 },
+      llm: { status: 'configured', provider: 'mock' },
+      email: { status: 'not_configured' },
+      tts: { status: 'not_configured' },
+      places: { status: 'not_configured', hospitalProvider: 'local' },
+      scraper: { status: 'unknown', lastSuccessAt: null },
+    });
+    expect(res.body.features).toEqual({
+      diagnosis: true,
+      voiceInput: true,
+      tts: false,
+      accounts: true,
+      emergencyEmail: false,
+      hospitalSearch: true,
+    });
+  });
+
+  it('GET /readyz answers 503 without the database, and turns off what needs it', async () => {
+    jest.spyOn(db, 'ping').mockResolvedValue({ status: 'down' });
+
+    const res = await request(app).get('/readyz').expect(503);
+
+    expect(res.body.status).toBe('not_ready');
+    expect(res.body.features).toMatchObject({ accounts: false, hospitalSearch: false, diagnosis: true });
+  });
+
+  it('reports the LLM as not configured without its key', async () => {
+    jest.spyOn(db, 'ping').mockResolvedValue({ status: 'up' });
+    config.llmProvider = 'gemini';
+    config.geminiApiKey = '';
+
+    const res = await request(app).get('/readyz').expect(503);
+
+    expect(res.body.checks.llm).toEqual({ status: 'not_configured', provider: 'gemini' });
+    expect(res.body.features).toMatchObject({ diagnosis: false, voiceInput: false });
+  });
+
+  it('verifies SMTP and reports configured keys', async () => {
+    jest.spyOn(db, 'ping').mockResolvedValue({ status: 'up' });
+    Object.assign(config, {
+      smtpUser: 'mailer@example.com',
+      smtpPass: 'secret',
+      elevenLabsApiKey: 'key',
+      googleMapsApiKey: 'key',
+    });
+    mockVerify.mockResolvedValue(true);
+
+    const res = await request(app).get('/readyz').expect(200);
+
+    expect(mockVerify).toHaveBeenCalled();
+    expect(res.body.checks).toMatchObject({
+      email: { status: 'up' },
+      tts: { status: 'configured' },
+      places: { status: 'configured', hospitalProvider: 'merged' },
+    });
+    expect(res.body.features).toMatchObject({ tts: true, emergencyEmail: true });
+  });
+});
+
+describe('unknown API paths', () => {
+  it.each(['/healthz/extra', '/readyz/extra', '/metrics/extra', '/docs/extra', '/diagnoses/1/extra', '/auth/nope'])(
+    'answers GET %s with a JSON 404 instead of the app page',
+    async (path) => {
+      const res = await request(app).get(path).expect(404);
+      expect(res.body).toEqual({ error: 'Not found' });
+    },
+  );
+
+  it('answers unknown POSTs with a JSON 404', async () => {
+    const res = await request(app).post('/openapi.json/extra').send({}).expect(404);
+    expect(res.body).toEqual({ error: 'Not found' });
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+
+jest.mock('../services/hospitalDirectoryService', () => ({
+  ...jest.requireActual('../services/hospitalDirectoryService'),
+  findLocalHospitals: jest.fn(),
+}));
+
+const config = require('../config');
+const { findLocalHospitals, parseHospitalsCsv, parseHospitalsGeoJson, toHospitalDocs } =
+  require('../services/hospitalDirectoryService');
+const { mergeHospitals } = require('../services/mapsService');
+const app = require('../app');
+
+const LOCAL_HOSPITAL = {
+  name: 'Fairfax Community Hospital',
+  address: '1 Main St',
+  latitude: 38.85,
+  longitude: -77.3,
+  distance: 2.4,
+  website: null,
+  averageWaitMinutes: 25,
+};
+
+describe('POST /hospitals', () => {
+  const originalProvider = config.hospitalProvider;
+  const originalKey = config.googleMapsApiKey;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.googleMapsApiKey = '';
+  });
+
+  afterAll(() => {
+    config.hospitalProvider = originalProvider;
+    config.googleMapsApiKey = originalKey;
+  });
+
+  it('answers from the local directory when no Places key is set', async () => {
+    config.hospitalProvider = 'auto';
+    findLocalHospitals.mockResolvedValue([LOCAL_HOSPITAL]);
+
+    const res = await request(app)
+      .post('/hospitals')
+      .send({ latitude: 38.84, longitude: -77.31 })
+      .expect(200);
+
+    expect(res.body.data).toEqual([{
+      ...LOCAL_HOSPITAL,
+      travelTime: 5,
+      placeId: null,
+      source: 'local',
+    }]);
+  });
+
+  it('returns 503 when the only provider is unavailable', async () => {
+    config.hospitalProvider = 'places';
+
+    const res = await request(app)
+      .post('/hospitals')
+      .send({ latitude: 38.84, longitude: -77.31 })
+      .expect(503);
+
+    expect(res.body.error).toBe('Hospital search service not configured');
+    expect(findLocalHospitals).not.toHaveBeenCalled();
+  });
+
+  it('falls back to local results in merged mode when Places fails', async () => {
+    config.hospitalProvider = 'merged';
+    findLocalHospitals.mockResolvedValue([LOCAL_HOSPITAL]);
+
+    const res = await request(app)
+      .post('/hospitals')
+      .send({ latitude: 38.84, longitude: -77.31 })
+      .expect(200);
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].source).toBe('local');
+  });
+});
+
+describe('mergeHospitals', () => {
+  it('de-duplicates by proximity and keeps local wait averages', () => {
+    const places = [{
+      name: 'Fairfax Community Hosp.',
+      latitude: 38.8501,
+      longitude: -77.3001,
+      distance: 2.4,
+      website: null,
+      source: 'places',
+    }];
+    const local = [
+      { ...LOCAL_HOSPITAL, website: 'https://fch.example.org', source: 'local' },
+      { ...LOCAL_HOSPITAL, name: 'Other Hospital', latitude: 38.9, longitude: -77.2, distance: 6, source: 'local' },
+    ];
+
+    const merged = mergeHospitals(places, local);
+
+    expect(merged).toHaveLength(2);
+    expect(merged[0]).toMatchObject({
+      name: 'Fairfax Community Hosp.',
+      source: 'places',
+      averageWaitMinutes: 25,
+      website: 'https://fch.example.org',
+    });
+    expect(merged[1].name).toBe('Other Hospital');
+  });
+});
+
+describe('hospital import parsing', () => {
+  it('parses CSV with quoted fields and skips invalid rows', () => {
+    const rows = parseHospitalsCsv([
+      'name,address,lat,lng,averageWaitMinutes',
+      '"Inova Fairfax Hospital","3300 Gallows Rd, Falls Church",38.858,-77.227,40',
+      'Missing Coords,,,,',
+    ].join('\n'));
+
+    const { docs, skipped } = toHospitalDocs(rows);
+
+    expect(skipped).toBe(1);
+    expect(docs).toEqual([{
+      name: 'Inova Fairfax Hospital',
+      address: '3300 Gallows Rd, Falls Church',
+      website: '',
+      location: { type: 'Point', coordinates: [-77.227, 38.858] },
+      averageWaitMinutes: 40,
+    }]);
+  });
+
+  it('keeps quoted CSV fields that span lines in one row', () => {
+    const rows = parseHospitalsCsv([
+      'name,address,lat,lng,averageWaitMinutes,website',
+      '"Inova Fairfax Hospital","3300 Gallows Rd',
+      'Falls Church, VA ""Main""",38.858,-77.227,40,https://www.inova.org',
+      '',
+      'Reston Hospital Center,1850 Town Center Pkwy,38.96,-77.36,25,',
+    ].join('\r\n'));
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      name: 'Inova Fairfax Hospital',
+      address: '3300 Gallows Rd\r\nFalls Church, VA "Main"',
+      averageWaitMinutes: '40',
+      website: 'https://www.inova.org',
+    });
+    expect(rows[1]).toMatchObject({ name: 'Reston Hospital Center', averageWaitMinutes: '25' });
+  });
+
+  it('parses GeoJSON point features', () => {
+    const rows = parseHospitalsGeoJson(JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-77.1, 38.9] },
+          properties: { name: 'Arlington Medical', website: 'https://am.example.org' },
+        },
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [] }, properties: { name: 'Campus' } },
+      ],
+    }));
+
+    const { docs } = toHospitalDocs(rows);
+
+    expect(docs).toEqual([{
+      name: 'Arlington Medical',
+      address: '',
+      website: 'https://am.example.org',
+      location: { type: 'Point', coordinates: [-77.1, 38.9] },
+    }]);
+  });
+});
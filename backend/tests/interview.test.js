@@ -0,0 +1,150 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+}));
+
+const config = require('../config');
+const llmService = require('../services/llmService');
+const User = require('../models/User');
+const { clearInterviewSessions } = require('../services/interviewService');
+const app = require('../app');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+function authHeader() {
+  const token = jwt.sign({ email: 'pat@example.com' }, config.jwtSecret, { subject: USER_ID });
+  return `Bearer ${token}`;
+}
+
+function answersFor(questions) {
+  return questions.map((q) => ({ questionId: q.id, answer: `answer to ${q.topic}` }));
+}
+
+describe('follow-up interview', () => {
+  const originalProvider = config.llmProvider;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    clearInterviewSessions();
+    config.llmProvider = 'mock';
+    User.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+  });
+
+  afterAll(() => {
+    config.llmProvider = originalProvider;
+  });
+
+  it('asks follow-up questions for vague symptoms', async () => {
+    const res = await request(app).post('/interview').send({ symptoms: 'headache' }).expect(200);
+
+    expect(res.body.sessionId).toEqual(expect.any(String));
+    expect(res.body.needsMoreInfo).toBe(true);
+    expect(res.body.round).toBe(1);
+    expect(res.body.questions.map((q) => q.topic)).toEqual(['onset', 'duration', 'painScale', 'medications']);
+    expect(res.body.questions[0]).toMatchObject({ id: 'q1', text: expect.any(String) });
+  });
+
+  it('skips the questions for emergencies', async () => {
+    const res = await request(app).post('/interview').send({ symptoms: 'crushing chest pain' }).expect(200);
+    expect(res.body).toMatchObject({ needsMoreInfo: false, questions: [] });
+  });
+
+  it('accumulates answers and feeds them into the final diagnosis', async () => {
+    const start = await request(app).post('/interview').send({ symptoms: 'headache' }).expect(200);
+    const { sessionId, questions } = start.body;
+
+    const answered = await request(app)
+      .post(`/interview/${sessionId}/answers`)
+      .send({ answers: answersFor(questions) })
+      .expect(200);
+    expect(answered.body).toMatchObject({ sessionId, needsMoreInfo: false, questions: [] });
+
+    const spy = jest.spyOn(llmService, 'generateDiagnosis');
+    await request(app).post('/diagnose').send({ symptoms: 'headache', sessionId }).expect(200);
+
+    const input = spy.mock.calls[0][0];
+    expect(input.answers).toHaveLength(4);
+    expect(input.answers[0]).toEqual({ question: questions[0].text, answer: 'answer to onset' });
+  });
+
+  it('diagnoses without answers when the session is unknown', async () => {
+    const spy = jest.spyOn(llmService, 'generateDiagnosis');
+    await request(app).post('/diagnose').send({ symptoms: 'headache', sessionId: 'missing' }).expect(200);
+    expect(spy.mock.calls[0][0].answers).toBeUndefined();
+  });
+
+  it('returns 404 for answers to an unknown session', async () => {
+    const res = await request(app)
+      .post('/interview/missing/answers')
+      .send({ answers: [] })
+      .expect(404);
+    expect(res.body.error).toBe('session_not_found');
+  });
+
+  it('keeps a signed-in user\'s session private', async () => {
+    const start = await request(app)
+      .post('/interview')
+      .set('Authorization', authHeader())
+      .send({ symptoms: 'headache' })
+      .expect(200);
+
+    await request(app)
+      .post(`/interview/${start.body.sessionId}/answers`)
+      .send({ answers: [] })
+      .expect(404);
+    await request(app)
+      .post(`/interview/${start.body.sessionId}/answers`)
+      .set('Authorization', authHeader())
+      .send({ answers: [] })
+      .expect(200);
+  });
+
+  it('rejects malformed and unsafe answers', async () => {
+    const start = await request(app).post('/interview').send({ symptoms: 'headache' }).expect(200);
+    const url = `/interview/${start.body.sessionId}/answers`;
+
+    await request(app).post(url).send({ answers: 'yesterday' }).expect(400);
+    await request(app).post(url).send({ answers: [{ questionId: 'q1' }] }).expect(400);
+    const unsafe = await request(app)
+      .post(url)
+      .send({ answers: [{ questionId: 'q1', answer: 'I want to kill myself' }] })
+      .expect(400);
+    expect(unsafe.body.error).toBe('unsafe_input');
+  });
+
+  it('reports LLM failures', async () => {
+    config.llmProvider = 'nope';
+    const res = await request(app).post('/interview').send({ symptoms: 'headache' }).expect(503);
+    expect(res.body.error).toBe('llm_failure');
+  });
+});
+
+describe('generateFollowUpQuestions', () => {
+  const originalProvider = config.llmProvider;
+
+  afterEach(() => {
+    config.llmProvider = originalProvider;
+    jest.restoreAllMocks();
+  });
+
+  it('normalizes the model\'s questions', async () => {
+    config.llmProvider = 'openai';
+    const reply = {
+      needsMoreInfo: true,
+      questions: ['When did it start?', { topic: 'mood', text: 'How do you feel?' }, { text: '' }, 'a', 'b', 'c'],
+    };
+    jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: JSON.stringify(reply) } }] }),
+    });
+
+    const result = await llmService.generateFollowUpQuestions({ symptoms: ['headache'] });
+
+    expect(result.needsMoreInfo).toBe(true);
+    expect(result.questions).toHaveLength(4);
+    expect(result.questions[0]).toEqual({ id: 'q1', topic: 'other', text: 'When did it start?' });
+    expect(result.questions[1].topic).toBe('other');
+  });
+});
@@ -0,0 +1,215 @@
+const config = require('../config');
+const llmService = require('../services/llmService');
+const { parseJsonFromText } = require('../services/llmProviders/json');
+
+describe('llmService providers', () => {
+  const originalProvider = config.llmProvider;
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    config.llmProvider = originalProvider;
+    global.fetch = originalFetch;
+  });
+
+  describe('mock provider', () => {
+    beforeEach(() => {
+      config.llmProvider = 'mock';
+    });
+
+    it('returns a severe canned diagnosis for chest pain', async () => {
+      const result = await llmService.generateDiagnosis({ symptoms: ['Chest pain when I walk'] });
+      expect(result).toMatchObject({ condition: 'Chest pain concern', severity: 3, languageCode: 'en' });
+    });
+
+    it('falls back to a mild diagnosis for unmatched symptoms', async () => {
+      const result = await llmService.generateDiagnosis({ symptoms: ['itchy elbow'] });
+      expect(result.severity).toBe(1);
+      expect(result.reasoning).toBeTruthy();
+    });
+
+    it('keeps the requested language when translating', async () => {
+      const result = await llmService.generateDiagnosis({ symptoms: ['fiebre y tos', 'fever'], languageCode: 'es' });
+      expect(result).toMatchObject({ condition: 'Flu-like illness', severity: 2, languageCode: 'es' });
+    });
+
+    it('transcribes audio deterministically', async () => {
+      const result = await llmService.transcribeSymptomsFromAudio({
+        audio: { data: 'abc123', mimeType: 'audio/webm;codecs=opus' },
+      });
+      expect(result).toEqual({ symptomsText: 'I have a headache and a mild fever', languageCode: 'en' });
+    });
+  });
+
+  describe('openai-compatible provider', () => {
+    beforeEach(() => {
+      config.llmProvider = 'openai';
+    });
+
+    it('sends text and image parts as chat content and parses the JSON reply', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          choices: [{
+            message: {
+              content: '{"condition":"Insect bite","severity":1,"reasoning":"Small red bump.","nextSteps":"Ice it."}',
+            },
+          }],
+        }),
+      });
+
+      const result = await llmService.generateDiagnosis({
+        symptoms: ['red bump'],
+        image: { data: 'iVBORw0KGgo=', mimeType: 'image/png' },
+      });
+
+      expect(result.condition).toBe('Insect bite');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe(`${config.openaiBaseUrl.replace(/\/$/, '')}/chat/completions`);
+      const body = JSON.parse(options.body);
+      expect(body.model).toBe(config.openaiModel);
+      expect(body.messages[0].content[1]).toEqual({
+        type: 'image_url',
+        image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' },
+      });
+    });
+
+    it('surfaces HTTP failures as a 503 diagnosis error', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 502,
+        text: async () => 'bad gateway',
+      });
+
+      await expect(llmService.generateDiagnosis({ symptoms: ['headache'] }))
+        .rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('keeps the upstream error body out of the error message', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 400,
+        text: async () => JSON.stringify({
+          error: { type: 'invalid_request_error', message: 'Bad content: "I have chest pain since Tuesday"' },
+        }),
+      });
+
+      const err = await llmService.generateDiagnosis({ symptoms: ['I have chest pain since Tuesday'] }).catch((e) => e);
+      expect(err.message).toContain('400 invalid_request_error');
+      expect(err.message).not.toContain('chest pain');
+    });
+  });
+
+  describe('differentials', () => {
+    function replyWith(...contents) {
+      const fetch = jest.fn();
+      contents.forEach((content) => fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ choices: [{ message: { content: JSON.stringify(content) } }] }),
+      }));
+      global.fetch = fetch;
+    }
+
+    const diagnosis = {
+      condition: 'Migraine',
+      severity: 1,
+      reasoning: 'Throbbing pain on one side.',
+      nextSteps: 'Rest in a dark room.',
+      languageCode: 'en',
+    };
+
+    beforeEach(() => {
+      config.llmProvider = 'openai';
+    });
+
+    it('puts the top pick first, orders by likelihood and drops malformed items', async () => {
+      replyWith({
+        ...diagnosis,
+        differentials: [
+          { condition: 'Sinusitis', likelihood: 'low', distinguishingSymptoms: ['facial pressure', 42] },
+          { condition: 'Tension headache', likelihood: 'Moderate', distinguishingSymptoms: ['band-like pain'] },
+          { condition: 'Migraine', likelihood: 'high', distinguishingSymptoms: ['light sensitivity'] },
+          { condition: 'Cluster headache', likelihood: 'certain' },
+          { likelihood: 'low' },
+        ],
+      });
+
+      const result = await llmService.generateDiagnosis({ symptoms: ['headache'] });
+
+      expect(result.differentials).toEqual([
+        { condition: 'Migraine', likelihood: 'high', distinguishingSymptoms: ['light sensitivity'] },
+        { condition: 'Tension headache', likelihood: 'moderate', distinguishingSymptoms: ['band-like pain'] },
+        { condition: 'Sinusitis', likelihood: 'low', distinguishingSymptoms: ['facial pressure'] },
+      ]);
+    });
+
+    it('adds the top pick when the model leaves it out', async () => {
+      replyWith({ ...diagnosis, differentials: [{ condition: 'Sinusitis', likelihood: 'high' }] });
+
+      const result = await llmService.generateDiagnosis({ symptoms: ['headache'] });
+
+      expect(result.differentials.map((d) => d.condition)).toEqual(['Migraine', 'Sinusitis']);
+      expect(result.differentials[0].likelihood).toBe('high');
+    });
+
+    it('rejects a differentials field that is not an array', async () => {
+      replyWith({ ...diagnosis, differentials: 'Sinusitis' });
+
+      await expect(llmService.generateDiagnosis({ symptoms: ['headache'] }))
+        .rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('translates differential text but keeps the likelihoods', async () => {
+      replyWith(
+        {
+          ...diagnosis,
+          languageCode: 'es',
+          differentials: [
+            { condition: 'Migraine', likelihood: 'high', distinguishingSymptoms: ['light sensitivity'] },
+            { condition: 'Sinusitis', likelihood: 'low', distinguishingSymptoms: ['facial pressure'] },
+          ],
+        },
+        {
+          condition: 'Migraña',
+          reasoning: 'Dolor punzante en un lado.',
+          nextSteps: 'Descanse en un cuarto oscuro.',
+          differentials: [
+            { condition: 'Migraña', likelihood: 'low', distinguishingSymptoms: ['sensibilidad a la luz'] },
+            { condition: 'Sinusitis', distinguishingSymptoms: ['presión en la cara'] },
+          ],
+        }
+      );
+
+      const result = await llmService.generateDiagnosis({ symptoms: ['dolor de cabeza'], languageCode: 'es' });
+
+      expect(result.condition).toBe('Migraña');
+      expect(result.differentials).toEqual([
+        { condition: 'Migraña', likelihood: 'high', distinguishingSymptoms: ['sensibilidad a la luz'] },
+        { condition: 'Sinusitis', likelihood: 'low', distinguishingSymptoms: ['presión en la cara'] },
+      ]);
+    });
+  });
+
+  it('rejects unknown providers', async () => {
+    config.llmProvider = 'nope';
+    await expect(llmService.generateDiagnosis({ symptoms: ['headache'] }))
+      .rejects.toMatchObject({ statusCode: 503 });
+  });
+});
+
+describe('parseJsonFromText', () => {
+  it('reads JSON wrapped in prose', () => {
+    expect(parseJsonFromText('Here you go: {"severity": 2} Hope that helps')).toEqual({ severity: 2 });
+  });
+
+  it('keeps malformed model output out of the error message', () => {
+    const reply = 'Sure: {"condition": "chest pain since Tuesday", severity: 3}';
+    let message = null;
+    try {
+      parseJsonFromText(reply);
+    } catch (err) {
+      ({ message } = err);
+    }
+    expect(message).toMatch(/^LLM JSON parse failed \(\d+ chars/);
+    expect(message).not.toMatch(/chest pain|severity/);
+  });
+});
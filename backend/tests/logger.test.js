@@ -0,0 +1,119 @@
+jest.mock('../models/SymptomExtraction', () => ({
+  create: jest.fn().mockResolvedValue({}),
+}));
+
+const request = require('supertest');
+const config = require('../config');
+const { createLogger, redact } = require('../services/logService');
+const app = require('../app');
+
+function logLines(spy) {
+  return spy.mock.calls.map(([line]) => JSON.parse(line));
+}
+
+describe('structured logging', () => {
+  const originalLevel = config.logLevel;
+  let out;
+  let err;
+
+  beforeEach(() => {
+    config.logLevel = 'info';
+    out = jest.spyOn(console, 'log').mockImplementation(() => {});
+    err = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    config.logLevel = originalLevel;
+    jest.restoreAllMocks();
+  });
+
+  it('generates a request ID, echoes it and logs status and duration', async () => {
+    const res = await request(app).get('/openapi.json?token=secret').expect(200);
+
+    const requestId = res.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    const [line] = logLines(out).filter((entry) => entry.msg === 'request completed');
+    expect(line).toMatchObject({
+      level: 'info',
+      requestId,
+      method: 'GET',
+      path: '/openapi.json',
+      status: 200,
+    });
+    expect(typeof line.durationMs).toBe('number');
+  });
+
+  it('propagates a valid X-Request-Id and replaces an invalid one', async () => {
+    const kept = await request(app).get('/openapi.json').set('X-Request-Id', 'lb-1234.abc').expect(200);
+    expect(kept.headers['x-request-id']).toBe('lb-1234.abc');
+
+    const replaced = await request(app).get('/openapi.json').set('X-Request-Id', 'bad id; drop table').expect(200);
+    expect(replaced.headers['x-request-id']).not.toContain('bad');
+  });
+
+  it('logs 4xx responses at warn level', async () => {
+    await request(app).post('/tts').set('X-Request-Id', 'req-400').send({}).expect(400);
+
+    const [line] = logLines(err).filter((entry) => entry.msg === 'request completed');
+    expect(line).toMatchObject({ level: 'warn', requestId: 'req-400', status: 400 });
+  });
+
+  it('returns the request ID from the error handler', async () => {
+    const res = await request(app)
+      .post('/tts')
+      .set('Content-Type', 'application/json')
+      .set('X-Request-Id', 'req-malformed')
+      .send('{"text":')
+      .expect(400);
+
+    expect(res.body).toMatchObject({ status: 'error', requestId: 'req-malformed' });
+    const [line] = logLines(err).filter((entry) => entry.msg === 'unhandled request error');
+    expect(line.requestId).toBe('req-malformed');
+  });
+
+  it('tags service log lines with the request being served', async () => {
+    const originalProvider = config.llmProvider;
+    config.llmProvider = 'mock';
+    try {
+      await request(app)
+        .post('/symptoms/extract')
+        .set('X-Request-Id', 'req-llm')
+        .send({ symptoms: 'sharp headache since this morning' })
+        .expect(200);
+    } finally {
+      config.llmProvider = originalProvider;
+    }
+
+    const [line] = logLines(out).filter((entry) => entry.task === 'symptomExtraction');
+    expect(line).toMatchObject({ msg: 'llm call completed', requestId: 'req-llm', service: 'llm', provider: 'mock' });
+    expect(JSON.stringify(logLines(out))).not.toContain('sharp headache');
+  });
+
+  it('redacts patient text, media and credentials at any depth', () => {
+    const redacted = redact({
+      symptoms: 'chest pain',
+      nested: { imageData: 'base64...', headers: { Authorization: 'Bearer x' } },
+      list: [{ password: 'hunter2', age: 40 }],
+      email: 'pat@example.com',
+    });
+
+    expect(redacted).toEqual({
+      symptoms: '[redacted]',
+      nested: { imageData: '[redacted]', headers: { Authorization: '[redacted]' } },
+      list: [{ password: '[redacted]', age: 40 }],
+      email: '[redacted]',
+    });
+  });
+
+  it('writes nothing below the configured level', () => {
+    config.logLevel = 'warn';
+    const log = createLogger({ service: 'test' });
+
+    log.info('quiet');
+    log.warn('loud', { err: new Error('boom') });
+
+    expect(out).not.toHaveBeenCalled();
+    const [line] = logLines(err);
+    expect(line).toMatchObject({ level: 'warn', msg: 'loud', service: 'test', err: { name: 'Error', message: 'boom' } });
+  });
+});
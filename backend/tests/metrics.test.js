@@ -0,0 +1,145 @@
+jest.mock('../models/SymptomExtraction', () => ({
+  create: jest.fn().mockResolvedValue({}),
+}));
+
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: mockSendMail }),
+}));
+
+const request = require('supertest');
+const config = require('../config');
+const { counter, histogram, renderMetrics, resetMetrics } = require('../services/metricsService');
+const llmService = require('../services/llmService');
+const { refreshSystem, findLiveWaits } = require('../services/scraperService');
+const { PLUGINS } = require('../services/scrapers');
+const { sendPasswordResetEmail } = require('../services/emailService');
+const app = require('../app');
+
+const INOVA_PAGE = `<html><script type="application/json" data-drupal-selector="drupal-settings-json">${
+  JSON.stringify({ waitTimes: { p1: [{ location: { name: 'Inova Fairfax Hospital' }, waitTime: '42' }] } })
+}</script></html>`;
+
+describe('metrics', () => {
+  const original = {
+    provider: config.llmProvider,
+    smtpUser: config.smtpUser,
+    smtpPass: config.smtpPass,
+    scraperDomainIntervalMs: config.scraperDomainIntervalMs,
+  };
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    resetMetrics();
+  });
+
+  afterEach(() => {
+    config.llmProvider = original.provider;
+    config.smtpUser = original.smtpUser;
+    config.smtpPass = original.smtpPass;
+    config.scraperDomainIntervalMs = original.scraperDomainIntervalMs;
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  it('renders counters and cumulative histogram buckets in the Prometheus format', () => {
+    const hits = counter({ name: 'test_hits_total', help: 'Test hits', labelNames: ['path'] });
+    const sizes = histogram({ name: 'test_size', help: 'Test sizes', labelNames: ['kind'], buckets: [1, 5] });
+
+    hits.inc({ path: 'a"b\\c' });
+    hits.inc({ path: 'a"b\\c' }, 2);
+    sizes.observe({ kind: 'x' }, 0.5);
+    sizes.observe({ kind: 'x' }, 3);
+    sizes.observe({ kind: 'x' }, 9);
+
+    const text = renderMetrics();
+    expect(text).toContain('# TYPE test_hits_total counter\ntest_hits_total{path="a\\"b\\\\c"} 3');
+    expect(text).toContain('test_size_bucket{kind="x",le="1"} 1');
+    expect(text).toContain('test_size_bucket{kind="x",le="5"} 2');
+    expect(text).toContain('test_size_bucket{kind="x",le="+Inf"} 3');
+    expect(text).toContain('test_size_sum{kind="x"} 12.5');
+    expect(text).toContain('test_size_count{kind="x"} 3');
+  });
+
+  it('records request latency by route pattern and serves GET /metrics', async () => {
+    await request(app).post('/tts').send({}).expect(400);
+
+    const res = await request(app).get('/metrics').expect(200);
+    expect(res.headers['content-type']).toContain('text/plain');
+    expect(res.text).toContain('http_request_duration_seconds_count{method="POST",route="/tts",status="400"} 1');
+  });
+
+  it('requires the bearer token when METRICS_TOKEN is set', async () => {
+    const originalToken = config.metricsToken;
+    config.metricsToken = 'scrape-secret';
+    try {
+      await request(app).get('/metrics').expect(401);
+      await request(app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+      await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+    } finally {
+      config.metricsToken = originalToken;
+    }
+  });
+
+  it('counts LLM requests by task and outcome', async () => {
+    config.llmProvider = 'mock';
+    await request(app).post('/symptoms/extract').send({ symptoms: 'sharp headache' }).expect(200);
+
+    const text = renderMetrics();
+    expect(text).toContain('llm_requests_total{provider="mock",task="symptomExtraction",outcome="success"} 1');
+    expect(text).toContain('llm_request_duration_seconds_count{provider="mock",task="symptomExtraction"} 1');
+  });
+
+  it('counts model calls and token usage reported by the provider', async () => {
+    config.llmProvider = 'openai';
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        choices: [{ message: { content: '{"entries":[]}' } }],
+        usage: { prompt_tokens: 120, completion_tokens: 30 },
+      }),
+    });
+
+    await llmService.extractSymptoms({ symptoms: ['headache'] });
+
+    const model = config.openaiModel;
+    const text = renderMetrics();
+    expect(text).toContain(`llm_model_calls_total{provider="openai",model="${model}",outcome="success"} 1`);
+    expect(text).toContain(`llm_tokens_total{provider="openai",model="${model}",kind="prompt"} 120`);
+    expect(text).toContain(`llm_tokens_total{provider="openai",model="${model}",kind="completion"} 30`);
+  });
+
+  it('counts scraper refreshes per hospital system and stored wait lookups', async () => {
+    config.scraperDomainIntervalMs = 0;
+    global.fetch = jest.fn(async (url) => (url.endsWith('/robots.txt')
+      ? { ok: false, status: 404, text: async () => '' }
+      : { ok: true, status: 200, text: async () => INOVA_PAGE }));
+
+    await refreshSystem(PLUGINS.find((plugin) => plugin.name === 'inova'));
+    const waits = await findLiveWaits([{ name: 'Inova Fairfax Hospital' }, { name: 'Inova Somewhere Else' }]);
+
+    expect(waits.map((wait) => wait?.minutes ?? null)).toEqual([42, null]);
+    const text = renderMetrics();
+    expect(text).toContain('scraper_lookups_total{system="inova",result="hit"} 1');
+    expect(text).toContain('wait_store_lookups_total{result="hit"} 1');
+    expect(text).toContain('wait_store_lookups_total{result="miss"} 1');
+  });
+
+  it('counts emails sent, failed and skipped', async () => {
+    const email = { toEmail: 'pat@example.com', userName: 'Pat', link: 'https://example.com/reset' };
+
+    config.smtpUser = '';
+    await sendPasswordResetEmail(email);
+
+    config.smtpUser = 'mailer@example.com';
+    config.smtpPass = 'secret';
+    mockSendMail.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('SMTP down'));
+    await sendPasswordResetEmail(email);
+    await expect(sendPasswordResetEmail(email)).rejects.toThrow('SMTP down');
+
+    const text = renderMetrics();
+    expect(text).toContain('emails_total{kind="password_reset",outcome="skipped"} 1');
+    expect(text).toContain('emails_total{kind="password_reset",outcome="sent"} 1');
+    expect(text).toContain('emails_total{kind="password_reset",outcome="failed"} 1');
+  });
+});
@@ -0,0 +1,161 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+}));
+
+jest.mock('../models/RefreshToken', () => ({
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 2 }),
+}));
+
+// A small in-memory stand-in for the action token collection.
+jest.mock('../models/ActionToken', () => {
+  const rows = [];
+  const matches = (row, filter) => Object.entries(filter).every(([key, value]) => {
+    if (value && typeof value === 'object' && '$gt' in value) return row[key] > value.$gt;
+    return String(row[key]) === String(value) || (value === null && row[key] === null);
+  });
+  return {
+    rows,
+    create: jest.fn(async (doc) => { rows.push({ usedAt: null, ...doc }); return doc; }),
+    findOneAndUpdate: jest.fn((filter, update) => {
+      const row = rows.find((r) => matches(r, filter));
+      const before = row ? { ...row } : null;
+      if (row) Object.assign(row, update.$set);
+      return { lean: async () => before };
+    }),
+    updateMany: jest.fn(async (filter, update) => {
+      const hit = rows.filter((row) => matches(row, filter));
+      hit.forEach((row) => Object.assign(row, update.$set));
+      return { modifiedCount: hit.length };
+    }),
+  };
+});
+
+jest.mock('../services/emailService', () => ({
+  sendPasswordResetEmail: jest.fn().mockResolvedValue(true),
+  sendVerificationEmail: jest.fn().mockResolvedValue(true),
+}));
+
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ActionToken = require('../models/ActionToken');
+const emailService = require('../services/emailService');
+const config = require('../config');
+const app = require('../app');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const USER = { _id: USER_ID, name: 'Pat', email: 'pat@example.com', emailVerifiedAt: null };
+
+function tokenFromLink(link, param) {
+  return new URL(link).searchParams.get(param);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  ActionToken.rows.length = 0;
+  User.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(USER) });
+  User.findById.mockResolvedValue(USER);
+  User.findByIdAndUpdate.mockResolvedValue(USER);
+});
+
+describe('password reset', () => {
+  async function requestReset() {
+    await request(app).post('/auth/forgot-password').send({ email: 'Pat@Example.com' }).expect(200);
+    const { link } = emailService.sendPasswordResetEmail.mock.calls.at(-1)[0];
+    return tokenFromLink(link, 'resetToken');
+  }
+
+  it('emails a link with a token that is stored only as a hash', async () => {
+    const token = await requestReset();
+
+    expect(emailService.sendPasswordResetEmail).toHaveBeenCalledWith(expect.objectContaining({
+      toEmail: 'pat@example.com',
+      link: expect.stringContaining(`${config.appUrl}/?resetToken=`),
+    }));
+    expect(ActionToken.rows).toHaveLength(1);
+    expect(ActionToken.rows[0]).toMatchObject({ purpose: 'password_reset', usedAt: null });
+    expect(ActionToken.rows[0].tokenHash).not.toBe(token);
+  });
+
+  it('answers the same way for unknown emails', async () => {
+    User.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+    const res = await request(app).post('/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+
+    expect(res.body.message).toMatch(/If an account exists/);
+    expect(emailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  it('answers before the email is sent', async () => {
+    emailService.sendPasswordResetEmail.mockReturnValueOnce(new Promise(() => {}));
+    const res = await request(app).post('/auth/forgot-password').send({ email: 'pat@example.com' }).expect(200);
+
+    expect(res.body.message).toMatch(/If an account exists/);
+  });
+
+  it('sets the new password once and signs out every device', async () => {
+    const token = await requestReset();
+
+    await request(app).post('/auth/reset-password').send({ token, password: 'new secret 1' }).expect(200);
+    const { passwordHash } = User.findByIdAndUpdate.mock.calls[0][1];
+    expect(await bcrypt.compare('new secret 1', passwordHash)).toBe(true);
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith({ user: USER_ID, revokedAt: null }, expect.anything());
+
+    const again = await request(app).post('/auth/reset-password').send({ token, password: 'new secret 2' }).expect(400);
+    expect(again.body.error).toBe('Invalid or expired reset link');
+  });
+
+  it('keeps the link usable when the new password is too short', async () => {
+    const token = await requestReset();
+    await request(app).post('/auth/reset-password').send({ token, password: 'short' }).expect(400);
+    await request(app).post('/auth/reset-password').send({ token, password: 'long enough' }).expect(200);
+  });
+
+  it('rejects expired and superseded links', async () => {
+    const first = await requestReset();
+    const second = await requestReset();
+    await request(app).post('/auth/reset-password').send({ token: first, password: 'long enough' }).expect(400);
+
+    ActionToken.rows[1].expiresAt = new Date(Date.now() - 1000);
+    await request(app).post('/auth/reset-password').send({ token: second, password: 'long enough' }).expect(400);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('email verification', () => {
+  function authHeader() {
+    const token = jwt.sign({ email: 'pat@example.com' }, config.jwtSecret, { subject: USER_ID });
+    return `Bearer ${token}`;
+  }
+
+  it('resends a link that verifies the email once', async () => {
+    await request(app).post('/auth/resend-verification').set('Authorization', authHeader()).expect(200);
+    const { link } = emailService.sendVerificationEmail.mock.calls[0][0];
+    const token = tokenFromLink(link, 'verifyToken');
+
+    const res = await request(app).get('/auth/verify-email').query({ token }).expect(200);
+    expect(res.body).toEqual({ emailVerified: true });
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(USER_ID, { emailVerifiedAt: expect.any(Date) });
+
+    await request(app).get('/auth/verify-email').query({ token }).expect(400);
+  });
+
+  it('does not accept a reset token as a verification token', async () => {
+    await request(app).post('/auth/forgot-password').send({ email: 'pat@example.com' }).expect(200);
+    const { link } = emailService.sendPasswordResetEmail.mock.calls[0][0];
+
+    await request(app).get('/auth/verify-email').query({ token: tokenFromLink(link, 'resetToken') }).expect(400);
+  });
+
+  it('reports verification status on the profile and refuses to resend once verified', async () => {
+    User.findById.mockResolvedValue({ ...USER, emailVerifiedAt: new Date() });
+
+    const me = await request(app).get('/auth/me').set('Authorization', authHeader()).expect(200);
+    expect(me.body.user.emailVerified).toBe(true);
+    await request(app).post('/auth/resend-verification').set('Authorization', authHeader()).expect(400);
+  });
+});
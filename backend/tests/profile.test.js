@@ -0,0 +1,131 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+}));
+
+jest.mock('../models/DiagnosisRecord', () => ({
+  create: jest.fn().mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60719' }),
+}));
+
+const User = require('../models/User');
+const config = require('../config');
+const llmService = require('../services/llmService');
+const app = require('../app');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+function authHeader() {
+  const token = jwt.sign({ email: 'pat@example.com' }, config.jwtSecret, { subject: USER_ID });
+  return `Bearer ${token}`;
+}
+
+const BASE_PROFILE = {
+  name: 'Pat',
+  age: 58,
+  gender: 'female',
+  heightCm: 165,
+  weightKg: 70,
+  emergencyContacts: [{ name: 'Sam', relation: 'partner', phone: '555-0100' }],
+};
+
+const HISTORY = {
+  chronicConditions: [{ name: 'Type 2 diabetes', diagnosedYear: 2015 }],
+  medications: [{ name: 'Warfarin', dose: '5 mg', frequency: 'once daily' }],
+  allergies: [{ substance: 'Penicillin', reaction: 'hives' }],
+  pregnancyStatus: 'not_applicable',
+  surgeries: [{ procedure: 'Appendectomy', year: 2010 }],
+};
+
+describe('PUT /auth/profile medical history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByIdAndUpdate.mockImplementation(async (id, update) => ({ _id: id, email: 'pat@example.com', ...update }));
+  });
+
+  it('saves and returns cleaned history', async () => {
+    const res = await request(app)
+      .put('/auth/profile')
+      .set('Authorization', authHeader())
+      .send({
+        ...BASE_PROFILE,
+        ...HISTORY,
+        medications: [...HISTORY.medications, { name: '', dose: '', frequency: '' }],
+        surgeries: [{ procedure: ' Appendectomy ', year: '2010' }],
+        pregnancyStatus: 'NOT_APPLICABLE',
+      })
+      .expect(200);
+
+    const update = User.findByIdAndUpdate.mock.calls[0][1];
+    expect(update).toMatchObject(HISTORY);
+    expect(res.body.user).toMatchObject(HISTORY);
+  });
+
+  it('leaves history untouched when the client does not send it', async () => {
+    await request(app).put('/auth/profile').set('Authorization', authHeader()).send(BASE_PROFILE).expect(200);
+    const update = User.findByIdAndUpdate.mock.calls[0][1];
+    expect(update).not.toHaveProperty('medications');
+    expect(update).not.toHaveProperty('pregnancyStatus');
+  });
+
+  it.each([
+    [{ medications: 'warfarin' }, 'medications must be an array'],
+    [{ medications: [{ dose: '5 mg' }] }, 'Each medication must include a name'],
+    [{ allergies: [{ substance: 'x'.repeat(121) }] }, 'Each allergy field must be at most 120 characters'],
+    [{ surgeries: [{ procedure: 'Knee', year: 1850 }] }, 'Each surgery year must be between 1900 and the current year'],
+    [{ pregnancyStatus: 'maybe' }, 'Pregnancy status must be one of: not_pregnant, pregnant, possibly_pregnant, not_applicable'],
+  ])('rejects %j', async (fields, error) => {
+    const res = await request(app)
+      .put('/auth/profile')
+      .set('Authorization', authHeader())
+      .send({ ...BASE_PROFILE, ...fields })
+      .expect(400);
+    expect(res.body.error).toBe(error);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('medical history in the diagnosis prompt', () => {
+  const originalProvider = config.llmProvider;
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    config.llmProvider = originalProvider;
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  it('lists conditions, medications, allergies, pregnancy and surgeries', async () => {
+    config.llmProvider = 'openai';
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        choices: [{ message: { content: '{"condition":"Nosebleed","severity":2,"reasoning":"r","nextSteps":"n","differentials":[]}' } }],
+      }),
+    });
+
+    await llmService.generateDiagnosis({ symptoms: ['nosebleed'], profile: { age: 58, ...HISTORY } });
+
+    const prompt = JSON.parse(global.fetch.mock.calls[0][1].body).messages[0].content[0].text;
+    expect(prompt).toContain('Patient info: Age: 58');
+    expect(prompt).toContain('- Chronic conditions: Type 2 diabetes (since 2015)');
+    expect(prompt).toContain('- Current medications: Warfarin (5 mg, once daily)');
+    expect(prompt).toContain('- Allergies: Penicillin (reaction: hives)');
+    expect(prompt).toContain('- Pregnancy status: not applicable');
+    expect(prompt).toContain('- Past surgeries: Appendectomy (2010)');
+  });
+
+  it('loads the signed-in user\'s history for /diagnose', async () => {
+    config.llmProvider = 'mock';
+    User.findById.mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ _id: USER_ID, ...BASE_PROFILE, ...HISTORY }),
+    });
+    const spy = jest.spyOn(llmService, 'generateDiagnosis');
+
+    await request(app).post('/diagnose').set('Authorization', authHeader()).send({ symptoms: 'nosebleed' }).expect(200);
+
+    expect(spy.mock.calls[0][0].profile).toMatchObject(HISTORY);
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { rateLimit, createMemoryStore, setRateLimitStore } = require('../middleware/rateLimit');
+const app = require('../app');
+
+function authHeader(userId) {
+  const token = jwt.sign({ email: 'pat@example.com' }, config.jwtSecret, { subject: userId });
+  return `Bearer ${token}`;
+}
+
+describe('rate limiting', () => {
+  const original = { enabled: config.rateLimitEnabled, llm: config.rateLimits.llm };
+
+  beforeEach(() => {
+    config.rateLimitEnabled = true;
+    config.rateLimits.llm = { windowMs: 60 * 1000, perIp: 2, perUser: 3 };
+    setRateLimitStore(createMemoryStore());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.rateLimitEnabled = original.enabled;
+    config.rateLimits.llm = original.llm;
+  });
+
+  it('answers 429 with Retry-After once an IP uses up its bucket', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+    await request(app).post('/transcribe-audio').send({}).expect(400);
+    await request(app).post('/transcribe-audio').send({}).expect(400);
+    const res = await request(app).post('/transcribe-audio').send({}).expect(429);
+
+    expect(res.headers['retry-after']).toBe('60');
+    expect(res.body).toMatchObject({ error: 'rate_limited', retryAfter: 60 });
+    // LLM routes share one budget.
+    await request(app).post('/tts').send({}).expect(429);
+  });
+
+  it('gives signed-in users their own bucket, past the per-IP limit', async () => {
+    const userA = authHeader('64b7f0c2a1b2c3d4e5f60718');
+    const userB = authHeader('64b7f0c2a1b2c3d4e5f60719');
+
+    // perIp is 2 and perUser 3: signed-in requests from one address go past the IP's limit.
+    for (let i = 0; i < 3; i += 1) {
+      await request(app).post('/transcribe-audio').set('Authorization', userA).send({}).expect(400);
+    }
+    await request(app).post('/transcribe-audio').set('Authorization', userA).send({}).expect(429);
+    await request(app).post('/transcribe-audio').set('Authorization', userB).send({}).expect(400);
+    // Anonymous requests from the same address still have the IP's whole bucket.
+    await request(app).post('/transcribe-audio').send({}).expect(400);
+  });
+
+  it('does nothing when disabled', async () => {
+    config.rateLimitEnabled = false;
+    for (let i = 0; i < 4; i += 1) {
+      await request(app).post('/transcribe-audio').send({}).expect(400);
+    }
+  });
+});
+
+describe('rateLimit()', () => {
+  function run(middleware, req = { ip: '10.0.0.1' }) {
+    return new Promise((resolve) => {
+      const res = {
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { resolve({ status: this.statusCode, headers: this.headers, body }); },
+      };
+      middleware(req, res, () => resolve({ status: 'next' }));
+    });
+  }
+
+  const original = config.rateLimitEnabled;
+  beforeAll(() => { config.rateLimitEnabled = true; });
+  afterAll(() => { config.rateLimitEnabled = original; });
+
+  it('starts a new window once the old one ends', async () => {
+    const store = createMemoryStore();
+    const limiter = rateLimit({ name: 'test', limits: () => ({ windowMs: 1000, perIp: 1 }), store });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(5000);
+
+    expect((await run(limiter)).status).toBe('next');
+    expect((await run(limiter)).status).toBe(429);
+    expect((await run(limiter, { ip: '10.0.0.2' })).status).toBe('next');
+    now.mockReturnValue(6000);
+    expect((await run(limiter)).status).toBe('next');
+    now.mockRestore();
+  });
+
+  it('limits one user across addresses', async () => {
+    const store = createMemoryStore();
+    const limiter = rateLimit({ name: 'both', limits: () => ({ windowMs: 1000, perIp: 5, perUser: 2 }), store });
+    const user = { id: 'u1' };
+
+    expect((await run(limiter, { ip: '10.0.0.1', user })).status).toBe('next');
+    expect((await run(limiter, { ip: '10.0.0.2', user })).status).toBe('next');
+    expect((await run(limiter, { ip: '10.0.0.3', user })).status).toBe(429);
+    expect((await run(limiter, { ip: '10.0.0.3' })).status).toBe('next');
+  });
+
+  it('uses a custom store and lets requests through when it fails', async () => {
+    const store = { increment: jest.fn().mockResolvedValue({ count: 99, resetAt: Date.now() + 5000 }), reset: jest.fn() };
+    const limiter = rateLimit({ name: 'custom', limits: () => ({ windowMs: 1000, perIp: 5 }), store });
+
+    const limited = await run(limiter, { ip: '10.0.0.3', user: { id: 'u1' } });
+    expect(store.increment).toHaveBeenCalledWith('custom:user:u1', 1000);
+    expect(limited.status).toBe(429);
+    expect(limited.headers['Retry-After']).toBe('5');
+
+    store.increment.mockRejectedValue(new Error('redis down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect((await run(limiter)).status).toBe('next');
+    console.error.mockRestore();
+  });
+});
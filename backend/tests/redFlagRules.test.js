@@ -0,0 +1,146 @@
+const config = require('../config');
+const llmService = require('../services/llmService');
+const {
+  RULES,
+  compileRules,
+  evaluateRedFlags,
+  applyRedFlags,
+} = require('../services/redFlagService');
+
+function matchedIds(symptoms, extra = {}) {
+  return evaluateRedFlags({ symptoms, ...extra }).map((m) => m.id);
+}
+
+// One entry per rule in data/redFlagRules.json: inputs that must trigger it and near misses that must not.
+const RULE_CASES = {
+  cardiac_chest_pain_radiating: {
+    matches: [
+      ['Crushing chest pain that spreads to my left arm'],
+      ['chest tightness', 'pain in my jaw'],
+      ['Chest pressure and a cold sweat'],
+    ],
+    ignores: [['chest pain when I cough'], ['my arm hurts after the gym']],
+  },
+  stroke_fast: {
+    matches: [['my face is drooping on one side'], ['Sudden slurred speech'], ['weakness on one side of my body']],
+    ignores: [['my face feels puffy'], ['no slurred speech, just tired']],
+  },
+  anaphylaxis: {
+    matches: [
+      ['I think I am having anaphylaxis'],
+      ['swollen lips and tongue swelling', "it's hard to breathe"],
+      ['hives all over and wheezing after eating peanuts'],
+    ],
+    ignores: [['hives on my arm, itchy'], ['swollen lips after a cold sore']],
+  },
+  severe_bleeding: {
+    matches: [['the cut wont stop bleeding'], ['I am vomiting blood'], ['heavy bleeding from my leg']],
+    ignores: [['small paper cut, bled a little'], ['nosebleed that stopped']],
+  },
+  infant_fever: {
+    matches: [['my 2 month old baby has a fever'], ['newborn feels feverish']],
+    ignores: [['I have a fever and chills'], ['baby is teething and fussy']],
+  },
+  severe_breathing_difficulty: {
+    matches: [["I can't breathe"], ['gasping for air'], ['his lips are turning blue']],
+    ignores: [['a little short of breath climbing stairs'], ['stuffy nose, breathing through my mouth']],
+  },
+  loss_of_consciousness: {
+    matches: [['I passed out in the shower'], ['she had a seizure'], ['he is unresponsive']],
+    ignores: [['felt lightheaded but did not faint'], ['never fainted, just dizzy']],
+  },
+  thunderclap_headache: {
+    matches: [['worst headache of my life'], ['a sudden severe headache started an hour ago']],
+    ignores: [['mild headache after work'], ['headache that comes and goes']],
+  },
+  meningitis_signs: {
+    matches: [['fever and a stiff neck'], ['high temperature', 'neck is stiff and light hurts my eyes']],
+    ignores: [['stiff neck from sleeping wrong'], ['fever, no stiff neck']],
+  },
+};
+
+describe('red-flag rules', () => {
+  it('has test cases for every rule in the data file', () => {
+    expect(Object.keys(RULE_CASES).sort()).toEqual(RULES.map((r) => r.id).sort());
+  });
+
+  describe.each(Object.entries(RULE_CASES))('%s', (ruleId, { matches, ignores }) => {
+    it.each(matches.map((m) => [m]))('matches %j', (symptoms) => {
+      expect(matchedIds(symptoms)).toContain(ruleId);
+    });
+
+    it.each(ignores.map((m) => [m]))('ignores %j', (symptoms) => {
+      expect(matchedIds(symptoms)).not.toContain(ruleId);
+    });
+
+    it('floors severity to the rule severity', () => {
+      const rule = RULES.find((r) => r.id === ruleId);
+      const result = applyRedFlags({ condition: 'x', severity: 1 }, evaluateRedFlags({ symptoms: matches[0] }));
+      expect(result.severity).toBe(rule.severity);
+      expect(result.redFlags).toContain(ruleId);
+    });
+  });
+
+  it('uses profile age for infant fever', () => {
+    expect(matchedIds(['fever since this morning'], { profile: { age: 0 } })).toContain('infant_fever');
+    expect(matchedIds(['fever since this morning'], { profile: { age: 4 } })).not.toContain('infant_fever');
+  });
+
+  it('reads follow-up answers as well as symptoms', () => {
+    const answers = [{ question: 'Does the pain spread?', answer: 'yes, into my left arm' }];
+    expect(matchedIds(['chest pain'], { answers })).toContain('cardiac_chest_pain_radiating');
+  });
+
+  it('never lowers a higher LLM severity', () => {
+    expect(applyRedFlags({ condition: 'x', severity: 3 }, [])).toEqual({ condition: 'x', severity: 3, redFlags: [] });
+  });
+
+  it('rejects malformed rule data', () => {
+    const base = { id: 'a', severity: 3, condition: 'c', reasoning: 'r', nextSteps: 'n', when: [{ allOf: [['x']] }] };
+    expect(() => compileRules([base, { ...base }])).toThrow(/duplicated/);
+    expect(() => compileRules([{ ...base, severity: 4 }])).toThrow(/severity/);
+    expect(() => compileRules([{ ...base, when: [{ allOf: [[]] }] }])).toThrow(/when/);
+  });
+});
+
+describe('red flags in generateDiagnosis', () => {
+  const originalProvider = config.llmProvider;
+
+  afterEach(() => {
+    config.llmProvider = originalProvider;
+  });
+
+  it('raises a mild LLM verdict to severe and reports the rule', async () => {
+    config.llmProvider = 'mock';
+    const result = await llmService.generateDiagnosis({ symptoms: ['worst headache of my life'] });
+    expect(result.severity).toBe(3);
+    expect(result.redFlags).toEqual(['thunderclap_headache']);
+  });
+
+  it('answers from the rules when the LLM is down', async () => {
+    config.llmProvider = 'nope';
+    const result = await llmService.generateDiagnosis({ symptoms: ['my face is drooping'] });
+    expect(result).toMatchObject({
+      condition: 'Possible stroke',
+      severity: 3,
+      redFlags: ['stroke_fast'],
+      llmUnavailable: true,
+    });
+  });
+
+  it('still fails without a red flag when the LLM is down', async () => {
+    config.llmProvider = 'nope';
+    await expect(llmService.generateDiagnosis({ symptoms: ['itchy elbow'] })).rejects.toThrow();
+  });
+
+  it('streams the rule text when the LLM is down', async () => {
+    config.llmProvider = 'nope';
+    const onTriage = jest.fn();
+    const onToken = jest.fn();
+    const result = await llmService.streamDiagnosis({ symptoms: ['I passed out'] }, { onTriage, onToken });
+
+    expect(onTriage).toHaveBeenCalledWith(expect.objectContaining({ severity: 3, redFlags: ['loss_of_consciousness'] }));
+    expect(onToken).toHaveBeenCalledWith({ section: 'reasoning', text: result.reasoning });
+    expect(result.llmUnavailable).toBe(true);
+  });
+});
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { PLUGINS, pluginsFor, urlsFor } = require('../services/scrapers');
+const { parseMinutes, extractWaits } = require('../services/scrapers/extract');
+const { parseRobots, isPathAllowed } = require('../services/scrapers/robots');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'scrapers');
+
+function fixtureFor(name) {
+  const file = ['html', 'json']
+    .map((ext) => path.join(FIXTURE_DIR, `${name}.${ext}`))
+    .find((candidate) => fs.existsSync(candidate));
+  return file ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// What each plugin should read from its saved page in tests/fixtures/scrapers.
+const EXPECTED = {
+  inova: [
+    { name: 'Inova Fairfax Hospital', minutes: 42 },
+    { name: 'Inova Alexandria Hospital', minutes: 18 },
+    { name: 'Inova Emergency Room – Springfield', minutes: 7 },
+  ],
+  generic: [{ name: null, minutes: 23 }],
+};
+
+describe('scraper plugins', () => {
+  it.each(PLUGINS.map((plugin) => [plugin.name, plugin]))('%s parses its fixture', (name, plugin) => {
+    const body = fixtureFor(name);
+    expect(body).not.toBeNull();
+    expect(EXPECTED[name]).toBeDefined();
+    expect(plugin.parse(body)).toEqual(EXPECTED[name]);
+  });
+
+  it.each(PLUGINS.map((plugin) => [plugin.name, plugin]))('%s returns nothing for an unrelated page', (name, plugin) => {
+    expect(plugin.parse('<html><body><p>Visiting hours are 8am to 8pm.</p></body></html>')).toEqual([]);
+    expect(plugin.parse('')).toEqual([]);
+  });
+
+  it('tries system plugins before the generic fallback', () => {
+    const names = pluginsFor({ name: 'Inova Fairfax Hospital', website: 'https://www.inova.org/locations/fairfax' })
+      .map((plugin) => plugin.name);
+    expect(names).toEqual(['inova', 'generic']);
+    expect(PLUGINS[PLUGINS.length - 1].name).toBe('generic');
+  });
+
+  it('builds generic probe URLs from the hospital website origin', () => {
+    const generic = PLUGINS.find((plugin) => plugin.name === 'generic');
+    expect(urlsFor(generic, { website: 'https://valley.example.org/about?x=1' }))
+      .toContain('https://valley.example.org/er-wait-times');
+    expect(urlsFor(generic, { website: 'not a url' })).toEqual([]);
+  });
+
+  it('reads minutes from display text and rejects implausible values', () => {
+    expect(parseMinutes('14 Mins')).toBe(14);
+    expect(parseMinutes('1 hr 5 min')).toBe(65);
+    expect(parseMinutes(' 9 ')).toBe(9);
+    expect(parseMinutes('--')).toBeNull();
+    expect(parseMinutes(-1)).toBeNull();
+    expect(parseMinutes(2026)).toBeNull();
+  });
+});
+
+// Pages that trip up text matching over raw HTML, and what the generic plugin should read.
+const TRICKY_PAGES = [
+  ['script-numbers', [{ name: null, minutes: 23 }]],
+  ['json-ld', [{ name: 'Valley Regional Medical Center', minutes: 17 }]],
+  ['next-data', [{ name: null, minutes: 31 }]],
+  ['inline-assignment', [
+    { name: 'Valley North Campus ER', minutes: 65 },
+    { name: 'Valley South Campus ER', minutes: 12 },
+  ]],
+  ['no-wait', []],
+  ['er-and-urgent-care', [{ name: null, minutes: 40 }]],
+];
+
+describe('DOM extraction', () => {
+  const generic = PLUGINS.find((plugin) => plugin.name === 'generic');
+
+  it.each(TRICKY_PAGES)('reads %s', (name, expected) => {
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, 'tricky', `${name}.html`), 'utf8');
+    expect(generic.parse(html)).toEqual(expected);
+  });
+
+  it('reads attributes through selector configs', () => {
+    const html = `<ul>
+      <li class="er" data-wait="14"><b>North</b></li>
+      <li class="er" data-wait="not reporting"><b>South</b></li>
+    </ul>`;
+    const config = { selectors: { item: 'li.er', name: 'b', wait: { attribute: 'data-wait' } } };
+
+    expect(extractWaits(html, config)).toEqual([{ name: 'North', minutes: 14 }]);
+  });
+
+  it('drops a facility listed twice with different waits', () => {
+    const body = JSON.stringify({
+      facilities: [
+        { name: 'North ER', wait: 10 },
+        { name: 'north er', wait: 55 },
+        { name: 'South ER', wait: 20 },
+        { name: 'South ER', wait: 20 },
+        { name: 'X', wait: 5 },
+      ],
+    });
+    const config = { json: { items: 'facilities.*', name: 'name', wait: 'wait' } };
+
+    expect(extractWaits(body, config)).toEqual([{ name: 'South ER', minutes: 20 }]);
+  });
+});
+
+describe('robots.txt', () => {
+  const ROBOTS = [
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: Googlebot',
+    'User-agent: TriageSense',
+    'Disallow: /emergency',
+    'Allow: /emergency/wait-times',
+    'Disallow: /*.pdf$',
+    'Crawl-delay: 5',
+  ].join('\n');
+
+  it('uses the group for our user agent over the * group', () => {
+    const { rules, crawlDelaySeconds } = parseRobots(ROBOTS, 'triagesense');
+
+    expect(crawlDelaySeconds).toBe(5);
+    expect(isPathAllowed(rules, '/about')).toBe(true);
+    expect(isPathAllowed(rules, '/emergency-room')).toBe(false);
+    expect(isPathAllowed(rules, '/emergency/wait-times?region=north')).toBe(true);
+    expect(isPathAllowed(rules, '/files/er.pdf')).toBe(false);
+    expect(isPathAllowed(rules, '/files/er.pdf?v=2')).toBe(true);
+  });
+
+  it('falls back to the * group', () => {
+    const { rules } = parseRobots(ROBOTS, 'otherbot');
+    expect(isPathAllowed(rules, '/about')).toBe(false);
+    expect(isPathAllowed(parseRobots('User-agent: *\nDisallow:\n', 'otherbot').rules, '/anything')).toBe(true);
+  });
+});
+
+describe('wait time polling', () => {
+  const originalFetch = global.fetch;
+  let config;
+  let scraper;
+  let plugin;
+
+  beforeEach(() => {
+    // Fresh modules per test so the store, robots cache and host queues start empty.
+    jest.resetModules();
+    config = require('../config');
+    config.scraperDomainIntervalMs = 0;
+    scraper = require('../services/scraperService');
+    const registry = require('../services/scrapers');
+    plugin = (name) => registry.PLUGINS.find((candidate) => candidate.name === name);
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  function serve(pages) {
+    global.fetch = jest.fn(async (url) => {
+      const body = pages[url];
+      return body == null
+        ? { ok: false, status: 404, text: async () => '' }
+        : { ok: true, status: 200, text: async () => body };
+    });
+  }
+
+  const INOVA_URL = 'https://www.inova.org/emergency-room-wait-times';
+  // Inova with a second page, for systems that publish one page per region.
+  const twoPagePlugin = () => ({ ...plugin('inova'), urls: [INOVA_URL, 'https://www.inova.org/urgent-care-wait-times'] });
+  const pageUrls = () => global.fetch.mock.calls.map(([url]) => url).filter((url) => !url.endsWith('/robots.txt'));
+
+  it('answers from the stored snapshot without fetching', async () => {
+    serve({ [INOVA_URL]: fixtureFor('inova') });
+    await scraper.refreshKnownSystems();
+    global.fetch.mockClear();
+
+    const waits = await scraper.findLiveWaits([{ name: 'Inova Alexandria Hospital' }, { name: 'Inova Loudoun Hospital' }]);
+
+    expect(waits[0]).toEqual({ minutes: 18, system: 'inova', fetchedAt: expect.any(Date) });
+    // Facilities not reporting a wait are left out of the page's entries.
+    expect(waits[1]).toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('merges every page of a system, keeping what the readable pages list', async () => {
+    serve({ [INOVA_URL]: fixtureFor('inova') });
+
+    const entries = await scraper.refreshSystem(twoPagePlugin());
+
+    expect(entries.map((entry) => entry.minutes)).toEqual([42, 18, 7]);
+    expect(pageUrls()).toHaveLength(2);
+  });
+
+  it('skips systems refreshed more recently than asked, and retries failing ones', async () => {
+    serve({});
+    expect(await scraper.refreshKnownSystems()).toEqual(['inova']);
+    expect(scraper.getScraperStatus().lastErrorAt).toEqual(expect.any(Date));
+    await expect(scraper.refreshKnownSystems(60 * 1000)).resolves.toEqual(['inova']);
+
+    serve({ [INOVA_URL]: fixtureFor('inova') });
+    await expect(scraper.refreshKnownSystems(60 * 1000)).resolves.toEqual(['inova']);
+    await expect(scraper.refreshKnownSystems(60 * 1000)).resolves.toEqual([]);
+  });
+
+  it('stops answering with a snapshot once it is old', async () => {
+    serve({ [INOVA_URL]: fixtureFor('inova') });
+    await scraper.refreshSystem(plugin('inova'));
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 31 * 60 * 1000);
+
+    await expect(scraper.findLiveWaits([{ name: 'Inova Fairfax Hospital' }])).resolves.toEqual([null]);
+  });
+
+  it('forgets in-memory snapshots an hour old', async () => {
+    const { saveSnapshot, getSnapshots } = require('../services/waitTimeStore');
+    await saveSnapshot({ key: 'inova', system: 'inova', entries: [], fetchedAt: new Date() });
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 60 * 1000);
+    await saveSnapshot({ key: 'generic:https://valley.example.org', system: 'generic', entries: [], fetchedAt: new Date(Date.now()) });
+
+    const snapshots = await getSnapshots(['inova', 'generic:https://valley.example.org']);
+    expect([...snapshots.keys()]).toEqual(['generic:https://valley.example.org']);
+  });
+
+  it('probes a hospital website in the background for later requests', async () => {
+    serve({ 'https://valley.example.org/er-wait-times': fixtureFor('generic') });
+    const hospital = { name: 'Valley Regional Medical Center', website: 'https://valley.example.org/' };
+
+    await expect(scraper.findLiveWaits([hospital])).resolves.toEqual([null]);
+    await scraper.waitForProbes();
+
+    const [wait] = await scraper.findLiveWaits([hospital]);
+    expect(wait).toMatchObject({ minutes: 23, system: 'generic' });
+    expect(global.fetch).toHaveBeenCalledWith('https://valley.example.org/robots.txt', expect.anything());
+  });
+
+  it('does not fetch pages robots.txt disallows', async () => {
+    serve({
+      'https://www.inova.org/robots.txt': 'User-agent: *\nDisallow: /emergency-room-wait-times\n',
+      [INOVA_URL]: fixtureFor('inova'),
+    });
+
+    await expect(scraper.refreshSystem(plugin('inova'))).resolves.toBeNull();
+    expect(pageUrls()).toEqual([]);
+    expect(scraper.getScraperStatus().lastErrorAt).toBeNull();
+  });
+
+  it('spaces out requests to the same host', async () => {
+    config.scraperDomainIntervalMs = 100;
+    const times = [];
+    serve({});
+    global.fetch.mockImplementation(async () => {
+      times.push(Date.now());
+      return { ok: false, status: 404, text: async () => '' };
+    });
+
+    await scraper.refreshSystem(twoPagePlugin());
+
+    // robots.txt, then both pages
+    expect(times).toHaveLength(3);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(95);
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(95);
+  });
+});
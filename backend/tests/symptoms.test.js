@@ -0,0 +1,205 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../models/SymptomExtraction', () => ({
+  create: jest.fn(),
+}));
+
+const config = require('../config');
+const llmService = require('../services/llmService');
+const SymptomExtraction = require('../models/SymptomExtraction');
+const { compileTerminology } = require('../services/terminologyService');
+const app = require('../app');
+
+describe('POST /symptoms/extract', () => {
+  const originalProvider = config.llmProvider;
+
+  beforeEach(() => {
+    SymptomExtraction.create.mockReset();
+    config.llmProvider = 'mock';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.llmProvider = originalProvider;
+  });
+
+  it('codes free text against the local terminology', async () => {
+    const res = await request(app)
+      .post('/symptoms/extract')
+      .send({ symptoms: ['severe headache', 'left knee pain for 3 days'] })
+      .expect(200);
+
+    expect(res.body.terminologyVersion).toEqual(expect.any(String));
+    expect(res.body.entries).toEqual([
+      {
+        text: 'severe headache',
+        concept: { id: 'headache', display: 'Headache', snomed: '25064002', icd10: 'R51.9' },
+        bodySite: { id: 'head', display: 'Head', snomed: '69536005' },
+        laterality: null,
+        onset: null,
+        duration: null,
+        severity: 'severe',
+      },
+      {
+        text: 'left knee pain for 3 days',
+        concept: { id: 'joint_pain', display: 'Joint pain', snomed: '57676002', icd10: 'M25.50' },
+        bodySite: { id: 'knee', display: 'Knee', snomed: '72696002' },
+        laterality: 'left',
+        onset: null,
+        duration: '3 days',
+        severity: null,
+      },
+    ]);
+  });
+
+  it('transcribes audio before extracting', async () => {
+    const res = await request(app)
+      .post('/symptoms/extract')
+      .send({ audioData: 'abc123', audioMimeType: 'audio/webm' })
+      .expect(200);
+
+    expect(res.body.symptomsText).toBe('I have a headache and a mild fever');
+    expect(res.body.entries.map((e) => e.concept.id)).toEqual(['headache', 'fever']);
+  });
+
+  it('accepts recordings larger than the default body limit', async () => {
+    const res = await request(app)
+      .post('/symptoms/extract')
+      .send({ audioData: 'A'.repeat(1.5 * 1024 * 1024), audioMimeType: 'audio/webm' })
+      .expect(200);
+
+    expect(res.body.symptomsText).toBe('I have a headache and a mild fever');
+  });
+
+  it('rejects missing, malformed and unsafe input', async () => {
+    await request(app).post('/symptoms/extract').send({}).expect(400);
+    await request(app).post('/symptoms/extract').send({ symptoms: 'cough', languageCode: 'xx' }).expect(400);
+    await request(app).post('/symptoms/extract').send({ audioData: 'abc', audioMimeType: 'text/plain' }).expect(400);
+    const unsafe = await request(app).post('/symptoms/extract').send({ symptoms: 'I want to end my life' }).expect(400);
+    expect(unsafe.body.error).toBe('unsafe_input');
+  });
+
+  it('reports LLM failures', async () => {
+    config.llmProvider = 'nope';
+    const res = await request(app).post('/symptoms/extract').send({ symptoms: 'cough' }).expect(503);
+    expect(res.body.error).toBe('extraction_failure');
+  });
+
+  it('stores coded entries without the free text when the database is up', async () => {
+    SymptomExtraction.create.mockResolvedValue({});
+    // readyState is a non-configurable getter over this field.
+    mongoose.connection._readyState = 1;
+    try {
+      await request(app).post('/symptoms/extract').send({ symptoms: 'itchy rash on my right hand' }).expect(200);
+    } finally {
+      mongoose.connection._readyState = 0;
+    }
+
+    const saved = SymptomExtraction.create.mock.calls[0][0];
+    expect(saved.source).toBe('extract');
+    expect(saved.entries[0]).toEqual({
+      conceptId: 'rash',
+      snomed: '271807003',
+      icd10: 'R21',
+      bodySiteId: 'hand',
+      bodySiteSnomed: '85562004',
+      laterality: 'right',
+      onset: null,
+      duration: null,
+      severity: null,
+    });
+    expect(JSON.stringify(saved)).not.toContain('itchy');
+  });
+
+  it('skips storage when the database is not connected', async () => {
+    await request(app).post('/symptoms/extract').send({ symptoms: 'cough' }).expect(200);
+    expect(SymptomExtraction.create).not.toHaveBeenCalled();
+  });
+
+});
+
+describe('structuredSymptoms on /diagnose', () => {
+  const originalProvider = config.llmProvider;
+
+  beforeEach(() => {
+    config.llmProvider = 'mock';
+    config.symptomExtractionOnDiagnose = true;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.llmProvider = originalProvider;
+    config.symptomExtractionOnDiagnose = false;
+  });
+
+  it('returns the extraction alongside the diagnosis', async () => {
+    const res = await request(app).post('/diagnose').send({ symptoms: 'fever and cough' }).expect(200);
+    expect(res.body.structuredSymptoms.entries.map((e) => e.concept.id)).toEqual(['fever', 'cough']);
+  });
+
+  it('still diagnoses when the extraction fails', async () => {
+    jest.spyOn(llmService, 'extractSymptoms').mockRejectedValue(new Error('boom'));
+    const res = await request(app).post('/diagnose').send({ symptoms: 'fever' }).expect(200);
+    expect(res.body.structuredSymptoms).toBeNull();
+    expect(res.body.condition).toBeTruthy();
+  });
+
+  it('makes no extraction call when the flag is off', async () => {
+    config.symptomExtractionOnDiagnose = false;
+    const extract = jest.spyOn(llmService, 'extractSymptoms');
+    const res = await request(app).post('/diagnose').send({ symptoms: 'fever' }).expect(200);
+    expect(res.body.structuredSymptoms).toBeNull();
+    expect(extract).not.toHaveBeenCalled();
+  });
+});
+
+describe('extractSymptoms', () => {
+  const originalProvider = config.llmProvider;
+
+  afterEach(() => {
+    config.llmProvider = originalProvider;
+    jest.restoreAllMocks();
+  });
+
+  it('takes codes from the terminology, never from the model', async () => {
+    config.llmProvider = 'openai';
+    const reply = {
+      entries: [
+        { text: 'sore throat', concept: 'sore_throat', snomed: '999', laterality: 'LEFT', severity: 'awful' },
+        { text: 'weird feeling', concept: 'made_up', bodySite: 'chest', onset: ' this morning ' },
+        { text: '  ' },
+      ],
+    };
+    jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: JSON.stringify(reply) } }] }),
+    });
+
+    const { entries } = await llmService.extractSymptoms({ symptoms: ['sore throat, weird feeling'] });
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({
+      concept: { id: 'sore_throat', snomed: '162397003', icd10: 'R07.0' },
+      bodySite: { id: 'throat' },
+      laterality: 'left',
+      severity: null,
+    });
+    expect(entries[1]).toMatchObject({ concept: null, bodySite: { id: 'chest' }, onset: 'this morning' });
+  });
+
+  it('rejects malformed terminology data', () => {
+    const site = { id: 'head', display: 'Head', snomed: '1', synonyms: ['head'] };
+    const concept = { id: 'a', display: 'A', snomed: '2', icd10: 'R1', synonyms: ['a'] };
+    expect(() => compileTerminology({ bodySites: [site], concepts: [concept, concept] })).toThrow(/duplicated/);
+    expect(() => compileTerminology({ bodySites: [site], concepts: [{ ...concept, icd10: '' }] })).toThrow(/icd10/);
+    expect(() => compileTerminology({ bodySites: [site], concepts: [{ ...concept, bodySite: 'leg' }] }))
+      .toThrow(/bodySite/);
+  });
+});
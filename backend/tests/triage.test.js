@@ -0,0 +1,158 @@
+const request = require('supertest');
+
+jest.mock('../services/mapsService', () => ({
+  findNearbyHospitals: jest.fn(),
+}));
+jest.mock('../services/waittimeService', () => ({
+  getWaitTimes: jest.fn(),
+}));
+
+const config = require('../config');
+const { findNearbyHospitals } = require('../services/mapsService');
+const { getWaitTimes } = require('../services/waittimeService');
+const app = require('../app');
+
+const HOSPITALS = [
+  { name: 'Near General', distance: 1, travelTime: 5 },
+  { name: 'Far Regional', distance: 8, travelTime: 20 },
+];
+const WAITS = { 'Near General': 90, 'Far Regional': 10 };
+
+function withWaits(hospitals) {
+  return hospitals.map((h) => ({ ...h, waitTime: WAITS[h.name], waitTimeSource: 'synthetic', waitTimeConfidence: 'none' }));
+}
+
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => ({
+      event: block.match(/^event: (.+)$/m)[1],
+      data: JSON.parse(block.match(/^data: (.+)$/m)[1]),
+    }));
+}
+
+describe('POST /triage', () => {
+  const originalProvider = config.llmProvider;
+  const coords = { latitude: 38.9, longitude: -77.0 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.llmProvider = 'mock';
+    findNearbyHospitals.mockResolvedValue(HOSPITALS);
+    getWaitTimes.mockImplementation(async (hospitals) => withWaits(hospitals));
+  });
+
+  afterAll(() => {
+    config.llmProvider = originalProvider;
+  });
+
+  it('rejects invalid coordinates', async () => {
+    const res = await request(app)
+      .post('/triage')
+      .send({ symptoms: 'headache', latitude: 120, longitude: 0 })
+      .expect(400);
+    expect(res.body.error).toMatch(/Invalid coordinates/);
+    expect(findNearbyHospitals).not.toHaveBeenCalled();
+  });
+
+  it('returns unsafe_input without running any stage', async () => {
+    const res = await request(app)
+      .post('/triage')
+      .send({ symptoms: 'I want to self harm', ...coords })
+      .expect(400);
+    expect(res.body.error).toBe('unsafe_input');
+    expect(findNearbyHospitals).not.toHaveBeenCalled();
+  });
+
+  it('combines diagnosis, hospitals, wait times and ranking', async () => {
+    const res = await request(app)
+      .post('/triage')
+      .send({ symptoms: 'chest pain', ...coords })
+      .expect(200);
+
+    expect(res.body.status).toBe('ok');
+    expect(res.body.diagnosis).toMatchObject({ condition: 'Chest pain concern', severity: 3 });
+    expect(findNearbyHospitals).toHaveBeenCalledWith(38.9, -77.0);
+    expect(res.body.hospitals).toHaveLength(2);
+    expect(res.body.hospitals[0].waitTime).toBe(90);
+    // Severity 3 weighs wait time most, so the shorter wait wins despite the longer drive.
+    expect(res.body.rankResult.top3[0].name).toBe('Far Regional');
+    Object.values(res.body.stages).forEach((stage) => expect(stage.status).toBe('ok'));
+  });
+
+  it('skips the hospital stages when no coordinates are sent', async () => {
+    const res = await request(app).post('/triage').send({ symptoms: 'headache' }).expect(200);
+
+    expect(res.body.status).toBe('ok');
+    expect(res.body.diagnosis.severity).toBe(1);
+    expect(res.body.stages.hospitals).toEqual({ status: 'skipped', reason: 'no_location' });
+    expect(res.body.stages.rank).toEqual({ status: 'skipped', reason: 'no_hospitals' });
+    expect(res.body.rankResult).toBeNull();
+    expect(findNearbyHospitals).not.toHaveBeenCalled();
+  });
+
+  it('keeps the diagnosis when the hospital search fails', async () => {
+    const err = new Error('no key');
+    err.statusCode = 503;
+    err.publicMessage = 'Hospital search service not configured';
+    findNearbyHospitals.mockRejectedValue(err);
+
+    const res = await request(app).post('/triage').send({ symptoms: 'fever', ...coords }).expect(200);
+
+    expect(res.body.status).toBe('partial');
+    expect(res.body.diagnosis.condition).toBe('Flu-like illness');
+    expect(res.body.hospitals).toEqual([]);
+    expect(res.body.stages.hospitals).toMatchObject({
+      status: 'failed',
+      error: 'Hospital search service not configured',
+    });
+    expect(res.body.stages.waitTimes).toEqual({ status: 'skipped', reason: 'hospitals_failed' });
+    expect(res.body.stages.rank.status).toBe('skipped');
+  });
+
+  it('returns unranked hospitals when wait times fail', async () => {
+    getWaitTimes.mockRejectedValue(new Error('scraper down'));
+
+    const res = await request(app).post('/triage').send({ symptoms: 'fever', ...coords }).expect(200);
+
+    expect(res.body.status).toBe('partial');
+    expect(res.body.hospitals).toEqual(HOSPITALS);
+    expect(res.body.stages.waitTimes).toMatchObject({ status: 'failed', error: 'Failed to fetch wait times' });
+    expect(res.body.stages.rank).toEqual({ status: 'skipped', reason: 'no_wait_times' });
+  });
+
+  it('reports a failed diagnosis with the LLM status and keeps the hospitals', async () => {
+    config.llmProvider = 'nope';
+
+    const res = await request(app).post('/triage').send({ symptoms: 'headache', ...coords }).expect(503);
+
+    expect(res.body.error).toBe('llm_failure');
+    expect(res.body.status).toBe('partial');
+    expect(res.body.diagnosis).toBeNull();
+    expect(res.body.stages.diagnosis.status).toBe('failed');
+    expect(res.body.hospitals).toHaveLength(2);
+    expect(res.body.stages.rank).toEqual({ status: 'skipped', reason: 'diagnosis_failed' });
+  });
+
+  it('streams every stage when asked for server-sent events', async () => {
+    const res = await request(app)
+      .post('/triage')
+      .set('Accept', 'text/event-stream')
+      .send({ symptoms: 'chest pain', ...coords })
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = parseEvents(res.text);
+    const names = events.map((e) => e.event);
+
+    ['triage', 'token', 'diagnosis', 'hospitals', 'waittimes'].forEach((name) => expect(names).toContain(name));
+    expect(names.indexOf('triage')).toBeLessThan(names.indexOf('diagnosis'));
+    expect(names.indexOf('hospitals')).toBeLessThan(names.indexOf('waittimes'));
+
+    const done = events[events.length - 1];
+    expect(done.event).toBe('done');
+    expect(done.data.status).toBe('ok');
+    expect(done.data.rankResult.top3).toHaveLength(2);
+  });
+});
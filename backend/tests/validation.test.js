@@ -0,0 +1,72 @@
+const request = require('supertest');
+const { validateValue } = require('../middleware/validate');
+const schemas = require('../schemas');
+const app = require('../app');
+
+describe('validateValue', () => {
+  it('lists every field error with its path', () => {
+    const errors = validateValue(schemas.rankBody, {
+      hospitals: [{ name: 'A', travelTime: 10, waitTime: 20 }, { name: '', travelTime: 'soon' }],
+      severity: 4,
+    });
+
+    expect(errors).toEqual([
+      { field: 'hospitals[1].waitTime', message: 'hospitals[1].waitTime is required' },
+      { field: 'hospitals[1].name', message: 'hospitals[1].name must not be empty' },
+      { field: 'hospitals[1].travelTime', message: 'hospitals[1].travelTime must be a number' },
+      { field: 'severity', message: '"severity" must be 1 (low), 2 (moderate), or 3 (severe)' },
+    ]);
+  });
+
+  it('accepts any of several types and requires fields that depend on each other', () => {
+    expect(validateValue(schemas.triageBody, { symptoms: 'cough', latitude: null, longitude: null })).toEqual([]);
+    expect(validateValue(schemas.triageBody, { symptoms: 'cough', latitude: 38.8 })).toEqual([
+      { field: 'longitude', message: 'longitude is required with latitude' },
+    ]);
+  });
+});
+
+describe('validation middleware', () => {
+  it('answers 400 with one message and the list of field errors', async () => {
+    const res = await request(app)
+      .post('/waittimes')
+      .send({ hospitals: [{ name: 'A' }, { website: 'https://example.com' }, 'B'] })
+      .expect(400);
+
+    expect(res.body).toEqual({
+      error: 'hospitals[1].name is required; hospitals[2] must be an object',
+      errors: [
+        { field: 'hospitals[1].name', message: 'hospitals[1].name is required' },
+        { field: 'hospitals[2]', message: 'hospitals[2] must be an object' },
+      ],
+    });
+  });
+
+  it('checks query strings', async () => {
+    const res = await request(app).get('/auth/verify-email').expect(400);
+    expect(res.body.errors).toEqual([{ field: 'token', message: 'token is required' }]);
+  });
+
+  it('rejects a body that is not an object', async () => {
+    const res = await request(app).post('/rank').send([1, 2]).expect(400);
+    expect(res.body.errors).toEqual([{ field: 'body', message: 'body must be an object' }]);
+  });
+});
+
+describe('GET /openapi.json', () => {
+  it('describes every route with the schemas it validates', async () => {
+    const res = await request(app).get('/openapi.json').expect(200);
+    const { paths } = res.body;
+
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(paths['/rank'].post.requestBody.content['application/json'].schema).toEqual(schemas.rankBody);
+    expect(paths['/rank'].post.responses['400']).toEqual({ $ref: '#/components/responses/ValidationError' });
+    expect(paths['/auth/verify-email'].get.parameters).toEqual([
+      expect.objectContaining({ name: 'token', in: 'query', required: true }),
+    ]);
+    expect(paths['/auth/dependents/{id}'].put.parameters[0]).toMatchObject({ name: 'id', in: 'path' });
+    expect(paths['/auth/me'].get.security).toEqual([{ bearerAuth: [] }]);
+    expect(paths['/diagnose'].post.security).toEqual([{ bearerAuth: [] }, {}]);
+    expect(paths['/hospitals'].post).not.toHaveProperty('security');
+  });
+});
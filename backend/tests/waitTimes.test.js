@@ -0,0 +1,169 @@
+jest.mock('../models/WaitTimeSample', () => ({
+  create: jest.fn(),
+  aggregate: jest.fn(),
+  distinct: jest.fn(),
+}));
+jest.mock('../models/Hospital', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../services/scraperService', () => ({
+  findLiveWaits: jest.fn(),
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const WaitTimeSample = require('../models/WaitTimeSample');
+const Hospital = require('../models/Hospital');
+const { findLiveWaits } = require('../services/scraperService');
+const { estimateWaits, recordWaitSample } = require('../services/waitHistoryService');
+const { getWaitTimes } = require('../services/waittimeService');
+const app = require('../app');
+
+// A Sunday afternoon, server local time.
+const AT = new Date(2026, 9, 18, 14, 20);
+
+function slot(hospitalKey, dayOfWeek, hour, minutes) {
+  return { _id: { hospitalKey, dayOfWeek, hour }, minutes };
+}
+
+function directory(docs) {
+  Hospital.find.mockReturnValue({ select: () => ({ lean: async () => docs }) });
+}
+
+describe('wait times', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // readyState is a non-configurable getter over this field.
+    mongoose.connection._readyState = 1;
+    WaitTimeSample.create.mockResolvedValue({});
+    WaitTimeSample.aggregate.mockResolvedValue([]);
+    WaitTimeSample.distinct.mockResolvedValue([]);
+    directory([]);
+    findLiveWaits.mockImplementation(async (hospitals) => hospitals.map(() => null));
+  });
+
+  afterEach(() => {
+    mongoose.connection._readyState = 0;
+  });
+
+  it('stores a live wait once per scrape window', async () => {
+    await expect(recordWaitSample('Inova Fairfax Hospital', 25, AT)).resolves.toBe(true);
+    await expect(recordWaitSample('Inova Fairfax Hospital', 26, new Date(AT.getTime() + 60 * 1000))).resolves.toBe(false);
+
+    expect(WaitTimeSample.create).toHaveBeenCalledTimes(1);
+    expect(WaitTimeSample.create).toHaveBeenCalledWith({
+      hospitalKey: 'inova fairfax hospital',
+      hospitalName: 'Inova Fairfax Hospital',
+      minutes: 25,
+      observedAt: AT,
+      dayOfWeek: 0,
+      hour: 14,
+    });
+  });
+
+  it('answers with a stored live wait and when it was scraped', async () => {
+    const fetchedAt = new Date(Date.now() - 2 * 60 * 1000);
+    findLiveWaits.mockResolvedValue([{ minutes: 25, system: 'inova', fetchedAt }]);
+
+    const [hospital] = await getWaitTimes([{ name: 'Inova Fairfax Hospital' }]);
+
+    expect(hospital).toMatchObject({
+      waitTime: 25,
+      waitTimeSource: 'live',
+      waitTimeConfidence: 'high',
+      waitTimeUpdatedAt: fetchedAt.toISOString(),
+    });
+    expect(WaitTimeSample.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('estimates from the same day of week and hour', async () => {
+    WaitTimeSample.aggregate.mockResolvedValue([
+      slot('reston hospital center', 0, 14, [30, 40, 50, 20, 35, 45, 40, 60]),
+      slot('reston hospital center', 1, 14, [5, 5, 5]),
+    ]);
+
+    const [estimate] = await estimateWaits([{ name: 'Reston Hospital Center' }], AT);
+
+    expect(estimate).toEqual({ waitTime: 40, source: 'historical', confidence: 'high' });
+    const [{ $match }] = WaitTimeSample.aggregate.mock.calls[0][0];
+    expect($match.hospitalKey).toEqual({ $in: ['reston hospital center'] });
+    expect($match.observedAt.$lte).toBe(AT);
+  });
+
+  it('finds history stored under the name the hospital system prints', async () => {
+    WaitTimeSample.distinct.mockResolvedValue(['inova fairfax medical campus', 'inova alexandria hospital']);
+    WaitTimeSample.aggregate.mockResolvedValue([slot('inova fairfax medical campus', 0, 14, [25, 30, 35])]);
+
+    const [estimate] = await estimateWaits([{ name: 'Inova Fairfax Hospital' }], AT);
+
+    expect(estimate).toEqual({ waitTime: 30, source: 'historical', confidence: 'medium' });
+    const [{ $match }] = WaitTimeSample.aggregate.mock.calls[0][0];
+    expect($match.hospitalKey).toEqual({ $in: ['inova fairfax medical campus'] });
+  });
+
+  it('falls back to the same hour on any day with low confidence', async () => {
+    WaitTimeSample.aggregate.mockResolvedValue([
+      slot('reston hospital center', 0, 14, [30]),
+      slot('reston hospital center', 2, 14, [10, 20]),
+      slot('reston hospital center', 0, 9, [90, 90, 90]),
+    ]);
+
+    const [estimate] = await estimateWaits([{ name: 'Reston Hospital Center' }], AT);
+
+    expect(estimate).toEqual({ waitTime: 20, source: 'historical', confidence: 'low' });
+  });
+
+  it('falls back to the directory average, then to nothing', async () => {
+    directory([{ name: 'Valley Regional', averageWaitMinutes: 33 }]);
+
+    const estimates = await estimateWaits([
+      { name: 'Fairfax Community Hospital', averageWaitMinutes: 25 },
+      { name: 'Valley Regional' },
+      { name: 'Unlisted Clinic' },
+    ], AT);
+
+    expect(estimates).toEqual([
+      { waitTime: 25, source: 'historical', confidence: 'low' },
+      { waitTime: 33, source: 'historical', confidence: 'low' },
+      null,
+    ]);
+    expect(Hospital.find).toHaveBeenCalledWith({ name: { $in: ['Valley Regional', 'Unlisted Clinic'] } });
+  });
+
+  it('uses synthetic data without the database', async () => {
+    mongoose.connection._readyState = 0;
+
+    const [hospital] = await getWaitTimes([{ name: 'Near General' }]);
+
+    expect(hospital).toMatchObject({ waitTimeSource: 'synthetic', waitTimeConfidence: 'none', waitTimeUpdatedAt: null });
+    expect(hospital.waitTime).toEqual(expect.any(Number));
+    expect(WaitTimeSample.aggregate).not.toHaveBeenCalled();
+    expect(Hospital.find).not.toHaveBeenCalled();
+  });
+
+  it('still answers when the history query fails', async () => {
+    WaitTimeSample.aggregate.mockRejectedValue(new Error('connection reset'));
+
+    const [estimate] = await estimateWaits([{ name: 'Near General', averageWaitMinutes: 40 }], AT);
+
+    expect(estimate).toEqual({ waitTime: 40, source: 'historical', confidence: 'low' });
+  });
+
+  it('POST /waittimes reports each source', async () => {
+    findLiveWaits.mockImplementation(async (hospitals) => hospitals.map((h) => (
+      h.name === 'Inova Alexandria Hospital' ? { minutes: 18, system: 'inova', fetchedAt: new Date() } : null
+    )));
+
+    const res = await request(app)
+      .post('/waittimes')
+      .send({ hospitals: [{ name: 'Inova Alexandria Hospital' }, { name: 'Far Regional', averageWaitMinutes: 50 }, { name: 'Near General' }] })
+      .expect(200);
+
+    expect(res.body.data.map((h) => [h.waitTimeSource, h.waitTimeConfidence])).toEqual([
+      ['live', 'high'],
+      ['historical', 'low'],
+      ['synthetic', 'none'],
+    ]);
+    expect(res.body.data[1].waitTime).toBe(50);
+  });
+});
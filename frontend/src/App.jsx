@@ -2,6 +2,8 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import Layout from './components/Layout';
 import Symptoms from './pages/Symptoms';
 import Diagnosis from './pages/Diagnosis';
+import History from './pages/History';
+import Crisis from './pages/Crisis';
 import './App.css';
 
 export default function App() {
@@ -12,6 +14,8 @@ export default function App() {
           <Route element={<Layout />}>
             <Route path="/" element={<Symptoms />} />
             <Route path="/diagnosis" element={<Diagnosis />} />
+            <Route path="/history" element={<History />} />
+            <Route path="/crisis" element={<Crisis />} />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Route>
         </Routes>
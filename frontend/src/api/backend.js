@@ -1,6 +1,8 @@
 /**
  * TriageSense Backend API Client
  * All network logic lives here. Components must import from this module only.
+ * Request and response shapes are defined by the backend's OpenAPI document
+ * (GET /openapi.json, browsable at /docs); the JSDoc below summarizes them.
  */
 
 // In dev: use VITE_API_URL (direct) or Vite proxy (/api).
@@ -11,45 +13,117 @@ const BASE_URL =
   (import.meta.env.DEV ? '/api' : '');
 
 const TOKEN_KEY = 'triage_auth_token';
+const REFRESH_TOKEN_KEY = 'triage_refresh_token';
+
+// Fired on window when the session ends without a call to logout() (refresh token revoked or expired).
+export const SESSION_ENDED_EVENT = 'triage:session-ended';
 
 export function getAuthToken() {
   return localStorage.getItem(TOKEN_KEY) || '';
 }
 
-export function setAuthToken(token) {
+function getRefreshToken() {
+  return localStorage.getItem(REFRESH_TOKEN_KEY) || '';
+}
+
+export function setAuthToken(token, refreshToken) {
   if (!token) return;
   localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
 }
 
 export function clearAuthToken() {
   localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+function apiUrl(endpoint) {
+  return `${BASE_URL.replace(/\/$/, '')}${endpoint}`;
+}
+
+let refreshInFlight = null;
+
+/**
+ * Trade the refresh token for a new access/refresh pair. Concurrent callers share one
+ * request, because each refresh token can only be used once.
+ * @returns {Promise<boolean>} false when the session is over (tokens are then cleared)
+ */
+function refreshSession() {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) return false;
+      try {
+        const res = await fetch(apiUrl('/auth/refresh'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (!res.ok) {
+          if (res.status === 401) {
+            clearAuthToken();
+            window.dispatchEvent(new Event(SESSION_ENDED_EVENT));
+          }
+          return false;
+        }
+        const data = await res.json();
+        setAuthToken(data.token, data.refreshToken);
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
+
+const NO_REFRESH_ENDPOINTS = ['/auth/signup', '/auth/login', '/auth/refresh', '/auth/logout'];
+
+/**
+ * fetch() with the access token attached. On a 401 it refreshes the session once and
+ * retries, so an expired access token never reaches the caller.
+ */
+async function fetchWithAuth(endpoint, init = {}) {
+  const send = () => {
+    const token = getAuthToken();
+    return fetch(apiUrl(endpoint), {
+      ...init,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...init.headers,
+      },
+    });
+  };
+
+  const res = await send();
+  if (res.status !== 401 || NO_REFRESH_ENDPOINTS.includes(endpoint) || !getRefreshToken()) return res;
+  return (await refreshSession()) ? send() : res;
+}
+
+async function toApiError(res) {
+  const err = new Error(`API error: ${res.status} ${res.statusText}`);
+  err.status = res.status;
+  err.response = res;
+  const text = await res.text();
+  try {
+    err.body = text ? JSON.parse(text) : {};
+  } catch {
+    err.body = { error: text || res.statusText };
+  }
+  return err;
 }
 
 async function request(endpoint, options = {}) {
-  const url = `${BASE_URL.replace(/\/$/, '')}${endpoint}`;
-  const token = getAuthToken();
-  const config = {
+  const res = await fetchWithAuth(endpoint, {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
       ...options.headers,
     },
-    ...options,
-  };
-
-  const res = await fetch(url, config);
-  if (!res.ok) {
-    const err = new Error(`API error: ${res.status} ${res.statusText}`);
-    err.status = res.status;
-    err.response = res;
-    const text = await res.text();
-    try {
-      err.body = text ? JSON.parse(text) : {};
-    } catch {
-      err.body = { error: text || res.statusText };
-    }
-    throw err;
-  }
+  });
+  if (!res.ok) throw await toApiError(res);
 
   const contentType = res.headers.get('content-type') || '';
   if (!contentType.includes('application/json')) return res;
@@ -67,7 +141,7 @@ export async function signup(body) {
       password: body.password,
     }),
   });
-  if (data?.token) setAuthToken(data.token);
+  if (data?.token) setAuthToken(data.token, data.refreshToken);
   return data;
 }
 
@@ -79,10 +153,61 @@ export async function login(body) {
       password: body.password,
     }),
   });
-  if (data?.token) setAuthToken(data.token);
+  if (data?.token) setAuthToken(data.token, data.refreshToken);
   return data;
 }
 
+/**
+ * End this device's session. Local tokens are cleared even if the server is unreachable.
+ */
+export async function logout() {
+  const refreshToken = getRefreshToken();
+  clearAuthToken();
+  if (!refreshToken) return;
+  try {
+    await request('/auth/logout', { method: 'POST', body: JSON.stringify({ refreshToken }) });
+  } catch {
+    // The refresh token expires on its own.
+  }
+}
+
+/**
+ * POST /auth/logout-all. Ends every session, including this one.
+ * @returns {Promise<{ revokedSessions: number }>}
+ */
+export async function logoutAllDevices() {
+  const result = await request('/auth/logout-all', { method: 'POST' });
+  clearAuthToken();
+  return result;
+}
+
+// --- Password reset and email verification ---
+
+export async function forgotPassword(email) {
+  return request('/auth/forgot-password', {
+    method: 'POST',
+    body: JSON.stringify({ email }),
+  });
+}
+
+/**
+ * POST /auth/reset-password. Every session is signed out, so the user logs in again afterwards.
+ */
+export async function resetPassword(token, password) {
+  return request('/auth/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, password }),
+  });
+}
+
+export async function verifyEmail(token) {
+  return request(`/auth/verify-email?token=${encodeURIComponent(token)}`, { method: 'GET' });
+}
+
+export async function resendVerification() {
+  return request('/auth/resend-verification', { method: 'POST' });
+}
+
 export async function fetchMe() {
   return request('/auth/me', { method: 'GET' });
 }
@@ -102,18 +227,62 @@ export async function updateProfile(body) {
         phone: c.phone,
         email: c.email || '',
       })),
+      chronicConditions: body.chronicConditions,
+      medications: body.medications,
+      allergies: body.allergies,
+      pregnancyStatus: body.pregnancyStatus,
+      surgeries: body.surgeries,
     }),
   });
 }
 
-// --- Diagnose ---
+// --- Account data ---
 
 /**
- * POST /diagnose. Accepts text and/or image. At least one required.
- * @param {{ symptoms?: string, imageFile?: File, languageCode?: string }} body
- * @returns {Promise<{ condition: string, severity: number, reasoning: string, languageCode?: string }>}
+ * GET /auth/export. Everything stored for the account, as the JSON that gets downloaded.
  */
-export async function diagnose(body) {
+export async function exportAccount() {
+  return request('/auth/export', { method: 'GET' });
+}
+
+/**
+ * DELETE /auth/account. Needs the password again; local tokens are cleared once it succeeds.
+ */
+export async function deleteAccount(password) {
+  await request('/auth/account', {
+    method: 'DELETE',
+    body: JSON.stringify({ password }),
+  });
+  clearAuthToken();
+}
+
+// --- Dependents (family members the account holder triages for) ---
+
+export async function listDependents() {
+  return request('/auth/dependents', { method: 'GET' });
+}
+
+export async function createDependent(body) {
+  return request('/auth/dependents', {
+    method: 'POST',
+    body: JSON.stringify(body),
+  });
+}
+
+export async function updateDependent(id, body) {
+  return request(`/auth/dependents/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    body: JSON.stringify(body),
+  });
+}
+
+export async function deleteDependent(id) {
+  return request(`/auth/dependents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+// --- Diagnose ---
+
+async function buildDiagnosePayload(body) {
   const trimmed = (body.symptoms || '').trim();
   const hasText = trimmed.length > 0;
   const hasImage = body.imageFile != null;
@@ -130,18 +299,225 @@ export async function diagnose(body) {
     payload.languageCode = body.languageCode;
   }
 
+  if (body.sessionId) {
+    payload.sessionId = body.sessionId;
+  }
+
+  if (body.subjectId) {
+    payload.subjectId = body.subjectId;
+  }
+
   if (hasImage && body.imageFile) {
     const compressed = await compressImage(body.imageFile);
     payload.imageData = await blobToBase64(compressed);
     payload.imageMimeType = 'image/jpeg';
   }
 
+  return payload;
+}
+
+/**
+ * POST /diagnose. Accepts text and/or image. At least one required.
+ * subjectId diagnoses one of the user's dependents instead of the user.
+ * @param {{ symptoms?: string, imageFile?: File, languageCode?: string, subjectId?: string }} body
+ * @returns {Promise<{ condition: string, severity: number, reasoning: string, languageCode?: string, recordId?: string }>}
+ */
+export async function diagnose(body) {
+  const payload = await buildDiagnosePayload(body);
   return request('/diagnose', {
     method: 'POST',
     body: JSON.stringify(payload),
   });
 }
 
+/**
+ * POST a JSON body and read the Server-Sent Events reply (over fetch, since EventSource cannot POST).
+ * Calls onEvent(event, data) for each event as it arrives.
+ */
+async function postEventStream(endpoint, payload, onEvent, signal) {
+  const res = await fetchWithAuth(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+    },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  if (!res.ok) throw await toApiError(res);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  function dispatch(block) {
+    let event = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (data) onEvent(event, JSON.parse(data));
+  }
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
+
+function streamError(data, fallbackMessage) {
+  const err = new Error(data.message || fallbackMessage);
+  err.status = 503;
+  err.body = data;
+  return err;
+}
+
+/**
+ * POST /diagnose/stream
+ * Calls the handlers as stages arrive and resolves with the final result (same shape as diagnose()).
+ * @param {{ symptoms?: string, imageFile?: File, languageCode?: string }} body
+ * @param {{
+ *   onTriage?: (t: { condition: string, severity: number }) => void,
+ *   onToken?: (t: { section: 'reasoning' | 'nextSteps', text: string }) => void,
+ *   onTranslation?: (t: { condition: string, reasoning: string, nextSteps: string, languageCode: string }) => void,
+ *   signal?: AbortSignal,
+ * }} [handlers]
+ */
+export async function diagnoseStream(body, handlers = {}) {
+  const payload = await buildDiagnosePayload(body);
+  let result = null;
+
+  await postEventStream('/diagnose/stream', payload, (event, data) => {
+    if (event === 'triage') handlers.onTriage?.(data);
+    else if (event === 'token') handlers.onToken?.(data);
+    else if (event === 'translation') handlers.onTranslation?.(data);
+    else if (event === 'done') result = data;
+    else if (event === 'error') throw streamError(data, 'Diagnosis stream failed');
+  }, handlers.signal);
+
+  if (!result) throw new Error('Diagnosis stream ended unexpectedly');
+  return result;
+}
+
+// --- Triage (diagnosis + hospitals + wait times + ranking in one call) ---
+
+function buildTriagePayload(diagnosePayload, body) {
+  if (body.latitude == null || body.longitude == null) return diagnosePayload;
+  return { ...diagnosePayload, latitude: body.latitude, longitude: body.longitude };
+}
+
+/**
+ * POST /triage. Hospital stages are skipped when no coordinates are given.
+ * A failed diagnosis rejects (err.body keeps the hospitals); other failed stages only set status 'partial'.
+ * @param {{ symptoms?: string, imageFile?: File, languageCode?: string, latitude?: number, longitude?: number }} body
+ * @returns {Promise<{
+ *   status: 'ok' | 'partial',
+ *   diagnosis: object,
+ *   hospitals: any[],
+ *   rankResult: { top3: any[] } | null,
+ *   stages: Record<'diagnosis' | 'hospitals' | 'waitTimes' | 'rank', { status: 'ok' | 'failed' | 'skipped', error?: string, reason?: string }>,
+ * }>}
+ */
+export async function triage(body) {
+  const payload = buildTriagePayload(await buildDiagnosePayload(body), body);
+  return request('/triage', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+/**
+ * POST /triage as Server-Sent Events. Same handlers as diagnoseStream() plus hospital updates;
+ * resolves with the same document as triage().
+ * @param {{ symptoms?: string, imageFile?: File, languageCode?: string, latitude?: number, longitude?: number }} body
+ * @param {{
+ *   onTriage?: Function, onToken?: Function, onTranslation?: Function,
+ *   onDiagnosis?: (d: object) => void,
+ *   onHospitals?: (hospitals: any[]) => void,
+ *   signal?: AbortSignal,
+ * }} [handlers]
+ */
+export async function triageStream(body, handlers = {}) {
+  const payload = buildTriagePayload(await buildDiagnosePayload(body), body);
+  let result = null;
+
+  await postEventStream('/triage', payload, (event, data) => {
+    if (event === 'triage') handlers.onTriage?.(data);
+    else if (event === 'token') handlers.onToken?.(data);
+    else if (event === 'translation') handlers.onTranslation?.(data);
+    else if (event === 'diagnosis') handlers.onDiagnosis?.(data);
+    else if (event === 'hospitals' || event === 'waittimes') handlers.onHospitals?.(data.hospitals);
+    else if (event === 'done') result = data;
+    else if (event === 'error') throw streamError(data, 'Triage failed');
+  }, handlers.signal);
+
+  if (!result) throw new Error('Triage stream ended unexpectedly');
+  return result;
+}
+
+// --- Follow-up interview ---
+
+/**
+ * POST /interview. Starts a follow-up interview for the same input as diagnose().
+ * Pass the returned sessionId to triage()/diagnose() so the answers reach the final diagnosis.
+ * @param {{ symptoms?: string, imageFile?: File, languageCode?: string }} body
+ * @returns {Promise<{ sessionId: string, round: number, needsMoreInfo: boolean, questions: Array<{ id: string, topic: string, text: string }> }>}
+ */
+export async function startInterview(body) {
+  const payload = await buildDiagnosePayload(body);
+  return request('/interview', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+/**
+ * POST /interview/:sessionId/answers
+ * @param {string} sessionId
+ * @param {Array<{ questionId: string, answer: string }>} answers
+ * @returns {Promise<{ sessionId: string, round: number, needsMoreInfo: boolean, questions: Array<{ id: string, topic: string, text: string }> }>}
+ */
+export async function answerInterview(sessionId, answers) {
+  return request(`/interview/${encodeURIComponent(sessionId)}/answers`, {
+    method: 'POST',
+    body: JSON.stringify({ answers }),
+  });
+}
+
+// --- Diagnosis history ---
+
+/**
+ * GET /diagnoses (auth required). Newest first.
+ * @param {{ limit?: number }} [params]
+ * @returns {Promise<{ status: string, data: Array<{ id: string, condition: string, severity: number, createdAt: string }> }>}
+ */
+export async function listDiagnoses(params = {}) {
+  const query = params.limit ? `?limit=${encodeURIComponent(params.limit)}` : '';
+  return request(`/diagnoses${query}`, { method: 'GET' });
+}
+
+/**
+ * GET /diagnoses/:id (auth required)
+ * @param {string} id
+ */
+export async function getDiagnosis(id) {
+  return request(`/diagnoses/${encodeURIComponent(id)}`, { method: 'GET' });
+}
+
+/**
+ * DELETE /diagnoses/:id (auth required)
+ * @param {string} id
+ */
+export async function deleteDiagnosis(id) {
+  return request(`/diagnoses/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
 // --- Image helpers ---
 
 const MAX_IMAGE_DIM = 1200;
@@ -266,13 +642,10 @@ export async function rank(body) {
  * @returns {Promise<Blob>}
  */
 export async function synthesizeTts(body) {
-  const url = `${BASE_URL.replace(/\/$/, '')}/tts`;
-  const token = getAuthToken();
-  const res = await fetch(url, {
+  const res = await fetchWithAuth('/tts', {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
     },
     body: JSON.stringify({
       text: body.text,
@@ -287,3 +660,31 @@ export async function synthesizeTts(body) {
   }
   return res.blob();
 }
+
+// --- Server status ---
+
+let featuresPromise = null;
+
+/**
+ * GET /readyz — which features the server can serve right now (it answers 503 with the
+ * same body when it is not ready). Fetched once per page load. If the check itself fails,
+ * every feature is reported available, so a missing endpoint never hides anything.
+ * @returns {Promise<{ diagnosis: boolean, voiceInput: boolean, tts: boolean, accounts: boolean, emergencyEmail: boolean, hospitalSearch: boolean }>}
+ */
+export function getServerFeatures() {
+  if (!featuresPromise) {
+    const allAvailable = {
+      diagnosis: true,
+      voiceInput: true,
+      tts: true,
+      accounts: true,
+      emergencyEmail: true,
+      hospitalSearch: true,
+    };
+    featuresPromise = fetch(apiUrl('/readyz'))
+      .then((res) => res.json())
+      .then((report) => ({ ...allAvailable, ...report?.features }))
+      .catch(() => allAvailable);
+  }
+  return featuresPromise;
+}
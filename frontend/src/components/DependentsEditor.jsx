@@ -0,0 +1,212 @@
+import { useEffect, useState } from 'react';
+import * as api from '../api/backend';
+import MedicalHistoryFields, { cleanHistory, emptyHistory, historyFromPerson } from './MedicalHistoryFields';
+import styles from './Layout.module.css';
+
+function emptyDraft() {
+  return {
+    id: null,
+    name: '',
+    relation: '',
+    age: '',
+    gender: '',
+    heightCm: '',
+    weightKg: '',
+    history: emptyHistory(),
+    pregnancyStatus: '',
+  };
+}
+
+function draftFromDependent(dependent) {
+  return {
+    id: dependent.id,
+    name: dependent.name || '',
+    relation: dependent.relation || '',
+    age: dependent.age != null ? String(dependent.age) : '',
+    gender: dependent.gender || '',
+    heightCm: dependent.heightCm != null ? String(dependent.heightCm) : '',
+    weightKg: dependent.weightKg != null ? String(dependent.weightKg) : '',
+    history: historyFromPerson(dependent),
+    pregnancyStatus: dependent.pregnancyStatus || '',
+  };
+}
+
+function describeDependent(dependent) {
+  const age = dependent.age === 0 ? 'under 1' : `${dependent.age}`;
+  return [dependent.relation, `age ${age}`].filter(Boolean).join(', ');
+}
+
+/**
+ * "Family members" section of the profile modal: people the user can run a check for.
+ * Not a <form>, because it sits inside the modal next to the profile form.
+ */
+export default function DependentsEditor() {
+  const [dependents, setDependents] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.listDependents()
+      .then((res) => setDependents(res?.dependents || []))
+      .catch(() => setMessage('Could not load family members.'));
+  }, []);
+
+  function updateDraft(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function saveDraft() {
+    setMessage('');
+    setSaving(true);
+    try {
+      const name = draft.name.trim();
+      const age = Number(draft.age);
+      if (!name) throw new Error('Name is required');
+      if (draft.age === '' || !Number.isFinite(age) || age < 0 || age > 130) {
+        throw new Error('Age must be between 0 and 130 (use 0 for babies under one)');
+      }
+      if (!draft.gender) throw new Error('Gender is required');
+
+      const body = {
+        name,
+        relation: draft.relation.trim(),
+        age,
+        gender: draft.gender,
+        heightCm: draft.heightCm === '' ? null : Number(draft.heightCm),
+        weightKg: draft.weightKg === '' ? null : Number(draft.weightKg),
+        ...cleanHistory(draft.history),
+        pregnancyStatus: draft.pregnancyStatus,
+      };
+
+      if (draft.id) {
+        const res = await api.updateDependent(draft.id, body);
+        setDependents((prev) => prev.map((d) => (d.id === draft.id ? res.dependent : d)));
+      } else {
+        const res = await api.createDependent(body);
+        setDependents((prev) => [...prev, res.dependent]);
+      }
+      setDraft(null);
+    } catch (err) {
+      setMessage(err?.body?.error || err?.message || 'Failed to save family member');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function removeDependent(dependent) {
+    if (!window.confirm(`Remove ${dependent.name}? Past results for them stay in your history.`)) return;
+    setMessage('');
+    try {
+      await api.deleteDependent(dependent.id);
+      setDependents((prev) => prev.filter((d) => d.id !== dependent.id));
+      if (draft?.id === dependent.id) setDraft(null);
+    } catch (err) {
+      setMessage(err?.body?.error || err?.message || 'Failed to remove family member');
+    }
+  }
+
+  return (
+    <section className={styles.form}>
+      <div className={styles.contactsHeader}>
+        <h3>Family members</h3>
+        {!draft && (
+          <button type="button" className={styles.ghostBtn} onClick={() => setDraft(emptyDraft())}>
+            Add family member
+          </button>
+        )}
+      </div>
+      <p className={styles.hintText}>
+        Add a child or parent to run a check for them with their own age and history.
+      </p>
+
+      {dependents.map((dependent) => (
+        <div key={dependent.id} className={styles.dependentRow}>
+          <div>
+            <strong>{dependent.name}</strong>
+            <span className={styles.hintText}> — {describeDependent(dependent)}</span>
+          </div>
+          <div className={styles.dependentActions}>
+            <button type="button" className={styles.ghostBtn} onClick={() => setDraft(draftFromDependent(dependent))}>
+              Edit
+            </button>
+            <button type="button" className={styles.removeBtn} onClick={() => removeDependent(dependent)}>
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {draft && (
+        <div className={styles.contactCard}>
+          <div className={styles.profileGrid}>
+            <label className={styles.field}>
+              <span>Name</span>
+              <input value={draft.name} onChange={(e) => updateDraft('name', e.target.value)} />
+            </label>
+            <label className={styles.field}>
+              <span>Relation</span>
+              <input
+                placeholder="e.g. son, mother"
+                value={draft.relation}
+                onChange={(e) => updateDraft('relation', e.target.value)}
+              />
+            </label>
+            <label className={styles.field}>
+              <span>Age (years, 0 for babies)</span>
+              <input type="number" min={0} max={130} value={draft.age} onChange={(e) => updateDraft('age', e.target.value)} />
+            </label>
+            <label className={styles.field}>
+              <span>Gender</span>
+              <select value={draft.gender} onChange={(e) => updateDraft('gender', e.target.value)}>
+                <option value="">Select gender</option>
+                <option value="male">Male</option>
+                <option value="female">Female</option>
+                <option value="non-binary">Non-binary</option>
+                <option value="other">Other</option>
+                <option value="prefer_not_to_say">Prefer not to say</option>
+              </select>
+            </label>
+            <label className={styles.field}>
+              <span>Height (cm, optional)</span>
+              <input
+                type="number"
+                min={20}
+                max={300}
+                value={draft.heightCm}
+                onChange={(e) => updateDraft('heightCm', e.target.value)}
+              />
+            </label>
+            <label className={styles.field}>
+              <span>Weight (kg, optional)</span>
+              <input
+                type="number"
+                min={0.5}
+                max={500}
+                step={0.1}
+                value={draft.weightKg}
+                onChange={(e) => updateDraft('weightKg', e.target.value)}
+              />
+            </label>
+          </div>
+
+          <MedicalHistoryFields
+            history={draft.history}
+            onHistoryChange={(history) => updateDraft('history', history)}
+            pregnancyStatus={draft.pregnancyStatus}
+            onPregnancyStatusChange={(value) => updateDraft('pregnancyStatus', value)}
+          />
+
+          <div className={styles.modalActions}>
+            <button type="button" className={styles.ghostBtn} onClick={() => setDraft(null)}>Cancel</button>
+            <button type="button" className={styles.primaryBtn} onClick={saveDraft} disabled={saving}>
+              {saving ? 'Saving...' : 'Save family member'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && <p className={styles.infoText}>{message}</p>}
+    </section>
+  );
+}
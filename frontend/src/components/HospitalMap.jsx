@@ -78,7 +78,7 @@ export default function HospitalMap({ latitude, longitude, hospitals, bestHospit
       const isBest = h.name === bestHospitalName;
       const icon = isBest ? bestIcon : hospitalIcon;
       const waitInfo = h.waitTime != null
-        ? `<br/>Wait: ${h.waitTime} min${h.waitTimeEstimated === false ? ' (LIVE)' : ''}`
+        ? `<br/>Wait: ${h.waitTime} min${h.waitTimeSource === 'live' ? ' (LIVE)' : h.waitTimeSource === 'historical' ? ' (typical)' : ''}`
         : '';
       const popup = `<strong>${h.name}</strong>${isBest ? ' ⭐' : ''}<br/>${h.distance?.toFixed(1)} mi away${waitInfo}`;
 
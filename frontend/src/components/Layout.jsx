@@ -1,8 +1,18 @@
-import { useEffect, useMemo, useState } from 'react';
-import { Outlet, Link } from 'react-router-dom';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Outlet, Link, useSearchParams } from 'react-router-dom';
 import * as api from '../api/backend';
+import DependentsEditor from './DependentsEditor';
+import MedicalHistoryFields, { cleanHistory, emptyHistory, historyFromPerson } from './MedicalHistoryFields';
 import styles from './Layout.module.css';
 
+const AUTH_TITLES = {
+  login: 'Log in',
+  signup: 'Create account',
+  forgot: 'Reset password',
+  reset: 'Choose a new password',
+  verify: 'Email verification',
+};
+
 function emptyContact() {
   return { name: '', relation: '', phone: '', email: '' };
 }
@@ -14,6 +24,17 @@ export default function Layout() {
   const [authMode, setAuthMode] = useState('login');
   const [authLoading, setAuthLoading] = useState(false);
   const [authError, setAuthError] = useState('');
+  const [authNotice, setAuthNotice] = useState('');
+  const [resetToken, setResetToken] = useState('');
+  const [confirmPasswordInput, setConfirmPasswordInput] = useState('');
+  const [resendingVerification, setResendingVerification] = useState(false);
+  const [exportingData, setExportingData] = useState(false);
+  const [deleteOpen, setDeleteOpen] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deletingAccount, setDeletingAccount] = useState(false);
+  const [accountMessage, setAccountMessage] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const handledEmailLink = useRef(false);
   const [profileLoading, setProfileLoading] = useState(false);
   const [profileMessage, setProfileMessage] = useState('');
   const [nameInput, setNameInput] = useState('');
@@ -25,6 +46,8 @@ export default function Layout() {
   const [profileHeightCm, setProfileHeightCm] = useState('');
   const [profileWeightKg, setProfileWeightKg] = useState('');
   const [contacts, setContacts] = useState([emptyContact()]);
+  const [history, setHistory] = useState(emptyHistory);
+  const [pregnancyStatus, setPregnancyStatus] = useState('');
 
   useEffect(() => {
     async function hydrate() {
@@ -32,38 +55,90 @@ export default function Layout() {
         const res = await api.fetchMe();
         if (res?.user) {
           setUser(res.user);
-          setProfileName(res.user.name || '');
-          setProfileAge(res.user.age != null ? String(res.user.age) : '');
-          setProfileGender(res.user.gender || '');
-          setProfileHeightCm(res.user.heightCm != null ? String(res.user.heightCm) : '');
-          setProfileWeightKg(res.user.weightKg != null ? String(res.user.weightKg) : '');
-          setContacts(res.user.emergencyContacts?.length ? res.user.emergencyContacts : [emptyContact()]);
+          fillProfileForm(res.user);
         }
       } catch (_err) {
         api.clearAuthToken();
       }
     }
     hydrate();
+
+    // The refresh token was revoked (e.g. "sign out of all devices" elsewhere) or expired.
+    window.addEventListener(api.SESSION_ENDED_EVENT, resetSignedOut);
+    return () => window.removeEventListener(api.SESSION_ENDED_EVENT, resetSignedOut);
   }, []);
 
-  const authTitle = useMemo(() => (authMode === 'login' ? 'Log in' : 'Create account'), [authMode]);
+  // Links from password reset and verification emails land here as ?resetToken= / ?verifyToken=.
+  useEffect(() => {
+    const linkResetToken = searchParams.get('resetToken');
+    const linkVerifyToken = searchParams.get('verifyToken');
+    if (!linkResetToken && !linkVerifyToken) return;
+    // Verification tokens are single-use, so do not send one twice (StrictMode runs effects twice).
+    if (handledEmailLink.current) return;
+    handledEmailLink.current = true;
+
+    const next = new URLSearchParams(searchParams);
+    next.delete('resetToken');
+    next.delete('verifyToken');
+    setSearchParams(next, { replace: true });
 
-  function openLogin() {
-    setAuthMode('login');
     setAuthError('');
+    setAuthNotice('');
+    if (linkResetToken) {
+      setResetToken(linkResetToken);
+      setAuthMode('reset');
+      setAuthOpen(true);
+      return;
+    }
+
+    setAuthMode('verify');
     setAuthOpen(true);
+    setAuthLoading(true);
+    api.verifyEmail(linkVerifyToken)
+      .then(() => {
+        setAuthNotice('Your email address is verified. Thank you!');
+        setUser((prev) => (prev ? { ...prev, emailVerified: true } : prev));
+      })
+      .catch((err) => setAuthError(err?.body?.error || 'This verification link is invalid or has expired.'))
+      .finally(() => setAuthLoading(false));
+  }, [searchParams, setSearchParams]);
+
+  function fillProfileForm(nextUser) {
+    setProfileName(nextUser.name || '');
+    setProfileAge(nextUser.age != null ? String(nextUser.age) : '');
+    setProfileGender(nextUser.gender || '');
+    setProfileHeightCm(nextUser.heightCm != null ? String(nextUser.heightCm) : '');
+    setProfileWeightKg(nextUser.weightKg != null ? String(nextUser.weightKg) : '');
+    setContacts(nextUser.emergencyContacts?.length ? nextUser.emergencyContacts : [emptyContact()]);
+    setHistory(historyFromPerson(nextUser));
+    setPregnancyStatus(nextUser.pregnancyStatus || '');
   }
 
-  function openSignup() {
-    setAuthMode('signup');
+  const authTitle = useMemo(() => AUTH_TITLES[authMode], [authMode]);
+
+  function switchAuthMode(mode) {
+    setAuthMode(mode);
     setAuthError('');
+    setAuthNotice('');
+  }
+
+  function openLogin() {
+    switchAuthMode('login');
+    setAuthOpen(true);
+  }
+
+  function openSignup() {
+    switchAuthMode('signup');
     setAuthOpen(true);
   }
 
   function closeAuth() {
     setAuthOpen(false);
     setAuthError('');
+    setAuthNotice('');
     setPasswordInput('');
+    setConfirmPasswordInput('');
+    setResetToken('');
   }
 
   function openProfile() {
@@ -72,38 +147,123 @@ export default function Layout() {
       return;
     }
     setProfileMessage('');
-    setProfileName(user.name || '');
-    setProfileAge(user.age != null ? String(user.age) : '');
-    setProfileGender(user.gender || '');
-    setProfileHeightCm(user.heightCm != null ? String(user.heightCm) : '');
-    setProfileWeightKg(user.weightKg != null ? String(user.weightKg) : '');
-    setContacts(user.emergencyContacts?.length ? user.emergencyContacts : [emptyContact()]);
+    fillProfileForm(user);
     setProfileOpen(true);
   }
 
   function closeProfile() {
     setProfileOpen(false);
     setProfileMessage('');
+    setAccountMessage('');
+    setDeleteOpen(false);
+    setDeletePassword('');
   }
 
-  function logout() {
-    api.clearAuthToken();
+  function resetSignedOut() {
     setUser(null);
-    setProfileOpen(false);
+    closeProfile();
     setContacts([emptyContact()]);
     setProfileName('');
     setProfileAge('');
     setProfileGender('');
     setProfileHeightCm('');
     setProfileWeightKg('');
+    setHistory(emptyHistory());
+    setPregnancyStatus('');
+  }
+
+  async function logout() {
+    resetSignedOut();
+    await api.logout();
+  }
+
+  async function logoutEverywhere() {
+    if (!window.confirm('Sign out on every device, including this one?')) return;
+    setProfileMessage('');
+    try {
+      await api.logoutAllDevices();
+      resetSignedOut();
+    } catch (err) {
+      setProfileMessage(err?.body?.error || err?.message || 'Failed to sign out of all devices');
+    }
+  }
+
+  async function resendVerification() {
+    setProfileMessage('');
+    setResendingVerification(true);
+    try {
+      const res = await api.resendVerification();
+      setProfileMessage(res?.message || 'Verification email sent.');
+    } catch (err) {
+      setProfileMessage(err?.body?.error || err?.message || 'Failed to send verification email');
+    } finally {
+      setResendingVerification(false);
+    }
+  }
+
+  async function downloadAccountData() {
+    setAccountMessage('');
+    setExportingData(true);
+    try {
+      const data = await api.exportAccount();
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `triagesense-export-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setAccountMessage(err?.body?.error || err?.message || 'Failed to download your data');
+    } finally {
+      setExportingData(false);
+    }
+  }
+
+  async function deleteAccount() {
+    setAccountMessage('');
+    if (!deletePassword) {
+      setAccountMessage('Enter your password to delete your account');
+      return;
+    }
+    setDeletingAccount(true);
+    try {
+      await api.deleteAccount(deletePassword);
+      resetSignedOut();
+    } catch (err) {
+      setAccountMessage(err?.body?.error || err?.message || 'Failed to delete account');
+    } finally {
+      setDeletingAccount(false);
+    }
   }
 
   async function submitAuth(e) {
     e.preventDefault();
     setAuthError('');
+    setAuthNotice('');
     setAuthLoading(true);
 
     try {
+      if (authMode === 'forgot') {
+        const res = await api.forgotPassword(emailInput);
+        setAuthNotice(res?.message || 'Check your inbox for a link to reset your password.');
+        return;
+      }
+
+      if (authMode === 'reset') {
+        if (passwordInput !== confirmPasswordInput) throw new Error('Passwords do not match');
+        await api.resetPassword(resetToken, passwordInput);
+        // The reset signed out every device, this one included.
+        api.clearAuthToken();
+        resetSignedOut();
+        setResetToken('');
+        setPasswordInput('');
+        setConfirmPasswordInput('');
+        setAuthMode('login');
+        setAuthNotice('Password updated. Log in with your new password.');
+        return;
+      }
+
       let result;
       if (authMode === 'signup') {
         result = await api.signup({ name: nameInput, email: emailInput, password: passwordInput });
@@ -113,12 +273,7 @@ export default function Layout() {
 
       if (result?.user) {
         setUser(result.user);
-        setProfileName(result.user.name || '');
-        setProfileAge(result.user.age != null ? String(result.user.age) : '');
-        setProfileGender(result.user.gender || '');
-        setProfileHeightCm(result.user.heightCm != null ? String(result.user.heightCm) : '');
-        setProfileWeightKg(result.user.weightKg != null ? String(result.user.weightKg) : '');
-        setContacts(result.user.emergencyContacts?.length ? result.user.emergencyContacts : [emptyContact()]);
+        fillProfileForm(result.user);
       }
 
       setEmailInput('');
@@ -126,7 +281,8 @@ export default function Layout() {
       setNameInput('');
       closeAuth();
     } catch (err) {
-      const msg = err?.body?.error || err?.message || 'Authentication failed';
+      // Rate limiting answers { error: 'rate_limited', message }.
+      const msg = err?.body?.message || err?.body?.error || err?.message || 'Authentication failed';
       setAuthError(msg);
     } finally {
       setAuthLoading(false);
@@ -178,6 +334,8 @@ export default function Layout() {
         throw new Error('Each emergency contact must include name, relation, and phone');
       }
 
+      const cleanedHistory = cleanHistory(history);
+
       const result = await api.updateProfile({
         name: trimmedName,
         age,
@@ -185,16 +343,13 @@ export default function Layout() {
         heightCm,
         weightKg,
         emergencyContacts: cleanContacts,
+        ...cleanedHistory,
+        pregnancyStatus,
       });
 
       if (result?.user) {
         setUser(result.user);
-        setProfileName(result.user.name || '');
-        setProfileAge(result.user.age != null ? String(result.user.age) : '');
-        setProfileGender(result.user.gender || '');
-        setProfileHeightCm(result.user.heightCm != null ? String(result.user.heightCm) : '');
-        setProfileWeightKg(result.user.weightKg != null ? String(result.user.weightKg) : '');
-        setContacts(result.user.emergencyContacts?.length ? result.user.emergencyContacts : [emptyContact()]);
+        fillProfileForm(result.user);
       }
       setProfileMessage('Profile saved.');
     } catch (err) {
@@ -220,6 +375,7 @@ export default function Layout() {
             </>
           ) : (
             <>
+              <Link to="/history" className={styles.historyBtn}>History</Link>
               <button type="button" className={styles.profileBtn} onClick={openProfile}>Profile</button>
               <button type="button" className={styles.logoutBtn} onClick={logout}>Log out</button>
             </>
@@ -242,22 +398,57 @@ export default function Layout() {
                   <input value={nameInput} onChange={(e) => setNameInput(e.target.value)} required />
                 </label>
               )}
-              <label className={styles.field}>
-                <span>Email</span>
-                <input type="email" value={emailInput} onChange={(e) => setEmailInput(e.target.value)} required />
-              </label>
-              <label className={styles.field}>
-                <span>Password</span>
-                <input type="password" value={passwordInput} onChange={(e) => setPasswordInput(e.target.value)} required minLength={8} />
-              </label>
+              {authMode === 'forgot' && (
+                <p className={styles.hintText}>Enter your account email and we will send you a link to choose a new password.</p>
+              )}
+              {['login', 'signup', 'forgot'].includes(authMode) && (
+                <label className={styles.field}>
+                  <span>Email</span>
+                  <input type="email" value={emailInput} onChange={(e) => setEmailInput(e.target.value)} required />
+                </label>
+              )}
+              {['login', 'signup', 'reset'].includes(authMode) && (
+                <label className={styles.field}>
+                  <span>{authMode === 'reset' ? 'New password' : 'Password'}</span>
+                  <input type="password" value={passwordInput} onChange={(e) => setPasswordInput(e.target.value)} required minLength={8} />
+                </label>
+              )}
+              {authMode === 'reset' && (
+                <label className={styles.field}>
+                  <span>Confirm new password</span>
+                  <input
+                    type="password"
+                    value={confirmPasswordInput}
+                    onChange={(e) => setConfirmPasswordInput(e.target.value)}
+                    required
+                    minLength={8}
+                  />
+                </label>
+              )}
+              {authMode === 'login' && (
+                <button type="button" className={styles.linkBtn} onClick={() => switchAuthMode('forgot')}>
+                  Forgot password?
+                </button>
+              )}
+              {authMode === 'verify' && authLoading && <p className={styles.hintText}>Verifying your email address...</p>}
 
               {authError && <p className={styles.errorText}>{authError}</p>}
+              {authNotice && <p className={styles.infoText}>{authNotice}</p>}
 
               <div className={styles.modalActions}>
-                <button type="button" className={styles.ghostBtn} onClick={closeAuth}>Cancel</button>
-                <button type="submit" className={styles.primaryBtn} disabled={authLoading}>
-                  {authLoading ? 'Please wait...' : authTitle}
+                {authMode === 'forgot' && (
+                  <button type="button" className={`${styles.linkBtn} ${styles.pushStart}`} onClick={() => switchAuthMode('login')}>
+                    Back to log in
+                  </button>
+                )}
+                <button type="button" className={styles.ghostBtn} onClick={closeAuth}>
+                  {authMode === 'verify' ? 'Close' : 'Cancel'}
                 </button>
+                {authMode !== 'verify' && (
+                  <button type="submit" className={styles.primaryBtn} disabled={authLoading}>
+                    {authLoading ? 'Please wait...' : authMode === 'forgot' ? 'Send reset link' : authTitle}
+                  </button>
+                )}
               </div>
             </form>
           </div>
@@ -329,6 +520,21 @@ export default function Layout() {
                 <span>Email</span>
                 <input value={user.email} disabled />
               </label>
+              {user.emailVerified ? (
+                <p className={styles.hintText}>Email address verified.</p>
+              ) : (
+                <div className={styles.verifyRow}>
+                  <p className={styles.hintText}>Email address not verified yet. Check your inbox for the link.</p>
+                  <button
+                    type="button"
+                    className={styles.linkBtn}
+                    onClick={resendVerification}
+                    disabled={resendingVerification}
+                  >
+                    {resendingVerification ? 'Sending...' : 'Resend link'}
+                  </button>
+                </div>
+              )}
 
               <div className={styles.contactsHeader}>
                 <h3>Emergency contacts</h3>
@@ -376,15 +582,83 @@ export default function Layout() {
                 </div>
               ))}
 
+              <div className={styles.contactsHeader}>
+                <h3>Medical history</h3>
+              </div>
+              <p className={styles.hintText}>
+                Optional, but it makes the assessment safer — for example if you take blood thinners or have diabetes.
+              </p>
+
+              <MedicalHistoryFields
+                history={history}
+                onHistoryChange={setHistory}
+                pregnancyStatus={pregnancyStatus}
+                onPregnancyStatusChange={setPregnancyStatus}
+              />
+
               {profileMessage && <p className={styles.infoText}>{profileMessage}</p>}
 
               <div className={styles.modalActions}>
+                <button type="button" className={`${styles.removeBtn} ${styles.pushStart}`} onClick={logoutEverywhere}>
+                  Sign out of all devices
+                </button>
                 <button type="button" className={styles.ghostBtn} onClick={closeProfile}>Close</button>
                 <button type="submit" className={styles.primaryBtn} disabled={profileLoading}>
                   {profileLoading ? 'Saving...' : 'Save profile'}
                 </button>
               </div>
             </form>
+
+            <hr className={styles.divider} />
+            <DependentsEditor />
+
+            <hr className={styles.divider} />
+            <section className={styles.form}>
+              <div className={styles.contactsHeader}>
+                <h3>Your data</h3>
+              </div>
+              <p className={styles.hintText}>
+                Download everything stored for your account, or delete the account with its history and family members.
+              </p>
+              {!deleteOpen ? (
+                <div className={styles.dependentActions}>
+                  <button type="button" className={styles.ghostBtn} onClick={downloadAccountData} disabled={exportingData}>
+                    {exportingData ? 'Preparing...' : 'Download my data'}
+                  </button>
+                  <button type="button" className={styles.removeBtn} onClick={() => setDeleteOpen(true)}>
+                    Delete account
+                  </button>
+                </div>
+              ) : (
+                <div className={styles.contactCard}>
+                  <p className={styles.errorText}>
+                    This permanently deletes your profile, emergency contacts, family members and diagnosis history.
+                  </p>
+                  <label className={styles.field}>
+                    <span>Confirm with your password</span>
+                    <input
+                      type="password"
+                      value={deletePassword}
+                      onChange={(e) => setDeletePassword(e.target.value)}
+                      autoComplete="current-password"
+                    />
+                  </label>
+                  <div className={styles.modalActions}>
+                    <button
+                      type="button"
+                      className={styles.ghostBtn}
+                      onClick={() => { setDeleteOpen(false); setDeletePassword(''); }}
+                    >
+                      Cancel
+                    </button>
+                    <button type="button" className={styles.removeBtn} onClick={deleteAccount} disabled={deletingAccount}>
+                      {deletingAccount ? 'Deleting...' : 'Delete my account'}
+                    </button>
+                  </div>
+                </div>
+              )}
+              {accountMessage && <p className={styles.infoText}>{accountMessage}</p>}
+            </section>
           </div>
         </div>
       )}
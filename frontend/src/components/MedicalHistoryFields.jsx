@@ -0,0 +1,149 @@
+import styles from './Layout.module.css';
+
+// Medical history lists for the profile and dependent forms. The first field of each is required per row.
+const HISTORY_SECTIONS = [
+  {
+    key: 'chronicConditions',
+    title: 'Chronic conditions',
+    addLabel: 'Add condition',
+    fields: [
+      { key: 'name', label: 'Condition', placeholder: 'e.g. Type 2 diabetes' },
+      { key: 'diagnosedYear', label: 'Since (year)', type: 'number' },
+    ],
+  },
+  {
+    key: 'medications',
+    title: 'Current medications',
+    addLabel: 'Add medication',
+    fields: [
+      { key: 'name', label: 'Medication', placeholder: 'e.g. Warfarin' },
+      { key: 'dose', label: 'Dose', placeholder: 'e.g. 5 mg' },
+      { key: 'frequency', label: 'How often', placeholder: 'e.g. once daily' },
+    ],
+  },
+  {
+    key: 'allergies',
+    title: 'Allergies',
+    addLabel: 'Add allergy',
+    fields: [
+      { key: 'substance', label: 'Allergic to', placeholder: 'e.g. Penicillin' },
+      { key: 'reaction', label: 'Reaction', placeholder: 'e.g. Hives' },
+    ],
+  },
+  {
+    key: 'surgeries',
+    title: 'Past surgeries',
+    addLabel: 'Add surgery',
+    fields: [
+      { key: 'procedure', label: 'Procedure', placeholder: 'e.g. Appendectomy' },
+      { key: 'year', label: 'Year', type: 'number' },
+    ],
+  },
+];
+
+export function emptyHistory() {
+  return Object.fromEntries(HISTORY_SECTIONS.map((section) => [section.key, []]));
+}
+
+export function historyFromPerson(person) {
+  return Object.fromEntries(HISTORY_SECTIONS.map((section) => [
+    section.key,
+    (person?.[section.key] || []).map((item) => Object.fromEntries(
+      section.fields.map((field) => [field.key, item[field.key] != null ? String(item[field.key]) : ''])
+    )),
+  ]));
+}
+
+export function cleanHistory(history) {
+  const cleaned = {};
+  for (const section of HISTORY_SECTIONS) {
+    const [required] = section.fields;
+    const rows = history[section.key]
+      .map((row) => Object.fromEntries(section.fields.map((field) => {
+        const value = String(row[field.key] || '').trim();
+        if (field.type === 'number') return [field.key, value ? Number(value) : null];
+        return [field.key, value];
+      })))
+      .filter((row) => Object.values(row).some((v) => v !== '' && v !== null));
+
+    if (rows.some((row) => !row[required.key])) {
+      throw new Error(`Each entry under ${section.title.toLowerCase()} needs "${required.label}"`);
+    }
+    cleaned[section.key] = rows;
+  }
+  return cleaned;
+}
+
+function blankRow(section) {
+  return Object.fromEntries(section.fields.map((field) => [field.key, '']));
+}
+
+/**
+ * Pregnancy status and the medical history lists, as used by the profile modal and the
+ * dependent form. `history` is keyed by HISTORY_SECTIONS (see historyFromPerson).
+ */
+export default function MedicalHistoryFields({ history, onHistoryChange, pregnancyStatus, onPregnancyStatusChange }) {
+  function updateItem(sectionKey, index, field, value) {
+    onHistoryChange({
+      ...history,
+      [sectionKey]: history[sectionKey].map((item, i) => (i === index ? { ...item, [field]: value } : item)),
+    });
+  }
+
+  function addItem(section) {
+    onHistoryChange({ ...history, [section.key]: [...history[section.key], blankRow(section)] });
+  }
+
+  function removeItem(sectionKey, index) {
+    onHistoryChange({ ...history, [sectionKey]: history[sectionKey].filter((_, i) => i !== index) });
+  }
+
+  return (
+    <>
+      <label className={styles.field}>
+        <span>Pregnancy status</span>
+        <select value={pregnancyStatus} onChange={(e) => onPregnancyStatusChange(e.target.value)}>
+          <option value="">Not specified</option>
+          <option value="not_pregnant">Not pregnant</option>
+          <option value="pregnant">Pregnant</option>
+          <option value="possibly_pregnant">Possibly pregnant</option>
+          <option value="not_applicable">Not applicable</option>
+        </select>
+      </label>
+
+      {HISTORY_SECTIONS.map((section) => (
+        <div key={section.key} className={styles.historySection}>
+          <div className={styles.historyHeader}>
+            <h4>{section.title}</h4>
+            <button type="button" className={styles.ghostBtn} onClick={() => addItem(section)}>
+              {section.addLabel}
+            </button>
+          </div>
+          {history[section.key].length === 0 && <p className={styles.hintText}>None listed.</p>}
+          {history[section.key].map((item, index) => (
+            <div key={index} className={styles.historyRow}>
+              {section.fields.map((field, fieldIndex) => (
+                <label key={field.key} className={styles.field}>
+                  <span>{field.label}</span>
+                  <input
+                    type={field.type || 'text'}
+                    min={field.type === 'number' ? 1900 : undefined}
+                    max={field.type === 'number' ? new Date().getFullYear() : undefined}
+                    maxLength={field.type === 'number' ? undefined : 120}
+                    placeholder={field.placeholder}
+                    value={item[field.key] || ''}
+                    onChange={(e) => updateItem(section.key, index, field.key, e.target.value)}
+                    required={fieldIndex === 0}
+                  />
+                </label>
+              ))}
+              <button type="button" className={styles.removeBtn} onClick={() => removeItem(section.key, index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,89 @@
+import { useLocation, useNavigate } from 'react-router-dom';
+import styles from './Crisis.module.css';
+
+// Shown if the page is opened without the backend's crisis details (e.g. after a reload).
+const FALLBACK_CRISIS = {
+  emergencyNumber: '911',
+  resources: [
+    { name: '988 Suicide & Crisis Lifeline', phone: '988', sms: '988', url: 'https://988lifeline.org', hours: '24/7' },
+    { name: 'Find A Helpline (outside the US)', url: 'https://findahelpline.com', hours: '24/7' },
+  ],
+};
+
+function telHref(number) {
+  return `tel:${number.replace(/[^\d+]/g, '')}`;
+}
+
+function smsHref(number, keyword) {
+  const body = keyword ? `?body=${encodeURIComponent(keyword)}` : '';
+  return `sms:${number.replace(/[^\d+]/g, '')}${body}`;
+}
+
+export default function Crisis() {
+  const navigate = useNavigate();
+  const { state } = useLocation();
+  const crisis = state?.crisis ?? FALLBACK_CRISIS;
+  const resources = crisis.resources ?? [];
+
+  return (
+    <div className={styles.page}>
+      <header className={styles.pageHeader}>
+        <h1 className={styles.pageTitle}>You don&apos;t have to go through this alone</h1>
+        <p className={styles.pageSubtitle}>
+          It sounds like you may be going through something really painful. Talking to someone can help,
+          and these services are free and confidential.
+        </p>
+      </header>
+
+      <section className={styles.emergencyCard} aria-labelledby="crisis-emergency-heading">
+        <h2 id="crisis-emergency-heading" className={styles.cardTitle}>
+          In immediate danger?
+        </h2>
+        <p className={styles.emergencyText}>
+          If you might act on thoughts of harming yourself, call emergency services now.
+        </p>
+        <a className={styles.callButton} href={telHref(crisis.emergencyNumber)}>
+          Call {crisis.emergencyNumber}
+        </a>
+      </section>
+
+      <section aria-labelledby="crisis-resources-heading">
+        <h2 id="crisis-resources-heading" className={styles.sectionTitle}>
+          Talk to someone now
+        </h2>
+        <ul className={styles.resourceList}>
+          {resources.map((resource) => (
+            <li key={resource.name} className={styles.resourceCard}>
+              <h3 className={styles.resourceName}>{resource.name}</h3>
+              {resource.hours && <p className={styles.resourceHours}>Available {resource.hours}</p>}
+              <div className={styles.resourceActions}>
+                {resource.phone && (
+                  <a className={styles.resourceButton} href={telHref(resource.phone)}>
+                    Call {resource.phone}
+                  </a>
+                )}
+                {resource.sms && (
+                  <a className={styles.resourceButton} href={smsHref(resource.sms, resource.smsKeyword)}>
+                    Text {resource.smsKeyword ? `${resource.smsKeyword} to ` : ''}{resource.sms}
+                  </a>
+                )}
+                {resource.url && (
+                  <a className={styles.resourceLink} href={resource.url} target="_blank" rel="noopener noreferrer">
+                    Website
+                  </a>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <p className={styles.footnote}>
+        If you came here by mistake, you can go back and describe your physical symptoms.
+      </p>
+      <button type="button" className={styles.back} onClick={() => navigate('/', { replace: true })}>
+        Back to symptom checker
+      </button>
+    </div>
+  );
+}
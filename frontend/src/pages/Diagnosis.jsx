@@ -78,6 +78,35 @@ function getSeverityInfo(severity) {
   return { label: 'High concern', class: styles.severityHigh };
 }
 
+// Differential likelihood buckets from the backend: high | moderate | low
+const LIKELIHOOD_LABELS = {
+  high: 'More likely',
+  moderate: 'Possible',
+  low: 'Less likely',
+};
+
+function getGeolocation() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not supported'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve({ latitude: pos.coords.latitude, longitude: pos.coords.longitude }),
+      (err) => reject(err),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+    );
+  });
+}
+
+const EMPTY_LIVE_STATE = {
+  diagnosis: null,
+  hospitals: [],
+  rankResult: { top3: [] },
+  latitude: null,
+  longitude: null,
+};
+
 /** Use browser speech synthesis as fallback when ElevenLabs isn't configured */
 function speakWithBrowser(text) {
   return new Promise((resolve, reject) => {
@@ -119,21 +148,131 @@ function getRideLinks(hospital, pickupLocation) {
   };
 }
 
+// LIVE when the hospital's site reported the wait recently, TYPICAL when it comes from past waits.
+function WaitSourceBadge({ hospital }) {
+  if (hospital.waitTimeSource === 'live') {
+    const updated = hospital.waitTimeUpdatedAt ? new Date(hospital.waitTimeUpdatedAt) : null;
+    const minutesAgo = updated ? Math.max(0, Math.round((Date.now() - updated.getTime()) / 60000)) : null;
+    return (
+      <span className={styles.liveBadge} title={minutesAgo != null ? `Updated ${minutesAgo} min ago` : undefined}>
+        LIVE
+      </span>
+    );
+  }
+  if (hospital.waitTimeSource === 'historical') {
+    return (
+      <span className={styles.typicalBadge} title={`Typical wait at this time (${hospital.waitTimeConfidence} confidence)`}>
+        TYPICAL
+      </span>
+    );
+  }
+  return null;
+}
+
 export default function Diagnosis() {
   const navigate = useNavigate();
   const location = useLocation();
   const state = location.state;
+  // Set when arriving from the Symptoms page: the diagnosis streams in here.
+  const pendingRequest = state?.diagnosis ? null : state?.pendingRequest || null;
+  const [live, setLive] = useState(EMPTY_LIVE_STATE);
 
   useEffect(() => {
-    if (!state?.diagnosis) {
+    if (!state?.diagnosis && !pendingRequest) {
       navigate('/', { replace: true });
     }
-  }, [state, navigate]);
+  }, [state, pendingRequest, navigate]);
+
+  useEffect(() => {
+    if (!pendingRequest) return undefined;
+    const controller = new AbortController();
+    setLive(EMPTY_LIVE_STATE);
+
+    const updateDiagnosis = (fields) => setLive((prev) => ({
+      ...prev,
+      diagnosis: { ...prev.diagnosis, ...fields },
+    }));
+
+    async function run() {
+      let coords = { latitude: null, longitude: null };
+      try {
+        coords = await getGeolocation();
+      } catch {
+        // Location failed — triage without hospitals
+      }
+      if (controller.signal.aborted) return;
+      setLive((prev) => ({ ...prev, ...coords }));
+
+      let result;
+      try {
+        result = await api.triageStream({ ...pendingRequest, ...coords }, {
+          signal: controller.signal,
+          onTriage: (triage) => updateDiagnosis({
+            ...triage,
+            reasoning: '',
+            nextSteps: '',
+            languageCode: pendingRequest.languageCode || 'en',
+          }),
+          onToken: ({ section, text }) => setLive((prev) => ({
+            ...prev,
+            diagnosis: { ...prev.diagnosis, [section]: `${prev.diagnosis?.[section] || ''}${text}` },
+          })),
+          onTranslation: (translated) => updateDiagnosis(translated),
+          onDiagnosis: (diagnosis) => updateDiagnosis(diagnosis),
+          onHospitals: (hospitals) => setLive((prev) => ({ ...prev, hospitals })),
+        });
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        if (err?.body?.crisis) {
+          navigate('/crisis', { replace: true, state: { crisis: err.body.crisis } });
+          return;
+        }
+        navigate('/', {
+          replace: true,
+          state: {
+            failedRequest: pendingRequest,
+            error: { status: err?.status, message: err?.message, body: err?.body },
+          },
+        });
+        return;
+      }
+      if (controller.signal.aborted) return;
+
+      const { diagnosis } = result;
+      const severity = Math.min(3, Math.max(1, Number(diagnosis.severity) || 1));
+
+      // Replace the pending request so a reload shows the finished result instead of re-running it.
+      navigate('/diagnosis', {
+        replace: true,
+        state: {
+          diagnosis: { ...diagnosis, severity, languageCode: diagnosis.languageCode || pendingRequest.languageCode || 'en' },
+          hospitals: result.hospitals || [],
+          rankResult: result.rankResult || { top3: [] },
+          latitude: coords.latitude,
+          longitude: coords.longitude,
+        },
+      });
+    }
+
+    run();
+    return () => controller.abort();
+  }, [pendingRequest, navigate]);
 
   const [ttsState, setTtsState] = useState('idle'); // idle | loading | playing | paused
   const [ttsError, setTtsError] = useState(null);
   const audioRef = useRef(null);
   const utteranceRef = useRef(null);
+  // Server voices need ElevenLabs; without it the browser's own voice is used, if any.
+  const [serverTts, setServerTts] = useState(true);
+  const browserTts = typeof window !== 'undefined' && Boolean(window.speechSynthesis);
+
+  useEffect(() => {
+    let active = true;
+    api.getServerFeatures().then((features) => {
+      if (active) setServerTts(features.tts);
+    });
+    return () => { active = false; };
+  }, []);
 
   // Clean up audio on unmount
   useEffect(() => {
@@ -147,17 +286,22 @@ export default function Diagnosis() {
     };
   }, []);
 
-  if (!state?.diagnosis) {
+  const streaming = !state?.diagnosis;
+  const view = streaming ? live : state;
+
+  if (!view?.diagnosis) {
     return (
       <div className={styles.page}>
-        <p className={styles.loading}>Loading...</p>
+        <p className={styles.loading}>{pendingRequest ? 'Assessing your symptoms...' : 'Loading...'}</p>
       </div>
     );
   }
 
-  const { diagnosis, hospitals = [], rankResult, latitude, longitude } = state;
+  const { diagnosis, hospitals = [], rankResult, latitude, longitude } = view;
   const top3 = rankResult?.top3 ?? rankResult?.data?.top3 ?? [];
   const severityInfo = getSeverityInfo(diagnosis.severity);
+  // The first differential is the top pick shown above; the rest are the alternatives.
+  const alternatives = (diagnosis.differentials ?? []).slice(1);
 
   // Limit to 5 closest hospitals
   const closestHospitals = hospitals.slice(0, 5);
@@ -215,6 +359,7 @@ export default function Diagnosis() {
     const text = `${diagnosis.condition}. ${diagnosis.reasoning}${nextStepsPart}`;
 
     try {
+      if (!serverTts) throw new Error('Server TTS unavailable');
       const blob = await api.synthesizeTts({ text, languageCode });
       const blobUrl = URL.createObjectURL(blob);
       const audio = new Audio(blobUrl);
@@ -288,37 +433,67 @@ export default function Diagnosis() {
         </h2>
         <p className={styles.pageSubtitle}>Response language: {languageLabel}</p>
         <h3 className={styles.condition}>{diagnosis.condition}</h3>
-        <p className={styles.reasoning}>{diagnosis.reasoning}</p>
-        <div className={styles.ttsControls}>
-          <button
-            type="button"
-            className={`${styles.ttsButton} ${ttsState === 'playing' ? styles.ttsPlaying : ''} ${ttsState === 'paused' ? styles.ttsPaused : ''}`}
-            onClick={handleTts}
-            disabled={ttsState === 'loading'}
-          >
-            {ttsState === 'loading' && (
-              <><span className={styles.ttsIcon}>{'...'}</span> Loading</>
-            )}
-            {ttsState === 'playing' && (
-              <><span className={styles.ttsIcon}>{'\u23F8\uFE0E'}</span> Pause</>
-            )}
-            {ttsState === 'paused' && (
-              <><span className={styles.ttsIcon}>{'\u25B6\uFE0E'}</span> Resume</>
-            )}
-            {ttsState === 'idle' && (
-              <><span className={styles.ttsIcon}>{'\u25B6\uFE0E'}</span> Listen</>
-            )}
-          </button>
-          {(ttsState === 'playing' || ttsState === 'paused') && (
+        <p className={styles.reasoning}>
+          {diagnosis.reasoning}
+          {streaming && <span className={styles.streamingCursor} aria-hidden="true" />}
+        </p>
+        {streaming && <p className={styles.streamingNote} role="status">Still writing your assessment...</p>}
+        {alternatives.length > 0 && (
+          <details className={styles.differentials}>
+            <summary className={styles.differentialsSummary}>
+              Other possibilities ({alternatives.length})
+            </summary>
+            <ul className={styles.differentialsList}>
+              {alternatives.map((item) => (
+                <li key={item.condition} className={styles.differentialItem}>
+                  <div className={styles.differentialHeader}>
+                    <span className={styles.differentialName}>{item.condition}</span>
+                    <span className={`${styles.likelihoodBadge} ${styles[`likelihood_${item.likelihood}`] ?? ''}`}>
+                      {LIKELIHOOD_LABELS[item.likelihood] ?? item.likelihood}
+                    </span>
+                  </div>
+                  {item.distinguishingSymptoms?.length > 0 && (
+                    <p className={styles.differentialHint}>
+                      More likely if: {item.distinguishingSymptoms.join('; ')}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        {(serverTts || browserTts) && (
+          <div className={styles.ttsControls}>
             <button
               type="button"
-              className={styles.ttsStopButton}
-              onClick={stopTts}
+              className={`${styles.ttsButton} ${ttsState === 'playing' ? styles.ttsPlaying : ''} ${ttsState === 'paused' ? styles.ttsPaused : ''}`}
+              onClick={handleTts}
+              disabled={ttsState === 'loading' || streaming}
             >
-              <span className={styles.ttsIcon}>{'\u25A0'}</span> Stop
+              {ttsState === 'loading' && (
+                <><span className={styles.ttsIcon}>{'...'}</span> Loading</>
+              )}
+              {ttsState === 'playing' && (
+                <><span className={styles.ttsIcon}>{'\u23F8\uFE0E'}</span> Pause</>
+              )}
+              {ttsState === 'paused' && (
+                <><span className={styles.ttsIcon}>{'\u25B6\uFE0E'}</span> Resume</>
+              )}
+              {ttsState === 'idle' && (
+                <><span className={styles.ttsIcon}>{'\u25B6\uFE0E'}</span> Listen</>
+              )}
             </button>
-          )}
-        </div>
+            {(ttsState === 'playing' || ttsState === 'paused') && (
+              <button
+                type="button"
+                className={styles.ttsStopButton}
+                onClick={stopTts}
+              >
+                <span className={styles.ttsIcon}>{'\u25A0'}</span> Stop
+              </button>
+            )}
+          </div>
+        )}
         {ttsError && <p className={styles.ttsError}>{ttsError}</p>}
       </section>
 
@@ -334,11 +509,21 @@ export default function Diagnosis() {
             ({diagnosis.severity} of 3)
           </span>
         </div>
+        {diagnosis.redFlags?.length > 0 && (
+          <p className={styles.redFlagNote}>
+            Your symptoms include warning signs that always need urgent care, so we rated this as serious.
+          </p>
+        )}
         {diagnosis.severity >= 3 && (
           <p className={styles.emergencyNote}>
             If this is a life-threatening emergency, please call <strong>911</strong> immediately.
           </p>
         )}
+        {diagnosis.llmUnavailable && (
+          <p className={styles.fallbackNote}>
+            Our assessment service is unavailable right now, so this advice comes from our built-in emergency checks.
+          </p>
+        )}
       </section>
 
       {diagnosis.emergencyNotified && (
@@ -388,7 +573,7 @@ export default function Diagnosis() {
                   {best.waitTime != null && (
                     <span className={styles.bestStat}>
                       <strong>{best.waitTime}</strong> min wait
-                      {best.waitTimeEstimated === false && <span className={styles.liveBadge}>LIVE</span>}
+                      <WaitSourceBadge hospital={best} />
                     </span>
                   )}
                 </div>
@@ -451,7 +636,7 @@ export default function Diagnosis() {
                   {h.waitTime != null && (
                     <span className={styles.hospitalStat}>
                       {h.waitTime} min wait
-                      {h.waitTimeEstimated === false && <span className={styles.liveBadge}>LIVE</span>}
+                      <WaitSourceBadge hospital={h} />
                     </span>
                   )}
                 </div>
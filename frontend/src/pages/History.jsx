@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as api from '../api/backend';
+import styles from './History.module.css';
+
+// Backend uses severity 1–3: 1=mild, 2=moderate, 3=severe
+function getSeverityInfo(severity) {
+  if (severity <= 1) return { label: 'Low concern', class: styles.severityLow };
+  if (severity <= 2) return { label: 'Moderate concern', class: styles.severityMid };
+  return { label: 'High concern', class: styles.severityHigh };
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+export default function History() {
+  const navigate = useNavigate();
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    async function load() {
+      try {
+        const res = await api.listDiagnoses();
+        setRecords(Array.isArray(res?.data) ? res.data : []);
+      } catch (err) {
+        if (err?.status === 401) {
+          setError('Log in to see your past assessments.');
+        } else {
+          setError(err?.body?.error || 'We couldn\'t load your history. Please try again.');
+        }
+      } finally {
+        setLoading(false);
+      }
+    }
+    load();
+  }, []);
+
+  async function handleOpen(id) {
+    setError(null);
+    setBusyId(id);
+    try {
+      const res = await api.getDiagnosis(id);
+      const record = res?.data;
+      if (!record) throw new Error('Diagnosis not found');
+      navigate('/diagnosis', {
+        state: {
+          diagnosis: record,
+          hospitals: [],
+          rankResult: { top3: [] },
+          latitude: null,
+          longitude: null,
+        },
+      });
+    } catch (err) {
+      setError(err?.body?.error || err?.message || 'Failed to open this assessment.');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handleDelete(id) {
+    if (!window.confirm('Delete this assessment from your history?')) return;
+    setError(null);
+    setBusyId(id);
+    try {
+      await api.deleteDiagnosis(id);
+      setRecords((prev) => prev.filter((r) => r.id !== id));
+    } catch (err) {
+      setError(err?.body?.error || 'Failed to delete this assessment.');
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <div className={styles.page}>
+      <button
+        type="button"
+        className={styles.back}
+        onClick={() => navigate('/')}
+        aria-label="Back to start"
+      >
+        &larr; New assessment
+      </button>
+
+      <header className={styles.pageHeader}>
+        <h1 className={styles.pageTitle}>
+          Your history. <span className={styles.highlight}>Past assessments.</span>
+        </h1>
+        <p className={styles.pageSubtitle}>
+          Reopen a previous result or remove it from your account.
+        </p>
+      </header>
+
+      {error && <p className={styles.error} role="alert">{error}</p>}
+
+      {loading && <p className={styles.loading}>Loading...</p>}
+
+      {!loading && !error && records.length === 0 && (
+        <p className={styles.empty}>No saved assessments yet.</p>
+      )}
+
+      {records.length > 0 && (
+        <ul className={styles.recordList}>
+          {records.map((record) => {
+            const severityInfo = getSeverityInfo(record.severity);
+            return (
+              <li key={record.id} className={styles.recordCard}>
+                <div className={styles.recordHeader}>
+                  <span className={styles.recordCondition}>{record.condition}</span>
+                  <span className={`${styles.recordSeverity} ${severityInfo.class}`}>
+                    {severityInfo.label}
+                  </span>
+                </div>
+                <span className={styles.recordDate}>
+                  {formatDate(record.createdAt)}
+                  {record.subject?.name ? ` · for ${record.subject.name}` : ''}
+                </span>
+                {record.symptoms?.length > 0 && (
+                  <p className={styles.recordSymptoms}>{record.symptoms.join(', ')}</p>
+                )}
+                <div className={styles.recordActions}>
+                  <button
+                    type="button"
+                    className={styles.openButton}
+                    onClick={() => handleOpen(record.id)}
+                    disabled={busyId === record.id}
+                  >
+                    Open
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.deleteButton}
+                    onClick={() => handleDelete(record.id)}
+                    disabled={busyId === record.id}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
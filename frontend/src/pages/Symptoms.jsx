@@ -1,29 +1,8 @@
 import { useEffect, useRef, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import * as api from '../api/backend';
 import styles from './Symptoms.module.css';
 
-function parseHospitals(raw) {
-  if (Array.isArray(raw)) return raw;
-  if (Array.isArray(raw?.data) && raw.data.length > 0 && typeof raw.data[0] === 'object') return raw.data;
-  if (Array.isArray(raw?.hospitals)) return raw.hospitals;
-  return [];
-}
-
-function getGeolocation() {
-  return new Promise((resolve, reject) => {
-    if (!navigator.geolocation) {
-      reject(new Error('Geolocation is not supported'));
-      return;
-    }
-    navigator.geolocation.getCurrentPosition(
-      (pos) => resolve({ latitude: pos.coords.latitude, longitude: pos.coords.longitude }),
-      (err) => reject(err),
-      { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
-    );
-  });
-}
-
 function blobToBase64(blob) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -102,9 +81,20 @@ function handleApiError(err, setError) {
 
 export default function Symptoms() {
   const [symptoms, setSymptoms] = useState('');
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Follow-up interview state: the model may ask a few questions before diagnosing.
+  const [interview, setInterview] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [reply, setReply] = useState('');
+  const [thinking, setThinking] = useState(false);
+  const [retrySessionId, setRetrySessionId] = useState(null);
+  const chatEndRef = useRef(null);
+
+  // Who the check is for: '' is the signed-in user, otherwise a dependent's id.
+  const [dependents, setDependents] = useState([]);
+  const [subjectId, setSubjectId] = useState('');
+
   // Voice recording state
   const [recording, setRecording] = useState(false);
   const [transcribing, setTranscribing] = useState(false);
@@ -124,6 +114,8 @@ export default function Symptoms() {
   const lastTranscribeAtRef = useRef(0);
   const recordedMimeTypeRef = useRef('audio/webm');
   const baseSymptomsRef = useRef('');
+  // Which box the transcript goes into: the symptoms or the answer to a follow-up question.
+  const voiceTargetRef = useRef('symptoms');
 
   // Photo state
   const [photoFile, setPhotoFile] = useState(null);
@@ -135,8 +127,19 @@ export default function Symptoms() {
   const cameraStreamRef = useRef(null);
 
   const navigate = useNavigate();
+  const location = useLocation();
 
   const mediaRecorderSupported = typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined';
+  // Hidden when the server reports transcription unavailable (GET /readyz).
+  const [voiceInput, setVoiceInput] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+    api.getServerFeatures().then((features) => {
+      if (active) setVoiceInput(features.voiceInput);
+    });
+    return () => { active = false; };
+  }, []);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -232,7 +235,8 @@ export default function Symptoms() {
       const nextTranscript = typeof transcript?.symptomsText === 'string' ? transcript.symptomsText.trim() : '';
       if (nextTranscript) {
         const base = baseSymptomsRef.current;
-        setSymptoms(base ? `${base} ${nextTranscript}` : nextTranscript);
+        const setText = voiceTargetRef.current === 'reply' ? setReply : setSymptoms;
+        setText(base ? `${base} ${nextTranscript}` : nextTranscript);
       }
       const inferredFromText = inferLanguageFromText(nextTranscript);
       const nextLanguage = transcript?.languageCode || inferredFromText || null;
@@ -255,7 +259,8 @@ export default function Symptoms() {
 
     try {
       setError(null);
-      baseSymptomsRef.current = symptoms.trim();
+      voiceTargetRef.current = interview ? 'reply' : 'symptoms';
+      baseSymptomsRef.current = (interview ? reply : symptoms).trim();
       lastTranscribeAtRef.current = 0;
 
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -417,6 +422,59 @@ export default function Symptoms() {
 
   // --- Submit ---
 
+  // Diagnosis streams on the results page; if it fails there we are sent back here
+  // with the original request so the user can adjust it and retry.
+  useEffect(() => {
+    const failed = location.state?.failedRequest;
+    if (!failed) return;
+
+    setSymptoms(failed.symptoms || '');
+    setRetrySessionId(failed.sessionId || null);
+    setSubjectId(failed.subjectId || '');
+    if (failed.languageCode) setDetectedLanguage(failed.languageCode);
+    if (failed.imageFile) {
+      setPhotoFile(failed.imageFile);
+      setPhotoPreview(URL.createObjectURL(failed.imageFile));
+    }
+    handleApiError(location.state.error, setError);
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location, navigate]);
+
+  useEffect(() => {
+    if (!api.getAuthToken()) return;
+    api.listDependents()
+      .then((res) => setDependents(res?.dependents || []))
+      .catch(() => setDependents([]));
+  }, []);
+
+  useEffect(() => {
+    chatEndRef.current?.scrollIntoView?.({ behavior: 'smooth', block: 'nearest' });
+  }, [messages, thinking]);
+
+  function goToDiagnosis(request, sessionId) {
+    navigate('/diagnosis', {
+      state: { pendingRequest: { ...request, sessionId: sessionId || undefined } },
+    });
+  }
+
+  function askQuestion(nextInterview) {
+    setInterview(nextInterview);
+    setMessages((prev) => [...prev, { from: 'assistant', text: nextInterview.questions[nextInterview.index].text }]);
+  }
+
+  // The interview only adds detail, so if it is unavailable we diagnose with what we have.
+  function handleInterviewError(err, request, sessionId) {
+    if (err?.body?.crisis) {
+      navigate('/crisis', { state: { crisis: err.body.crisis } });
+      return;
+    }
+    if (err?.body?.error === 'unsafe_input') {
+      handleApiError(err, setError);
+      return;
+    }
+    goToDiagnosis(request, sessionId);
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     const trimmed = symptoms.trim();
@@ -429,64 +487,114 @@ export default function Symptoms() {
     }
 
     setError(null);
-    setLoading(true);
+    const request = {
+      symptoms: trimmed,
+      imageFile: photoFile || undefined,
+      languageCode: detectedLanguage || undefined,
+      subjectId: subjectId || undefined,
+    };
 
+    // Retrying after a failed diagnosis: the follow-up answers are still on the server.
+    if (retrySessionId) {
+      goToDiagnosis(request, retrySessionId);
+      return;
+    }
+
+    setThinking(true);
     try {
-      const diagnosisRaw = await api.diagnose({
-        symptoms: trimmed,
-        imageFile: photoFile || undefined,
-        languageCode: detectedLanguage || undefined,
-      });
-      const diagnosis = diagnosisRaw?.condition != null
-        ? diagnosisRaw
-        : { condition: 'Unknown', severity: 1, reasoning: 'Diagnosis pending.' };
-      const severity = Math.min(3, Math.max(1, Number(diagnosis.severity) || 1));
-
-      let latitude = null;
-      let longitude = null;
-      let hospitals = [];
-      try {
-        const coords = await getGeolocation();
-        latitude = coords.latitude;
-        longitude = coords.longitude;
-        const hospitalsRaw = await api.getHospitals({ latitude, longitude });
-        hospitals = parseHospitals(hospitalsRaw);
-      } catch {
-        // Location failed — continue without hospitals
+      const result = await api.startInterview(request);
+      if (!result?.needsMoreInfo) {
+        goToDiagnosis(request, result?.sessionId);
+        return;
       }
+      setMessages([{ from: 'patient', text: trimmed || 'Photo of affected area' }]);
+      setReply('');
+      askQuestion({ request, sessionId: result.sessionId, questions: result.questions, index: 0, answers: [] });
+    } catch (err) {
+      handleInterviewError(err, request);
+    } finally {
+      setThinking(false);
+    }
+  }
 
-      let hospitalsWithWait = hospitals;
-      if (hospitals.length > 0) {
-        const waitRes = await api.getWaitTimes({ hospitals });
-        hospitalsWithWait = Array.isArray(waitRes?.data) ? waitRes.data : hospitals;
-      }
+  async function answerQuestion(text) {
+    const question = interview.questions[interview.index];
+    const answers = [...interview.answers, { questionId: question.id, answer: text }];
+    setMessages((prev) => [...prev, { from: 'patient', text: text || 'Skipped' }]);
+    setReply('');
+    setError(null);
 
-      let rankResult = { top3: [] };
-      if (hospitalsWithWait.length > 0) {
-        const rankRaw = await api.rank({ hospitals: hospitalsWithWait, severity });
-        rankResult = rankRaw?.data ?? rankRaw ?? { top3: [] };
-      }
+    if (interview.index + 1 < interview.questions.length) {
+      askQuestion({ ...interview, index: interview.index + 1, answers });
+      return;
+    }
 
-      navigate('/diagnosis', {
-        state: {
-          diagnosis: { ...diagnosis, severity, languageCode: diagnosis.languageCode || detectedLanguage || 'en' },
-          hospitals: hospitalsWithWait,
-          rankResult,
-          latitude,
-          longitude,
-        },
-      });
-    } catch (err) {
-      if (err?.message === 'Please describe your symptoms or add a photo.') {
-        setError('Please describe your symptoms in the box above, add a photo, or both.');
-      } else {
-        handleApiError(err, setError);
+    setThinking(true);
+    try {
+      const result = await api.answerInterview(interview.sessionId, answers);
+      if (!result?.needsMoreInfo) {
+        goToDiagnosis(interview.request, interview.sessionId);
+        return;
       }
+      askQuestion({ ...interview, questions: result.questions, index: 0, answers: [] });
+    } catch (err) {
+      handleInterviewError(err, interview.request, interview.sessionId);
     } finally {
-      setLoading(false);
+      setThinking(false);
+    }
+  }
+
+  function handleReply(e) {
+    e.preventDefault();
+    const text = reply.trim();
+    if (!text) {
+      setError('Type or record an answer, or skip this question.');
+      return;
     }
+    answerQuestion(text);
   }
 
+  function handleEditSymptoms() {
+    setInterview(null);
+    setMessages([]);
+    setReply('');
+    setError(null);
+  }
+
+  const busy = transcribing || recording || thinking;
+
+  const recordingPanel = (
+    <div className={styles.recordingPanel}>
+      <div className={styles.recordingHeader}>
+        <button
+          type="button"
+          onClick={toggleRecording}
+          className={styles.micButton}
+          disabled={transcribing || thinking || !mediaRecorderSupported}
+          aria-pressed={recording}
+          title={mediaRecorderSupported ? 'Record your voice' : 'Audio recording not supported'}
+        >
+          {recording ? 'Stop recording' : (interview ? 'Record answer' : 'Record symptoms')}
+        </button>
+        <div className={styles.timerWrap}>
+          <span className={`${styles.timerDot} ${recording ? styles.timerDotLive : ''}`} />
+          <span className={styles.timerText}>{formatDuration(recordingSeconds)}</span>
+        </div>
+      </div>
+
+      <canvas ref={waveformCanvasRef} className={styles.waveform} aria-label="Live recording waveform" />
+
+      <div className={styles.inputActions}>
+        <span className={styles.voiceStatus}>
+          {recording && 'Recording... speak naturally, then press stop to transcribe.'}
+          {!recording && transcribing && 'Finalizing transcription from your recording...'}
+          {!recording && !transcribing && detectedLanguage && `Detected language: ${LANGUAGE_LABELS[detectedLanguage] || detectedLanguage} (${detectedLanguage})`}
+          {!recording && !transcribing && !detectedLanguage && 'Use voice recording. We transcribe automatically while you speak.'}
+        </span>
+      </div>
+    </div>
+  );
+
   return (
     <div className={styles.page}>
       <header className={styles.hero}>
@@ -505,95 +613,153 @@ export default function Symptoms() {
       </header>
 
       <div className={styles.formAndFeatures}>
-        <form onSubmit={handleSubmit} className={styles.form}>
-          <label htmlFor="symptoms">How are you feeling?</label>
-          <p className={styles.helper}>Example: &quot;I have chest pain and shortness of breath when I walk.&quot;</p>
-          <textarea
-            id="symptoms"
-            value={symptoms}
-            onChange={(e) => setSymptoms(e.target.value)}
-            placeholder="Type your symptoms here. For example: headache, dizziness, pain in my arm..."
-            rows={5}
-            disabled={loading || transcribing}
-            autoFocus
-            aria-describedby={error ? 'symptoms-error' : undefined}
-          />
-
-          {/* Voice recording panel */}
-          <div className={styles.recordingPanel}>
-            <div className={styles.recordingHeader}>
+        {interview ? (
+          <form onSubmit={handleReply} className={styles.form}>
+            <p className={styles.chatIntro}>A few quick questions will help us give you a better answer.</p>
+            <div className={styles.chat} role="log" aria-live="polite" aria-label="Follow-up questions">
+              {messages.map((m, i) => (
+                <p
+                  key={i}
+                  className={`${styles.chatBubble} ${m.from === 'patient' ? styles.chatBubblePatient : styles.chatBubbleAssistant}`}
+                >
+                  {m.text}
+                </p>
+              ))}
+              {thinking && (
+                <p className={`${styles.chatBubble} ${styles.chatBubbleAssistant} ${styles.chatThinking}`}>Thinking...</p>
+              )}
+              <div ref={chatEndRef} />
+            </div>
+
+            <label htmlFor="reply">Your answer</label>
+            <textarea
+              id="reply"
+              className={styles.replyInput}
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              placeholder={voiceInput ? 'Type your answer, or record it below.' : 'Type your answer.'}
+              rows={2}
+              disabled={transcribing || thinking}
+              autoFocus
+              aria-describedby={error ? 'symptoms-error' : undefined}
+            />
+
+            {voiceInput && recordingPanel}
+
+            {error && (
+              <p id="symptoms-error" className={styles.error} role="alert">{error}</p>
+            )}
+
+            <button type="submit" disabled={busy} className={styles.submit}>
+              {thinking ? 'Thinking...' : 'Send answer'}
+            </button>
+            <div className={styles.chatActions}>
+              <button type="button" className={styles.chatSecondary} onClick={() => answerQuestion('')} disabled={busy}>
+                Skip question
+              </button>
               <button
                 type="button"
-                onClick={toggleRecording}
-                className={styles.micButton}
-                disabled={loading || transcribing || !mediaRecorderSupported}
-                aria-pressed={recording}
-                title={mediaRecorderSupported ? 'Record your voice' : 'Audio recording not supported'}
+                className={styles.chatSecondary}
+                onClick={() => goToDiagnosis(interview.request, interview.sessionId)}
+                disabled={busy}
               >
-                {recording ? 'Stop recording' : 'Record symptoms'}
+                See results now
               </button>
-              <div className={styles.timerWrap}>
-                <span className={`${styles.timerDot} ${recording ? styles.timerDotLive : ''}`} />
-                <span className={styles.timerText}>{formatDuration(recordingSeconds)}</span>
-              </div>
-            </div>
-
-            <canvas ref={waveformCanvasRef} className={styles.waveform} aria-label="Live recording waveform" />
-
-            <div className={styles.inputActions}>
-              <span className={styles.voiceStatus}>
-                {recording && 'Recording... speak naturally, then press stop to transcribe.'}
-                {!recording && transcribing && 'Finalizing transcription from your recording...'}
-                {!recording && !transcribing && detectedLanguage && `Detected language: ${LANGUAGE_LABELS[detectedLanguage] || detectedLanguage} (${detectedLanguage})`}
-                {!recording && !transcribing && !detectedLanguage && 'Use voice recording. We transcribe automatically while you speak.'}
-              </span>
-            </div>
-          </div>
-
-          {/* Photo upload */}
-          <p className={styles.photoLabel}>Add a photo (optional)</p>
-          <p className={styles.photoHint}>Take a clear photo of the affected area or upload one from your device.</p>
-          <input
-            ref={uploadInputRef}
-            type="file"
-            accept="image/*"
-            onChange={handlePhotoSelect}
-            className={styles.fileInput}
-            aria-label="Upload photo from device"
-          />
-
-          {cameraError && (
-            <p className={styles.cameraError} role="alert">{cameraError}</p>
-          )}
-
-          {!photoPreview ? (
-            <div className={styles.photoOptions}>
-              <button type="button" className={styles.addPhotoButton} onClick={handleOpenCamera} disabled={loading}>
-                Take photo
-              </button>
-              <button type="button" className={styles.uploadPhotoButton} onClick={() => uploadInputRef.current?.click()} disabled={loading}>
-                Upload photo
+              <button type="button" className={styles.chatSecondary} onClick={handleEditSymptoms} disabled={busy}>
+                Edit symptoms
               </button>
             </div>
-          ) : (
-            <div className={styles.photoSection}>
-              <div className={styles.photoPreview}>
-                <img src={photoPreview} alt="Your photo" />
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className={styles.form}>
+            {dependents.length > 0 && (
+              <div className={styles.subjectPicker}>
+                <label htmlFor="subject">Who is this for?</label>
+                <select
+                  id="subject"
+                  value={subjectId}
+                  onChange={(e) => {
+                    setSubjectId(e.target.value);
+                    setRetrySessionId(null);
+                  }}
+                  disabled={transcribing || thinking}
+                >
+                  <option value="">Me</option>
+                  {dependents.map((d) => (
+                    <option key={d.id} value={d.id}>
+                      {d.relation ? `${d.name} (${d.relation})` : d.name}
+                    </option>
+                  ))}
+                </select>
               </div>
-              <button type="button" className={styles.removePhotoButton} onClick={handleRemovePhoto} disabled={loading}>
-                Remove Photo
-              </button>
-            </div>
-          )}
+            )}
+
+            <label htmlFor="symptoms">
+              {subjectId ? `How is ${dependents.find((d) => d.id === subjectId)?.name || 'this person'} feeling?` : 'How are you feeling?'}
+            </label>
+            <p className={styles.helper}>Example: &quot;I have chest pain and shortness of breath when I walk.&quot;</p>
+            <textarea
+              id="symptoms"
+              value={symptoms}
+              onChange={(e) => {
+                setSymptoms(e.target.value);
+                setRetrySessionId(null);
+              }}
+              placeholder="Type your symptoms here. For example: headache, dizziness, pain in my arm..."
+              rows={5}
+              disabled={transcribing || thinking}
+              autoFocus
+              aria-describedby={error ? 'symptoms-error' : undefined}
+            />
+
+            {/* Voice recording panel */}
+            {voiceInput && recordingPanel}
+
+            {/* Photo upload */}
+            <p className={styles.photoLabel}>Add a photo (optional)</p>
+            <p className={styles.photoHint}>Take a clear photo of the affected area or upload one from your device.</p>
+            <input
+              ref={uploadInputRef}
+              type="file"
+              accept="image/*"
+              onChange={handlePhotoSelect}
+              className={styles.fileInput}
+              aria-label="Upload photo from device"
+            />
+
+            {cameraError && (
+              <p className={styles.cameraError} role="alert">{cameraError}</p>
+            )}
+
+            {!photoPreview ? (
+              <div className={styles.photoOptions}>
+                <button type="button" className={styles.addPhotoButton} onClick={handleOpenCamera}>
+                  Take photo
+                </button>
+                <button type="button" className={styles.uploadPhotoButton} onClick={() => uploadInputRef.current?.click()}>
+                  Upload photo
+                </button>
+              </div>
+            ) : (
+              <div className={styles.photoSection}>
+                <div className={styles.photoPreview}>
+                  <img src={photoPreview} alt="Your photo" />
+                </div>
+                <button type="button" className={styles.removePhotoButton} onClick={handleRemovePhoto}>
+                  Remove Photo
+                </button>
+              </div>
+            )}
 
-          {error && (
-            <p id="symptoms-error" className={styles.error} role="alert">{error}</p>
-          )}
+            {error && (
+              <p id="symptoms-error" className={styles.error} role="alert">{error}</p>
+            )}
 
-          <button type="submit" disabled={loading || transcribing || recording} className={styles.submit}>
-            {loading ? 'Finding care options...' : 'Find care'}
-          </button>
-        </form>
+            <button type="submit" disabled={busy} className={styles.submit}>
+              {thinking ? 'Getting started...' : 'Find care'}
+            </button>
+          </form>
+        )}
 
         <section className={styles.features}>
           <div className={styles.featureCard}>